@@ -1,13 +1,13 @@
 import Student from '../models/Student.js';
 import Attendance from '../models/Attendance.js';
+import { timeService } from '../services/time.js';
+import { calendarService } from '../services/calendar.js';
 
 // GET /api/analytics/dashboard - Get dashboard analytics
 export const getDashboardAnalytics = async (req, res) => {
     try {
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        const tomorrow = new Date(today);
-        tomorrow.setDate(tomorrow.getDate() + 1);
+        const timeZone = await timeService.getTimezone();
+        const { start: today, end: tomorrow } = timeService.getDayRange(new Date(), timeZone);
 
         // Get basic counts
         const totalStudents = await Student.countDocuments({ isActive: true });
@@ -31,18 +31,68 @@ export const getDashboardAnalytics = async (req, res) => {
             present: 0,
             late: 0,
             absent: 0,
-            pending_verification: 0
+            pending_verification: 0,
+            on_leave: 0,
+            excused: 0
         };
 
         attendanceSummary.forEach(item => {
             summary[item._id] = item.count;
         });
 
+        // Time on site for students who have checked out today
+        const checkOutSummary = await Attendance.aggregate([
+            {
+                $match: {
+                    date: { $gte: today, $lt: tomorrow },
+                    'timeSlot.actual.checkedOut': { $ne: null }
+                }
+            },
+            {
+                $group: {
+                    _id: null,
+                    checkedOut: { $sum: 1 },
+                    averageMinutes: { $avg: '$checkOut.durationMinutes' },
+                    earlyLeavers: { $sum: { $cond: ['$checkOut.isEarlyLeave', 1, 0] } }
+                }
+            }
+        ]);
+
+        const timeOnSite = checkOutSummary[0]
+            ? {
+                checkedOut: checkOutSummary[0].checkedOut,
+                averageMinutes: Math.round(checkOutSummary[0].averageMinutes || 0),
+                earlyLeavers: checkOutSummary[0].earlyLeavers
+            }
+            : { checkedOut: 0, averageMinutes: 0, earlyLeavers: 0 };
+
+        // Students can attend several sessions a day, so the rate counts each student once
+        const rollup = await Attendance.getDailyRollup(today, new Date(tomorrow.getTime() - 1), {}, timeZone);
+        const studentsAttended = rollup.filter(r => ['present', 'late'].includes(r.status)).length;
+
+        // Only students whose batch has classes today count towards the rate, and
+        // students on approved leave or excused are not expected
+        const excused = new Set(rollup
+            .filter(r => ['on_leave', 'excused'].includes(r.status))
+            .map(r => r.student.toString()));
+        const calendar = await calendarService.getDay(today);
+        const day = calendar.check();
+        const activeStudents = day.isWorkingDay ? await Student.find({ isActive: true }).select('batch centers').lean() : [];
+        const expectedStudents = activeStudents
+            .filter(s => calendar.isStudentWorkingDay(s) && !excused.has(s._id.toString()))
+            .length;
+
         res.json({
             totalStudents,
             todayAttendance,
-            attendanceRate: totalStudents > 0 ? ((summary.present + summary.late) / totalStudents * 100).toFixed(1) : 0,
-            summary
+            studentsAttended,
+            expectedStudents,
+            studentsOnLeave: excused.size,
+            isWorkingDay: day.isWorkingDay,
+            nonWorkingReasons: day.reasons,
+            attendanceRate: expectedStudents > 0 ? (studentsAttended / expectedStudents * 100).toFixed(1) : 0,
+            summary,
+            timeOnSite
         });
     } catch (error) {
         console.error('Error fetching dashboard analytics:', error);
@@ -0,0 +1,122 @@
+import Attendance from '../models/Attendance.js';
+import AttendanceAppeal from '../models/AttendanceAppeal.js';
+import AttendanceHistory from '../models/AttendanceHistory.js';
+import { appealService } from '../services/appeal.js';
+
+const STATUSES = ['open', 'accepted', 'rejected'];
+const RESOLVED_STATUSES = ['present', 'late', 'absent', 'excused'];
+
+// GET /api/appeals - Appeals queue, oldest open appeals first
+export const getAppeals = async (req, res) => {
+    try {
+        const { page = 1, limit = 10, status = 'open', studentId } = req.query;
+
+        if (status !== 'all' && !STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Status must be all or one of ${STATUSES.join(', ')}` });
+        }
+
+        const filter = {};
+        if (status !== 'all') filter.status = status;
+        if (studentId) filter.student = studentId;
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const [appeals, total, byStatus] = await Promise.all([
+            AttendanceAppeal.find(filter)
+                .populate('student', 'name phone studentId course batch')
+                .populate('attendance', 'date day session status location.verifiedCenter location.distanceFromCenter flags images')
+                .sort({ createdAt: status === 'open' ? 1 : -1 })
+                .skip(skip)
+                .limit(parseInt(limit))
+                .lean(),
+            AttendanceAppeal.countDocuments(filter),
+            AttendanceAppeal.aggregate([
+                { $group: { _id: '$status', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        res.json({
+            appeals,
+            pagination: {
+                current: parseInt(page),
+                pages: Math.ceil(total / parseInt(limit)),
+                total,
+                limit: parseInt(limit)
+            },
+            summary: byStatus.reduce((acc, item) => {
+                acc[item._id] = item.count;
+                return acc;
+            }, { open: 0, accepted: 0, rejected: 0 })
+        });
+    } catch (error) {
+        console.error('Error fetching appeals:', error);
+        res.status(500).json({ error: 'Failed to fetch appeals' });
+    }
+};
+
+// GET /api/appeals/:id - An appeal with its attendance record and the record's history
+export const getAppealById = async (req, res) => {
+    try {
+        const appeal = await AttendanceAppeal.findById(req.params.id)
+            .populate('student', 'name phone studentId course batch')
+            .lean();
+
+        if (!appeal) {
+            return res.status(404).json({ error: 'Appeal not found' });
+        }
+
+        const [attendance, history] = await Promise.all([
+            Attendance.findById(appeal.attendance).lean(),
+            AttendanceHistory.getForAttendance(appeal.attendance).lean()
+        ]);
+
+        res.json({ ...appeal, attendance, history });
+    } catch (error) {
+        console.error('Error fetching appeal:', error);
+        res.status(500).json({ error: 'Failed to fetch appeal' });
+    }
+};
+
+// PUT /api/appeals/:id/resolve - Accept or reject an appeal
+export const resolveAppeal = async (req, res) => {
+    try {
+        const { decision, status, notes, reviewedBy } = req.body;
+
+        if (!['accept', 'reject'].includes(decision)) {
+            return res.status(400).json({ error: 'Decision must be accept or reject' });
+        }
+
+        if (status && !RESOLVED_STATUSES.includes(status)) {
+            return res.status(400).json({ error: 'Invalid status' });
+        }
+
+        const appeal = await AttendanceAppeal.findById(req.params.id);
+        if (!appeal) {
+            return res.status(404).json({ error: 'Appeal not found' });
+        }
+
+        if (appeal.status !== 'open') {
+            return res.status(409).json({ error: `Appeal has already been ${appeal.status}` });
+        }
+
+        // The record may have been deleted since the appeal was made
+        if (!(await Attendance.exists({ _id: appeal.attendance }))) {
+            return res.status(409).json({ error: 'The appealed attendance record no longer exists' });
+        }
+
+        const result = await appealService.resolve(appeal, {
+            decision,
+            newStatus: status || 'present',
+            reviewedBy: reviewedBy || 'admin',
+            notes: notes || null
+        });
+
+        res.json({
+            message: `Appeal ${result.appeal.status}`,
+            appeal: result.appeal,
+            attendance: result.attendance
+        });
+    } catch (error) {
+        console.error('Error resolving appeal:', error);
+        res.status(500).json({ error: 'Failed to resolve appeal' });
+    }
+};
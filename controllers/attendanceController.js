@@ -1,5 +1,69 @@
+import mongoose from 'mongoose';
 import Attendance from '../models/Attendance.js';
+import AttendanceHistory from '../models/AttendanceHistory.js';
 import Student from '../models/Student.js';
+import Settings from '../models/Settings.js';
+import { timeService } from '../services/time.js';
+import { absenceService } from '../services/absence.js';
+import { imageService } from '../services/image.js';
+import { reviewService, REVIEW_FILTER, REVIEW_STATUSES, MAX_BULK_REVIEW } from '../services/review.js';
+
+// Add time on site (minutes between check-in and check-out) to an attendance record
+const withTimeOnSite = (record) => ({
+    ...record,
+    timeOnSite: record.checkOut?.durationMinutes ?? null
+});
+
+const getMapUrl = (coordinates) =>
+    coordinates?.latitude != null && coordinates?.longitude != null
+        ? `https://maps.google.com/?q=${coordinates.latitude},${coordinates.longitude}`
+        : null;
+
+// What a reviewer needs to decide on a record: photos with thumbnails and EXIF times,
+// where the check-in was and how far from the matched center, and the flags raised
+const getReviewEvidence = async (record, centers) => {
+    const checkedInAt = record.timeSlot?.actual?.checkedIn || record.date;
+    const verifiedCenter = record.location?.verifiedCenter;
+    const center = verifiedCenter?.id
+        ? centers.find(c => c._id.toString() === verifiedCenter.id.toString())
+        : null;
+
+    const photos = await Promise.all((record.images || []).map(async (image) => {
+        const capturedAt = image.metadata?.capturedAt || null;
+        return {
+            url: image.url,
+            thumbnailUrl: await imageService.getThumbnail(image.url),
+            uploadedAt: image.uploadedAt,
+            capturedAt,
+            // Positive when the photo was taken before the check-in
+            capturedMinutesBeforeCheckIn: capturedAt
+                ? Math.round((new Date(checkedInAt) - new Date(capturedAt)) / 60000)
+                : null
+        };
+    }));
+
+    return {
+        photos,
+        location: {
+            coordinates: record.location?.coordinates || null,
+            accuracy: record.location?.accuracy ?? null,
+            distanceFromCenter: record.location?.distanceFromCenter ?? null,
+            isWithinRadius: record.location?.isWithinRadius ?? null,
+            mapUrl: getMapUrl(record.location?.coordinates)
+        },
+        center: verifiedCenter
+            ? {
+                ...verifiedCenter,
+                coordinates: center?.coordinates || null,
+                radius: center?.radius ?? null,
+                mapUrl: getMapUrl(center?.coordinates)
+            }
+            : null,
+        flags: record.flags || [],
+        risk: record.risk || null,
+        faceMatch: record.faceMatch || null
+    };
+};
 
 // GET /api/attendance - Get attendance records with filtering
 export const getAttendanceRecords = async (req, res) => {
@@ -9,25 +73,30 @@ export const getAttendanceRecords = async (req, res) => {
             limit = 10,
             date,
             status,
+            flag,
             studentId,
             course,
             batch,
+            deleted,
             sortBy = 'date',
             sortOrder = 'desc'
         } = req.query;
 
-        // Build filter object
-        const filter = {};
+        if (studentId && !mongoose.isValidObjectId(studentId)) {
+            return res.status(400).json({ error: 'Invalid student id' });
+        }
+
+        // Build filter object; deleted=true lists soft-deleted records instead
+        const filter = deleted === 'true' ? { deletion: { $ne: null } } : {};
 
         if (date) {
-            const startDate = new Date(date);
-            startDate.setHours(0, 0, 0, 0);
-            const endDate = new Date(date);
-            endDate.setHours(23, 59, 59, 999);
-            filter.date = { $gte: startDate, $lte: endDate };
+            const timeZone = await timeService.getTimezone();
+            const { start, end } = timeService.getDayRange(date, timeZone);
+            filter.date = { $gte: start, $lt: end };
         }
 
         if (status) filter.status = status;
+        if (flag) filter['flags.code'] = flag;
         if (studentId) filter.student = studentId;
 
         // Build sort object
@@ -39,7 +108,7 @@ export const getAttendanceRecords = async (req, res) => {
         const attendance = await Attendance.find(filter)
             .populate({
                 path: 'student',
-                select: 'name email phone studentId course batch trainingCenter',
+                select: 'name email phone studentId course batch centers',
                 match: course ? { course: { $regex: course, $options: 'i' } } : {}
             })
             .sort(sort)
@@ -54,7 +123,7 @@ export const getAttendanceRecords = async (req, res) => {
         const total = await Attendance.countDocuments(filter);
 
         res.json({
-            attendance: filteredAttendance,
+            attendance: filteredAttendance.map(withTimeOnSite),
             pagination: {
                 current: parseInt(page),
                 pages: Math.ceil(total / parseInt(limit)),
@@ -71,10 +140,8 @@ export const getAttendanceRecords = async (req, res) => {
 // GET /api/attendance/today - Get today's attendance
 export const getTodayAttendance = async (req, res) => {
     try {
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        const tomorrow = new Date(today);
-        tomorrow.setDate(tomorrow.getDate() + 1);
+        const timeZone = await timeService.getTimezone();
+        const { dayKey, start: today, end: tomorrow } = timeService.getDayRange(new Date(), timeZone);
 
         const attendance = await Attendance.find({
             date: { $gte: today, $lt: tomorrow }
@@ -88,13 +155,37 @@ export const getTodayAttendance = async (req, res) => {
             late: attendance.filter(a => a.status === 'late').length,
             absent: attendance.filter(a => a.status === 'absent').length,
             pending: attendance.filter(a => a.status === 'pending_verification').length,
+            onLeave: attendance.filter(a => ['on_leave', 'excused'].includes(a.status)).length,
+            checkedOut: attendance.filter(a => a.timeSlot?.actual?.checkedOut).length,
+            earlyLeavers: attendance.filter(a => a.checkOut?.isEarlyLeave).length,
             total: attendance.length
         };
 
+        // Per-session counts, and one rolled-up status per student across their sessions
+        const bySession = {};
+        attendance.forEach(a => {
+            bySession[a.session] = bySession[a.session] || { present: 0, late: 0, absent: 0, pending: 0, onLeave: 0, total: 0 };
+            const key = a.status === 'pending_verification' ? 'pending' : ['on_leave', 'excused'].includes(a.status) ? 'onLeave' : a.status;
+            bySession[a.session][key] = (bySession[a.session][key] || 0) + 1;
+            bySession[a.session].total++;
+        });
+
+        const rollup = await Attendance.getDailyRollup(today, new Date(tomorrow.getTime() - 1), {}, timeZone);
+        const students = {
+            present: rollup.filter(r => r.status === 'present').length,
+            late: rollup.filter(r => r.status === 'late').length,
+            absent: rollup.filter(r => r.status === 'absent').length,
+            pending: rollup.filter(r => r.status === 'pending_verification').length,
+            onLeave: rollup.filter(r => ['on_leave', 'excused'].includes(r.status)).length,
+            total: rollup.length
+        };
+
         res.json({
-            attendance,
+            attendance: attendance.map(withTimeOnSite),
             summary,
-            date: today.toISOString().split('T')[0]
+            bySession,
+            students,
+            date: dayKey
         });
     } catch (error) {
         console.error('Error fetching today\'s attendance:', error);
@@ -107,12 +198,14 @@ export const getAttendanceStats = async (req, res) => {
     try {
         const { startDate, endDate, course, batch } = req.query;
 
+        const timeZone = await timeService.getTimezone();
         const matchFilter = {};
 
         if (startDate && endDate) {
+            const range = timeService.getDateRange(startDate, endDate, timeZone);
             matchFilter.date = {
-                $gte: new Date(startDate),
-                $lte: new Date(endDate)
+                $gte: range.start,
+                $lt: range.end
             };
         }
 
@@ -154,8 +247,8 @@ export const getAttendanceStats = async (req, res) => {
         const statusStats = await Attendance.aggregate(pipeline);
 
         // Get daily attendance for the last 7 days
-        const sevenDaysAgo = new Date();
-        sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+        const today = timeService.toDayKey(new Date(), timeZone);
+        const sevenDaysAgo = timeService.getDayRange(timeService.addDays(today, -7), timeZone).start;
 
         const dailyStats = await Attendance.aggregate([
             {
@@ -166,7 +259,7 @@ export const getAttendanceStats = async (req, res) => {
             {
                 $group: {
                     _id: {
-                        $dateToString: { format: '%Y-%m-%d', date: '$date' }
+                        $dateToString: { format: '%Y-%m-%d', date: '$date', timezone: timeZone }
                     },
                     present: {
                         $sum: { $cond: [{ $eq: ['$status', 'present'] }, 1, 0] }
@@ -177,6 +270,9 @@ export const getAttendanceStats = async (req, res) => {
                     absent: {
                         $sum: { $cond: [{ $eq: ['$status', 'absent'] }, 1, 0] }
                     },
+                    onLeave: {
+                        $sum: { $cond: [{ $in: ['$status', ['on_leave', 'excused']] }, 1, 0] }
+                    },
                     total: { $sum: 1 }
                 }
             },
@@ -193,54 +289,381 @@ export const getAttendanceStats = async (req, res) => {
     }
 };
 
+// GET /api/attendance/daily-report - Sessions rolled up into one status per student per day
+export const getDailyReport = async (req, res) => {
+    try {
+        const { startDate, endDate, studentId } = req.query;
+
+        if (studentId && !mongoose.isValidObjectId(studentId)) {
+            return res.status(400).json({ error: 'Invalid student id' });
+        }
+
+        const timeZone = await timeService.getTimezone();
+        const range = timeService.getDateRange(startDate || new Date(), endDate || startDate || new Date(), timeZone);
+        const start = range.start;
+        const end = new Date(range.end.getTime() - 1);
+
+        const extraMatch = {};
+        if (studentId) {
+            extraMatch.student = new mongoose.Types.ObjectId(studentId);
+        }
+
+        const rollup = await Attendance.getDailyRollup(start, end, extraMatch, timeZone);
+        await Student.populate(rollup, { path: 'student', select: 'name phone studentId course batch' });
+
+        // Group per day with a summary of the rolled-up statuses
+        const days = {};
+        rollup.forEach(row => {
+            if (!days[row.day]) {
+                days[row.day] = {
+                    day: row.day,
+                    summary: { present: 0, late: 0, absent: 0, pending_verification: 0, on_leave: 0, excused: 0, total: 0 },
+                    students: []
+                };
+            }
+            days[row.day].students.push(row);
+            days[row.day].summary[row.status] = (days[row.day].summary[row.status] || 0) + 1;
+            days[row.day].summary.total++;
+        });
+
+        res.json({
+            startDate: start,
+            endDate: end,
+            days: Object.values(days)
+        });
+    } catch (error) {
+        console.error('Error fetching daily attendance report:', error);
+        res.status(500).json({ error: 'Failed to fetch daily attendance report' });
+    }
+};
+
+// GET /api/attendance/flagged - Check-ins flagged for review, riskiest first
+export const getFlaggedAttendance = async (req, res) => {
+    try {
+        const { page = 1, limit = 10, code, level, status, startDate, endDate } = req.query;
+
+        const filter = { 'flags.0': { $exists: true } };
+        if (code) filter['flags.code'] = code;
+        if (level) filter['risk.level'] = level;
+        if (status) filter.status = status;
+
+        if (startDate || endDate) {
+            const timeZone = await timeService.getTimezone();
+            const range = timeService.getDateRange(startDate || endDate, endDate || startDate, timeZone);
+            filter.date = { $gte: range.start, $lt: range.end };
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const [attendance, total, byCode] = await Promise.all([
+            Attendance.find(filter)
+                .populate('student', 'name email phone studentId course batch centers')
+                .sort({ 'risk.score': -1, date: -1 })
+                .skip(skip)
+                .limit(parseInt(limit))
+                .lean(),
+            Attendance.countDocuments(filter),
+            Attendance.aggregate([
+                { $match: filter },
+                { $unwind: '$flags' },
+                { $group: { _id: '$flags.code', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        res.json({
+            attendance,
+            summary: Object.fromEntries(byCode.map(row => [row._id, row.count])),
+            pagination: {
+                current: parseInt(page),
+                pages: Math.ceil(total / parseInt(limit)),
+                total,
+                limit: parseInt(limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching flagged attendance:', error);
+        res.status(500).json({ error: 'Failed to fetch flagged attendance records' });
+    }
+};
+
+// GET /api/attendance/review - Review queue of pending and flagged records with their evidence
+export const getReviewQueue = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, code, session, centerId, startDate, endDate } = req.query;
+
+        const filter = { ...REVIEW_FILTER };
+        if (code) filter['flags.code'] = code;
+        if (session) filter.session = session;
+        if (centerId) filter['location.verifiedCenter.id'] = centerId;
+
+        if (startDate || endDate) {
+            const timeZone = await timeService.getTimezone();
+            const range = timeService.getDateRange(startDate || endDate, endDate || startDate, timeZone);
+            filter.date = { $gte: range.start, $lt: range.end };
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const [records, total, settings] = await Promise.all([
+            Attendance.find(filter)
+                .populate('student', 'name phone studentId course batch')
+                .sort({ 'risk.score': -1, date: 1 })
+                .skip(skip)
+                .limit(parseInt(limit))
+                .lean(),
+            Attendance.countDocuments(filter),
+            Settings.getSettings()
+        ]);
+
+        const attendance = [];
+        for (const record of records) {
+            attendance.push({
+                ...record,
+                // Send back with a bulk review so changes made since loading the queue are not overwritten
+                version: record.__v,
+                evidence: await getReviewEvidence(record, settings.centers || [])
+            });
+        }
+
+        res.json({
+            attendance,
+            pagination: {
+                current: parseInt(page),
+                pages: Math.ceil(total / parseInt(limit)),
+                total,
+                limit: parseInt(limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching review queue:', error);
+        res.status(500).json({ error: 'Failed to fetch review queue' });
+    }
+};
+
+// POST /api/attendance/review/bulk - Verify or reject many records with a shared note
+export const bulkReviewAttendance = async (req, res) => {
+    try {
+        const { action, items, notes } = req.body;
+
+        if (!REVIEW_STATUSES[action]) {
+            return res.status(400).json({ error: 'Action must be verify or reject' });
+        }
+
+        if (!Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({ error: 'Items must be a non-empty array of { id, version }' });
+        }
+
+        if (items.length > MAX_BULK_REVIEW) {
+            return res.status(400).json({ error: `At most ${MAX_BULK_REVIEW} records can be reviewed at once` });
+        }
+
+        const status = req.body.status || REVIEW_STATUSES[action][0];
+        if (!REVIEW_STATUSES[action].includes(status)) {
+            return res.status(400).json({ error: `Status for ${action} must be one of ${REVIEW_STATUSES[action].join(', ')}` });
+        }
+
+        const reviewedBy = req.body.reviewedBy || 'admin';
+        const { results, summary } = await reviewService.reviewMany(items, { status, notes, reviewedBy });
+        console.log(`📋 Bulk ${action} by ${reviewedBy}: ${summary.updated}/${summary.total} records updated`);
+
+        res.json({
+            message: `${summary.updated} of ${summary.total} records updated`,
+            results,
+            summary
+        });
+    } catch (error) {
+        console.error('Error bulk reviewing attendance:', error);
+        res.status(500).json({ error: 'Failed to review attendance records' });
+    }
+};
+
 // PUT /api/attendance/:id/verify - Manually verify attendance
 export const verifyAttendance = async (req, res) => {
     try {
-        const { status, notes } = req.body;
+        const { status, notes, version } = req.body;
 
-        if (!['present', 'late', 'absent'].includes(status)) {
+        // excused is an absence with a reason accepted after the fact, without a leave request
+        if (!['present', 'late', 'absent', 'excused'].includes(status)) {
             return res.status(400).json({ error: 'Invalid status' });
         }
 
-        const attendance = await Attendance.findByIdAndUpdate(
-            req.params.id,
-            {
-                status,
-                'verification.isVerified': true,
-                'verification.verifiedBy': 'admin',
-                'verification.verifiedAt': new Date(),
-                'verification.verificationMethod': 'manual_admin',
-                'verification.notes': notes || ''
-            },
-            { new: true }
-        ).populate('student', 'name email phone studentId');
-
+        const attendance = await Attendance.findById(req.params.id);
         if (!attendance) {
             return res.status(404).json({ error: 'Attendance record not found' });
         }
 
+        if (reviewService.isVersionConflict(attendance, version)) {
+            return res.status(409).json({ error: 'Attendance record was changed since it was loaded', version: attendance.__v });
+        }
+
+        reviewService.applyManualReview(attendance, { status, notes, reviewedBy: req.body.reviewedBy || 'admin' });
+        await attendance.save();
+        await attendance.populate('student', 'name email phone studentId');
+
         res.json({
             message: 'Attendance verified successfully',
             attendance
         });
     } catch (error) {
+        if (error.name === 'VersionError') {
+            return res.status(409).json({ error: 'Attendance record was changed while it was being verified' });
+        }
         console.error('Error verifying attendance:', error);
         res.status(500).json({ error: 'Failed to verify attendance' });
     }
 };
 
-// DELETE /api/attendance/:id - Delete attendance record
+// PUT /api/attendance/:id/face-review - Override the face match decision
+export const reviewFaceMatch = async (req, res) => {
+    try {
+        const { decision, notes } = req.body;
+
+        if (!['match', 'mismatch'].includes(decision)) {
+            return res.status(400).json({ error: 'Decision must be match or mismatch' });
+        }
+
+        // A confirmed match counts as present unless told otherwise; a mismatch as absent
+        const status = req.body.status || (decision === 'match' ? 'present' : 'absent');
+        if (!['present', 'late', 'absent'].includes(status)) {
+            return res.status(400).json({ error: 'Invalid status' });
+        }
+
+        const attendance = await Attendance.findById(req.params.id);
+        if (!attendance) {
+            return res.status(404).json({ error: 'Attendance record not found' });
+        }
+
+        if (!attendance.faceMatch?.status) {
+            return res.status(400).json({ error: 'This attendance has no face match to review' });
+        }
+
+        const reviewedBy = req.body.reviewedBy || 'admin';
+        attendance.faceMatch.override = {
+            decision,
+            by: reviewedBy,
+            at: new Date(),
+            notes: notes || null
+        };
+        attendance.flags = attendance.flags.filter(flag => !['face_mismatch', 'no_face'].includes(flag.code));
+        attendance.setStatus(status, { actor: reviewedBy, reason: notes || `Face ${decision}` });
+        attendance.verification.isVerified = true;
+        attendance.verification.verifiedBy = reviewedBy;
+        attendance.verification.verifiedAt = new Date();
+        attendance.verification.verificationMethod = 'manual_admin';
+        attendance.verification.notes = notes || '';
+        await attendance.save();
+        await attendance.populate('student', 'name email phone studentId');
+
+        res.json({
+            message: 'Face match reviewed successfully',
+            attendance
+        });
+    } catch (error) {
+        console.error('Error reviewing face match:', error);
+        res.status(500).json({ error: 'Failed to review face match' });
+    }
+};
+
+// DELETE /api/attendance/:id - Soft delete an attendance record
 export const deleteAttendance = async (req, res) => {
     try {
-        const attendance = await Attendance.findByIdAndDelete(req.params.id);
+        const attendance = await Attendance.findById(req.params.id);
 
         if (!attendance) {
             return res.status(404).json({ error: 'Attendance record not found' });
         }
 
+        await attendance.softDelete({
+            actor: req.body?.reviewedBy || 'admin',
+            reason: req.body?.reason || req.query.reason || null
+        });
+
         res.json({ message: 'Attendance record deleted successfully' });
     } catch (error) {
         console.error('Error deleting attendance:', error);
         res.status(500).json({ error: 'Failed to delete attendance record' });
     }
-}; 
\ No newline at end of file
+};
+
+// POST /api/attendance/:id/restore - Restore a deleted attendance record
+export const restoreAttendance = async (req, res) => {
+    try {
+        const attendance = await Attendance.findOne({ _id: req.params.id, deletion: { $ne: null } });
+
+        if (!attendance) {
+            return res.status(404).json({ error: 'Deleted attendance record not found' });
+        }
+
+        try {
+            await attendance.restore({ actor: req.body.reviewedBy || 'admin', reason: req.body.reason || null });
+        } catch (restoreError) {
+            if (restoreError.code === 11000) {
+                return res.status(409).json({ error: 'The session has been recorded again since this record was deleted' });
+            }
+            throw restoreError;
+        }
+        await attendance.populate('student', 'name email phone studentId');
+
+        res.json({
+            message: 'Attendance record restored successfully',
+            attendance
+        });
+    } catch (error) {
+        console.error('Error restoring attendance:', error);
+        res.status(500).json({ error: 'Failed to restore attendance record' });
+    }
+};
+
+// GET /api/attendance/:id/history - Status changes, deletes and appeals of a record
+export const getAttendanceHistory = async (req, res) => {
+    try {
+        // Deleted records keep their history
+        const exists = await Attendance.exists({ _id: req.params.id })
+            || await Attendance.exists({ _id: req.params.id, deletion: { $ne: null } });
+        if (!exists) {
+            return res.status(404).json({ error: 'Attendance record not found' });
+        }
+
+        const history = await AttendanceHistory.getForAttendance(req.params.id).lean();
+        res.json(history);
+    } catch (error) {
+        console.error('Error fetching attendance history:', error);
+        res.status(500).json({ error: 'Failed to fetch attendance history' });
+    }
+};
+
+// POST /api/attendance/mark-absent - Re-run absent marking for a day after corrections
+export const markAbsent = async (req, res) => {
+    try {
+        const { date, centerId, session } = req.body;
+
+        if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            return res.status(400).json({ error: 'Date is required in YYYY-MM-DD format' });
+        }
+
+        if (session && !['morning', 'afternoon', 'evening', 'full_day'].includes(session)) {
+            return res.status(400).json({ error: 'Invalid session' });
+        }
+
+        const timeZone = await timeService.getTimezone();
+        if (date > timeService.toDayKey(new Date(), timeZone)) {
+            return res.status(400).json({ error: 'Cannot mark absences for a future date' });
+        }
+
+        if (centerId) {
+            const settings = await Settings.getSettings();
+            if (!settings.centers.find(c => c._id.toString() === centerId)) {
+                return res.status(404).json({ error: 'Center not found' });
+            }
+        }
+
+        const runs = await absenceService.rerun({ dayKey: date, centerId, session });
+
+        res.json({
+            message: 'Absent marking completed',
+            date,
+            runs
+        });
+    } catch (error) {
+        console.error('Error marking absentees:', error);
+        res.status(500).json({ error: 'Failed to mark absentees' });
+    }
+};
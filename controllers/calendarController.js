@@ -0,0 +1,212 @@
+import path from 'path';
+import CalendarEvent from '../models/CalendarEvent.js';
+import Settings from '../models/Settings.js';
+import { calendarService } from '../services/calendar.js';
+
+const DAY_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Check that a center id refers to one of the configured centers
+async function centerExists(centerId) {
+    const settings = await Settings.getSettings();
+    return Boolean(settings.centers.find(c => c._id.toString() === centerId.toString()));
+}
+
+// GET /api/calendar/events - List calendar events with filtering
+export const getCalendarEvents = async (req, res) => {
+    try {
+        const { from, to, type, scope, centerId, batch } = req.query;
+
+        const filter = {};
+        if (type) filter.type = type;
+        if (scope) filter.scope = scope;
+        if (centerId) filter.center = centerId;
+        if (batch) filter.batch = batch;
+        if (from) filter.endDate = { $gte: from };
+        if (to) filter.startDate = { $lte: to };
+
+        const events = await CalendarEvent.find(filter).sort({ startDate: 1 }).lean();
+        res.json(events);
+    } catch (error) {
+        console.error('Error fetching calendar events:', error);
+        res.status(500).json({ error: 'Failed to fetch calendar events' });
+    }
+};
+
+// POST /api/calendar/events - Add a holiday, closure or course period
+export const createCalendarEvent = async (req, res) => {
+    try {
+        const { type, name, startDate, endDate, scope, centerId, batch, notes } = req.body;
+
+        if (!type || !name || !startDate) {
+            return res.status(400).json({ error: 'Type, name and startDate are required' });
+        }
+
+        if (!DAY_KEY_REGEX.test(startDate) || (endDate && !DAY_KEY_REGEX.test(endDate))) {
+            return res.status(400).json({ error: 'Dates must be in YYYY-MM-DD format' });
+        }
+
+        if (centerId && !(await centerExists(centerId))) {
+            return res.status(404).json({ error: 'Center not found' });
+        }
+
+        const event = new CalendarEvent({
+            type,
+            name,
+            startDate,
+            endDate: endDate || startDate,
+            scope: scope || (batch ? 'batch' : centerId ? 'center' : 'global'),
+            center: centerId || null,
+            batch: batch || null,
+            notes: notes || null
+        });
+
+        try {
+            await event.validate();
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+
+        await event.save();
+
+        res.status(201).json({
+            message: 'Calendar event added successfully',
+            event
+        });
+    } catch (error) {
+        console.error('Error adding calendar event:', error);
+        res.status(500).json({ error: 'Failed to add calendar event' });
+    }
+};
+
+// PUT /api/calendar/events/:id - Update a calendar event
+export const updateCalendarEvent = async (req, res) => {
+    try {
+        const event = await CalendarEvent.findById(req.params.id);
+        if (!event) {
+            return res.status(404).json({ error: 'Calendar event not found' });
+        }
+
+        const { centerId, ...updateData } = req.body;
+
+        for (const field of ['startDate', 'endDate']) {
+            if (updateData[field] && !DAY_KEY_REGEX.test(updateData[field])) {
+                return res.status(400).json({ error: 'Dates must be in YYYY-MM-DD format' });
+            }
+        }
+
+        if (centerId !== undefined) {
+            if (centerId && !(await centerExists(centerId))) {
+                return res.status(404).json({ error: 'Center not found' });
+            }
+            event.center = centerId || null;
+        }
+
+        for (const field of ['type', 'name', 'startDate', 'endDate', 'scope', 'batch', 'notes']) {
+            if (updateData[field] !== undefined) {
+                event[field] = updateData[field];
+            }
+        }
+
+        try {
+            await event.validate();
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+
+        await event.save();
+
+        res.json({
+            message: 'Calendar event updated successfully',
+            event
+        });
+    } catch (error) {
+        console.error('Error updating calendar event:', error);
+        res.status(500).json({ error: 'Failed to update calendar event' });
+    }
+};
+
+// DELETE /api/calendar/events/:id - Delete a calendar event
+export const deleteCalendarEvent = async (req, res) => {
+    try {
+        const event = await CalendarEvent.findByIdAndDelete(req.params.id);
+
+        if (!event) {
+            return res.status(404).json({ error: 'Calendar event not found' });
+        }
+
+        res.json({ message: 'Calendar event deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting calendar event:', error);
+        res.status(500).json({ error: 'Failed to delete calendar event' });
+    }
+};
+
+// POST /api/calendar/import - Import events from a CSV or iCal file
+export const importCalendarEvents = async (req, res) => {
+    try {
+        // Either an uploaded file or the file contents in the body
+        const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+        if (!content) {
+            return res.status(400).json({ error: 'File or content is required' });
+        }
+
+        const extension = req.file ? path.extname(req.file.originalname).toLowerCase() : null;
+        const format = req.body.format || (extension === '.ics' ? 'ical' : extension === '.csv' ? 'csv' : null);
+        if (!['csv', 'ical'].includes(format)) {
+            return res.status(400).json({ error: 'Unsupported format. Use csv or ical' });
+        }
+
+        const { type, scope, centerId, batch } = req.body;
+        if (centerId && !(await centerExists(centerId))) {
+            return res.status(404).json({ error: 'Center not found' });
+        }
+
+        const result = await calendarService.importEvents(format, content, {
+            type,
+            scope,
+            center: centerId,
+            batch
+        });
+
+        res.json({
+            message: `Import completed. ${result.imported} events added, ${result.updated} updated.`,
+            imported: result.imported,
+            updated: result.updated,
+            errors: result.errors.length,
+            errorDetails: result.errors
+        });
+    } catch (error) {
+        console.error('Error importing calendar events:', error);
+        res.status(500).json({ error: 'Failed to import calendar events' });
+    }
+};
+
+// GET /api/calendar/working-day - Is a date a working day for a batch at a center
+export const getWorkingDay = async (req, res) => {
+    try {
+        const { date, centerId, batch } = req.query;
+
+        if (date && !DAY_KEY_REGEX.test(date)) {
+            return res.status(400).json({ error: 'Date must be in YYYY-MM-DD format' });
+        }
+
+        if (centerId && !(await centerExists(centerId))) {
+            return res.status(404).json({ error: 'Center not found' });
+        }
+
+        const result = await calendarService.isWorkingDay({
+            day: date || new Date(),
+            centerId: centerId || null,
+            batch: batch || null
+        });
+
+        res.json({
+            ...result,
+            centerId: centerId || null,
+            batch: batch || null
+        });
+    } catch (error) {
+        console.error('Error checking working day:', error);
+        res.status(500).json({ error: 'Failed to check working day' });
+    }
+};
@@ -0,0 +1,262 @@
+import mongoose from 'mongoose';
+import LeaveRequest, { MAX_LEAVE_DAYS } from '../models/LeaveRequest.js';
+import Student from '../models/Student.js';
+import { leaveService } from '../services/leave.js';
+
+const DAY_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+// Load a request for a status change, answering 404/409 itself when it cannot be made
+async function findForTransition(req, res, status) {
+    const request = await LeaveRequest.findById(req.params.id);
+    if (!request) {
+        res.status(404).json({ error: 'Leave request not found' });
+        return null;
+    }
+
+    if (!request.canTransitionTo(status)) {
+        res.status(409).json({ error: `A ${request.status} leave request cannot be ${status}` });
+        return null;
+    }
+
+    return request;
+}
+
+// GET /api/leave - List leave requests with filtering
+export const getLeaveRequests = async (req, res) => {
+    try {
+        const { page = 1, limit = 10, status, studentId, from, to } = req.query;
+
+        if (status && !STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Status must be one of ${STATUSES.join(', ')}` });
+        }
+
+        if (studentId && !mongoose.isValidObjectId(studentId)) {
+            return res.status(400).json({ error: 'Invalid student id' });
+        }
+
+        const filter = {};
+        if (status) filter.status = status;
+        if (studentId) filter.student = studentId;
+        if (from) filter.endDate = { $gte: from };
+        if (to) filter.startDate = { $lte: to };
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const [requests, total] = await Promise.all([
+            LeaveRequest.find(filter)
+                .populate('student', 'name phone studentId course batch')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit))
+                .lean(),
+            LeaveRequest.countDocuments(filter)
+        ]);
+
+        res.json({
+            requests,
+            pagination: {
+                current: parseInt(page),
+                pages: Math.ceil(total / parseInt(limit)),
+                total,
+                limit: parseInt(limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching leave requests:', error);
+        res.status(500).json({ error: 'Failed to fetch leave requests' });
+    }
+};
+
+// GET /api/leave/:id - Get a leave request
+export const getLeaveRequestById = async (req, res) => {
+    try {
+        const request = await LeaveRequest.findById(req.params.id)
+            .populate('student', 'name phone studentId course batch');
+
+        if (!request) {
+            return res.status(404).json({ error: 'Leave request not found' });
+        }
+
+        res.json(request);
+    } catch (error) {
+        console.error('Error fetching leave request:', error);
+        res.status(500).json({ error: 'Failed to fetch leave request' });
+    }
+};
+
+// POST /api/leave - Record leave for a student, optionally approving it straight away.
+// Unlike requests sent over WhatsApp, past days are allowed, to excuse absences.
+export const createLeaveRequest = async (req, res) => {
+    try {
+        const { studentId, startDate, endDate, reason, notes, reviewedBy } = req.body;
+        const approve = req.body.approve === true || req.body.approve === 'true';
+
+        if (!studentId || !startDate || !reason) {
+            return res.status(400).json({ error: 'studentId, startDate and reason are required' });
+        }
+
+        if (!mongoose.isValidObjectId(studentId)) {
+            return res.status(400).json({ error: 'Invalid student id' });
+        }
+
+        if (!DAY_KEY_REGEX.test(startDate) || (endDate && !DAY_KEY_REGEX.test(endDate))) {
+            return res.status(400).json({ error: 'Dates must be in YYYY-MM-DD format' });
+        }
+
+        if (endDate && endDate < startDate) {
+            return res.status(400).json({ error: 'endDate must not be before startDate' });
+        }
+
+        if (req.file && !LeaveRequest.isDocumentType(req.file.mimetype)) {
+            return res.status(400).json({ error: 'Document must be an image or a PDF' });
+        }
+
+        const student = await Student.findById(studentId);
+        if (!student) {
+            return res.status(404).json({ error: 'Student not found' });
+        }
+
+        const request = new LeaveRequest({
+            student: student._id,
+            startDate,
+            endDate: endDate || startDate,
+            reason,
+            source: 'admin'
+        });
+
+        try {
+            await request.validate();
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+
+        if (request.getDays().length > MAX_LEAVE_DAYS) {
+            return res.status(400).json({ error: `Leave can cover at most ${MAX_LEAVE_DAYS} days` });
+        }
+
+        const [overlapping] = await LeaveRequest.findOverlapping(student._id, request.startDate, request.endDate);
+        if (overlapping) {
+            return res.status(409).json({
+                error: `Overlaps ${overlapping.status} leave from ${overlapping.startDate} to ${overlapping.endDate}`,
+                overlapping
+            });
+        }
+
+        await request.save();
+
+        if (req.file) {
+            await leaveService.attachDocument(request, {
+                buffer: req.file.buffer,
+                mimeType: req.file.mimetype,
+                filename: req.file.originalname
+            });
+        }
+
+        if (approve) {
+            await leaveService.approve(request, { reviewedBy: reviewedBy || 'admin', notes: notes || null });
+        }
+
+        res.status(201).json({
+            message: approve ? 'Leave recorded and approved' : 'Leave request created successfully',
+            request
+        });
+    } catch (error) {
+        console.error('Error creating leave request:', error);
+        res.status(500).json({ error: 'Failed to create leave request' });
+    }
+};
+
+// POST /api/leave/:id/document - Attach or replace the supporting document
+export const uploadLeaveDocument = async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'Document is required' });
+        }
+
+        if (!LeaveRequest.isDocumentType(req.file.mimetype)) {
+            return res.status(400).json({ error: 'Document must be an image or a PDF' });
+        }
+
+        const request = await LeaveRequest.findById(req.params.id);
+        if (!request) {
+            return res.status(404).json({ error: 'Leave request not found' });
+        }
+
+        await leaveService.attachDocument(request, {
+            buffer: req.file.buffer,
+            mimeType: req.file.mimetype,
+            filename: req.file.originalname
+        });
+
+        res.json({
+            message: 'Document attached successfully',
+            request
+        });
+    } catch (error) {
+        console.error('Error attaching leave document:', error);
+        res.status(500).json({ error: 'Failed to attach document' });
+    }
+};
+
+// PUT /api/leave/:id/approve - Approve a pending request and write on_leave records
+export const approveLeaveRequest = async (req, res) => {
+    try {
+        const request = await findForTransition(req, res, 'approved');
+        if (!request) {
+            return;
+        }
+
+        const { notes, reviewedBy } = req.body;
+        await leaveService.approve(request, { reviewedBy: reviewedBy || 'admin', notes: notes || null });
+
+        res.json({
+            message: `Leave approved. ${request.attendanceRecords} attendance record(s) marked on leave.`,
+            request
+        });
+    } catch (error) {
+        console.error('Error approving leave request:', error);
+        res.status(500).json({ error: 'Failed to approve leave request' });
+    }
+};
+
+// PUT /api/leave/:id/reject - Reject a pending request
+export const rejectLeaveRequest = async (req, res) => {
+    try {
+        const request = await findForTransition(req, res, 'rejected');
+        if (!request) {
+            return;
+        }
+
+        const { notes, reviewedBy } = req.body;
+        await leaveService.reject(request, { reviewedBy: reviewedBy || 'admin', notes: notes || null });
+
+        res.json({
+            message: 'Leave request rejected',
+            request
+        });
+    } catch (error) {
+        console.error('Error rejecting leave request:', error);
+        res.status(500).json({ error: 'Failed to reject leave request' });
+    }
+};
+
+// PUT /api/leave/:id/cancel - Cancel a pending or approved request, removing its on_leave records
+export const cancelLeaveRequest = async (req, res) => {
+    try {
+        const request = await findForTransition(req, res, 'cancelled');
+        if (!request) {
+            return;
+        }
+
+        const { notes, reviewedBy } = req.body;
+        await leaveService.cancel(request, { reviewedBy: reviewedBy || 'admin', notes: notes || null });
+
+        res.json({
+            message: 'Leave request cancelled',
+            request
+        });
+    } catch (error) {
+        console.error('Error cancelling leave request:', error);
+        res.status(500).json({ error: 'Failed to cancel leave request' });
+    }
+};
@@ -0,0 +1,152 @@
+import mongoose from 'mongoose';
+import OutboundMessage from '../models/OutboundMessage.js';
+import { timeService } from '../services/time.js';
+import { outboundDispatcher } from '../services/outboundDispatcher.js';
+
+// GET /api/messages - Search the outbound message log
+export const getOutboundMessages = async (req, res) => {
+    try {
+        const {
+            page = 1,
+            limit = 20,
+            studentId,
+            recipient,
+            status,
+            purpose,
+            provider,
+            startDate,
+            endDate
+        } = req.query;
+
+        if (studentId && !mongoose.isValidObjectId(studentId)) {
+            return res.status(400).json({ error: 'Invalid student id' });
+        }
+
+        // Cast here: aggregate pipelines are not cast to the schema
+        const filter = {};
+        if (studentId) filter.student = new mongoose.Types.ObjectId(studentId);
+        if (recipient) filter.recipient = { $regex: `${recipient.replace(/\D/g, '').slice(-10)}$` };
+        if (status) filter.status = status;
+        if (purpose) filter.purpose = purpose;
+        if (provider) filter.provider = provider;
+
+        if (startDate || endDate) {
+            const timeZone = await timeService.getTimezone();
+            const range = timeService.getDateRange(startDate || endDate, endDate || startDate, timeZone);
+            filter.createdAt = { $gte: range.start, $lt: range.end };
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const [messages, total, byStatus] = await Promise.all([
+            OutboundMessage.find(filter)
+                .populate('student', 'name phone studentId course batch')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit))
+                .lean(),
+            OutboundMessage.countDocuments(filter),
+            OutboundMessage.aggregate([
+                { $match: filter },
+                { $group: { _id: '$status', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        res.json({
+            messages,
+            pagination: {
+                current: parseInt(page),
+                pages: Math.ceil(total / parseInt(limit)),
+                total,
+                limit: parseInt(limit)
+            },
+            summary: byStatus.reduce((acc, item) => {
+                acc[item._id] = item.count;
+                return acc;
+            }, { queued: 0, sending: 0, sent: 0, delivered: 0, read: 0, failed: 0 })
+        });
+    } catch (error) {
+        console.error('Error fetching outbound messages:', error);
+        res.status(500).json({ error: 'Failed to fetch outbound messages' });
+    }
+};
+
+// GET /api/messages/failed - Messages that failed for good, grouped by error code
+export const getFailedMessages = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, code } = req.query;
+
+        const filter = { status: 'failed' };
+        if (code) filter['deliveryErrors.code'] = code;
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const [messages, total, byCode] = await Promise.all([
+            OutboundMessage.find(filter)
+                .populate('student', 'name phone studentId course batch')
+                .sort({ failedAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit))
+                .lean(),
+            OutboundMessage.countDocuments(filter),
+            OutboundMessage.aggregate([
+                { $match: { status: 'failed' } },
+                { $project: { lastError: { $arrayElemAt: ['$deliveryErrors', -1] } } },
+                { $group: { _id: '$lastError.code', count: { $sum: 1 }, example: { $first: '$lastError.message' } } },
+                { $sort: { count: -1 } }
+            ])
+        ]);
+
+        res.json({
+            messages,
+            pagination: {
+                current: parseInt(page),
+                pages: Math.ceil(total / parseInt(limit)),
+                total,
+                limit: parseInt(limit)
+            },
+            summary: byCode.map(row => ({ code: row._id, count: row.count, example: row.example }))
+        });
+    } catch (error) {
+        console.error('Error fetching failed messages:', error);
+        res.status(500).json({ error: 'Failed to fetch failed messages' });
+    }
+};
+
+// POST /api/messages/:id/retry - Put a failed message back on the queue
+export const retryOutboundMessage = async (req, res) => {
+    try {
+        const message = await OutboundMessage.findById(req.params.id);
+        if (!message) {
+            return res.status(404).json({ error: 'Outbound message not found' });
+        }
+
+        if (message.status !== 'failed') {
+            return res.status(409).json({ error: 'Only failed messages can be retried' });
+        }
+
+        await message.retry();
+        outboundDispatcher.wake();
+
+        res.json({
+            message: 'Message queued for retry',
+            outboundMessage: message
+        });
+    } catch (error) {
+        console.error('Error retrying outbound message:', error);
+        res.status(500).json({ error: 'Failed to retry outbound message' });
+    }
+};
+
+// GET /api/messages/:id - Get an outbound message with its status history
+export const getOutboundMessage = async (req, res) => {
+    try {
+        const message = await OutboundMessage.findById(req.params.id)
+            .populate('student', 'name phone studentId course batch');
+        if (!message) {
+            return res.status(404).json({ error: 'Outbound message not found' });
+        }
+        res.json(message);
+    } catch (error) {
+        console.error('Error fetching outbound message:', error);
+        res.status(500).json({ error: 'Failed to fetch outbound message' });
+    }
+};
@@ -0,0 +1,90 @@
+import TaskRun from '../models/TaskRun.js';
+import Settings from '../models/Settings.js';
+import { scheduler } from '../services/scheduler.js';
+import { reminderService } from '../services/reminder.js';
+
+// GET /api/scheduler/status - Scheduler state and current leader
+export const getSchedulerStatus = async (req, res) => {
+    try {
+        res.json(await scheduler.getStatus());
+    } catch (error) {
+        console.error('Error fetching scheduler status:', error);
+        res.status(500).json({ error: 'Failed to fetch scheduler status' });
+    }
+};
+
+// GET /api/scheduler/runs - Run log of scheduled and manual tasks
+export const getTaskRuns = async (req, res) => {
+    try {
+        const {
+            page = 1,
+            limit = 20,
+            task,
+            status
+        } = req.query;
+
+        const filter = {};
+        if (task) filter.task = task;
+        if (status) filter.status = status;
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const runs = await TaskRun.find(filter)
+            .sort({ startedAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit))
+            .lean();
+
+        const total = await TaskRun.countDocuments(filter);
+
+        res.json({
+            runs,
+            pagination: {
+                current: parseInt(page),
+                pages: Math.ceil(total / parseInt(limit)),
+                total,
+                limit: parseInt(limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching task runs:', error);
+        res.status(500).json({ error: 'Failed to fetch task runs' });
+    }
+};
+
+// GET /api/scheduler/reminders/preview - Students who would get the reminder now
+export const previewReminder = async (req, res) => {
+    try {
+        const settings = await Settings.getSettings();
+        const { sendReminders, reminderTime } = settings.attendanceSettings.notifications;
+        const { dayKey, timeZone, day, students } = await reminderService.getRecipients();
+
+        res.json({
+            day: dayKey,
+            timeZone,
+            reminderTime,
+            enabled: sendReminders,
+            isWorkingDay: day.isWorkingDay,
+            reasons: day.reasons,
+            total: students.length,
+            recipients: students
+        });
+    } catch (error) {
+        console.error('Error previewing reminder:', error);
+        res.status(500).json({ error: 'Failed to preview reminder' });
+    }
+};
+
+// POST /api/scheduler/reminders/run - Send the reminder now
+export const runReminder = async (req, res) => {
+    try {
+        const run = await reminderService.runNow();
+
+        res.json({
+            message: run.status === 'skipped' ? 'Reminder skipped' : 'Reminder sent',
+            run
+        });
+    } catch (error) {
+        console.error('Error sending reminder:', error);
+        res.status(500).json({ error: 'Failed to send reminder' });
+    }
+};
@@ -1,4 +1,21 @@
 import Settings from '../models/Settings.js';
+import { timeService } from '../services/time.js';
+import { geoService } from '../services/geo.js';
+import { providers } from '../services/whatsappProviders/index.js';
+import { templateService } from '../services/template.js';
+import { i18nService, LANGUAGE_CODE_REGEX } from '../services/i18n.js';
+
+// Errors for each submitted template, keyed by template name
+const validateTemplates = (templates) => {
+    const errors = {};
+    for (const [key, source] of Object.entries(templates)) {
+        const templateErrors = templateService.validate(key, source);
+        if (templateErrors.length > 0) {
+            errors[key] = templateErrors;
+        }
+    }
+    return errors;
+};
 
 // GET /api/settings - Get system settings
 export const getSettings = async (req, res) => {
@@ -14,8 +31,34 @@ export const getSettings = async (req, res) => {
 // PUT /api/settings - Update system settings
 export const updateSettings = async (req, res) => {
     try {
+        const timezone = req.body.system?.timezone;
+        if (timezone !== undefined && !timeService.isValidTimezone(timezone)) {
+            return res.status(400).json({ error: 'Invalid timezone. Use an IANA name such as Asia/Kolkata' });
+        }
+
+        if (req.body.templates) {
+            const errors = validateTemplates(req.body.templates);
+            if (Object.keys(errors).length > 0) {
+                return res.status(400).json({ error: 'Invalid templates', details: errors });
+            }
+        }
+
+        const language = req.body.system?.language;
+        if (language !== undefined && !i18nService.isSupported(language, await Settings.getSettings())) {
+            return res.status(400).json({ error: `Unsupported language. Add translations for it first via PUT /api/settings/translations/${language}` });
+        }
+
+        const provider = req.body.whatsappApi?.provider;
+        if (provider !== undefined && !providers[provider]) {
+            return res.status(400).json({ error: `Invalid WhatsApp provider. Use one of: ${Object.keys(providers).join(', ')}` });
+        }
+
+        // Translations are edited through /api/settings/translations, so the copy a
+        // client sends back with the rest of the settings is ignored
+        const { translations, ...updates } = req.body;
+
         const settings = await Settings.getSettings();
-        Object.assign(settings, req.body);
+        Object.assign(settings, updates);
         await settings.save();
 
         res.json({
@@ -42,7 +85,7 @@ export const getCenters = async (req, res) => {
 // POST /api/settings/centers - Add new center
 export const addCenter = async (req, res) => {
     try {
-        const { name, address, coordinates, radius, contactInfo, timeSlots } = req.body;
+        const { name, address, coordinates, radius, geofence, contactInfo, timeSlots, timezone } = req.body;
 
         // Validation
         if (!name || !address || !coordinates || !coordinates.latitude || !coordinates.longitude) {
@@ -59,6 +102,16 @@ export const addCenter = async (req, res) => {
             return res.status(400).json({ error: 'Invalid longitude. Must be between -180 and 180' });
         }
 
+        if (timezone && !timeService.isValidTimezone(timezone)) {
+            return res.status(400).json({ error: 'Invalid timezone. Use an IANA name such as Asia/Kolkata' });
+        }
+
+        if (geofence && !geoService.isValidGeofence(geofence)) {
+            return res.status(400).json({
+                error: 'Invalid geofence. Use a GeoJSON Polygon or MultiPolygon with closed rings of [longitude, latitude]'
+            });
+        }
+
         const centerData = {
             name: name.trim(),
             address: address.trim(),
@@ -67,7 +120,9 @@ export const addCenter = async (req, res) => {
                 longitude: parseFloat(coordinates.longitude)
             },
             radius: radius ? parseInt(radius) : 2000, // Default 2km
+            geofence: geofence || null,
             isActive: true,
+            timezone: timezone || null,
             contactInfo: contactInfo || {},
             timeSlots: timeSlots || {
                 morning: { start: '09:00', end: '13:00' },
@@ -105,6 +160,17 @@ export const updateCenter = async (req, res) => {
             }
         }
 
+        if (updateData.timezone && !timeService.isValidTimezone(updateData.timezone)) {
+            return res.status(400).json({ error: 'Invalid timezone. Use an IANA name such as Asia/Kolkata' });
+        }
+
+        // A null geofence removes it and the center goes back to its radius
+        if (updateData.geofence && !geoService.isValidGeofence(updateData.geofence)) {
+            return res.status(400).json({
+                error: 'Invalid geofence. Use a GeoJSON Polygon or MultiPolygon with closed rings of [longitude, latitude]'
+            });
+        }
+
         // Validate time slots if provided
         if (updateData.timeSlots) {
             const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
@@ -184,16 +250,17 @@ export const getCenter = async (req, res) => {
 // PUT /api/settings/templates - Update message templates
 export const updateTemplates = async (req, res) => {
     try {
-        const { welcomeMessage, confirmationMessage, reminderMessage, rejectionMessage } = req.body;
-
-        const settings = await Settings.getSettings();
+        const templates = Object.fromEntries(
+            Object.entries(req.body).filter(([, source]) => source !== undefined)
+        );
 
-        // Update templates
-        if (welcomeMessage !== undefined) settings.templates.welcomeMessage = welcomeMessage;
-        if (confirmationMessage !== undefined) settings.templates.confirmationMessage = confirmationMessage;
-        if (reminderMessage !== undefined) settings.templates.reminderMessage = reminderMessage;
-        if (rejectionMessage !== undefined) settings.templates.rejectionMessage = rejectionMessage;
+        const errors = validateTemplates(templates);
+        if (Object.keys(errors).length > 0) {
+            return res.status(400).json({ error: 'Invalid templates', details: errors });
+        }
 
+        const settings = await Settings.getSettings();
+        Object.assign(settings.templates, templates);
         await settings.save();
 
         res.json({
@@ -206,6 +273,38 @@ export const updateTemplates = async (req, res) => {
     }
 };
 
+// GET /api/settings/templates/catalogue - Variables each template can use
+export const getTemplateCatalogue = async (req, res) => {
+    res.json(templateService.TEMPLATE_CATALOGUE);
+};
+
+// POST /api/settings/templates/preview - Render a template (optionally a translation) against sample data
+export const previewTemplate = async (req, res) => {
+    try {
+        const { template, source, language } = req.body;
+        const languages = language ? [language.toLowerCase()] : [];
+
+        if (!templateService.TEMPLATE_CATALOGUE[template]) {
+            return res.status(400).json({ error: `Unknown template. Use one of: ${Object.keys(templateService.TEMPLATE_CATALOGUE).join(', ')}` });
+        }
+
+        const settings = await Settings.getSettings();
+        const errors = templateService.validate(template, source ?? templateService.getSource(template, settings, languages));
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid template', details: errors });
+        }
+
+        res.json({
+            template,
+            language: language || null,
+            preview: templateService.preview(template, settings, source, languages)
+        });
+    } catch (error) {
+        console.error('Error previewing template:', error);
+        res.status(500).json({ error: 'Failed to preview template' });
+    }
+};
+
 // GET /api/settings/templates - Get message templates
 export const getTemplates = async (req, res) => {
     try {
@@ -215,4 +314,70 @@ export const getTemplates = async (req, res) => {
         console.error('Error fetching templates:', error);
         res.status(500).json({ error: 'Failed to fetch templates' });
     }
-}; 
\ No newline at end of file
+}; 
+
+// GET /api/settings/translations - Message catalogue, built-in and edited translations
+export const getTranslations = async (req, res) => {
+    try {
+        const settings = await Settings.getSettings();
+        const languages = i18nService.getLanguages(settings);
+
+        res.json({
+            languages,
+            defaultLanguage: settings.system.language,
+            fallbackLanguage: i18nService.FALLBACK_LANGUAGE,
+            catalogue: i18nService.getCatalogue(),
+            builtIn: Object.fromEntries(Object.keys(languages).map(code => [code, i18nService.getBuiltIn(code)])),
+            overrides: settings.translations || {}
+        });
+    } catch (error) {
+        console.error('Error fetching translations:', error);
+        res.status(500).json({ error: 'Failed to fetch translations' });
+    }
+};
+
+// PUT /api/settings/translations/:language - Set or remove (null) translations for a language
+export const updateTranslations = async (req, res) => {
+    try {
+        const language = req.params.language.toLowerCase();
+        if (!LANGUAGE_CODE_REGEX.test(language)) {
+            return res.status(400).json({ error: 'Invalid language code. Use an ISO 639 code such as hi or hi-in' });
+        }
+
+        const errors = i18nService.validateTranslations(req.body);
+        if (Object.keys(errors).length > 0) {
+            return res.status(400).json({ error: 'Invalid translations', details: errors });
+        }
+
+        const settings = await Settings.getSettings();
+        const translations = { ...(settings.translations || {}) };
+        const entries = { ...(translations[language] || {}) };
+
+        for (const [key, text] of Object.entries(req.body)) {
+            if (text === null) {
+                delete entries[key];
+            } else {
+                entries[key] = text;
+            }
+        }
+
+        if (Object.keys(entries).length > 0) {
+            translations[language] = entries;
+        } else {
+            delete translations[language];
+        }
+
+        settings.translations = translations;
+        settings.markModified('translations');
+        await settings.save();
+
+        res.json({
+            message: 'Translations updated successfully',
+            language,
+            translations: translations[language] || {}
+        });
+    } catch (error) {
+        console.error('Error updating translations:', error);
+        res.status(500).json({ error: 'Failed to update translations' });
+    }
+};
@@ -3,6 +3,32 @@ import fs from 'fs';
 import path from 'path';
 import * as XLSX from 'xlsx';
 import Student from '../models/Student.js';
+import Settings from '../models/Settings.js';
+import { faceService } from '../services/face.js';
+import { imageService } from '../services/image.js';
+import { i18nService } from '../services/i18n.js';
+
+// Center ids that do not match any configured center
+async function findUnknownCenters(centerIds = []) {
+    if (centerIds.length === 0) {
+        return [];
+    }
+    const settings = await Settings.getSettings();
+    const known = new Set(settings.centers.map(c => c._id.toString()));
+    return centerIds.filter(id => !known.has(id.toString()));
+}
+
+// Error for a preferred language messages cannot be sent in, or null. null clears the preference.
+async function checkLanguage(language) {
+    if (language === undefined || language === null) {
+        return null;
+    }
+    const settings = await Settings.getSettings();
+    if (!i18nService.isSupported(language, settings)) {
+        return `Unsupported language. Use one of: ${Object.keys(i18nService.getLanguages(settings)).join(', ')}`;
+    }
+    return null;
+}
 
 // GET /api/students - Get all students with pagination and filtering
 export const getAllStudents = async (req, res) => {
@@ -96,6 +122,16 @@ export const createStudent = async (req, res) => {
     try {
         const studentData = req.body;
 
+        const unknownCenters = await findUnknownCenters(studentData.centers);
+        if (unknownCenters.length > 0) {
+            return res.status(400).json({ error: `Unknown center ids: ${unknownCenters.join(', ')}` });
+        }
+
+        const languageError = await checkLanguage(studentData.language);
+        if (languageError) {
+            return res.status(400).json({ error: languageError });
+        }
+
         const student = new Student(studentData);
         await student.save();
 
@@ -120,6 +156,16 @@ export const updateStudent = async (req, res) => {
     try {
         const studentData = req.body;
 
+        const unknownCenters = await findUnknownCenters(studentData.centers);
+        if (unknownCenters.length > 0) {
+            return res.status(400).json({ error: `Unknown center ids: ${unknownCenters.join(', ')}` });
+        }
+
+        const languageError = await checkLanguage(studentData.language);
+        if (languageError) {
+            return res.status(400).json({ error: languageError });
+        }
+
         const student = await Student.findByIdAndUpdate(
             req.params.id,
             studentData,
@@ -154,7 +200,7 @@ export const deleteStudent = async (req, res) => {
             return res.status(404).json({ error: 'Student not found' });
         }
 
-
+        await imageService.deleteFaceImages((student.faceProfile?.references || []).map(ref => ref.url));
 
         res.json({ message: 'Student deleted successfully' });
     } catch (error) {
@@ -163,6 +209,128 @@ export const deleteStudent = async (req, res) => {
     }
 };
 
+// Enrollment summary without the face descriptors
+const getFaceProfile = (student) => ({
+    enrolled: student.faceProfile?.references?.length > 0,
+    enrolledAt: student.faceProfile?.enrolledAt || null,
+    references: (student.faceProfile?.references || []).map(ref => ({
+        id: ref._id,
+        url: `/api/students/${student._id}/face/${ref._id}/photo`,
+        enrolledAt: ref.enrolledAt
+    }))
+});
+
+// GET /api/students/:id/face - Get the student's face enrollment
+export const getFaceEnrollment = async (req, res) => {
+    try {
+        const student = await Student.findById(req.params.id).select('name studentId faceProfile');
+        if (!student) {
+            return res.status(404).json({ error: 'Student not found' });
+        }
+
+        res.json(getFaceProfile(student));
+    } catch (error) {
+        console.error('Error fetching face enrollment:', error);
+        res.status(500).json({ error: 'Failed to fetch face enrollment' });
+    }
+};
+
+// GET /api/students/:id/face/:referenceId/photo - Get an enrolled reference photo
+export const getFacePhoto = async (req, res) => {
+    try {
+        const student = await Student.findById(req.params.id).select('faceProfile');
+        const reference = student?.faceProfile?.references?.id(req.params.referenceId);
+        if (!reference) {
+            return res.status(404).json({ error: 'Reference photo not found' });
+        }
+
+        res.set('Cache-Control', 'private, no-store');
+        res.sendFile(imageService.getFilePath(reference.url), (error) => {
+            if (error && !res.headersSent) {
+                res.status(404).json({ error: 'Reference photo not found' });
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching reference photo:', error);
+        res.status(500).json({ error: 'Failed to fetch reference photo' });
+    }
+};
+
+// POST /api/students/:id/face - Enroll reference photos for face matching
+export const enrollFace = async (req, res) => {
+    try {
+        const files = req.files || [];
+        if (files.length === 0) {
+            return res.status(400).json({ error: 'At least one photo is required' });
+        }
+
+        const student = await Student.findById(req.params.id).select('+faceProfile.references.descriptor');
+        if (!student) {
+            return res.status(404).json({ error: 'Student not found' });
+        }
+
+        const added = [];
+        const errors = [];
+        for (const file of files) {
+            try {
+                const descriptor = await faceService.getReferenceDescriptor(file.buffer);
+                const url = await imageService.saveFaceImage(file.buffer, student._id, file.mimetype);
+                added.push({ url, descriptor, enrolledAt: new Date() });
+            } catch (error) {
+                errors.push({ file: file.originalname, error: error.message });
+            }
+        }
+
+        if (added.length === 0) {
+            return res.status(400).json({ error: 'No usable face found in the photos', errorDetails: errors });
+        }
+
+        // New photos replace the enrollment, or are added to it, keeping the most recent ones
+        const settings = await Settings.getSettings();
+        const { maxReferences } = faceService.getConfig(settings);
+        const previous = [...student.faceProfile.references];
+        const existing = req.body.replace === 'true' ? [] : previous;
+        student.faceProfile.references = [...existing, ...added].slice(-maxReferences);
+        student.faceProfile.enrolledAt = new Date();
+        await student.save();
+
+        // Photos replaced or pushed out past maxReferences are deleted from disk
+        const kept = new Set(student.faceProfile.references.map(ref => ref.url));
+        await imageService.deleteFaceImages([...previous, ...added].map(ref => ref.url).filter(url => !kept.has(url)));
+
+        res.json({
+            message: `${added.length} reference photo(s) enrolled`,
+            faceProfile: getFaceProfile(student),
+            errors: errors.length,
+            errorDetails: errors
+        });
+    } catch (error) {
+        console.error('Error enrolling face:', error);
+        res.status(500).json({ error: 'Failed to enroll face' });
+    }
+};
+
+// DELETE /api/students/:id/face - Remove the student's face enrollment
+export const deleteFaceEnrollment = async (req, res) => {
+    try {
+        // The student as it was before the update, to find the photos to delete
+        const student = await Student.findByIdAndUpdate(
+            req.params.id,
+            { 'faceProfile.references': [], 'faceProfile.enrolledAt': null }
+        ).select('faceProfile.references.url');
+        if (!student) {
+            return res.status(404).json({ error: 'Student not found' });
+        }
+
+        await imageService.deleteFaceImages(student.faceProfile.references.map(ref => ref.url));
+
+        res.json({ message: 'Face enrollment removed successfully' });
+    } catch (error) {
+        console.error('Error removing face enrollment:', error);
+        res.status(500).json({ error: 'Failed to remove face enrollment' });
+    }
+};
+
 // POST /api/students/bulk-import - Import students from CSV or Excel
 export const bulkImportStudents = async (req, res) => {
     try {
@@ -186,6 +354,12 @@ export const bulkImportStudents = async (req, res) => {
                 return res.status(400).json({ error: 'Unsupported file format' });
             }
 
+            // Centers may be given by name or id, separated by ';'
+            const settings = await Settings.getSettings();
+            const resolveCenter = (value) => settings.centers.find(c =>
+                c._id.toString() === value || c.name.toLowerCase() === value.toLowerCase()
+            );
+
             // Process each row
             for (let i = 0; i < data.length; i++) {
                 const rowNumber = i + 2; // +2 because we skip header and array is 0-indexed
@@ -216,6 +390,18 @@ export const bulkImportStudents = async (req, res) => {
                         continue;
                     }
 
+                    const centerValues = String(row.centers || row.center || '').split(';').map(v => v.trim()).filter(Boolean);
+                    const centers = centerValues.map(resolveCenter);
+                    if (centers.includes(undefined)) {
+                        errors.push({
+                            row: rowNumber,
+                            error: `Unknown center: ${centerValues[centers.indexOf(undefined)]}`
+                        });
+                        continue;
+                    }
+                    studentData.centers = centers.map(c => c._id);
+                    studentData.sessions = String(row.sessions || '').split(';').map(v => v.trim().toLowerCase()).filter(Boolean);
+
                     const student = new Student(studentData);
                     await student.save();
                     results.push(student);
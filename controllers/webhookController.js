@@ -1,11 +1,20 @@
 import Student from '../models/Student.js';
 import Attendance from '../models/Attendance.js';
 import Settings from '../models/Settings.js';
+import ProcessedMessage from '../models/ProcessedMessage.js';
+import WebhookJob from '../models/WebhookJob.js';
+import OutboundMessage from '../models/OutboundMessage.js';
 import { whatsappService } from '../services/whatsapp.js';
 import { geoService } from '../services/geo.js';
 import { imageService } from '../services/image.js';
-import geolib from 'geolib';
-import path from 'path';
+import { conversationService } from '../services/conversation.js';
+import { timeService } from '../services/time.js';
+import { i18nService } from '../services/i18n.js';
+import { commandRouter } from '../services/commands.js';
+import { leaveService } from '../services/leave.js';
+import { getProvider, getInteractiveOptions, TEXT_INTERACTIVE_PROVIDERS } from '../services/whatsappProviders/index.js';
+import { fraudService } from '../services/fraud.js';
+import { faceService } from '../services/face.js';
 
 // Helper function to find the closest valid center for a location
 async function findClosestValidCenter(location, student) {
@@ -17,22 +26,37 @@ async function findClosestValidCenter(location, student) {
 
         console.log('📍 Available centers:', centers.length);
         centers.forEach((center, index) => {
-            console.log(`Center ${index + 1}: ${center.name} at (${center.coordinates.latitude}, ${center.coordinates.longitude}) - radius: ${center.radius}m - active: ${center.isActive}`);
-
-            // Manual distance calculation for debugging
-            const manualDistance = geolib.getDistance(
-                { latitude: location.latitude, longitude: location.longitude },
-                { latitude: center.coordinates.latitude, longitude: center.coordinates.longitude }
-            );
-            console.log(`🔢 Manual distance calculation to ${center.name}: ${manualDistance}m - Within ${center.radius}m radius: ${manualDistance <= center.radius}`);
+            const boundary = geoService.hasGeofence(center)
+                ? `${center.geofence.type} geofence + ${center.geofence.bufferDistance || 0}m buffer`
+                : `radius: ${center.radius}m`;
+            console.log(`Center ${index + 1}: ${center.name} at (${center.coordinates.latitude}, ${center.coordinates.longitude}) - ${boundary} - active: ${center.isActive}`);
+
+            // Per-center check for debugging
+            const check = geoService.checkCenter({ latitude: location.latitude, longitude: location.longitude }, center);
+            console.log(`🔢 Distance to ${center.name} (${check.method}): ${check.distance}m - Within: ${check.isWithin}`);
         });
 
+        // Students assigned to centers are verified against those only. Students
+        // without assignments can check in at any active center.
+        const assignedCenters = student.centers?.length
+            ? centers.filter(c => student.centers.some(id => id.toString() === c._id.toString()))
+            : centers;
+
         const result = student.isWithinAnyCenterRadius(
             location.latitude,
             location.longitude,
-            centers
+            assignedCenters
         );
 
+        // Being at another of our centers is flagged for review rather than rejected outright
+        if (!result.isWithin && assignedCenters.length < centers.length) {
+            const otherCenters = centers.filter(c => !assignedCenters.includes(c));
+            const other = student.isWithinAnyCenterRadius(location.latitude, location.longitude, otherCenters);
+            if (other.isWithin) {
+                result.wrongCenter = other.center;
+            }
+        }
+
         console.log('🎯 Center verification result:', result);
         return result;
     } catch (error) {
@@ -45,233 +69,470 @@ async function findClosestValidCenter(location, student) {
     }
 }
 
-// POST /api/webhook/whatsapp - Handle incoming WhatsApp messages
-export const handleWhatsAppWebhook = async (req, res) => {
-    try {
-        console.log('Webhook received:', JSON.stringify(req.body, null, 2));
-        console.log('Processing webhook with timestamp:', new Date().toISOString());
-
-        const webhookData = req.body;
+// Flag for a check-in made at an active center the student is not assigned to
+function getWrongCenterFlag({ wrongCenter, center, distance }) {
+    if (!wrongCenter) {
+        return null;
+    }
 
-        // Handle WhatsApp Business API webhook structure
-        if (webhookData.originalPayload && webhookData.originalPayload.entry) {
-            for (const entry of webhookData.originalPayload.entry) {
-                for (const change of entry.changes) {
-                    if (change.value && change.value.messages) {
-                        for (const message of change.value.messages) {
-                            await handleIncomingMessage(message, webhookData);
-                        }
-                    }
-                    if (change.value && change.value.statuses) {
-                        for (const status of change.value.statuses) {
-                            await handleMessageStatus(status);
-                        }
-                    }
-                }
-            }
-        }
-        // Legacy format support
-        else if (webhookData.type === 'message') {
-            await handleIncomingMessage(webhookData);
-        } else if (webhookData.type === 'status') {
-            await handleMessageStatus(webhookData);
-        } else if (webhookData.type === 'button_reply') {
-            await handleButtonReply(webhookData);
+    return {
+        code: 'wrong_center',
+        message: `Checked in at ${wrongCenter.name}, which is not one of the student's centers`,
+        details: {
+            detectedCenter: { id: wrongCenter._id, name: wrongCenter.name },
+            assignedCenter: center ? { id: center._id, name: center.name } : null,
+            distanceFromAssignedCenter: distance
         }
+    };
+}
 
-        res.status(200).json({ success: true });
+function getWrongCenterMessage({ wrongCenter, center }, t) {
+    return t('wrongCenter', { centerName: wrongCenter.name, assignedCenter: center?.name });
+}
+
+// Leave a flagged check-in pending for an administrator instead of confirming it
+function holdForReview(attendance) {
+    attendance.status = 'pending_verification';
+    attendance.verification.isVerified = false;
+    attendance.verification.verifiedAt = null;
+    return attendance;
+}
+
+// Score the check-in location for spoofing. High-risk check-ins are flagged and
+// left pending for an administrator, however close they are to the center.
+async function applyLocationRisk(attendance, { student, location, timestamp, settings, center, source }) {
+    try {
+        const risk = await fraudService.assess({ student, attendance, location, timestamp, settings, center, source });
+        attendance.risk = risk;
+
+        if (risk.level === 'high') {
+            console.log(`🚩 High location risk (${risk.score}) for ${student.name}:`, risk.reasons.map(r => r.code));
+            holdForReview(attendance);
+            attendance.addFlag('location_risk', `Location risk score ${risk.score}: ${risk.reasons.map(r => r.message).join('; ')}`, {
+                score: risk.score,
+                reasons: risk.reasons.map(r => r.code)
+            });
+        }
+        return risk;
     } catch (error) {
-        console.error('Webhook error:', error);
-        res.status(500).json({ error: 'Webhook processing failed' });
+        // A failed assessment must not block the check-in
+        console.error('Error assessing location risk:', error);
+        return null;
     }
-};
+}
 
-// Handle incoming WhatsApp messages
-async function handleIncomingMessage(message, webhookData = null) {
+// Flag photos already used for another check-in (by anyone) and photos not taken at check-in time
+async function applyPhotoChecks(attendance, { student, hashes, capturedAt, timestamp, settings }) {
     try {
-        // Extract message data from new format or legacy format
-        let messageId, from, timestamp, messageType, content, location;
-
-        if (message.id && message.from) {
-            // New WhatsApp Business API format
-            console.log('Processing new WhatsApp Business API format message:', {
-                id: message.id,
-                from: message.from,
-                type: message.type,
-                timestamp: message.timestamp
+        const result = await fraudService.checkPhoto({ student, attendance, hashes, capturedAt, messageTime: timestamp, settings });
+
+        if (result.duplicates.length > 0) {
+            const [closest] = result.duplicates;
+            const owner = closest.sameStudent ? 'an earlier check-in by the same student' : `a check-in by ${closest.student?.name || 'another student'}`;
+            console.log(`🚩 Duplicate photo for ${student.name}: ${closest.match} match with attendance ${closest.attendance}`);
+            holdForReview(attendance);
+            attendance.addFlag('duplicate_photo', `Photo matches ${owner} on ${closest.day}`, {
+                matches: result.duplicates.slice(0, 10)
             });
+        }
 
-            messageId = message.id;
-            from = message.from;
-            // WhatsApp timestamp is in seconds, convert to milliseconds for JavaScript Date
-            const webhookTimestamp = message.timestamp ? new Date(parseInt(message.timestamp) * 1000) : new Date();
-            // Use current time for attendance processing as webhook timestamp might be incorrect
-            timestamp = new Date();
-            messageType = message.type;
-
-            console.log('📅 Timestamp info:', {
-                originalTimestamp: message.timestamp,
-                webhookTimestamp: webhookTimestamp.toISOString(),
-                currentTime: timestamp.toISOString(),
-                localTime: timestamp.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })
-            });
+        if (result.stale) {
+            const { ageMinutes } = result.stale;
+            const age = ageMinutes > 0 ? `${ageMinutes} minutes before` : `${-ageMinutes} minutes after`;
+            holdForReview(attendance);
+            attendance.addFlag('stale_photo', `Photo was taken ${age} it was sent`, result.stale);
+        }
 
-            // Extract content based on message type
-            if (messageType === 'text') {
-                content = { text: message.text.body };
-            } else if (messageType === 'image') {
-                content = {
-                    mediaId: message.image.id,
-                    mimeType: message.image.mime_type,
-                    sha256: message.image.sha256,
-                    filename: message.image.filename || 'image.jpg'
-                };
+        return result;
+    } catch (error) {
+        // A failed check must not block the check-in
+        console.error('Error checking photo:', error);
+        return null;
+    }
+}
 
-                // Check if we have processed media data
-                if (message.processedMedia) {
-                    content.mediaUrl = message.processedMedia.url;
-                    content.base64Data = message.processedMedia.base64Data;
-                    content.dataUrl = message.processedMedia.dataUrl;
-                    content.fileSize = message.processedMedia.file_size;
-                    content.contentType = message.processedMedia.contentType;
-                }
-            } else if (messageType === 'document') {
-                // Handle documents - check if it's an image document
-                const documentMimeType = message.document.mime_type;
-                const isImageDocument = documentMimeType && documentMimeType.startsWith('image/');
-
-                content = {
-                    mediaId: message.document.id,
-                    mimeType: documentMimeType,
-                    sha256: message.document.sha256,
-                    filename: message.document.filename || 'document',
-                    isImageDocument
-                };
+// Match the photo against the student's enrolled face; weak matches wait for an administrator
+async function applyFaceMatch(attendance, { student, imageUrl, settings }) {
+    try {
+        const result = await faceService.checkStudentPhoto(student._id, imageService.getFilePath(imageUrl), settings);
+        if (!result) {
+            return null;
+        }
 
-                // Check if we have processed media data
-                if (message.processedMedia) {
-                    content.mediaUrl = message.processedMedia.url;
-                    content.base64Data = message.processedMedia.base64Data;
-                    content.dataUrl = message.processedMedia.dataUrl;
-                    content.fileSize = message.processedMedia.file_size;
-                    content.contentType = message.processedMedia.contentType;
-                }
+        attendance.faceMatch = { ...result, checkedAt: new Date() };
+        console.log(`🙂 Face match for ${student.name}: ${result.status} (${result.similarity ?? 'no face'})`);
 
-                console.log('Document received:', {
-                    mimeType: documentMimeType,
-                    filename: content.filename,
-                    isImageDocument,
-                    hasProcessedMedia: !!message.processedMedia
-                });
-            } else if (messageType === 'location') {
-                location = {
-                    latitude: message.location.latitude,
-                    longitude: message.location.longitude,
-                    address: message.location.address || null,
-                    name: message.location.name || null
-                };
-                content = { location: true };
-            }
+        if (result.status === 'matched') {
+            attendance.verification.verificationMethod = 'image_recognition';
         } else {
-            // Legacy format
-            ({ messageId, from, timestamp, messageType, content, location } = message);
+            holdForReview(attendance);
+            attendance.addFlag(
+                result.status === 'no_face' ? 'no_face' : 'face_mismatch',
+                result.status === 'no_face'
+                    ? 'No face found in the photo'
+                    : `Face similarity ${result.similarity} is below ${result.threshold}`,
+                result
+            );
         }
+        return result;
+    } catch (error) {
+        // A failed match must not block the check-in
+        console.error('Error matching face:', error);
+        attendance.faceMatch = { status: 'error', checkedAt: new Date() };
+        return null;
+    }
+}
 
-        // Find student by phone number (match last 10 digits)
-        const last10Digits = from.slice(-10);
-        const student = await Student.findOne({
-            $or: [
-                { phone: from },
-                { phone: { $regex: `${last10Digits}$` } }
-            ]
-        });
+// Session a message falls into, based on the time slots of the active centers
+async function resolveCurrentSession(student, timestamp) {
+    const settings = await Settings.getSettings();
 
-        if (!student) {
-            console.log(`Student not found for phone: ${from}, last 10 digits: ${last10Digits}`);
-            await whatsappService.sendTextMessage(from, 'Sorry, you are not registered in our system. Please contact your administrator.');
-            return;
+    for (const center of settings.centers.filter(c => c.isActive)) {
+        const timeSlotInfo = student.getCurrentTimeSlot(center, new Date(timestamp), timeService.resolveTimezone(settings, center));
+        if (timeSlotInfo.isWithinHours && timeSlotInfo.slot) {
+            return timeSlotInfo.slot;
         }
+    }
 
-        console.log(`Student found: ${student.name} (${student.phone}) for incoming phone: ${from}`);
+    return 'full_day';
+}
 
-        // Check if student is active
-        if (!student.isActive) {
-            await whatsappService.sendTextMessage(from, 'Your account is currently inactive. Please contact your administrator.');
-            return;
-        }
+// Timezone of a student's day: that of the center a record was verified at, else of the
+// student's center when they are assigned to one, else the system timezone
+function resolveStudentTimezone(student, settings, attendance = null) {
+    const verifiedCenterId = attendance?.location?.verifiedCenter?.id?.toString();
+    const assigned = (student?.centers || []).map(id => id.toString());
+    const centerId = verifiedCenterId || (assigned.length === 1 ? assigned[0] : null);
+    const center = centerId ? settings.centers.find(c => c._id.toString() === centerId) : null;
+    return timeService.resolveTimezone(settings, center);
+}
 
-        // Check if attendance already marked for today
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        const tomorrow = new Date(today);
-        tomorrow.setDate(tomorrow.getDate() + 1);
+// Numbered replies are matched to interactive messages sent within this window
+const INTERACTIVE_REPLY_WINDOW_MS = 30 * 60 * 1000;
 
-        const existingAttendance = await Attendance.findOne({
-            student: student._id,
-            date: {
-                $gte: today,
-                $lt: tomorrow
-            }
-        });
+// Option of the student's latest interactive message picked by a numeric reply, or null.
+// Only messages sent as numbered text count; where buttons were sent, a number is just text.
+async function findInteractiveOption(student, text, timestamp) {
+    const match = typeof text === 'string' && text.trim().match(/^(\d{1,2})$/);
+    if (!match) {
+        return null;
+    }
+
+    const since = new Date(new Date(timestamp).getTime() - INTERACTIVE_REPLY_WINDOW_MS);
+    const outbound = await OutboundMessage.findLatestInteractive(student._id, since, TEXT_INTERACTIVE_PROVIDERS);
+    return outbound ? getInteractiveOptions(outbound.payload)[Number(match[1]) - 1] || null : null;
+}
+
+// What command handlers get to work with (see services/commands.js)
+function getCommandContext(student, processData) {
+    const { from, settings, t, timestamp, messageId, messageType, content } = processData;
+    return {
+        student,
+        from,
+        settings,
+        t,
+        timestamp,
+        messageId,
+        // Photo or document the command was the caption of, and how to keep it with a leave request
+        media: ['image', 'document'].includes(messageType) ? content : null,
+        attachDocument: (request) => leaveService.attachWhatsAppMedia(request, content),
+        startCheckout: () => startCheckout(student, processData)
+    };
+}
+
+// Start a fresh check-in on top of a stale pending record instead of merging into it
+function restartCheckIn(attendance, { messageId, from, timestamp, messageType }) {
+    console.log(`♻️ Restarting stale check-in ${attendance._id}`);
+    attendance.date = new Date(timestamp);
+    attendance.status = 'pending_verification';
+    attendance.session = 'full_day';
+    attendance.timeSlot = { expected: { start: null, end: null } };
+    attendance.images = [];
+    attendance.flags = [];
+    attendance.risk = { score: 0, level: 'low', reasons: [], assessedAt: null };
+    attendance.location = {
+        coordinates: {
+            latitude: 0,
+            longitude: 0
+        },
+        isWithinRadius: false,
+        distanceFromCenter: 999999,
+        verifiedCenter: null
+    };
+    attendance.verification = {
+        isVerified: false,
+        verifiedBy: 'system',
+        verifiedAt: null,
+        verificationMethod: 'auto_geo',
+        notes: null
+    };
+    attendance.whatsappMessage = {
+        messageId,
+        from,
+        timestamp: new Date(timestamp),
+        messageType,
+        content: {}
+    };
+    return attendance;
+}
 
-        if (existingAttendance && existingAttendance.status !== 'pending_verification') {
-            await whatsappService.sendTextMessage(from, `Your attendance for today has already been marked as ${existingAttendance.status}.`);
+// POST /api/webhook/whatsapp - Handle incoming WhatsApp messages
+// The payload is persisted as a job and acknowledged at once; the webhook worker processes it.
+export const handleWhatsAppWebhook = async (req, res) => {
+    try {
+        console.log('Webhook received:', JSON.stringify(req.body, null, 2));
+
+        const job = await WebhookJob.enqueue(req.body, 'whatsapp', req.whatsappProvider);
+        console.log(`Webhook queued as job ${job._id}`);
+
+        res.status(200).json({ success: true });
+    } catch (error) {
+        console.error('Webhook error:', error);
+        res.status(500).json({ error: 'Webhook processing failed' });
+    }
+};
+
+// Process a queued webhook payload. Throws when a message fails so the job is retried.
+// The provider adapter that received it turns it into normalized messages and statuses.
+export const processWebhookPayload = async (webhookData, options = {}) => {
+    console.log('Processing webhook with timestamp:', new Date().toISOString());
+
+    const provider = getProvider(options.provider);
+    const { messages, statuses } = provider.parseWebhook(webhookData);
+
+    for (const message of messages) {
+        await handleIncomingMessage(message, options);
+    }
+
+    for (const status of statuses) {
+        await handleMessageStatus(status);
+    }
+};
+
+// GET /api/webhook/whatsapp - Meta webhook verification handshake
+export const verifyWhatsAppSubscription = (req, res) => {
+    const mode = req.query['hub.mode'];
+    const token = req.query['hub.verify_token'];
+    const challenge = req.query['hub.challenge'];
+
+    if (whatsappService.verifySubscription(mode, token)) {
+        console.log('Webhook subscription verified');
+        return res.status(200).send(challenge);
+    }
+
+    console.warn('Webhook subscription verification failed');
+    res.status(403).json({ error: 'Webhook verification failed' });
+};
+
+// Handle an incoming WhatsApp message, normalized by the provider adapter
+async function handleIncomingMessage(message, options = {}) {
+    const { messageId, from, messageType, content, location } = message;
+
+    // Use the time the webhook was received, as the provider timestamp might be incorrect
+    // and queued jobs may be processed some time later
+    const timestamp = options.receivedAt ? new Date(options.receivedAt) : new Date();
+
+    console.log('Processing incoming message:', {
+        id: messageId,
+        from,
+        type: messageType,
+        providerTimestamp: message.timestamp ? message.timestamp.toISOString() : null,
+        receivedTime: timestamp.toISOString(),
+        localTime: timestamp.toLocaleString('en-IN', { timeZone: timeService.DEFAULT_TIMEZONE })
+    });
+
+    if (!from) {
+        console.error('Incoming message without a sender ignored:', messageId);
+        return;
+    }
+
+    // Providers redeliver on timeouts - only the first delivery of a message id is processed
+    if (messageId) {
+        const claim = await ProcessedMessage.claim(messageId, { from, messageType, jobId: options.jobId });
+        if (!claim.claimed) {
+            console.log(`Duplicate delivery of message ${messageId} ignored (status: ${claim.entry?.status})`);
             return;
         }
+    }
 
-        // Process attendance based on message type
-        const processData = {
+    try {
+        const { outcome, attendance } = await routeIncomingMessage({
             messageId,
             from,
             timestamp,
             messageType,
             content,
-            location,
-            originalMessage: message,
-            webhookData
-        };
+            location
+        });
 
-        console.log('Process data created:', { messageType, contentKeys: Object.keys(content || {}) });
-
-        if (messageType === 'location' || (messageType === 'text' && content.location)) {
-            await processLocationAttendance(student, processData);
-        } else if (messageType === 'image') {
-            await processImageAttendance(student, processData);
-        } else if (messageType === 'document' && content.isImageDocument) {
-            console.log('Processing document as image for attendance, messageType:', messageType);
-            // Process image documents as images for attendance
-            await processImageAttendance(student, processData);
-        } else if (messageType === 'document' && !content.isImageDocument) {
-            await whatsappService.sendTextMessage(from, 'Please send an image file or photo to mark your attendance.');
-        } else if (messageType === 'text') {
-            await processTextAttendance(student, processData);
-        } else {
-            await whatsappService.sendTextMessage(from, 'Please send your location and a photo as a document to mark your attendance.');
+        if (messageId) {
+            await ProcessedMessage.markCompleted(messageId, outcome, attendance?._id || null);
         }
     } catch (error) {
         console.error('Error handling incoming message:', error);
         console.error('Error stack:', error.stack);
 
-        // Only send error message if we have the necessary info and it's a real error
-        if ((message.from || from) && error.message !== 'Processing completed successfully') {
-            const phoneNumber = message.from || from;
+        if (messageId) {
+            await ProcessedMessage.markFailed(messageId, error).catch(ledgerError => {
+                console.error('Error recording failed message:', ledgerError);
+            });
+        }
+
+        // Only tell the student once the job has run out of retries
+        if (from && options.isFinalAttempt && error.message !== 'Processing completed successfully') {
             try {
-                await whatsappService.sendTextMessage(phoneNumber, 'Sorry, there was an error processing your request. Please try again.');
+                const t = await i18nService.forPhone(from);
+                await whatsappService.sendTextMessage(from, t('processingError'));
             } catch (sendError) {
                 console.error('Error sending error message:', sendError);
             }
         }
+
+        throw error;
+    }
+}
+
+// Find the student for a message and dispatch it by type. Returns the outcome for the message ledger.
+async function routeIncomingMessage(messageData) {
+    const { messageId, from, timestamp, location } = messageData;
+    let { messageType, content } = messageData;
+
+    // Find student by phone number (match last 10 digits)
+    const student = await Student.findByPhone(from);
+    const settings = await Settings.getSettings();
+
+    if (!student) {
+        console.log(`Student not found for phone: ${from}`);
+        await whatsappService.sendTextMessage(from, i18nService.translator(null, settings)('notRegistered'));
+        return { outcome: 'student_not_found' };
+    }
+
+    console.log(`Student found: ${student.name} (${student.phone}) for incoming phone: ${from}`);
+
+    // Replies are sent in the student's language
+    const t = i18nService.translator(student, settings);
+
+    // Check if student is active
+    if (!student.isActive) {
+        await whatsappService.sendTextMessage(from, t('accountInactive'));
+        return { outcome: 'student_inactive' };
+    }
+
+    // A numbered reply to an interactive message that was sent as text (see interactiveToText)
+    const option = messageType === 'text' ? await findInteractiveOption(student, content?.text, timestamp) : null;
+    if (option) {
+        messageType = 'button';
+        content = { buttonPayload: option.id, buttonText: option.title, replyType: 'numbered_reply', contextMessageId: null };
+    }
+
+    // An open check-in conversation decides how this message is handled
+    const { session: conversation, expiredSession } = await conversationService.getActiveSession(student._id, timestamp);
+
+    // Check if attendance already marked for today, in the student's timezone
+    const timeZone = resolveStudentTimezone(student, settings);
+    const { start: today, end: tomorrow } = timeService.getDayRange(timestamp, timeZone);
+
+    const todayAttendance = await Attendance.find({
+        student: student._id,
+        date: {
+            $gte: today,
+            $lt: tomorrow
+        }
+    }).sort({ date: -1 });
+
+    // Students may attend several sessions a day; only the session this message falls into counts
+    const currentSession = await resolveCurrentSession(student, timestamp);
+    const sessionAttendance = todayAttendance.find(a =>
+        a.session === currentSession && a.status !== 'pending_verification'
+    );
+    const pendingAttendance = todayAttendance.find(a => a.status === 'pending_verification');
+
+    const existingAttendance = conversation && conversation.attendance
+        ? await Attendance.findById(conversation.attendance)
+        : sessionAttendance || pendingAttendance || null;
+
+    // Process attendance based on message type
+    const processData = {
+        messageId,
+        from,
+        timestamp,
+        messageType,
+        content,
+        location,
+        conversation,
+        expiredSession,
+        attendance: existingAttendance,
+        todayAttendance,
+        currentSession,
+        settings,
+        t
+    };
+
+    console.log('Process data created:', { messageType, contentKeys: Object.keys(content || {}) });
+
+    // Taps on reply buttons and list rows
+    if (messageType === 'button') {
+        return handleButtonReply(student, processData);
+    }
+
+    // Keyword commands (STATUS, LEAVE, CHECKOUT, ...) are answered whatever the check-in state.
+    // A photo or document captioned LEAVE is a leave request's supporting document.
+    let command = messageType === 'text' ? commandRouter.resolve(content?.text) : null;
+    if (['image', 'document'].includes(messageType)) {
+        const captioned = commandRouter.resolve(content?.caption);
+        command = captioned?.command.name === 'leave' ? captioned : null;
+    }
+    if (command) {
+        const attendance = await commandRouter.run(command, getCommandContext(student, processData));
+        return { outcome: `command_${command.command.name}`, attendance };
+    }
+
+    // The location that completes a check-out
+    if (conversation?.state === 'awaiting_checkout_location' && messageType === 'location') {
+        const attendance = await processCheckoutLocation(student, processData);
+        return { outcome: 'checkout_processed', attendance };
     }
+
+    if (!conversation && sessionAttendance) {
+        const status = t(`status.${sessionAttendance.status}`);
+        await whatsappService.sendTextMessage(from, currentSession === 'full_day'
+            ? t('alreadyMarkedToday', { status })
+            : t('alreadyMarkedSession', { session: t(`session.${currentSession}`), status }));
+        return { outcome: 'already_marked', attendance: sessionAttendance };
+    }
+
+    if (messageType === 'location' || (messageType === 'text' && content.location)) {
+        const attendance = await processLocationAttendance(student, processData);
+        return { outcome: 'location_processed', attendance };
+    } else if (messageType === 'image') {
+        const attendance = await processImageAttendance(student, processData);
+        return { outcome: 'image_processed', attendance };
+    } else if (messageType === 'document' && content.isImageDocument) {
+        console.log('Processing document as image for attendance, messageType:', messageType);
+        // Process image documents as images for attendance
+        const attendance = await processImageAttendance(student, processData);
+        return { outcome: 'image_processed', attendance };
+    } else if (messageType === 'document' && !content.isImageDocument) {
+        await whatsappService.sendTextMessage(from, t('unsupportedDocument'));
+        return { outcome: 'unsupported_document' };
+    } else if (messageType === 'text') {
+        await processTextAttendance(student, processData);
+        return { outcome: 'text_processed' };
+    }
+
+    await whatsappService.sendTextMessage(from, t('unsupportedMessage'));
+    return { outcome: 'unsupported_message_type' };
 }
 
 // Process location-based attendance
 async function processLocationAttendance(student, processData) {
-    const { messageId, from, timestamp, location } = processData;
+    const { messageId, from, timestamp, location, conversation, expiredSession, t } = processData;
 
     try {
         // Find the closest valid center for the location
         const centerVerification = await findClosestValidCenter(location, student);
         const { isWithin: isWithinRadius, distance, center } = centerVerification;
+        const wrongCenterFlag = getWrongCenterFlag(centerVerification);
 
         // Get settings for late threshold
         const settings = await Settings.getSettings();
@@ -285,13 +546,14 @@ async function processLocationAttendance(student, processData) {
         if (center && center.timeSlots) {
             try {
                 const attendanceDate = new Date(timestamp);
+                const timeZone = timeService.resolveTimezone(settings, center);
                 console.log('🕐 Processing time slot for location attendance:');
                 console.log('🕐 Attendance date:', attendanceDate.toISOString());
-                console.log('🕐 Local time (IST):', attendanceDate.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' }));
-                console.log('🕐 Time string (HH:MM):', attendanceDate.toTimeString().slice(0, 5));
+                console.log(`🕐 Local time (${timeZone}):`, attendanceDate.toLocaleString('en-IN', { timeZone }));
+                console.log('🕐 Time string (HH:MM):', timeService.toTimeString(attendanceDate, timeZone));
                 console.log('🕐 Center time slots:', JSON.stringify(center.timeSlots, null, 2));
 
-                const timeSlotInfo = student.getCurrentTimeSlot(center, attendanceDate);
+                const timeSlotInfo = student.getCurrentTimeSlot(center, attendanceDate, timeZone);
                 console.log('🕐 Time slot info result:', timeSlotInfo);
 
                 if (timeSlotInfo.isWithinHours && timeSlotInfo.slot) {
@@ -305,7 +567,7 @@ async function processLocationAttendance(student, processData) {
                     };
 
                     if (isWithinRadius) {
-                        const isLate = student.isAttendanceLate(center, new Date(timestamp), lateThreshold);
+                        const isLate = student.isAttendanceLate(center, attendanceDate, lateThreshold, timeZone);
                         status = isLate ? 'late' : 'present';
                     } else {
                         status = 'pending_verification';
@@ -333,6 +595,26 @@ async function processLocationAttendance(student, processData) {
             session = 'full_day';
         }
 
+        // The location may place the student in a different session than expected
+        const sessionFilter = {
+            student: student._id,
+            day: Attendance.getDayKey(timestamp, timeService.resolveTimezone(settings, center)),
+            session,
+            status: { $ne: 'pending_verification' }
+        };
+        if (processData.attendance) {
+            sessionFilter._id = { $ne: processData.attendance._id };
+        }
+        const sessionTaken = await Attendance.findOne(sessionFilter);
+
+        if (sessionTaken) {
+            await whatsappService.sendTextMessage(from, t('alreadyMarkedSession', {
+                session: t(`session.${session}`),
+                status: t(`status.${sessionTaken.status}`)
+            }));
+            return sessionTaken;
+        }
+
         // Create attendance record
         const attendanceData = {
             student: student._id,
@@ -374,63 +656,181 @@ async function processLocationAttendance(student, processData) {
             }
         };
 
-        const attendance = new Attendance(attendanceData);
+        let attendance = processData.attendance;
+
+        if (attendance) {
+            // Continue the open check-in, or start over on a stale pending record
+            if (!conversation) {
+                restartCheckIn(attendance, { messageId, from, timestamp, messageType: 'location' });
+            }
+
+            attendance.status = attendanceData.status;
+            attendance.session = attendanceData.session;
+            attendance.timeSlot = attendanceData.timeSlot;
+            attendance.location = attendanceData.location;
+            attendance.verification.isVerified = attendanceData.verification.isVerified;
+            attendance.verification.verifiedAt = attendanceData.verification.verifiedAt;
+            attendance.metadata.processed = new Date();
+        } else {
+            attendance = new Attendance(attendanceData);
+        }
+
+        if (wrongCenterFlag) {
+            attendance.addFlag(wrongCenterFlag.code, wrongCenterFlag.message, wrongCenterFlag.details);
+        }
+
+        const risk = await applyLocationRisk(attendance, { student, location, timestamp, settings, center, source: 'location' });
+        const isHighRisk = risk?.level === 'high';
+
         await attendance.save();
 
+        if (expiredSession) {
+            await whatsappService.sendTextMessage(from, conversationService.getExpiredNotice(expiredSession, settings, t));
+        }
+
         // Send confirmation message with time slot information
         let message;
 
-        if (isWithinRadius) {
-            const timeInfo = timeSlot.expected.start ? ` during ${session} session (${timeSlot.expected.start}-${timeSlot.expected.end})` : '';
+        if (isHighRisk) {
+            message = t('locationRisk');
+        } else if (isWithinRadius) {
+            const { start, end } = timeSlot.expected;
+            const sessionName = t(`session.${session}`);
 
             try {
-                message = settings.templates.confirmationMessage
-                    .replace('{{date}}', new Date().toLocaleDateString('en-IN'))
-                    .replace('{{time}}', new Date().toLocaleTimeString('en-IN'))
-                    .replace('{{centerName}}', center ? center.name : 'center')
-                    .replace('{{studentName}}', student.name);
+                message = t.template('confirmationMessage', { student, status: t(`status.${status}`), isLate: status === 'late', timestamp, center, session: sessionName });
             } catch (templateError) {
                 console.error('Error processing confirmation template:', templateError);
-                message = `✅ Your attendance has been marked as ${status.toUpperCase()} at ${center ? center.name : 'center'}!`;
+                message = t('attendanceMarked', { status: t(`status.${status}`).toUpperCase(), centerName: center ? center.name : t('center.some') });
             }
 
             if (status === 'late') {
-                if (timeInfo) {
-                    message += `\n⚠️ Note: You are marked as LATE${timeInfo}.`;
-                } else {
-                    message += `\n⚠️ Note: You are marked as LATE (outside operating hours).`;
-                }
-            } else if (timeInfo) {
-                message += `\n✅ Attendance marked for ${session} session.`;
+                message += `\n${t('lateNote', { session: sessionName, start, end })}`;
+            } else if (start) {
+                message += `\n${t('sessionMarked', { session: sessionName })}`;
             }
+        } else if (wrongCenterFlag) {
+            message = getWrongCenterMessage(centerVerification, t);
         } else {
-            const centerName = center ? center.name : 'any center';
+            const centerName = center ? center.name : t('center.any');
+            const tooFar = t('locationTooFar', { distance, centerName });
             try {
-                message = `You are ${distance}m away from ${centerName}. ${settings.templates.rejectionMessage}`;
+                message = `${tooFar} ${t.template('rejectionMessage', { student, distance, centerName })}`;
             } catch (templateError) {
                 console.error('Error processing rejection template:', templateError);
-                message = `You are ${distance}m away from ${centerName}. Please come closer to mark your attendance.`;
+                message = `${tooFar} ${t('comeCloser')}`;
             }
         }
 
         await whatsappService.sendTextMessage(from, message);
 
-        // Request photo if location is verified but no image yet
-        if (isWithinRadius && settings.attendanceSettings.autoVerification.requireImage) {
-            await whatsappService.sendTextMessage(from, 'Please also send a photo to complete your attendance verification.');
+        if (isWithinRadius && !isHighRisk && session !== 'full_day') {
+            await offerSessionChoice(student, processData, attendance, center);
         }
+
+        // Move the check-in conversation forward and prompt for whatever it still needs
+        const conversationSession = await conversationService.advance({
+            student,
+            session: conversation,
+            attendance,
+            event: isHighRisk || wrongCenterFlag ? 'flagged_for_review' : isWithinRadius ? 'location_verified' : 'location_rejected',
+            messageId,
+            at: timestamp,
+            settings,
+            hasImage: attendance.images.length > 0
+        });
+
+        const prompt = conversationService.getPrompt(conversationSession.state, settings, t);
+        if (prompt) {
+            await whatsappService.sendTextMessage(from, prompt);
+        }
+
+        return attendance;
     } catch (error) {
         console.error('Error processing location attendance:', error);
         throw error;
     }
 }
 
+// When slots overlap, the check-in went to the first open one. Let the student pick
+// another open session that has no record yet.
+async function offerSessionChoice(student, processData, attendance, center) {
+    const { from, todayAttendance, settings, t } = processData;
+
+    const taken = todayAttendance
+        .filter(a => a._id.toString() !== attendance._id.toString() && a.status !== 'pending_verification')
+        .map(a => a.session);
+    const choices = student.getOpenTimeSlots(center, attendance.date, timeService.resolveTimezone(settings, center))
+        .filter(choice => !taken.includes(choice.slot));
+
+    if (choices.length < 2) {
+        return;
+    }
+
+    await whatsappService.sendListMessage(from, t('sessionChoice', { session: t(`session.${attendance.session}`) }), t('button.chooseSession'), [{
+        rows: choices.map(choice => {
+            const name = t(`session.${choice.slot}`);
+            return {
+                id: `session:${attendance._id}:${choice.slot}`,
+                title: name.charAt(0).toUpperCase() + name.slice(1),
+                description: `${choice.startTime}-${choice.endTime}`
+            };
+        })
+    }]);
+}
+
+// Move today's check-in to the session picked from the list; late is worked out
+// again against that session's start
+async function chooseSession(student, processData, attendanceId, slot) {
+    const { from, todayAttendance, settings, t } = processData;
+
+    const attendance = todayAttendance.find(a => a._id.toString() === attendanceId) || null;
+    const centerId = attendance?.location?.verifiedCenter?.id;
+    const center = centerId ? settings.centers.id(centerId) : null;
+    const timeZone = timeService.resolveTimezone(settings, center);
+    const times = center?.timeSlots?.[slot];
+    const checkedInAt = attendance ? timeService.toTimeString(attendance.date, timeZone) : null;
+
+    // Lists from an earlier check-in, or sessions that were not open when the student checked in
+    if (!attendance || !times?.start || checkedInAt < times.start || checkedInAt > times.end
+        || attendance.timeSlot?.actual?.checkedOut || !['present', 'late', 'pending_verification'].includes(attendance.status)) {
+        await whatsappService.sendTextMessage(from, t('sessionChoiceExpired'));
+        return attendance;
+    }
+
+    if (attendance.session !== slot) {
+        const taken = todayAttendance.find(a => a.session === slot && a._id.toString() !== attendanceId);
+        if (taken) {
+            await whatsappService.sendTextMessage(from, t('alreadyMarkedSession', {
+                session: t(`session.${slot}`),
+                status: t(`status.${taken.status}`)
+            }));
+            return taken;
+        }
+
+        attendance.session = slot;
+        attendance.timeSlot.expected = { start: times.start, end: times.end };
+        if (['present', 'late'].includes(attendance.status)) {
+            const lateThreshold = settings.attendanceSettings.lateThreshold || 15;
+            const isLate = timeService.timeToMinutes(checkedInAt) > timeService.timeToMinutes(times.start) + lateThreshold;
+            attendance.status = isLate ? 'late' : 'present';
+        }
+        await attendance.save();
+        console.log(`🔀 ${student.name} moved check-in ${attendance._id} to the ${slot} session`);
+    }
+
+    await whatsappService.sendTextMessage(from, t('sessionChosen', {
+        session: t(`session.${slot}`),
+        status: t(`status.${attendance.status}`)
+    }));
+    return attendance;
+}
+
 // Process image-based attendance
 async function processImageAttendance(student, processData) {
     console.log('processImageAttendance called with processData keys:', Object.keys(processData));
-    console.log('processData:', JSON.stringify(processData, null, 2));
 
-    const { messageId, from, timestamp, messageType, content } = processData;
+    const { messageId, from, timestamp, messageType, content, conversation, expiredSession, t } = processData;
 
     console.log('Extracted variables:', { messageId, from, timestamp, messageType, contentKeys: Object.keys(content || {}) });
 
@@ -450,7 +850,19 @@ async function processImageAttendance(student, processData) {
             base64DataLength: content.base64Data ? content.base64Data.length : 0
         });
 
-        // Save image from base64 data or download from URL
+        // Media the provider did not deliver inline is downloaded through its API
+        if (!content.base64Data && !content.dataUrl && (content.mediaId || content.mediaUrl)) {
+            console.log(`Downloading ${messageType} media from the provider`);
+            const media = await whatsappService.downloadMedia({
+                id: content.mediaId,
+                url: content.mediaUrl,
+                mimeType: content.mimeType
+            });
+            content.base64Data = media.data.toString('base64');
+            content.contentType = media.contentType || content.mimeType;
+        }
+
+        // Save image from base64 data or a data URL
         let imageUrl;
         let imageMetadata = null;
 
@@ -473,17 +885,6 @@ async function processImageAttendance(student, processData) {
             imageUrl = await imageService.saveImageFromDataUrl(content.dataUrl, student._id);
             // Extract metadata from data URL (this preserves EXIF data for documents)
             imageMetadata = await imageService.extractMetadataFromBase64(content.dataUrl);
-        } else if (content.mediaUrl) {
-            console.log(`Processing ${messageType} from media URL (legacy)`);
-            // Fallback to downloading from URL (legacy)
-            imageUrl = await imageService.downloadAndSaveImage(content.mediaUrl, student._id);
-            // Extract metadata from saved file
-            try {
-                const fullPath = path.join(process.cwd(), 'uploads/attendance', path.basename(imageUrl));
-                imageMetadata = await imageService.extractImageMetadata(fullPath);
-            } catch (error) {
-                console.error('Error extracting metadata from downloaded image:', error);
-            }
         } else {
             throw new Error(`No ${messageType} data available`);
         }
@@ -510,25 +911,33 @@ async function processImageAttendance(student, processData) {
             console.log('Image sent as image type without GPS data, suggesting document format');
             // Send this tip as a separate message after the main response
             setTimeout(async () => {
-                await whatsappService.sendTextMessage(from,
-                    '💡 Pro Tip: Send photos as DOCUMENTS instead of images to enable automatic attendance marking with GPS location data!'
-                );
+                await whatsappService.sendTextMessage(from, t('proTip'));
             }, 2000); // Delay to avoid overwhelming the user
         }
 
-        // Find or update today's attendance record
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        const tomorrow = new Date(today);
-        tomorrow.setDate(tomorrow.getDate() + 1);
+        // Fingerprint the photo so reused and forwarded photos can be recognised
+        let photoHashes = null;
+        try {
+            photoHashes = await imageService.computeHashes(imageService.getFilePath(imageUrl));
+        } catch (error) {
+            console.error('Error fingerprinting image:', error);
+        }
+        // EXIF times are wall-clock times where the photo was taken
+        const photoCapturedAt = imageService.getCaptureTime(
+            imageMetadata?.timestamp,
+            resolveStudentTimezone(student, processData.settings, processData.attendance)
+        );
 
-        let attendance = await Attendance.findOne({
-            student: student._id,
-            date: {
-                $gte: today,
-                $lt: tomorrow
-            }
-        });
+        // Continue the open check-in; a pending record without an open session is stale
+        // and is started over rather than merged into
+        let attendance = processData.attendance;
+
+        if (attendance && !conversation) {
+            restartCheckIn(attendance, { messageId, from, timestamp, messageType });
+        }
+
+        // Set when the check-in location comes from the photo's GPS data
+        let usesImageLocation = false;
 
         if (attendance) {
             // Update existing record with image
@@ -539,7 +948,9 @@ async function processImageAttendance(student, processData) {
                     size: content.fileSize || content.file_size || null,
                     mimeType: content.mimeType || content.contentType || 'image/jpeg',
                     mediaId: content.mediaId || null,
-                    sha256: content.sha256 || null,
+                    sha256: photoHashes?.sha256 || null,
+                    perceptualHash: photoHashes?.perceptualHash || null,
+                    capturedAt: photoCapturedAt,
                     exif: imageMetadata || null
                 }
             });
@@ -568,6 +979,13 @@ async function processImageAttendance(student, processData) {
                     } : null
                 };
 
+                usesImageLocation = true;
+
+                const wrongCenterFlag = getWrongCenterFlag(centerVerification);
+                if (wrongCenterFlag) {
+                    attendance.addFlag(wrongCenterFlag.code, wrongCenterFlag.message, wrongCenterFlag.details);
+                }
+
                 // Update status if now within radius using center-specific time checking
                 if (isWithinRadius && center) {
                     try {
@@ -575,7 +993,8 @@ async function processImageAttendance(student, processData) {
                         const lateThreshold = settings.attendanceSettings.lateThreshold || 15;
 
                         // Update time slot and session information
-                        const timeSlotInfo = student.getCurrentTimeSlot(center, attendance.date);
+                        const timeZone = timeService.resolveTimezone(settings, center);
+                        const timeSlotInfo = student.getCurrentTimeSlot(center, attendance.date, timeZone);
 
                         if (timeSlotInfo.isWithinHours && timeSlotInfo.slot) {
                             attendance.session = timeSlotInfo.slot; // Valid enum value
@@ -585,7 +1004,7 @@ async function processImageAttendance(student, processData) {
                                     end: timeSlotInfo.endTime || null
                                 }
                             };
-                            const isLate = student.isAttendanceLate(center, attendance.date, lateThreshold);
+                            const isLate = student.isAttendanceLate(center, attendance.date, lateThreshold, timeZone);
                             attendance.status = isLate ? 'late' : 'present';
                         } else {
                             // Outside operating hours
@@ -616,7 +1035,8 @@ async function processImageAttendance(student, processData) {
 
                     if (center) {
                         const lateThreshold = settings.attendanceSettings.lateThreshold || 15;
-                        const timeSlotInfo = student.getCurrentTimeSlot(center, attendance.date);
+                        const timeZone = timeService.resolveTimezone(settings, center);
+                        const timeSlotInfo = student.getCurrentTimeSlot(center, attendance.date, timeZone);
 
                         if (timeSlotInfo.isWithinHours && timeSlotInfo.slot) {
                             attendance.session = timeSlotInfo.slot; // Valid enum value
@@ -626,7 +1046,7 @@ async function processImageAttendance(student, processData) {
                                     end: timeSlotInfo.endTime || null
                                 }
                             };
-                            const isLate = student.isAttendanceLate(center, attendance.date, lateThreshold);
+                            const isLate = student.isAttendanceLate(center, attendance.date, lateThreshold, timeZone);
                             attendance.status = isLate ? 'late' : 'present';
                         } else {
                             // Outside operating hours
@@ -635,7 +1055,7 @@ async function processImageAttendance(student, processData) {
                         }
                     } else {
                         // Fallback to basic time check when no center info
-                        const attendanceTime = attendance.date.toTimeString().slice(0, 5); // HH:MM
+                        const attendanceTime = timeService.toTimeString(attendance.date, timeService.resolveTimezone(settings)); // HH:MM
                         attendance.status = attendanceTime > '09:00' ? 'late' : 'present';
                     }
 
@@ -651,7 +1071,6 @@ async function processImageAttendance(student, processData) {
                 }
             }
 
-            await attendance.save();
         } else {
             // Create new attendance record with image only
             let initialData = {
@@ -681,7 +1100,9 @@ async function processImageAttendance(student, processData) {
                         size: content.fileSize || content.file_size || null,
                         mimeType: content.mimeType || content.contentType || 'image/jpeg',
                         mediaId: content.mediaId || null,
-                        sha256: content.sha256 || null,
+                        sha256: photoHashes?.sha256 || null,
+                        perceptualHash: photoHashes?.perceptualHash || null,
+                        capturedAt: photoCapturedAt,
                         exif: imageMetadata || null
                     }
                 }],
@@ -714,13 +1135,21 @@ async function processImageAttendance(student, processData) {
                     } : null
                 };
 
+                usesImageLocation = true;
+
+                const wrongCenterFlag = getWrongCenterFlag(centerVerification);
+                if (wrongCenterFlag) {
+                    initialData.flags = [wrongCenterFlag];
+                }
+
                 // If within radius and we have center info, determine proper status and time slot
                 if (isWithinRadius && center) {
                     try {
                         const settings = await Settings.getSettings();
                         const lateThreshold = settings.attendanceSettings.lateThreshold || 15;
 
-                        const timeSlotInfo = student.getCurrentTimeSlot(center, new Date(timestamp));
+                        const timeZone = timeService.resolveTimezone(settings, center);
+                        const timeSlotInfo = student.getCurrentTimeSlot(center, new Date(timestamp), timeZone);
 
                         if (timeSlotInfo.isWithinHours && timeSlotInfo.slot) {
                             initialData.session = timeSlotInfo.slot; // Valid enum value
@@ -730,7 +1159,7 @@ async function processImageAttendance(student, processData) {
                                     end: timeSlotInfo.endTime || null
                                 }
                             };
-                            const isLate = student.isAttendanceLate(center, new Date(timestamp), lateThreshold);
+                            const isLate = student.isAttendanceLate(center, new Date(timestamp), lateThreshold, timeZone);
                             initialData.status = isLate ? 'late' : 'present';
                         } else {
                             // Outside operating hours
@@ -757,12 +1186,71 @@ async function processImageAttendance(student, processData) {
             }
 
             attendance = new Attendance(initialData);
+        }
+
+        // Hold the check-in for review on a risky photo location, a reused or stale photo,
+        // or a face that does not match the student's enrollment
+        const reviewSettings = await Settings.getSettings();
+        let isHighRisk = false;
+        if (usesImageLocation) {
+            const center = attendance.location.verifiedCenter
+                ? reviewSettings.centers.find(c => c._id.toString() === attendance.location.verifiedCenter.id.toString())
+                : null;
+            const risk = await applyLocationRisk(attendance, {
+                student,
+                location: imageMetadata.location,
+                timestamp,
+                settings: reviewSettings,
+                center,
+                source: 'image_exif'
+            });
+            isHighRisk = risk?.level === 'high';
+        }
+
+        const photoCheck = await applyPhotoChecks(attendance, {
+            student,
+            hashes: photoHashes,
+            capturedAt: photoCapturedAt,
+            timestamp,
+            settings: reviewSettings
+        });
+        const faceMatch = await applyFaceMatch(attendance, { student, imageUrl, settings: reviewSettings });
+        const isPhotoRejected = Boolean(photoCheck && (photoCheck.duplicates.length > 0 || photoCheck.stale)) ||
+            Boolean(faceMatch && faceMatch.status !== 'matched');
+
+        // The photo's time slot may belong to a session that is already marked
+        try {
             await attendance.save();
+        } catch (saveError) {
+            if (saveError.code === 11000) {
+                await whatsappService.sendTextMessage(from, t('sessionAlreadyMarked', { session: t(`session.${attendance.session}`) }));
+                return null;
+            }
+            throw saveError;
         }
 
-        // Send response based on whether GPS location was extracted and message type
+        if (expiredSession) {
+            const settings = await Settings.getSettings();
+            await whatsappService.sendTextMessage(from, conversationService.getExpiredNotice(expiredSession, settings, t));
+        }
+
+        // Send response based on the conversation state, GPS location and message type
         let responseMessage;
-        if (imageMetadata && imageMetadata.hasGPS) {
+        let isPhotoVerified = false;
+        let isFlagged = false;
+        const mediaType = t(messageType === 'document' ? 'media.document' : 'media.photo');
+
+        if (isPhotoRejected) {
+            isFlagged = true;
+            responseMessage = t('photoReview');
+        } else if (isHighRisk) {
+            isFlagged = true;
+            responseMessage = t('locationRisk');
+        } else if (conversation && conversation.state === 'awaiting_photo') {
+            // Location was already verified for this check-in
+            isPhotoVerified = true;
+            responseMessage = t('photoCheckInComplete', { mediaType, status: t(`status.${attendance.status}`).toUpperCase() });
+        } else if (imageMetadata && imageMetadata.hasGPS) {
             const imageLocation = imageMetadata.location;
             console.log('🎯 Processing image location for attendance:', {
                 latitude: imageLocation.latitude.toFixed(6),
@@ -771,6 +1259,7 @@ async function processImageAttendance(student, processData) {
 
             const centerVerification = await findClosestValidCenter(imageLocation, student);
             const { isWithin: isWithinRadius, distance, center } = centerVerification;
+            isPhotoVerified = isWithinRadius;
 
             console.log('📊 Center verification complete:', {
                 isWithinRadius,
@@ -779,133 +1268,296 @@ async function processImageAttendance(student, processData) {
             });
 
             if (isWithinRadius) {
-                const centerName = center ? center.name : 'a center';
-                const mediaType = messageType === 'document' ? 'Document' : 'Photo';
-                responseMessage = `✅ ${mediaType} received with GPS location data. Your attendance has been marked as PRESENT at ${centerName}!`;
+                const centerName = center ? center.name : t('center.some');
+                responseMessage = t('photoGpsPresent', { mediaType, centerName });
 
                 // If this is a document with GPS within radius, mark as present immediately
                 if (messageType === 'document') {
                     console.log('🎯 Document with GPS within radius - marking attendance as present');
-                    responseMessage += `\n\n📍 GPS coordinates from image: ${imageLocation.latitude.toFixed(6)}, ${imageLocation.longitude.toFixed(6)}`;
-                    responseMessage += `\n📏 Distance to center: ${distance}m`;
+                    responseMessage += `\n\n${t('photoGpsDetails', {
+                        latitude: imageLocation.latitude.toFixed(6),
+                        longitude: imageLocation.longitude.toFixed(6),
+                        distance
+                    })}`;
                 }
+            } else if (centerVerification.wrongCenter) {
+                isFlagged = true;
+                responseMessage = getWrongCenterMessage(centerVerification, t);
             } else {
-                const centerName = center ? center.name : 'any center';
-                const mediaType = messageType === 'document' ? 'Document' : 'Photo';
-                const distanceText = distance === Infinity ? 'far' : `${distance}m`;
-                responseMessage = `📍 ${mediaType} received with GPS location data. You are ${distanceText} away from ${centerName} (required: within 2km).`;
+                const centerName = center ? center.name : t('center.any');
+                responseMessage = t('photoGpsTooFar', { mediaType, distance: distance === Infinity ? null : distance, centerName });
 
                 if (messageType === 'document') {
-                    responseMessage += `\n\n❌ Too far from center - please get closer to mark attendance.`;
+                    responseMessage += `\n\n${t('photoGpsTooFarDocument')}`;
                 } else {
-                    responseMessage += ` Please come closer or share your current location.`;
+                    responseMessage += ` ${t('photoGpsTooFarImage')}`;
                 }
             }
         } else {
-            const mediaType = messageType === 'document' ? 'Document' : 'Photo';
-
-            if (messageType === 'document') {
-                responseMessage = `📄 Document received but no GPS location data found. Please send your location separately to mark attendance.`;
-            } else {
-                responseMessage = `📷 Photo received. Please send your location or send photos as DOCUMENTS to preserve GPS data for automatic location detection.`;
-            }
+            responseMessage = t(messageType === 'document' ? 'documentNoGps' : 'photoNoGps');
         }
 
         await whatsappService.sendTextMessage(from, responseMessage);
+
+        // Move the check-in conversation forward and prompt for whatever it still needs
+        const settings = await Settings.getSettings();
+        const conversationSession = await conversationService.advance({
+            student,
+            session: conversation,
+            attendance,
+            event: isPhotoVerified ? 'photo_verified' : isFlagged ? 'flagged_for_review' : 'photo_unverified',
+            messageId,
+            at: timestamp,
+            settings,
+            hasImage: true
+        });
+
+        const prompt = conversationService.getPrompt(conversationSession.state, settings, t);
+        if (prompt) {
+            await whatsappService.sendTextMessage(from, prompt);
+        }
+
+        return attendance;
     } catch (error) {
         console.error('Error processing image attendance:', error);
         throw error;
     }
 }
 
-// Process text-based attendance
-async function processTextAttendance(student, processData) {
-    const { from, content } = processData;
+function formatDuration(minutes) {
+    const hours = Math.floor(minutes / 60);
+    return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+}
 
-    try {
-        const text = content.text.toLowerCase();
+// Reason a record cannot be checked out of, as a message, or null
+function getCheckoutBlocker(attendance, settings, t) {
+    if (!attendance || !['present', 'late'].includes(attendance.status)) {
+        return t('checkoutNotCheckedIn');
+    }
 
-        if (text.includes('attendance') || text.includes('present') || text.includes('here')) {
-            await whatsappService.sendTextMessage(from, 'To mark your attendance, please share your current location and send a photo as a document (to preserve location data).');
-        } else if (text.includes('help') || text.includes('?')) {
-            const helpMessage = `Smart Attendance System Help:
-      
-1. Share your location to mark attendance
-2. Send a photo as a DOCUMENT (not as image) for verification
-3. Sending as document preserves GPS location data in the photo
-4. Both location and photo are required
-5. You must be at the training center
+    if (attendance.timeSlot?.actual?.checkedOut) {
+        const checkedOutAt = timeService.formatTime(attendance.timeSlot.actual.checkedOut, resolveStudentTimezone(null, settings, attendance));
+        return t('checkoutAlreadyDone', { time: checkedOutAt });
+    }
 
-📍 Pro tip: Send photos as documents to enable automatic location detection from image metadata!
+    return null;
+}
 
-Need more help? Contact your administrator.`;
+// Start a check-out: today's confirmed attendance must exist and not be checked out yet.
+// The student confirms with a button before being asked for their location.
+async function startCheckout(student, processData) {
+    const { from, conversation, todayAttendance, settings, t } = processData;
 
-            await whatsappService.sendTextMessage(from, helpMessage);
-        } else {
-            await whatsappService.sendTextMessage(from, 'Please share your location and send a photo as a document to mark your attendance.');
+    try {
+        // Check out of the latest confirmed session that is still open
+        const confirmed = todayAttendance.filter(a => ['present', 'late'].includes(a.status));
+        const attendance = confirmed.find(a => !a.timeSlot?.actual?.checkedOut) || confirmed[0] || null;
+
+        const blocker = getCheckoutBlocker(attendance, settings, t);
+        if (blocker) {
+            await whatsappService.sendTextMessage(from, blocker);
+            return attendance;
+        }
+
+        // Already confirmed and waiting for the location: ask for it again
+        if (conversation?.state === 'awaiting_checkout_location' && conversation.attendance?.toString() === attendance._id.toString()) {
+            return beginCheckout(student, processData, attendance);
         }
+
+        const timeZone = timeService.resolveTimezone(settings);
+        await whatsappService.sendInteractiveButtons(from, t('checkoutConfirm', {
+            session: t(`session.${attendance.session}`),
+            time: timeService.formatClock(attendance.date, settings.system?.timeFormat, timeZone)
+        }), [
+            { id: `checkout:confirm:${attendance._id}`, title: t('button.checkOut') },
+            { id: 'checkout:cancel', title: t('button.cancel') }
+        ]);
+        return attendance;
     } catch (error) {
-        console.error('Error processing text attendance:', error);
+        console.error('Error starting check-out:', error);
         throw error;
     }
 }
 
-// Handle message status updates
-async function handleMessageStatus(webhookData) {
-    const { messageId, status, timestamp } = webhookData;
+// Check-out confirmed with its button: ask for the location
+async function confirmCheckout(student, processData, attendanceId) {
+    const { from, todayAttendance, settings, t } = processData;
+
+    // Buttons from an earlier day no longer match one of today's records
+    const attendance = todayAttendance.find(a => a._id.toString() === attendanceId) || null;
+    const blocker = getCheckoutBlocker(attendance, settings, t);
+    if (blocker) {
+        await whatsappService.sendTextMessage(from, blocker);
+        return attendance;
+    }
+
+    return beginCheckout(student, processData, attendance);
+}
+
+async function beginCheckout(student, processData, attendance) {
+    const { messageId, from, timestamp, conversation, settings, t } = processData;
+
+    // An open conversation about another record is left to expire
+    const sameRecord = conversation && conversation.attendance?.toString() === attendance._id.toString();
+
+    const conversationSession = await conversationService.advance({
+        student,
+        session: sameRecord ? conversation : null,
+        attendance,
+        event: 'checkout_requested',
+        messageId,
+        at: timestamp,
+        settings
+    });
+
+    await whatsappService.sendTextMessage(from, conversationService.getPrompt(conversationSession.state, settings, t));
+    return attendance;
+}
+
+// Verify the check-out location against the geofence and record time on site
+async function processCheckoutLocation(student, processData) {
+    const { messageId, from, timestamp, location, conversation, attendance, t } = processData;
 
     try {
-        // Update message status in attendance record
-        await Attendance.updateMany(
-            { 'whatsappMessage.messageId': messageId },
-            {
-                $set: {
-                    'metadata.messageStatus': status,
-                    'metadata.statusUpdated': new Date(timestamp)
-                }
+        const settings = await Settings.getSettings();
+        const { isWithin: isWithinRadius, distance, center } = await findClosestValidCenter(location, student);
+
+        if (!isWithinRadius) {
+            await conversationService.advance({
+                student,
+                session: conversation,
+                attendance,
+                event: 'checkout_rejected',
+                messageId,
+                at: timestamp,
+                settings
+            });
+
+            const centerName = center ? center.name : t('center.any');
+            await whatsappService.sendTextMessage(from, t('checkoutTooFar', { distance, centerName }));
+            return attendance;
+        }
+
+        const earlyLeaveThreshold = settings.attendanceSettings.earlyLeaveThreshold || 15;
+        const timeZone = timeService.resolveTimezone(settings, center);
+        attendance.recordCheckOut(new Date(timestamp), {
+            messageId,
+            location: {
+                coordinates: {
+                    latitude: location.latitude,
+                    longitude: location.longitude
+                },
+                isWithinRadius,
+                distanceFromCenter: distance
             }
-        );
+        }, earlyLeaveThreshold, timeZone);
+        await attendance.save();
 
-        console.log(`Message ${messageId} status updated to ${status}`);
+        await conversationService.advance({
+            student,
+            session: conversation,
+            attendance,
+            event: 'checkout_verified',
+            messageId,
+            at: timestamp,
+            settings
+        });
+
+        let message = t('checkedOut', {
+            time: timeService.formatTime(timestamp, timeZone),
+            duration: formatDuration(attendance.checkOut.durationMinutes)
+        });
+        if (attendance.checkOut.isEarlyLeave) {
+            message += `\n${t('earlyLeaveNote', {
+                minutes: attendance.checkOut.earlyByMinutes,
+                session: t(`session.${attendance.session}`),
+                end: attendance.timeSlot.expected.end
+            })}`;
+        }
+
+        await whatsappService.sendTextMessage(from, message);
+        return attendance;
     } catch (error) {
-        console.error('Error handling message status:', error);
+        console.error('Error processing check-out location:', error);
+        throw error;
     }
 }
 
-// Handle button replies
-async function handleButtonReply(webhookData) {
-    const { messageId, from, context } = webhookData;
+// Text that is not a command: repeat what an open check-in is waiting for, or point
+// to the closest command
+async function processTextAttendance(student, processData) {
+    const { from, content, conversation, t } = processData;
 
     try {
-        const student = await Student.findOne({ phone: from });
-        if (!student) return;
-
-        const { buttonPayload, buttonText } = context;
-
-        if (buttonPayload === 'mark_attendance') {
-            await whatsappService.sendTextMessage(from, 'Please share your location and send a photo as a document to mark your attendance.');
-        } else if (buttonPayload === 'check_status') {
-            // Get today's attendance status
-            const today = new Date();
-            today.setHours(0, 0, 0, 0);
-            const tomorrow = new Date(today);
-            tomorrow.setDate(tomorrow.getDate() + 1);
-
-            const attendance = await Attendance.findOne({
-                student: student._id,
-                date: {
-                    $gte: today,
-                    $lt: tomorrow
-                }
-            });
+        const settings = await Settings.getSettings();
+        const prompt = conversation ? conversationService.getPrompt(conversation.state, settings, t) : null;
+        const suggestion = commandRouter.suggest(content.text);
+
+        if (prompt) {
+            await whatsappService.sendTextMessage(from, prompt);
+        } else if (!student.welcomedAt) {
+            // First message from the student: welcome them, with buttons for what to do next
+            await whatsappService.sendWelcomeMessage(student);
+            student.welcomedAt = new Date();
+            await student.save();
+        } else if (suggestion) {
+            await whatsappService.sendTextMessage(from, t('unknownCommand', {
+                text: content.text.trim().split(/\s+/)[0],
+                suggestion: suggestion.name.toUpperCase()
+            }));
+        } else {
+            await whatsappService.sendTextMessage(from, `${t('markAttendanceHint')}\n${t('commandsHint')}`);
+        }
+    } catch (error) {
+        console.error('Error processing text attendance:', error);
+        throw error;
+    }
+}
 
-            const status = attendance ? attendance.status : 'absent';
-            const message = `Your attendance status for today: ${status.toUpperCase()}`;
+// Record delivery receipts for messages we sent
+async function handleMessageStatus(statusUpdate) {
+    const { messageId, status } = statusUpdate;
 
-            await whatsappService.sendTextMessage(from, message);
+    try {
+        const message = await OutboundMessage.recordStatus(statusUpdate);
+        if (!message) {
+            console.log(`Status ${status} for unknown outbound message ${messageId} ignored`);
+            return;
         }
+
+        console.log(`Message ${messageId} status updated to ${status}`);
     } catch (error) {
-        console.error('Error handling button reply:', error);
+        console.error('Error handling message status:', error);
     }
 }
 
+// Handle taps on buttons and list rows. Payloads are "<action>:<params>": cmd:<command>,
+// session:<attendanceId>:<session>, checkout:confirm:<attendanceId> and checkout:cancel;
+// mark_attendance and check_status come from the legacy template buttons.
+async function handleButtonReply(student, processData) {
+    const { from, content, t } = processData;
+    const [action, ...params] = String(content?.buttonPayload || '').split(':');
+
+    if (action === 'cmd' || action === 'check_status') {
+        const command = commandRouter.resolve(action === 'cmd' ? params[0] : 'status');
+        if (command) {
+            const attendance = await commandRouter.run(command, getCommandContext(student, processData));
+            return { outcome: `button_command_${command.command.name}`, attendance };
+        }
+    } else if (action === 'session') {
+        const attendance = await chooseSession(student, processData, params[0], params[1]);
+        return { outcome: 'button_session', attendance };
+    } else if (action === 'checkout' && params[0] === 'confirm') {
+        const attendance = await confirmCheckout(student, processData, params[1]);
+        return { outcome: 'button_checkout_confirmed', attendance };
+    } else if (action === 'checkout' && params[0] === 'cancel') {
+        await whatsappService.sendTextMessage(from, t('checkoutCancelled'));
+        return { outcome: 'button_checkout_cancelled' };
+    }
+
+    if (action !== 'mark_attendance') {
+        console.log(`Unknown button payload from ${from}: ${content?.buttonPayload}`);
+    }
+    await whatsappService.sendTextMessage(from, t('markAttendanceHint'));
+    return { outcome: 'button_reply' };
+}
@@ -0,0 +1,109 @@
+import WebhookJob from '../models/WebhookJob.js';
+
+// GET /api/webhook/jobs - List webhook jobs with filtering
+export const getWebhookJobs = async (req, res) => {
+    try {
+        const {
+            page = 1,
+            limit = 20,
+            status
+        } = req.query;
+
+        const filter = {};
+        if (status) filter.status = status;
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const jobs = await WebhookJob.find(filter)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit))
+            .lean();
+
+        const total = await WebhookJob.countDocuments(filter);
+
+        const statusCounts = await WebhookJob.aggregate([
+            { $group: { _id: '$status', count: { $sum: 1 } } }
+        ]);
+
+        res.json({
+            jobs,
+            pagination: {
+                current: parseInt(page),
+                pages: Math.ceil(total / parseInt(limit)),
+                total,
+                limit: parseInt(limit)
+            },
+            summary: statusCounts.reduce((acc, item) => {
+                acc[item._id] = item.count;
+                return acc;
+            }, { pending: 0, processing: 0, completed: 0, dead: 0 })
+        });
+    } catch (error) {
+        console.error('Error fetching webhook jobs:', error);
+        res.status(500).json({ error: 'Failed to fetch webhook jobs' });
+    }
+};
+
+// GET /api/webhook/jobs/:id - Get a single webhook job including its payload
+export const getWebhookJob = async (req, res) => {
+    try {
+        const job = await WebhookJob.findById(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Webhook job not found' });
+        }
+        res.json(job);
+    } catch (error) {
+        console.error('Error fetching webhook job:', error);
+        res.status(500).json({ error: 'Failed to fetch webhook job' });
+    }
+};
+
+// POST /api/webhook/jobs/:id/replay - Put a job back on the queue
+export const replayWebhookJob = async (req, res) => {
+    try {
+        const job = await WebhookJob.findById(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Webhook job not found' });
+        }
+
+        if (job.status === 'processing') {
+            return res.status(409).json({ error: 'Webhook job is currently being processed' });
+        }
+
+        await job.replay();
+
+        res.json({
+            message: 'Webhook job queued for replay',
+            job
+        });
+    } catch (error) {
+        console.error('Error replaying webhook job:', error);
+        res.status(500).json({ error: 'Failed to replay webhook job' });
+    }
+};
+
+// POST /api/webhook/jobs/replay-dead - Replay every job in the dead-letter state
+export const replayDeadWebhookJobs = async (req, res) => {
+    try {
+        const result = await WebhookJob.updateMany(
+            { status: 'dead' },
+            {
+                $set: {
+                    status: 'pending',
+                    attempts: 0,
+                    nextRunAt: new Date(),
+                    lockedAt: null,
+                    lockedBy: null
+                }
+            }
+        );
+
+        res.json({
+            message: `${result.modifiedCount} webhook jobs queued for replay`,
+            replayed: result.modifiedCount
+        });
+    } catch (error) {
+        console.error('Error replaying dead webhook jobs:', error);
+        res.status(500).json({ error: 'Failed to replay webhook jobs' });
+    }
+};
@@ -12,6 +12,18 @@ import attendanceRoutes from './routes/attendance.js';
 import webhookRoutes from './routes/webhook.js';
 import settingsRoutes from './routes/settings.js';
 import analyticsRoutes from './routes/analytics.js';
+import schedulerRoutes from './routes/scheduler.js';
+import calendarRoutes from './routes/calendar.js';
+import messageRoutes from './routes/messages.js';
+import leaveRoutes from './routes/leave.js';
+import appealRoutes from './routes/appeals.js';
+
+// Import background workers
+import { webhookWorker } from './services/webhookWorker.js';
+import { outboundDispatcher } from './services/outboundDispatcher.js';
+import { scheduler } from './services/scheduler.js';
+import { absenceService } from './services/absence.js';
+import { reminderService } from './services/reminder.js';
 
 dotenv.config();
 
@@ -29,8 +41,13 @@ app.use(cors({
 }));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Keep the raw body around for webhook signature verification
+const captureRawBody = (req, res, buf) => {
+    req.rawBody = buf;
+};
+
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: captureRawBody }));
 
 // Static files
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
@@ -40,7 +57,23 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/smart-att
     useNewUrlParser: true,
     useUnifiedTopology: true,
 })
-    .then(() => console.log('MongoDB connected successfully'))
+    .then(() => {
+        console.log('MongoDB connected successfully');
+
+        if (process.env.WEBHOOK_WORKER_ENABLED !== 'false') {
+            webhookWorker.start();
+        }
+
+        if (process.env.OUTBOUND_DISPATCHER_ENABLED !== 'false') {
+            outboundDispatcher.start();
+        }
+
+        if (process.env.SCHEDULER_ENABLED !== 'false') {
+            scheduler.register('mark_absent', (now) => absenceService.runDue(now));
+            scheduler.register('daily_reminder', (now) => reminderService.runDue(now));
+            scheduler.start();
+        }
+    })
     .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
@@ -49,6 +82,11 @@ app.use('/api/attendance', attendanceRoutes);
 app.use('/api/webhook', webhookRoutes);
 app.use('/api/settings', settingsRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/scheduler', schedulerRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/messages', messageRoutes);
+app.use('/api/leave', leaveRoutes);
+app.use('/api/appeals', appealRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
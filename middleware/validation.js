@@ -1,5 +1,9 @@
 import Joi from 'joi';
 
+// Ids of Settings.centers; whether they exist is checked in the controller
+const centerIds = Joi.array().items(Joi.string().hex().length(24)).unique();
+const sessions = Joi.array().items(Joi.string().valid('morning', 'afternoon', 'evening')).unique();
+
 // Student validation schema
 const studentSchema = Joi.object({
     name: Joi.string().trim().min(2).max(100).required(),
@@ -8,15 +12,8 @@ const studentSchema = Joi.object({
     studentId: Joi.string().trim().min(1).max(50).required(),
     course: Joi.string().trim().min(2).max(100).required(),
     batch: Joi.string().trim().min(1).max(50).required(),
-    trainingCenter: Joi.object({
-        name: Joi.string().trim().min(2).max(100).required(),
-        address: Joi.string().trim().min(5).max(500).required(),
-        coordinates: Joi.object({
-            latitude: Joi.number().min(-90).max(90).required(),
-            longitude: Joi.number().min(-180).max(180).required()
-        }).required(),
-        radius: Joi.number().min(10).max(1000).default(100)
-    }).required(),
+    centers: centerIds.default([]),
+    sessions: sessions.default([]),
     profileImage: Joi.string().optional(),
     isActive: Joi.boolean().default(true),
     whatsappVerified: Joi.boolean().default(false),
@@ -35,23 +32,23 @@ const studentUpdateSchema = Joi.object({
     studentId: Joi.string().trim().min(1).max(50).optional(),
     course: Joi.string().trim().min(2).max(100).optional(),
     batch: Joi.string().trim().min(1).max(50).optional(),
-    trainingCenter: Joi.object({
-        name: Joi.string().trim().min(2).max(100).optional(),
-        address: Joi.string().trim().min(5).max(500).optional(),
-        coordinates: Joi.object({
-            latitude: Joi.number().min(-90).max(90).optional(),
-            longitude: Joi.number().min(-180).max(180).optional()
-        }).optional(),
-        radius: Joi.number().min(10).max(1000).optional()
-    }).optional(),
+    centers: centerIds.optional(),
+    sessions: sessions.optional(),
     profileImage: Joi.string().optional(),
     isActive: Joi.boolean().optional(),
     whatsappVerified: Joi.boolean().optional()
 });
 
-// Validation middleware
-export const validateStudent = (req, res, next) => {
-    const { error, value } = studentSchema.validate(req.body, {
+// Center and session assignment, checked on create and update. The other fields are
+// left to the Student model, which is less strict than the schemas above.
+const studentAssignmentSchema = Joi.object({
+    centers: centerIds.optional(),
+    sessions: sessions.optional()
+});
+
+// Validation middleware for a schema
+const validateBody = (schema) => (req, res, next) => {
+    const { error, value } = schema.validate(req.body, {
         abortEarly: false,
         allowUnknown: true
     });
@@ -72,24 +69,8 @@ export const validateStudent = (req, res, next) => {
     next();
 };
 
-export const validateStudentUpdate = (req, res, next) => {
-    const { error, value } = studentUpdateSchema.validate(req.body, {
-        abortEarly: false,
-        allowUnknown: true
-    });
+export const validateStudent = validateBody(studentSchema);
 
-    if (error) {
-        const errors = error.details.map(detail => ({
-            field: detail.path.join('.'),
-            message: detail.message
-        }));
+export const validateStudentUpdate = validateBody(studentUpdateSchema);
 
-        return res.status(400).json({
-            error: 'Validation failed',
-            details: errors
-        });
-    }
-
-    req.body = value;
-    next();
-}; 
\ No newline at end of file
+export const validateStudentAssignment = validateBody(studentAssignmentSchema);
@@ -0,0 +1,31 @@
+import { whatsappService } from '../services/whatsapp.js';
+
+// Verify incoming webhook deliveries with the signature scheme of the selected provider
+export const verifyWhatsAppSignature = async (req, res, next) => {
+    try {
+        const { provider } = await whatsappService.getProvider();
+        req.whatsappProvider = provider.name;
+
+        if (process.env.WHATSAPP_WEBHOOK_SKIP_VERIFICATION === 'true') {
+            console.warn('⚠️ Webhook signature verification is disabled (WHATSAPP_WEBHOOK_SKIP_VERIFICATION=true)');
+            return next();
+        }
+
+        const result = await whatsappService.verifyRequest({
+            headers: req.headers,
+            rawBody: req.rawBody,
+            body: req.body,
+            url: `${req.protocol}://${req.get('host')}${req.originalUrl}`
+        });
+
+        if (!result.isValid) {
+            console.warn(`Rejected ${result.provider} webhook delivery:`, result.reason);
+            return res.status(401).json({ error: 'Invalid webhook signature' });
+        }
+
+        next();
+    } catch (error) {
+        console.error('Error verifying webhook signature:', error);
+        res.status(500).json({ error: 'Webhook verification failed' });
+    }
+};
@@ -1,4 +1,24 @@
 import mongoose from 'mongoose';
+import AttendanceHistory from './AttendanceHistory.js';
+import { timeService } from '../services/time.js';
+
+// Records written by the system (e.g. absent marking) have no WhatsApp message or location
+function isFromWhatsApp() {
+    return this.source === 'whatsapp';
+}
+
+// Perceptual hashes are split into bands of this many hex digits (8 bands of 8 bits).
+// Two hashes at most 7 bits apart share at least one band exactly.
+const HASH_BAND_LENGTH = 2;
+
+const popcount = (n) => {
+    let count = 0;
+    while (n) {
+        count += n & 1;
+        n >>= 1;
+    }
+    return count;
+};
 
 const attendanceSchema = new mongoose.Schema({
     student: {
@@ -11,28 +31,43 @@ const attendanceSchema = new mongoose.Schema({
         required: true,
         default: Date.now
     },
+    day: {
+        type: String, // YYYY-MM-DD, derived from date
+        default: null
+    },
     status: {
         type: String,
-        enum: ['present', 'absent', 'late', 'pending_verification'],
+        enum: ['present', 'absent', 'late', 'pending_verification', 'excused', 'on_leave'],
         default: 'pending_verification'
     },
+    source: {
+        type: String,
+        enum: ['whatsapp', 'system'],
+        default: 'whatsapp'
+    },
+    // Approved leave an on_leave record was written for
+    leaveRequest: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LeaveRequest',
+        default: null
+    },
     whatsappMessage: {
         messageId: {
             type: String,
-            required: true
+            required: isFromWhatsApp
         },
         from: {
             type: String,
-            required: true
+            required: isFromWhatsApp
         },
         timestamp: {
             type: Date,
-            required: true
+            required: isFromWhatsApp
         },
         messageType: {
             type: String,
             enum: ['text', 'image', 'document', 'location'],
-            required: true
+            required: isFromWhatsApp
         },
         content: {
             text: String,
@@ -44,11 +79,11 @@ const attendanceSchema = new mongoose.Schema({
         coordinates: {
             latitude: {
                 type: Number,
-                required: true
+                required: isFromWhatsApp
             },
             longitude: {
                 type: Number,
-                required: true
+                required: isFromWhatsApp
             }
         },
         accuracy: {
@@ -61,11 +96,11 @@ const attendanceSchema = new mongoose.Schema({
         },
         isWithinRadius: {
             type: Boolean,
-            required: true
+            required: isFromWhatsApp
         },
         distanceFromCenter: {
             type: Number, // in meters
-            required: true
+            required: isFromWhatsApp
         },
         verifiedCenter: {
             type: {
@@ -100,7 +135,7 @@ const attendanceSchema = new mongoose.Schema({
         },
         verificationMethod: {
             type: String,
-            enum: ['auto_geo', 'manual_admin', 'image_recognition'],
+            enum: ['auto_geo', 'manual_admin', 'image_recognition', 'system'],
             default: 'auto_geo'
         },
         notes: {
@@ -120,7 +155,13 @@ const attendanceSchema = new mongoose.Schema({
         metadata: {
             originalName: String,
             size: Number,
-            mimeType: String
+            mimeType: String,
+            mediaId: String,
+            sha256: String, // of the saved file
+            perceptualHash: String, // 64-bit dHash as hex
+            hashBands: [String], // perceptualHash bands as 'position:hex', to find near copies by index
+            capturedAt: Date, // EXIF DateTimeOriginal
+            exif: mongoose.Schema.Types.Mixed
         }
     }],
     timeSlot: {
@@ -133,11 +174,107 @@ const attendanceSchema = new mongoose.Schema({
             checkedOut: Date
         }
     },
+    checkOut: {
+        messageId: {
+            type: String,
+            default: null
+        },
+        location: {
+            coordinates: {
+                latitude: Number,
+                longitude: Number
+            },
+            isWithinRadius: Boolean,
+            distanceFromCenter: Number // in meters
+        },
+        durationMinutes: {
+            type: Number,
+            default: null
+        },
+        isEarlyLeave: {
+            type: Boolean,
+            default: false
+        },
+        earlyByMinutes: {
+            type: Number,
+            default: null
+        }
+    },
     session: {
         type: String,
         enum: ['morning', 'afternoon', 'evening', 'full_day'],
         default: 'full_day'
     },
+    // Reasons the record needs an administrator's review, e.g. wrong_center
+    flags: [{
+        code: {
+            type: String,
+            required: true
+        },
+        message: String,
+        details: mongoose.Schema.Types.Mixed,
+        createdAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // Match of the check-in photo against the student's enrolled face
+    faceMatch: {
+        status: {
+            type: String,
+            enum: ['matched', 'low_confidence', 'no_face', 'error']
+        },
+        similarity: {
+            type: Number,
+            default: null
+        },
+        threshold: Number,
+        faceCount: Number,
+        checkedAt: Date,
+        override: {
+            decision: {
+                type: String,
+                enum: ['match', 'mismatch']
+            },
+            by: String,
+            at: Date,
+            notes: String
+        }
+    },
+    // Location spoofing risk from fraudService, scored on check-in
+    risk: {
+        score: {
+            type: Number,
+            default: 0
+        },
+        level: {
+            type: String,
+            enum: ['low', 'medium', 'high'],
+            default: 'low'
+        },
+        reasons: [{
+            _id: false,
+            code: String,
+            message: String,
+            weight: Number,
+            details: mongoose.Schema.Types.Mixed
+        }],
+        assessedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    // Set when an administrator deletes the record; the day moves here so that the
+    // session can be recorded again, and back when the record is restored
+    deletion: {
+        type: {
+            at: Date,
+            by: String,
+            reason: String,
+            day: String
+        },
+        default: null
+    },
     metadata: {
         deviceInfo: {
             userAgent: String,
@@ -153,34 +290,48 @@ const attendanceSchema = new mongoose.Schema({
     timestamps: true
 });
 
+// One record per student per session per day. Records written before the day
+// field existed are left out of the constraint.
+attendanceSchema.index(
+    { student: 1, day: 1, session: 1 },
+    { unique: true, partialFilterExpression: { day: { $type: 'string' } } }
+);
+
 // Compound indexes for better performance
-attendanceSchema.index({ student: 1, date: 1 }, { unique: true });
+attendanceSchema.index({ student: 1, date: 1 });
+attendanceSchema.index({ day: 1, status: 1 });
 attendanceSchema.index({ date: 1, status: 1 });
 attendanceSchema.index({ 'whatsappMessage.from': 1 });
 attendanceSchema.index({ 'whatsappMessage.messageId': 1 });
 attendanceSchema.index({ status: 1, 'verification.isVerified': 1 });
+attendanceSchema.index({ 'flags.code': 1, status: 1 });
+attendanceSchema.index({ 'risk.level': 1, date: -1 });
+attendanceSchema.index({ 'images.metadata.sha256': 1 });
+attendanceSchema.index({ 'images.metadata.hashBands': 1, date: -1 });
+attendanceSchema.index({ leaveRequest: 1 });
+attendanceSchema.index({ 'deletion.at': -1 }, { partialFilterExpression: { 'deletion.at': { $type: 'date' } } });
 
 // Virtual for formatted date
 attendanceSchema.virtual('formattedDate').get(function () {
-    return this.date.toLocaleDateString('en-IN');
+    return timeService.formatDate(this.date);
 });
 
 // Virtual for formatted time
 attendanceSchema.virtual('formattedTime').get(function () {
-    return this.date.toLocaleTimeString('en-IN');
+    return timeService.formatTime(this.date);
 });
 
 // Method to calculate if attendance is late
-attendanceSchema.methods.isLate = function (center = null, lateThreshold = 15) {
+attendanceSchema.methods.isLate = function (center, lateThreshold = 15, timeZone) {
+    const zone = timeService.requireTimezone(timeZone);
     try {
         if (!center || !center.timeSlots) {
             // Fallback to simple time check if no center provided
-            const attendanceTime = this.date.toTimeString().slice(0, 5); // HH:MM
+            const attendanceTime = timeService.toTimeString(this.date, zone); // HH:MM
             return attendanceTime > '09:00'; // Default fallback
         }
 
-        const attendanceTime = this.date;
-        const timeString = attendanceTime.toTimeString().slice(0, 5); // HH:MM format
+        const timeString = timeService.toTimeString(this.date, zone); // HH:MM format
 
         // Find which time slot this attendance falls into
         for (const [slotName, times] of Object.entries(center.timeSlots)) {
@@ -206,13 +357,14 @@ attendanceSchema.methods.isLate = function (center = null, lateThreshold = 15) {
 };
 
 // Method to determine which time slot this attendance belongs to
-attendanceSchema.methods.getTimeSlot = function (center = null) {
+attendanceSchema.methods.getTimeSlot = function (center, timeZone) {
+    timeService.requireTimezone(timeZone);
     try {
         if (!center || !center.timeSlots) {
             return { slot: 'unknown', isWithinHours: false };
         }
 
-        const timeString = this.date.toTimeString().slice(0, 5); // HH:MM format
+        const timeString = timeService.toTimeString(this.date, timeZone); // HH:MM format
 
         // Check each time slot
         for (const [slotName, times] of Object.entries(center.timeSlots)) {
@@ -236,12 +388,186 @@ attendanceSchema.methods.getTimeSlot = function (center = null) {
     }
 };
 
+// Method to record a check-out, the time spent on site and whether the student left early
+attendanceSchema.methods.recordCheckOut = function (checkedOutAt, checkOutData = {}, earlyLeaveThreshold = 15, timeZone) {
+    timeService.requireTimezone(timeZone);
+    const checkedIn = this.timeSlot?.actual?.checkedIn || this.date;
+
+    this.set('timeSlot.actual.checkedOut', checkedOutAt);
+    this.checkOut = {
+        messageId: checkOutData.messageId || null,
+        location: checkOutData.location || undefined,
+        durationMinutes: Math.max(0, Math.round((checkedOutAt - checkedIn) / 60000)),
+        isEarlyLeave: false,
+        earlyByMinutes: null
+    };
+
+    const slotEnd = this.timeSlot?.expected?.end;
+    if (slotEnd) {
+        const checkOutMinutes = this._timeToMinutes(timeService.toTimeString(checkedOutAt, timeZone));
+        const earlyBy = this._timeToMinutes(slotEnd) - checkOutMinutes;
+
+        this.checkOut.earlyByMinutes = Math.max(0, earlyBy);
+        this.checkOut.isEarlyLeave = earlyBy > earlyLeaveThreshold;
+    }
+
+    return this;
+};
+
+// Method to flag the record for review, replacing an earlier flag with the same code
+attendanceSchema.methods.addFlag = function (code, message, details = {}) {
+    this.flags = this.flags.filter(flag => flag.code !== code);
+    this.flags.push({ code, message, details });
+    return this;
+};
+
+// Method to change the status, recording who changed it and why in AttendanceHistory
+attendanceSchema.methods.setStatus = function (status, { actor = 'system', reason = null } = {}) {
+    this.status = status;
+    this.$locals.change = { actor, reason };
+    return this;
+};
+
+// Method to soft delete the record; it is left out of queries until restored
+attendanceSchema.methods.softDelete = function ({ actor = 'admin', reason = null } = {}) {
+    this.deletion = { at: new Date(), by: actor, reason, day: this.day };
+    this.day = undefined;
+    this.$locals.change = { actor, reason, action: 'deleted' };
+    return this.save();
+};
+
+// Method to restore a soft-deleted record. Fails with a duplicate key error if the
+// session has been recorded again since.
+attendanceSchema.methods.restore = function ({ actor = 'admin', reason = null } = {}) {
+    this.day = this.deletion?.day || undefined;
+    this.deletion = null;
+    this.$locals.change = { actor, reason, action: 'restored' };
+    return this.save();
+};
+
 // Helper method to convert HH:MM time to minutes
 attendanceSchema.methods._timeToMinutes = function (timeString) {
     const [hours, minutes] = timeString.split(':').map(Number);
     return hours * 60 + minutes;
 };
 
+// Precedence used when rolling several sessions up into one daily status; a student
+// on leave for one session and absent from another counts as on leave
+const DAILY_STATUS_RANK = {
+    present: 6,
+    late: 5,
+    pending_verification: 4,
+    on_leave: 3,
+    excused: 2,
+    absent: 1
+};
+
+// Static method to get the YYYY-MM-DD day key for a date in a timezone
+attendanceSchema.statics.getDayKey = function (date, timeZone) {
+    return timeService.toDayKey(date, timeService.requireTimezone(timeZone));
+};
+
+// Static method to split a perceptual hash into its lookup bands
+attendanceSchema.statics.getHashBands = function (perceptualHash) {
+    if (!perceptualHash) {
+        return [];
+    }
+
+    const bands = [];
+    for (let i = 0; i < perceptualHash.length; i += HASH_BAND_LENGTH) {
+        bands.push(`${i / HASH_BAND_LENGTH}:${perceptualHash.slice(i, i + HASH_BAND_LENGTH)}`);
+    }
+    return bands;
+};
+
+// Static method to count the differing bits between two hex hashes of the same length
+attendanceSchema.statics.hammingDistance = function (hashA, hashB) {
+    if (!hashA || !hashB || hashA.length !== hashB.length) {
+        return Infinity;
+    }
+
+    let distance = 0;
+    for (let i = 0; i < hashA.length; i++) {
+        distance += popcount(parseInt(hashA[i], 16) ^ parseInt(hashB[i], 16));
+    }
+    return distance;
+};
+
+// Static method to roll session records up into one status per student per day
+attendanceSchema.statics.getDailyRollup = async function (startDate, endDate, extraMatch = {}, timeZone) {
+    timeService.requireTimezone(timeZone);
+    const rankBranches = Object.entries(DAILY_STATUS_RANK).map(([status, rank]) => ({
+        case: { $eq: ['$status', status] },
+        then: rank
+    }));
+
+    const rows = await this.aggregate([
+        {
+            $match: {
+                ...extraMatch,
+                date: {
+                    $gte: new Date(startDate),
+                    $lte: new Date(endDate)
+                }
+            }
+        },
+        {
+            $group: {
+                _id: {
+                    student: '$student',
+                    day: { $ifNull: ['$day', { $dateToString: { format: '%Y-%m-%d', date: '$date', timezone: timeZone } }] }
+                },
+                rank: { $max: { $switch: { branches: rankBranches, default: 0 } } },
+                sessions: {
+                    $push: {
+                        attendance: '$_id',
+                        session: '$session',
+                        status: '$status',
+                        date: '$date'
+                    }
+                }
+            }
+        },
+        { $sort: { '_id.day': 1 } }
+    ]);
+
+    const statusByRank = Object.fromEntries(
+        Object.entries(DAILY_STATUS_RANK).map(([status, rank]) => [rank, status])
+    );
+
+    return rows.map(row => ({
+        student: row._id.student,
+        day: row._id.day,
+        status: statusByRank[row.rank] || 'unknown',
+        sessions: row.sessions
+    }));
+};
+
+// Static method to insert new records, skipping sessions that already have one (e.g.
+// a check-in that arrived meanwhile), and record them in AttendanceHistory.
+// Returns the inserted records.
+attendanceSchema.statics.insertSkippingDuplicates = async function (docs, { actor = 'system', reason = null } = {}) {
+    let inserted;
+    try {
+        inserted = await this.insertMany(docs, { ordered: false });
+    } catch (error) {
+        const writeErrors = error.writeErrors || [error];
+        if (writeErrors.some(e => e.code !== 11000)) {
+            throw error;
+        }
+        inserted = error.insertedDocs || [];
+    }
+
+    await AttendanceHistory.recordMany(inserted.map(attendance => ({
+        attendance,
+        action: 'created',
+        newValue: attendance.status,
+        actor,
+        reason
+    })));
+    return inserted;
+};
+
 // Static method to get attendance summary for a date range
 attendanceSchema.statics.getAttendanceSummary = async function (startDate, endDate) {
     return await this.aggregate([
@@ -262,24 +588,62 @@ attendanceSchema.statics.getAttendanceSummary = async function (startDate, endDa
     ]);
 };
 
+// Keep the day key in step with the attendance date, in the center's timezone
+attendanceSchema.pre('validate', async function (next) {
+    try {
+        // A day set explicitly alongside the date (e.g. by absent marking) is kept as is;
+        // deleted records have none until restored
+        if (this.date && !this.deletion && (!this.day || (this.isModified('date') && !this.isModified('day')))) {
+            const Settings = (await import('./Settings.js')).default;
+            const settings = await Settings.getSettings();
+            const center = this.location?.verifiedCenter?.id
+                ? settings.centers.find(c => c._id.toString() === this.location.verifiedCenter.id.toString())
+                : null;
+
+            this.day = this.constructor.getDayKey(this.date, timeService.resolveTimezone(settings, center));
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Keep the lookup bands of each photo in step with its perceptual hash
+attendanceSchema.pre('validate', function (next) {
+    for (const image of this.images || []) {
+        if (image.metadata?.perceptualHash && !image.metadata.hashBands?.length) {
+            image.metadata.hashBands = this.constructor.getHashBands(image.metadata.perceptualHash);
+        }
+    }
+    next();
+});
+
 // Pre-save middleware to auto-verify based on location and update time slot info
 attendanceSchema.pre('save', async function (next) {
     try {
-        if (this.location.isWithinRadius && !this.verification.isVerified) {
+        // Record the check-in time once the attendance is confirmed
+        if (['present', 'late'].includes(this.status) && !this.timeSlot?.actual?.checkedIn) {
+            this.set('timeSlot.actual.checkedIn', this.date);
+        }
+
+        // Flagged records wait for an administrator instead of being auto-verified
+        if (this.location.isWithinRadius && !this.verification.isVerified && this.flags.length === 0) {
             this.verification.isVerified = true;
             this.verification.verifiedAt = new Date();
-            this.verification.verificationMethod = 'auto_geo';
+            this.verification.verificationMethod = this.faceMatch?.status === 'matched' ? 'image_recognition' : 'auto_geo';
+
+            const Settings = (await import('./Settings.js')).default;
+            const settings = await Settings.getSettings();
 
             // If we have center information, use center-specific time checking
             if (this.location.verifiedCenter) {
-                const Settings = (await import('./Settings.js')).default;
-                const settings = await Settings.getSettings();
                 const center = settings.centers.find(c =>
                     c._id.toString() === this.location.verifiedCenter.id.toString()
                 );
 
                 if (center) {
-                    const timeSlotInfo = this.getTimeSlot(center);
+                    const timeZone = timeService.resolveTimezone(settings, center);
+                    const timeSlotInfo = this.getTimeSlot(center, timeZone);
                     this.session = timeSlotInfo.slot || 'unknown';
                     this.timeSlot = {
                         expected: {
@@ -290,11 +654,11 @@ attendanceSchema.pre('save', async function (next) {
 
                     // Get late threshold from settings
                     const lateThreshold = settings.attendanceSettings.lateThreshold || 15;
-                    this.status = this.isLate(center, lateThreshold) ? 'late' : 'present';
+                    this.status = this.isLate(center, lateThreshold, timeZone) ? 'late' : 'present';
                 }
             } else {
                 // Fallback to old logic
-                this.status = this.isLate() ? 'late' : 'present';
+                this.status = this.isLate(null, 15, timeService.resolveTimezone(settings)) ? 'late' : 'present';
             }
         }
         next();
@@ -304,4 +668,57 @@ attendanceSchema.pre('save', async function (next) {
     }
 });
 
+// Status as last loaded or saved, to tell what a save changes
+attendanceSchema.post('init', function () {
+    this.$locals.savedStatus = this.status;
+});
+
+// New records, status changes, deletes and restores are written to AttendanceHistory
+// once saved. Changes made without setStatus are put down to the system.
+attendanceSchema.pre('save', function (next) {
+    const { actor = 'system', reason = null, action = null } = this.$locals.change || {};
+    const oldStatus = this.$locals.savedStatus ?? null;
+
+    if (action === 'deleted' || action === 'restored') {
+        this.$locals.historyEntry = { action, field: 'deleted', oldValue: action === 'restored', newValue: action === 'deleted', actor, reason };
+    } else if (this.isNew) {
+        this.$locals.historyEntry = { action: 'created', newValue: this.status, actor, reason };
+    } else if (this.status !== oldStatus) {
+        this.$locals.historyEntry = { action: 'status_changed', oldValue: oldStatus, newValue: this.status, actor, reason };
+    } else {
+        this.$locals.historyEntry = null;
+    }
+    next();
+});
+
+attendanceSchema.post('save', async function () {
+    const entry = this.$locals.historyEntry;
+    this.$locals.historyEntry = null;
+    this.$locals.change = null;
+    this.$locals.savedStatus = this.status;
+
+    if (entry) {
+        try {
+            await AttendanceHistory.recordMany([{ attendance: this, ...entry }]);
+        } catch (error) {
+            console.error(`Error recording history for attendance ${this._id}:`, error);
+        }
+    }
+});
+
+// Soft-deleted records are left out of queries and aggregations, unless the
+// filter (or the first $match stage) asks about deletion
+attendanceSchema.pre(['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'updateOne', 'updateMany'], function () {
+    if (!('deletion' in this.getFilter())) {
+        this.where({ deletion: null });
+    }
+});
+
+attendanceSchema.pre('aggregate', function () {
+    const [first] = this.pipeline();
+    if (!first?.$match || !('deletion' in first.$match)) {
+        this.pipeline().unshift({ $match: { deletion: null } });
+    }
+});
+
 export default mongoose.model('Attendance', attendanceSchema); 
\ No newline at end of file
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+// A student's appeal against a late or absent mark, sent with APPEAL over WhatsApp
+const attendanceAppealSchema = new mongoose.Schema({
+    attendance: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Attendance',
+        required: true
+    },
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Student',
+        required: true
+    },
+    // Status of the record when the appeal was made
+    originalStatus: {
+        type: String,
+        required: true
+    },
+    reason: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    status: {
+        type: String,
+        enum: ['open', 'accepted', 'rejected'],
+        default: 'open'
+    },
+    // WhatsApp message the appeal came in
+    messageId: {
+        type: String,
+        default: null
+    },
+    resolution: {
+        by: {
+            type: String,
+            default: null
+        },
+        at: {
+            type: Date,
+            default: null
+        },
+        notes: {
+            type: String,
+            default: null
+        },
+        // Status the record was given when the appeal was accepted
+        newStatus: {
+            type: String,
+            default: null
+        }
+    }
+}, {
+    timestamps: true
+});
+
+// Each mark can be appealed once
+attendanceAppealSchema.index({ attendance: 1 }, { unique: true });
+attendanceAppealSchema.index({ status: 1, createdAt: 1 });
+attendanceAppealSchema.index({ student: 1, createdAt: -1 });
+
+export default mongoose.model('AttendanceAppeal', attendanceAppealSchema);
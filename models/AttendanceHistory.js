@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+
+// Append-only audit trail of attendance records: creation, every status change,
+// deletion and restore, and appeals. Entries are never updated or removed.
+const attendanceHistorySchema = new mongoose.Schema({
+    attendance: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Attendance',
+        required: true,
+        immutable: true
+    },
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Student',
+        required: true,
+        immutable: true
+    },
+    action: {
+        type: String,
+        enum: ['created', 'status_changed', 'deleted', 'restored', 'appeal_submitted', 'appeal_resolved'],
+        required: true,
+        immutable: true
+    },
+    field: {
+        type: String,
+        default: 'status',
+        immutable: true
+    },
+    oldValue: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null,
+        immutable: true
+    },
+    newValue: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null,
+        immutable: true
+    },
+    // Who made the change: 'system', 'student', or the administrator's name
+    actor: {
+        type: String,
+        required: true,
+        immutable: true
+    },
+    reason: {
+        type: String,
+        default: null,
+        immutable: true
+    },
+    at: {
+        type: Date,
+        default: Date.now,
+        immutable: true
+    }
+}, {
+    versionKey: false
+});
+
+attendanceHistorySchema.index({ attendance: 1, at: 1 });
+attendanceHistorySchema.index({ student: 1, at: -1 });
+
+const rejectChange = function (next) {
+    next(new Error('Attendance history entries cannot be changed or removed'));
+};
+
+attendanceHistorySchema.pre('save', function (next) {
+    if (!this.isNew) {
+        return rejectChange(next);
+    }
+    next();
+});
+
+attendanceHistorySchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    rejectChange
+);
+
+// Static method to add entries for attendance records: [{ attendance, action, oldValue, newValue, actor, reason }]
+attendanceHistorySchema.statics.recordMany = function (entries) {
+    if (entries.length === 0) {
+        return Promise.resolve([]);
+    }
+
+    return this.insertMany(entries.map(({ attendance, actor = 'system', ...entry }) => ({
+        ...entry,
+        attendance: attendance._id,
+        student: attendance.student?._id || attendance.student,
+        actor
+    })));
+};
+
+// Static method to get the history of a record, oldest first
+attendanceHistorySchema.statics.getForAttendance = function (attendanceId) {
+    return this.find({ attendance: attendanceId }).sort({ at: 1, _id: 1 });
+};
+
+export default mongoose.model('AttendanceHistory', attendanceHistorySchema);
@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+
+const DAY_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Holidays and closures make a day non-working. Course periods give the days a batch
+// is in session; a batch with course periods has no classes outside them.
+const calendarEventSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['holiday', 'closure', 'course_period'],
+        required: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    startDate: {
+        type: String, // YYYY-MM-DD
+        required: true,
+        match: DAY_KEY_REGEX
+    },
+    endDate: {
+        type: String, // YYYY-MM-DD, inclusive
+        required: true,
+        match: DAY_KEY_REGEX
+    },
+    scope: {
+        type: String,
+        enum: ['global', 'center', 'batch'],
+        default: 'global'
+    },
+    center: {
+        type: mongoose.Schema.Types.ObjectId, // Settings.centers id; optional for batch scope
+        default: null
+    },
+    batch: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    notes: {
+        type: String,
+        default: null
+    },
+    source: {
+        type: String,
+        enum: ['manual', 'csv', 'ical'],
+        default: 'manual'
+    },
+    externalId: {
+        type: String, // iCal UID, so re-importing a feed updates instead of duplicating
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+calendarEventSchema.index({ startDate: 1, endDate: 1 });
+calendarEventSchema.index({ type: 1, batch: 1 });
+calendarEventSchema.index({ externalId: 1 }, { unique: true, partialFilterExpression: { externalId: { $type: 'string' } } });
+
+calendarEventSchema.pre('validate', function (next) {
+    if (this.endDate && this.startDate && this.endDate < this.startDate) {
+        return next(new Error('endDate must not be before startDate'));
+    }
+    if (this.scope === 'center' && !this.center) {
+        return next(new Error('center is required for center scope'));
+    }
+    if (this.scope === 'batch' && !this.batch) {
+        return next(new Error('batch is required for batch scope'));
+    }
+    if (this.type === 'course_period' && this.scope !== 'batch') {
+        return next(new Error('Course periods must have batch scope'));
+    }
+    next();
+});
+
+// Static method to find events overlapping a range of days
+calendarEventSchema.statics.findOverlapping = function (startDay, endDay = startDay, extraFilter = {}) {
+    return this.find({
+        ...extraFilter,
+        startDate: { $lte: endDay },
+        endDate: { $gte: startDay }
+    }).sort({ startDate: 1 });
+};
+
+// Method to check whether the event applies to a center and batch. Center-scoped
+// events only apply when the center is known.
+calendarEventSchema.methods.appliesTo = function (centerId = null, batch = null) {
+    const sameCenter = centerId && this.center && this.center.toString() === centerId.toString();
+
+    if (this.scope === 'global') {
+        return true;
+    }
+    if (this.scope === 'center') {
+        return Boolean(sameCenter);
+    }
+    return this.batch === batch && (!this.center || Boolean(sameCenter));
+};
+
+export default mongoose.model('CalendarEvent', calendarEventSchema);
@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+
+export const OPEN_STATES = ['awaiting_location', 'awaiting_photo', 'awaiting_checkout_location'];
+
+const conversationSessionSchema = new mongoose.Schema({
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Student',
+        required: true
+    },
+    attendance: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Attendance',
+        default: null
+    },
+    state: {
+        type: String,
+        enum: ['awaiting_location', 'awaiting_photo', 'awaiting_checkout_location', 'completed', 'expired'],
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    lastMessageAt: {
+        type: Date,
+        default: Date.now
+    },
+    completedAt: {
+        type: Date,
+        default: null
+    },
+    transitions: [{
+        from: String,
+        to: String,
+        event: String,
+        messageId: String,
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }]
+}, {
+    timestamps: true
+});
+
+conversationSessionSchema.index({ student: 1, state: 1, createdAt: -1 });
+
+// Static method to get the student's open session at the time of a message. Sessions past
+// their timeout are marked expired here and returned separately so the caller can tell the
+// student. Queued messages are processed late, so expiry is checked against the message time.
+conversationSessionSchema.statics.getActive = async function (studentId, at = new Date()) {
+    const session = await this.findOne({
+        student: studentId,
+        state: { $in: OPEN_STATES }
+    }).sort({ createdAt: -1 });
+
+    if (!session) {
+        return { session: null, expiredSession: null };
+    }
+
+    if (session.expiresAt && session.expiresAt < new Date(at)) {
+        session.transitions.push({ from: session.state, to: 'expired', event: 'timeout', at: new Date(at) });
+        session.state = 'expired';
+        await session.save();
+        return { session: null, expiredSession: session };
+    }
+
+    return { session, expiredSession: null };
+};
+
+// Method to move the session to a new state and restart its timeout from the time of the message
+conversationSessionSchema.methods.transition = function (to, event, { timeoutMinutes = null, messageId = null, at = new Date() } = {}) {
+    const time = new Date(at);
+    this.transitions.push({ from: this.state, to, event, messageId, at: time });
+    this.state = to;
+    this.lastMessageAt = time;
+
+    if (OPEN_STATES.includes(to)) {
+        this.expiresAt = timeoutMinutes ? new Date(time.getTime() + timeoutMinutes * 60 * 1000) : null;
+    } else {
+        this.expiresAt = null;
+        if (to === 'completed') {
+            this.completedAt = time;
+        }
+    }
+
+    return this.save();
+};
+
+conversationSessionSchema.methods.isOpen = function () {
+    return OPEN_STATES.includes(this.state);
+};
+
+export default mongoose.model('ConversationSession', conversationSessionSchema);
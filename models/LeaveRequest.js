@@ -0,0 +1,128 @@
+import mongoose from 'mongoose';
+import { timeService } from '../services/time.js';
+
+const DAY_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Longest leave a single request can cover, in days
+export const MAX_LEAVE_DAYS = 31;
+
+// Supporting documents can be photos or PDFs, e.g. a medical certificate
+const DOCUMENT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'application/pdf'];
+
+// Planned absence a student asked for with LEAVE over WhatsApp, or an absence an
+// administrator recorded. Approved requests write on_leave attendance records.
+const leaveRequestSchema = new mongoose.Schema({
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Student',
+        required: true
+    },
+    startDate: {
+        type: String, // YYYY-MM-DD
+        required: true,
+        match: DAY_KEY_REGEX
+    },
+    endDate: {
+        type: String, // YYYY-MM-DD, inclusive
+        required: true,
+        match: DAY_KEY_REGEX
+    },
+    reason: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected', 'cancelled'],
+        default: 'pending'
+    },
+    source: {
+        type: String,
+        enum: ['whatsapp', 'admin'],
+        default: 'whatsapp'
+    },
+    // WhatsApp message the request came in
+    messageId: {
+        type: String,
+        default: null
+    },
+    // Supporting document, e.g. a medical certificate, stored by imageService
+    document: {
+        type: {
+            url: String,
+            mimeType: String,
+            filename: String,
+            uploadedAt: Date
+        },
+        default: null
+    },
+    review: {
+        by: {
+            type: String,
+            default: null
+        },
+        at: {
+            type: Date,
+            default: null
+        },
+        notes: {
+            type: String,
+            default: null
+        }
+    },
+    // on_leave records written when the request was approved
+    attendanceRecords: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+leaveRequestSchema.index({ student: 1, startDate: 1 });
+leaveRequestSchema.index({ status: 1, createdAt: -1 });
+leaveRequestSchema.index({ status: 1, startDate: 1, endDate: 1 });
+
+leaveRequestSchema.pre('validate', function (next) {
+    if (this.endDate && this.startDate && this.endDate < this.startDate) {
+        return next(new Error('endDate must not be before startDate'));
+    }
+    next();
+});
+
+// Method to check whether the request can move to a status: pending requests are
+// approved or rejected, and pending or approved ones can be cancelled
+leaveRequestSchema.methods.canTransitionTo = function (status) {
+    const transitions = {
+        pending: ['approved', 'rejected', 'cancelled'],
+        approved: ['cancelled']
+    };
+    return (transitions[this.status] || []).includes(status);
+};
+
+// Method to list the days the request covers
+leaveRequestSchema.methods.getDays = function () {
+    const days = [];
+    for (let day = this.startDate; day <= this.endDate; day = timeService.addDays(day, 1)) {
+        days.push(day);
+    }
+    return days;
+};
+
+// Static method to check whether a file type can be attached as a supporting document
+leaveRequestSchema.statics.isDocumentType = function (mimeType) {
+    return DOCUMENT_TYPES.includes((mimeType || '').split(';')[0].trim().toLowerCase());
+};
+
+// Static method to find a student's open (pending or approved) requests overlapping a range of days
+leaveRequestSchema.statics.findOverlapping = function (studentId, startDay, endDay = startDay) {
+    return this.find({
+        student: studentId,
+        status: { $in: ['pending', 'approved'] },
+        startDate: { $lte: endDay },
+        endDate: { $gte: startDay }
+    }).sort({ startDate: 1 });
+};
+
+export default mongoose.model('LeaveRequest', leaveRequestSchema);
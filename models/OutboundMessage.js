@@ -0,0 +1,326 @@
+import mongoose from 'mongoose';
+
+// Order in which delivery statuses normally arrive. Receipts can arrive out of order,
+// so a status only moves forward; failures are always recorded.
+const STATUS_ORDER = ['queued', 'sending', 'sent', 'delivered', 'read'];
+
+const errorSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        default: null
+    },
+    title: {
+        type: String,
+        default: null
+    },
+    message: {
+        type: String,
+        default: null
+    }
+}, { _id: false });
+
+const outboundMessageSchema = new mongoose.Schema({
+    // Null when the recipient is not a registered student
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Student',
+        default: null
+    },
+    recipient: {
+        type: String,
+        required: true
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    providerMessageId: {
+        type: String,
+        default: null
+    },
+    messageType: {
+        type: String,
+        enum: ['text', 'image', 'template', 'interactive'],
+        required: true
+    },
+    template: {
+        name: {
+            type: String,
+            default: null
+        },
+        language: {
+            type: String,
+            default: null
+        },
+        variables: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null
+        }
+    },
+    // Text as the student sees it: the message text, image caption, interactive body or template name
+    body: {
+        type: String,
+        default: ''
+    },
+    mediaUrl: {
+        type: String,
+        default: null
+    },
+    // Provider-neutral message (see services/whatsappProviders/index.js), kept for retries
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    // What triggered the send, e.g. reminder or reply
+    purpose: {
+        type: String,
+        default: 'reply'
+    },
+    // Scheduled task run that queued the message (TaskRun key), so a retried run can
+    // leave out the recipients it already queued a message for
+    runKey: {
+        type: String,
+        default: null
+    },
+    // queued and sending are the dispatcher's queue states; failed is permanent
+    status: {
+        type: String,
+        enum: ['queued', 'sending', 'sent', 'delivered', 'read', 'failed'],
+        default: 'queued'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 5
+    },
+    nextRunAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedAt: {
+        type: Date,
+        default: null
+    },
+    lockedBy: {
+        type: String,
+        default: null
+    },
+    // Time of the last call to the provider; rate limits are counted on it
+    lastAttemptAt: {
+        type: Date,
+        default: null
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    statusHistory: [{
+        _id: false,
+        status: String,
+        at: {
+            type: Date,
+            default: Date.now
+        },
+        deliveryErrors: [errorSchema]
+    }],
+    deliveryErrors: [errorSchema],
+    sentAt: {
+        type: Date,
+        default: null
+    },
+    deliveredAt: {
+        type: Date,
+        default: null
+    },
+    readAt: {
+        type: Date,
+        default: null
+    },
+    failedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+outboundMessageSchema.index({ providerMessageId: 1 });
+outboundMessageSchema.index({ status: 1, nextRunAt: 1 });
+outboundMessageSchema.index({ lastAttemptAt: 1 });
+outboundMessageSchema.index({ recipient: 1, lastAttemptAt: -1 });
+outboundMessageSchema.index({ student: 1, createdAt: -1 });
+outboundMessageSchema.index({ recipient: 1, createdAt: -1 });
+outboundMessageSchema.index({ status: 1, createdAt: -1 });
+outboundMessageSchema.index({ runKey: 1, student: 1 }, { partialFilterExpression: { runKey: { $type: 'string' } } });
+
+const toErrors = (errors = []) => errors.map(error => ({
+    code: error.code !== undefined && error.code !== null ? String(error.code) : null,
+    title: error.title || null,
+    message: error.message || error.error_data?.details || null
+}));
+
+// Static method to queue a message for the dispatcher
+outboundMessageSchema.statics.enqueue = function ({ student = null, recipient, provider, message, purpose = 'reply', runKey = null, maxAttempts }) {
+    return this.create({
+        student,
+        recipient,
+        provider,
+        messageType: message.type,
+        template: message.type === 'template'
+            ? { name: message.name, language: message.language || null, variables: message.variables || null }
+            : undefined,
+        body: message.text || message.caption || message.body || (message.type === 'template' ? message.name : ''),
+        mediaUrl: message.url || null,
+        payload: message,
+        purpose,
+        runKey,
+        maxAttempts,
+        statusHistory: [{ status: 'queued' }]
+    });
+};
+
+// Static method to find the latest interactive message sent to a student since a point in time by one of the given providers
+outboundMessageSchema.statics.findLatestInteractive = function (studentId, since, providers) {
+    return this.findOne({
+        student: studentId,
+        messageType: 'interactive',
+        provider: { $in: providers },
+        createdAt: { $gte: since }
+    }).sort({ createdAt: -1 });
+};
+
+// Static method to atomically lock the next due message. Messages left in sending
+// by a crashed dispatcher are picked up again once their lock has timed out.
+outboundMessageSchema.statics.claimNext = function (workerId, lockTimeoutMs = 5 * 60 * 1000) {
+    const now = new Date();
+    return this.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'queued', nextRunAt: { $lte: now } },
+                { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - lockTimeoutMs) } }
+            ]
+        },
+        { $set: { status: 'sending', lockedAt: now, lockedBy: workerId } },
+        { new: true, sort: { nextRunAt: 1, createdAt: 1 } }
+    );
+};
+
+// Static method to count provider calls since a point in time, optionally to one number
+outboundMessageSchema.statics.countAttemptsSince = function (since, recipient = null) {
+    const filter = { lastAttemptAt: { $gte: since } };
+    if (recipient) filter.recipient = recipient;
+    return this.countDocuments(filter);
+};
+
+// Method to record a call to the provider before it is made
+outboundMessageSchema.methods.markAttempt = function () {
+    this.attempts += 1;
+    this.lastAttemptAt = new Date();
+    return this.save();
+};
+
+// Method to record the provider's acceptance of the message
+outboundMessageSchema.methods.markSent = function (providerMessageId) {
+    const now = new Date();
+    this.providerMessageId = providerMessageId || null;
+    this.status = 'sent';
+    this.sentAt = now;
+    this.lockedAt = null;
+    this.lockedBy = null;
+    this.lastError = null;
+    this.statusHistory.push({ status: 'sent', at: now });
+    return this.save();
+};
+
+// Method to put the message back on the queue without counting an attempt (rate limited)
+outboundMessageSchema.methods.defer = function (until) {
+    this.status = 'queued';
+    this.nextRunAt = until;
+    this.lockedAt = null;
+    this.lockedBy = null;
+    return this.save();
+};
+
+const describeError = (error) => {
+    const providerError = error.response?.data?.error || error.response?.data;
+    return toErrors([{
+        code: providerError?.code || error.response?.status || error.code,
+        title: providerError?.type || providerError?.title || null,
+        message: providerError?.message || error.message
+    }]);
+};
+
+// Method to record a failed attempt. Retryable failures go back on the queue after
+// delayMs until attempts run out; anything else fails the message for good.
+outboundMessageSchema.methods.markFailed = function (error, { retryable = false, delayMs = 0 } = {}) {
+    const now = new Date();
+    const errors = describeError(error);
+
+    this.deliveryErrors.push(...errors);
+    this.lastError = error.message;
+    this.lockedAt = null;
+    this.lockedBy = null;
+
+    if (retryable && this.attempts < this.maxAttempts) {
+        this.status = 'queued';
+        this.nextRunAt = new Date(now.getTime() + delayMs);
+        this.statusHistory.push({ status: 'retrying', at: now, deliveryErrors: errors });
+    } else {
+        this.status = 'failed';
+        this.failedAt = now;
+        this.statusHistory.push({ status: 'failed', at: now, deliveryErrors: errors });
+    }
+
+    return this.save();
+};
+
+// Method to put a failed message back on the queue with a fresh set of attempts
+outboundMessageSchema.methods.retry = function () {
+    this.status = 'queued';
+    this.attempts = 0;
+    this.nextRunAt = new Date();
+    this.failedAt = null;
+    this.lockedAt = null;
+    this.lockedBy = null;
+    this.statusHistory.push({ status: 'queued', at: new Date() });
+    return this.save();
+};
+
+// Static method to apply a delivery receipt from a status webhook. Returns null for
+// messages not sent through WhatsAppService (e.g. from the provider's dashboard).
+outboundMessageSchema.statics.recordStatus = async function ({ messageId, status, timestamp, errors = [] }) {
+    const message = await this.findOne({ providerMessageId: messageId });
+    if (!message) {
+        return null;
+    }
+
+    const at = timestamp ? new Date(timestamp) : new Date();
+    const statusErrors = toErrors(errors);
+    message.statusHistory.push({ status, at, deliveryErrors: statusErrors });
+
+    if (status === 'failed' || status === 'undelivered') {
+        message.status = 'failed';
+        message.failedAt = at;
+        message.deliveryErrors.push(...statusErrors);
+    } else if (STATUS_ORDER.includes(status)
+        && message.status !== 'failed'
+        && STATUS_ORDER.indexOf(status) > STATUS_ORDER.indexOf(message.status)) {
+        message.status = status;
+    }
+
+    if (status === 'delivered' && !message.deliveredAt) {
+        message.deliveredAt = at;
+    }
+    if (status === 'read') {
+        message.readAt = message.readAt || at;
+        // A read receipt implies delivery, even if that receipt never arrived
+        message.deliveredAt = message.deliveredAt || at;
+    }
+
+    return message.save();
+};
+
+export default mongoose.model('OutboundMessage', outboundMessageSchema);
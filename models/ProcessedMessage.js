@@ -0,0 +1,152 @@
+import mongoose from 'mongoose';
+import { configService } from '../services/config.js';
+
+const processedMessageSchema = new mongoose.Schema({
+    messageId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    from: {
+        type: String,
+        default: null
+    },
+    messageType: {
+        type: String,
+        default: null
+    },
+    // Webhook job whose attempt is processing the message
+    jobId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    status: {
+        type: String,
+        enum: ['processing', 'completed', 'failed'],
+        default: 'processing'
+    },
+    outcome: {
+        type: String,
+        default: null
+    },
+    attendance: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Attendance',
+        default: null
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    attempts: {
+        type: Number,
+        default: 1
+    },
+    duplicateDeliveries: {
+        type: Number,
+        default: 0
+    },
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    completedAt: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Entries are removed by MongoDB once expiresAt has passed
+processedMessageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+processedMessageSchema.index({ from: 1, createdAt: -1 });
+
+const getExpiryDate = () => {
+    const ttlHours = parseInt(process.env.WEBHOOK_DEDUP_TTL_HOURS || '72');
+    return new Date(Date.now() + ttlHours * 60 * 60 * 1000);
+};
+
+// Static method to claim a message for processing. The unique index on messageId
+// makes this safe when the same message is delivered concurrently.
+// details.jobId is the webhook job processing it: a job re-claimed after its worker crashed
+// takes its own entry back, whatever the stale window.
+processedMessageSchema.statics.claim = async function (messageId, details = {}) {
+    const expiresAt = getExpiryDate();
+
+    try {
+        const entry = await this.create({ messageId, ...details, expiresAt });
+        return { claimed: true, entry };
+    } catch (error) {
+        if (error.code !== 11000) {
+            throw error;
+        }
+    }
+
+    // Failed attempts, and attempts stuck in processing after a crash, may be retried.
+    // The stale window is the job lock timeout, after which a crashed job is re-claimed.
+    const staleBefore = new Date(Date.now() - configService.webhookWorker().lockTimeout);
+    const retryable = [
+        { status: 'failed' },
+        { status: 'processing', startedAt: { $lt: staleBefore } }
+    ];
+    if (details.jobId) {
+        retryable.push({ status: 'processing', jobId: details.jobId });
+    }
+
+    const retried = await this.findOneAndUpdate(
+        { messageId, $or: retryable },
+        {
+            $set: { status: 'processing', jobId: details.jobId || null, error: null, startedAt: new Date(), expiresAt },
+            $inc: { attempts: 1 }
+        },
+        { new: true }
+    );
+
+    if (retried) {
+        return { claimed: true, entry: retried };
+    }
+
+    const existing = await this.findOneAndUpdate(
+        { messageId },
+        { $inc: { duplicateDeliveries: 1 } },
+        { new: true }
+    );
+
+    return { claimed: false, entry: existing };
+};
+
+// Static method to record the outcome of a processed message
+processedMessageSchema.statics.markCompleted = function (messageId, outcome, attendanceId = null) {
+    return this.updateOne(
+        { messageId },
+        {
+            $set: {
+                status: 'completed',
+                outcome,
+                attendance: attendanceId,
+                completedAt: new Date()
+            }
+        }
+    );
+};
+
+// Static method to record a processing failure so a redelivery can retry it
+processedMessageSchema.statics.markFailed = function (messageId, error) {
+    return this.updateOne(
+        { messageId },
+        {
+            $set: {
+                status: 'failed',
+                error: error?.message || String(error),
+                completedAt: new Date()
+            }
+        }
+    );
+};
+
+export default mongoose.model('ProcessedMessage', processedMessageSchema);
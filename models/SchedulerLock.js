@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// Lease held by the instance allowed to run scheduled tasks. The owner renews it on
+// every tick; once it expires another instance may take over.
+const schedulerLockSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    owner: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Static method to take or renew the lease. Returns true when the caller holds it.
+schedulerLockSchema.statics.acquire = async function (name, owner, leaseMs) {
+    const now = new Date();
+
+    try {
+        const lock = await this.findOneAndUpdate(
+            { name, $or: [{ owner }, { expiresAt: { $lt: now } }] },
+            { $set: { owner, expiresAt: new Date(now.getTime() + leaseMs) } },
+            { upsert: true, new: true }
+        );
+        return lock.owner === owner;
+    } catch (error) {
+        // Another instance holds a live lease, so the upsert hit the unique name
+        if (error.code === 11000) {
+            return false;
+        }
+        throw error;
+    }
+};
+
+// Static method to give up the lease so another instance can take over straight away
+schedulerLockSchema.statics.release = function (name, owner) {
+    return this.deleteOne({ name, owner });
+};
+
+export default mongoose.model('SchedulerLock', schedulerLockSchema);
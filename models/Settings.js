@@ -1,7 +1,31 @@
 import mongoose from 'mongoose';
 
+// GeoJSON boundary of a center; positions are [longitude, latitude]
+const geofenceSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['Polygon', 'MultiPolygon'],
+        required: true
+    },
+    coordinates: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    bufferDistance: {
+        type: Number,
+        default: 0 // meters outside the polygon still accepted
+    }
+}, { _id: false });
+
 const settingsSchema = new mongoose.Schema({
     whatsappApi: {
+        // Adapter in services/whatsappProviders used to send and receive messages
+        provider: {
+            type: String,
+            enum: ['wabe', 'meta', 'twilio'],
+            default: 'wabe'
+        },
+        // wabe gateway credentials
         apiKey: {
             type: String,
             required: false,
@@ -15,6 +39,61 @@ const settingsSchema = new mongoose.Schema({
         isActive: {
             type: Boolean,
             default: false
+        },
+        meta: {
+            phoneNumberId: {
+                type: String,
+                default: ''
+            },
+            accessToken: {
+                type: String,
+                default: ''
+            },
+            appSecret: {
+                type: String,
+                default: '' // signs webhook deliveries
+            },
+            apiVersion: {
+                type: String,
+                default: 'v19.0'
+            }
+        },
+        twilio: {
+            accountSid: {
+                type: String,
+                default: ''
+            },
+            authToken: {
+                type: String,
+                default: ''
+            },
+            fromNumber: {
+                type: String,
+                default: '' // WhatsApp sender, e.g. 14155238886
+            },
+            webhookUrl: {
+                type: String,
+                default: '' // public webhook URL, used to check Twilio signatures behind a proxy
+            }
+        },
+        // Outbound queue limits (services/outboundDispatcher.js)
+        dispatch: {
+            globalPerSecond: {
+                type: Number,
+                default: 20
+            },
+            perNumberLimit: {
+                type: Number,
+                default: 5 // messages to one number within perNumberWindowSeconds
+            },
+            perNumberWindowSeconds: {
+                type: Number,
+                default: 10
+            },
+            maxAttempts: {
+                type: Number,
+                default: 5
+            }
         }
     },
     centers: [{
@@ -40,10 +119,18 @@ const settingsSchema = new mongoose.Schema({
             type: Number,
             default: 2000 // meters (2km)
         },
+        geofence: {
+            type: geofenceSchema,
+            default: null // when set, used instead of radius
+        },
         isActive: {
             type: Boolean,
             default: true
         },
+        timezone: {
+            type: String,
+            default: null // falls back to system.timezone
+        },
         contactInfo: {
             phone: String,
             email: String,
@@ -87,6 +174,10 @@ const settingsSchema = new mongoose.Schema({
             type: Number,
             default: 15 // minutes
         },
+        earlyLeaveThreshold: {
+            type: Number,
+            default: 15 // minutes before slot end
+        },
         autoVerification: {
             enabled: {
                 type: Boolean,
@@ -114,6 +205,88 @@ const settingsSchema = new mongoose.Schema({
                 type: String,
                 default: '08:30'
             }
+        },
+        absentMarking: {
+            enabled: {
+                type: Boolean,
+                default: true
+            }
+        },
+        fraudDetection: {
+            enabled: {
+                type: Boolean,
+                default: true
+            },
+            highRiskScore: {
+                type: Number,
+                default: 60 // check-ins at or above this wait for an administrator
+            },
+            mediumRiskScore: {
+                type: Number,
+                default: 30
+            },
+            maxTravelSpeedKmh: {
+                type: Number,
+                default: 120 // faster moves between check-ins count as impossible travel
+            },
+            sharedLocationDays: {
+                type: Number,
+                default: 30 // days to look back for other students at the same coordinates
+            },
+            minAccuracy: {
+                type: Number,
+                default: 1 // meters
+            },
+            maxAccuracy: {
+                type: Number,
+                default: 500 // meters
+            },
+            duplicatePhotoDistance: {
+                type: Number,
+                min: 0,
+                max: 7, // the hash band lookup finds every photo up to 7 bits apart
+                default: 6 // differing bits of 64 for two photos to count as the same
+            },
+            photoLookbackDays: {
+                type: Number,
+                default: 90 // days of photos compared for near copies
+            },
+            maxPhotoAgeMinutes: {
+                type: Number,
+                default: 30 // EXIF capture time allowed before the message
+            }
+        },
+        faceRecognition: {
+            enabled: {
+                type: Boolean,
+                default: true // only applies to students with reference photos
+            },
+            matchThreshold: {
+                type: Number,
+                default: 0.5 // similarity (0-1) below which a photo goes to manual review
+            },
+            maxReferences: {
+                type: Number,
+                default: 5 // reference photos kept per student
+            }
+        },
+        weeklyOffDays: {
+            type: [Number], // 0 = Sunday ... 6 = Saturday; holidays live in CalendarEvent
+            default: []
+        },
+        conversation: {
+            locationTimeout: {
+                type: Number,
+                default: 30 // minutes to share a location after a photo
+            },
+            photoTimeout: {
+                type: Number,
+                default: 30 // minutes to send a photo after a location
+            },
+            checkoutTimeout: {
+                type: Number,
+                default: 15 // minutes to share a location after asking to check out
+            }
         }
     },
     system: {
@@ -129,6 +302,7 @@ const settingsSchema = new mongoose.Schema({
             type: String,
             default: '24h'
         },
+        // Default language for students who have not picked one
         language: {
             type: String,
             default: 'en'
@@ -142,6 +316,13 @@ const settingsSchema = new mongoose.Schema({
             default: ['image/jpeg', 'image/png', 'image/jpg']
         }
     },
+    // Message and template translations by language code, e.g. { hi: { help: '...' } }.
+    // These override the catalogues in services/locales.
+    translations: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    // Rendered by services/template.js; TEMPLATE_CATALOGUE lists the variables of each
     templates: {
         welcomeMessage: {
             type: String,
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
-import geolib from 'geolib';
+import { geoService } from '../services/geo.js';
+import { timeService } from '../services/time.js';
 
 const studentSchema = new mongoose.Schema({
     name: {
@@ -32,6 +33,50 @@ const studentSchema = new mongoose.Schema({
         type: String,
         trim: true
     },
+    // Settings.centers ids the student may check in at. Empty means any active center.
+    centers: [{
+        type: mongoose.Schema.Types.ObjectId
+    }],
+    // Sessions the student is expected to attend. Empty means once a day, in any session.
+    sessions: [{
+        type: String,
+        enum: ['morning', 'afternoon', 'evening']
+    }],
+    // Reference photos for matching attendance photos. Descriptors are only loaded on request.
+    faceProfile: {
+        references: [{
+            url: String,
+            descriptor: {
+                type: [Number],
+                select: false
+            },
+            enrolledAt: {
+                type: Date,
+                default: Date.now
+            }
+        }],
+        enrolledAt: {
+            type: Date,
+            default: null
+        }
+    },
+    // Preferred language for WhatsApp messages; null uses Settings.system.language
+    language: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        default: null
+    },
+    // Set once the welcome message with its buttons has been sent
+    welcomedAt: {
+        type: Date,
+        default: null
+    },
+    // Set when the student sends STOP; reminders are not sent until they send START
+    optedOutAt: {
+        type: Date,
+        default: null
+    },
     isActive: {
         type: Boolean,
         default: true
@@ -64,13 +109,26 @@ studentSchema.index({ phone: 1 });
 studentSchema.index({ studentId: 1 });
 studentSchema.index({ email: 1 });
 studentSchema.index({ course: 1, batch: 1 });
+studentSchema.index({ centers: 1 });
 
 // Virtual for full name display
 studentSchema.virtual('displayName').get(function () {
     return `${this.name} (${this.studentId})`;
 });
 
-// Method to check if student is within any center's radius
+// Static method to find a student by a WhatsApp number. Numbers arrive with a
+// country code, so the last 10 digits are also matched against stored numbers.
+studentSchema.statics.findByPhone = function (phone) {
+    const last10Digits = phone.replace(/\D/g, '').slice(-10);
+    return this.findOne({
+        $or: [
+            { phone },
+            { phone: { $regex: `${last10Digits}$` } }
+        ]
+    });
+};
+
+// Method to check if student is within any center's radius, or its geofence when it has one
 studentSchema.methods.isWithinAnyCenterRadius = function (latitude, longitude, centers) {
     try {
         let closestCenter = null;
@@ -83,17 +141,14 @@ studentSchema.methods.isWithinAnyCenterRadius = function (latitude, longitude, c
                 continue;
             }
 
-            const distance = geolib.getDistance(
-                { latitude: latitude, longitude: longitude },
-                { latitude: center.coordinates.latitude, longitude: center.coordinates.longitude }
-            );
+            const { isWithin, distance } = geoService.checkCenter({ latitude, longitude }, center);
 
             if (distance < minDistance) {
                 minDistance = distance;
                 closestCenter = center;
             }
 
-            if (distance <= center.radius) {
+            if (isWithin) {
                 isWithinAnyRadius = true;
                 // Return the first center found within radius
                 return {
@@ -120,7 +175,9 @@ studentSchema.methods.isWithinAnyCenterRadius = function (latitude, longitude, c
 };
 
 // Method to get current time slot for a center
-studentSchema.methods.getCurrentTimeSlot = function (center, date = new Date()) {
+// Times are compared in the given timezone (see timeService.resolveTimezone), not the server's
+studentSchema.methods.getCurrentTimeSlot = function (center, date, timeZone) {
+    timeService.requireTimezone(timeZone);
     try {
         if (!center || !center.timeSlots) {
             return {
@@ -131,7 +188,7 @@ studentSchema.methods.getCurrentTimeSlot = function (center, date = new Date())
             };
         }
 
-        const timeString = date.toTimeString().slice(0, 5); // HH:MM format
+        const timeString = timeService.toTimeString(date, timeZone); // HH:MM format
 
         // Check each time slot
         for (const [slotName, times] of Object.entries(center.timeSlots)) {
@@ -165,16 +222,40 @@ studentSchema.methods.getCurrentTimeSlot = function (center, date = new Date())
     }
 };
 
+// Method to get every time slot of a center open at a time. Slots may overlap, e.g. a
+// morning session running late into the afternoon one. Only the student's sessions count
+// when they have any.
+studentSchema.methods.getOpenTimeSlots = function (center, date, timeZone) {
+    timeService.requireTimezone(timeZone);
+    if (!center || !center.timeSlots) {
+        return [];
+    }
+
+    const timeString = timeService.toTimeString(date, timeZone);
+    const open = [];
+
+    for (const slot of ['morning', 'afternoon', 'evening']) {
+        const times = center.timeSlots[slot];
+        if (times?.start && times?.end && timeString >= times.start && timeString <= times.end
+            && (!this.sessions?.length || this.sessions.includes(slot))) {
+            open.push({ slot, startTime: times.start, endTime: times.end });
+        }
+    }
+
+    return open;
+};
+
 // Method to check if attendance is late
-studentSchema.methods.isAttendanceLate = function (center, date = new Date(), lateThreshold = 15) {
+studentSchema.methods.isAttendanceLate = function (center, date, lateThreshold = 15, timeZone) {
+    const zone = timeService.requireTimezone(timeZone);
     try {
         if (!center || !center.timeSlots) {
             // Fallback to simple time check if no center provided
-            const attendanceTime = date.toTimeString().slice(0, 5); // HH:MM
+            const attendanceTime = timeService.toTimeString(date, zone); // HH:MM
             return attendanceTime > '09:00'; // Default fallback
         }
 
-        const timeString = date.toTimeString().slice(0, 5); // HH:MM format
+        const timeString = timeService.toTimeString(date, zone); // HH:MM format
 
         // Find which time slot this attendance falls into
         for (const [slotName, times] of Object.entries(center.timeSlots)) {
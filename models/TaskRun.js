@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+
+const taskRunSchema = new mongoose.Schema({
+    // Identifies one scheduled occurrence (e.g. absent:2024-01-15:<centerId>:morning).
+    // Manual runs have no key so they can be repeated.
+    key: {
+        type: String,
+        default: undefined
+    },
+    task: {
+        type: String,
+        required: true
+    },
+    trigger: {
+        type: String,
+        enum: ['scheduled', 'manual'],
+        default: 'scheduled'
+    },
+    status: {
+        type: String,
+        enum: ['running', 'completed', 'skipped', 'failed'],
+        default: 'running'
+    },
+    params: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    result: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    attempts: {
+        type: Number,
+        default: 1
+    },
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    finishedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true,
+    minimize: false
+});
+
+taskRunSchema.index({ key: 1 }, { unique: true, partialFilterExpression: { key: { $type: 'string' } } });
+taskRunSchema.index({ task: 1, startedAt: -1 });
+
+const STALE_RUN_MS = 10 * 60 * 1000;
+
+// Static method to claim a scheduled occurrence. Returns null when it has already
+// run, or is running elsewhere. Failed runs and runs left behind by a crash are retried.
+taskRunSchema.statics.claim = async function (key, task, params = {}) {
+    try {
+        return await this.create({ key, task, params, trigger: 'scheduled' });
+    } catch (error) {
+        if (error.code !== 11000) {
+            throw error;
+        }
+    }
+
+    return this.findOneAndUpdate(
+        {
+            key,
+            $or: [
+                { status: 'failed' },
+                { status: 'running', startedAt: { $lt: new Date(Date.now() - STALE_RUN_MS) } }
+            ]
+        },
+        {
+            $set: { status: 'running', error: null, startedAt: new Date(), finishedAt: null },
+            $inc: { attempts: 1 }
+        },
+        { new: true }
+    );
+};
+
+// Static method to start a manual run
+taskRunSchema.statics.startManual = function (task, params = {}) {
+    return this.create({ task, params, trigger: 'manual' });
+};
+
+// Method to record a finished run
+taskRunSchema.methods.finish = function (result = null, status = 'completed') {
+    this.status = status;
+    this.result = result;
+    this.finishedAt = new Date();
+    return this.save();
+};
+
+// Method to record a failed run so the scheduler can retry it
+taskRunSchema.methods.fail = function (error) {
+    this.status = 'failed';
+    this.error = error?.message || String(error);
+    this.finishedAt = new Date();
+    return this.save();
+};
+
+export default mongoose.model('TaskRun', taskRunSchema);
@@ -0,0 +1,152 @@
+import mongoose from 'mongoose';
+
+const webhookJobSchema = new mongoose.Schema({
+    source: {
+        type: String,
+        default: 'whatsapp'
+    },
+    // WhatsApp provider adapter that received the payload
+    provider: {
+        type: String,
+        default: 'wabe'
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'processing', 'completed', 'dead'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: () => parseInt(process.env.WEBHOOK_JOB_MAX_ATTEMPTS || '5')
+    },
+    receivedAt: {
+        type: Date,
+        default: Date.now
+    },
+    nextRunAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedAt: {
+        type: Date,
+        default: null
+    },
+    lockedBy: {
+        type: String,
+        default: null
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    errorHistory: [{
+        attempt: Number,
+        message: String,
+        occurredAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    completedAt: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true,
+    minimize: false
+});
+
+webhookJobSchema.index({ status: 1, nextRunAt: 1 });
+webhookJobSchema.index({ status: 1, lockedAt: 1 });
+// Completed jobs are removed by MongoDB once expiresAt has passed
+webhookJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+const COMPLETED_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Static method to persist a raw webhook payload for later processing
+webhookJobSchema.statics.enqueue = function (payload, source = 'whatsapp', provider = 'wabe') {
+    return this.create({ payload, source, provider });
+};
+
+// Static method to atomically lock the next due job. Jobs left in processing
+// by a crashed worker are picked up again once their lock has timed out.
+webhookJobSchema.statics.claimNext = function (workerId, lockTimeoutMs = 5 * 60 * 1000) {
+    const now = new Date();
+    return this.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'pending', nextRunAt: { $lte: now } },
+                { status: 'processing', lockedAt: { $lt: new Date(now.getTime() - lockTimeoutMs) } }
+            ]
+        },
+        {
+            $set: { status: 'processing', lockedAt: now, lockedBy: workerId },
+            $inc: { attempts: 1 }
+        },
+        { new: true, sort: { nextRunAt: 1 } }
+    );
+};
+
+// Method to mark the job as successfully processed
+webhookJobSchema.methods.markCompleted = function () {
+    this.status = 'completed';
+    this.completedAt = new Date();
+    this.expiresAt = new Date(Date.now() + COMPLETED_RETENTION_MS);
+    this.lockedAt = null;
+    this.lockedBy = null;
+    this.lastError = null;
+    return this.save();
+};
+
+// Method to record a failure and schedule a retry with exponential backoff,
+// or move the job to the dead-letter state once attempts are exhausted
+webhookJobSchema.methods.markFailed = function (error) {
+    const message = error?.message || String(error);
+
+    this.lastError = message;
+    this.errorHistory.push({ attempt: this.attempts, message });
+    this.lockedAt = null;
+    this.lockedBy = null;
+
+    if (this.attempts >= this.maxAttempts) {
+        this.status = 'dead';
+    } else {
+        const delay = Math.min(BACKOFF_BASE_MS * Math.pow(2, this.attempts - 1), BACKOFF_MAX_MS);
+        this.status = 'pending';
+        this.nextRunAt = new Date(Date.now() + delay);
+    }
+
+    return this.save();
+};
+
+// Method to put a job back on the queue with a fresh set of attempts
+webhookJobSchema.methods.replay = function () {
+    this.status = 'pending';
+    this.attempts = 0;
+    this.nextRunAt = new Date();
+    this.lockedAt = null;
+    this.lockedBy = null;
+    this.completedAt = null;
+    this.expiresAt = null;
+    return this.save();
+};
+
+webhookJobSchema.methods.isFinalAttempt = function () {
+    return this.attempts >= this.maxAttempts;
+};
+
+export default mongoose.model('WebhookJob', webhookJobSchema);
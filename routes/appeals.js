@@ -0,0 +1,19 @@
+import express from 'express';
+import {
+    getAppeals,
+    getAppealById,
+    resolveAppeal
+} from '../controllers/appealsController.js';
+
+const router = express.Router();
+
+// GET /api/appeals - Get the appeals queue
+router.get('/', getAppeals);
+
+// GET /api/appeals/:id - Get an appeal with the record's history
+router.get('/:id', getAppealById);
+
+// PUT /api/appeals/:id/resolve - Accept or reject an appeal
+router.put('/:id/resolve', resolveAppeal);
+
+export default router;
@@ -3,8 +3,16 @@ import {
     getAttendanceRecords,
     getTodayAttendance,
     getAttendanceStats,
+    getDailyReport,
+    getFlaggedAttendance,
+    getReviewQueue,
+    bulkReviewAttendance,
     verifyAttendance,
-    deleteAttendance
+    reviewFaceMatch,
+    deleteAttendance,
+    restoreAttendance,
+    getAttendanceHistory,
+    markAbsent
 } from '../controllers/attendanceController.js';
 
 const router = express.Router();
@@ -18,10 +26,34 @@ router.get('/today', getTodayAttendance);
 // GET /api/attendance/stats - Get attendance statistics
 router.get('/stats', getAttendanceStats);
 
+// GET /api/attendance/daily-report - Get per-student daily status across sessions
+router.get('/daily-report', getDailyReport);
+
+// GET /api/attendance/flagged - Get check-ins flagged for review
+router.get('/flagged', getFlaggedAttendance);
+
+// GET /api/attendance/review - Get pending and flagged records with review evidence
+router.get('/review', getReviewQueue);
+
+// POST /api/attendance/review/bulk - Verify or reject many records at once
+router.post('/review/bulk', bulkReviewAttendance);
+
+// POST /api/attendance/mark-absent - Re-run absent marking for a past date
+router.post('/mark-absent', markAbsent);
+
 // PUT /api/attendance/:id/verify - Manually verify attendance
 router.put('/:id/verify', verifyAttendance);
 
-// DELETE /api/attendance/:id - Delete attendance record
+// PUT /api/attendance/:id/face-review - Override the face match decision
+router.put('/:id/face-review', reviewFaceMatch);
+
+// GET /api/attendance/:id/history - Get the audit history of a record
+router.get('/:id/history', getAttendanceHistory);
+
+// DELETE /api/attendance/:id - Soft delete attendance record
 router.delete('/:id', deleteAttendance);
 
+// POST /api/attendance/:id/restore - Restore a deleted attendance record
+router.post('/:id/restore', restoreAttendance);
+
 export default router; 
\ No newline at end of file
@@ -0,0 +1,38 @@
+import express from 'express';
+import multer from 'multer';
+import {
+    getCalendarEvents,
+    createCalendarEvent,
+    updateCalendarEvent,
+    deleteCalendarEvent,
+    importCalendarEvents,
+    getWorkingDay
+} from '../controllers/calendarController.js';
+
+const router = express.Router();
+
+// Calendar files are small, so they are parsed from memory
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 2 * 1024 * 1024 }
+});
+
+// GET /api/calendar/events - Get calendar events
+router.get('/events', getCalendarEvents);
+
+// POST /api/calendar/events - Add a holiday, closure or course period
+router.post('/events', createCalendarEvent);
+
+// PUT /api/calendar/events/:id - Update a calendar event
+router.put('/events/:id', updateCalendarEvent);
+
+// DELETE /api/calendar/events/:id - Delete a calendar event
+router.delete('/events/:id', deleteCalendarEvent);
+
+// POST /api/calendar/import - Import holidays from CSV or iCal
+router.post('/import', upload.single('file'), importCalendarEvents);
+
+// GET /api/calendar/working-day - Check whether a date is a working day
+router.get('/working-day', getWorkingDay);
+
+export default router;
@@ -0,0 +1,42 @@
+import express from 'express';
+import multer from 'multer';
+import {
+    getLeaveRequests,
+    getLeaveRequestById,
+    createLeaveRequest,
+    uploadLeaveDocument,
+    approveLeaveRequest,
+    rejectLeaveRequest,
+    cancelLeaveRequest
+} from '../controllers/leaveController.js';
+
+const router = express.Router();
+
+// Supporting documents are checked for their type before imageService stores them
+const documentUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 10 * 1024 * 1024 }
+});
+
+// GET /api/leave - Get leave requests with filtering
+router.get('/', getLeaveRequests);
+
+// GET /api/leave/:id - Get single leave request
+router.get('/:id', getLeaveRequestById);
+
+// POST /api/leave - Record leave for a student
+router.post('/', documentUpload.single('document'), createLeaveRequest);
+
+// POST /api/leave/:id/document - Attach a supporting document
+router.post('/:id/document', documentUpload.single('document'), uploadLeaveDocument);
+
+// PUT /api/leave/:id/approve - Approve a leave request
+router.put('/:id/approve', approveLeaveRequest);
+
+// PUT /api/leave/:id/reject - Reject a leave request
+router.put('/:id/reject', rejectLeaveRequest);
+
+// PUT /api/leave/:id/cancel - Cancel a leave request
+router.put('/:id/cancel', cancelLeaveRequest);
+
+export default router;
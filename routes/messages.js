@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+    getOutboundMessages,
+    getFailedMessages,
+    getOutboundMessage,
+    retryOutboundMessage
+} from '../controllers/messagesController.js';
+
+const router = express.Router();
+
+// GET /api/messages - Search outbound messages by student, number, status and date
+router.get('/', getOutboundMessages);
+
+// GET /api/messages/failed - Messages that failed for good, grouped by error code
+router.get('/failed', getFailedMessages);
+
+// GET /api/messages/:id - Get an outbound message with its status history
+router.get('/:id', getOutboundMessage);
+
+// POST /api/messages/:id/retry - Retry a failed message
+router.post('/:id/retry', retryOutboundMessage);
+
+export default router;
@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+    getSchedulerStatus,
+    getTaskRuns,
+    previewReminder,
+    runReminder
+} from '../controllers/schedulerController.js';
+
+const router = express.Router();
+
+// GET /api/scheduler/status - Get scheduler state and current leader
+router.get('/status', getSchedulerStatus);
+
+// GET /api/scheduler/runs - Get the run log of scheduled tasks
+router.get('/runs', getTaskRuns);
+
+// GET /api/scheduler/reminders/preview - Preview daily reminder recipients
+router.get('/reminders/preview', previewReminder);
+
+// POST /api/scheduler/reminders/run - Send the daily reminder now
+router.post('/reminders/run', runReminder);
+
+export default router;
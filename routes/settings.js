@@ -8,7 +8,11 @@ import {
     removeCenter,
     getCenter,
     updateTemplates,
-    getTemplates
+    getTemplates,
+    getTemplateCatalogue,
+    previewTemplate,
+    getTranslations,
+    updateTranslations
 } from '../controllers/settingsController.js';
 
 const router = express.Router();
@@ -42,4 +46,17 @@ router.get('/templates', getTemplates);
 // PUT /api/settings/templates - Update message templates
 router.put('/templates', updateTemplates);
 
+// GET /api/settings/templates/catalogue - Variables available to each template
+router.get('/templates/catalogue', getTemplateCatalogue);
+
+// POST /api/settings/templates/preview - Render a template against sample data
+router.post('/templates/preview', previewTemplate);
+
+// Translation routes
+// GET /api/settings/translations - Get the message catalogue and translations
+router.get('/translations', getTranslations);
+
+// PUT /api/settings/translations/:language - Edit translations for a language
+router.put('/translations/:language', updateTranslations);
+
 export default router; 
\ No newline at end of file
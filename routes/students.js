@@ -1,5 +1,6 @@
 import express from 'express';
-import { validateStudent, validateStudentUpdate } from '../middleware/validation.js';
+import multer from 'multer';
+import { validateStudentAssignment } from '../middleware/validation.js';
 import {
     getAllStudents,
     getStudentById,
@@ -8,11 +9,22 @@ import {
     deleteStudent,
     bulkImportStudents,
     exportStudentsToCSV,
-    getStudentStats
+    getStudentStats,
+    getFaceEnrollment,
+    getFacePhoto,
+    enrollFace,
+    deleteFaceEnrollment
 } from '../controllers/studentsController.js';
 
 const router = express.Router();
 
+// Reference photos are checked for a face before anything is written to disk
+const faceUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 10 * 1024 * 1024, files: 5 },
+    fileFilter: (req, file, cb) => cb(null, file.mimetype.startsWith('image/'))
+});
+
 // GET /api/students - Get all students with pagination and filtering
 router.get('/', getAllStudents);
 
@@ -20,14 +32,26 @@ router.get('/', getAllStudents);
 router.get('/:id', getStudentById);
 
 // POST /api/students - Create new student
-router.post('/', createStudent);
+router.post('/', validateStudentAssignment, createStudent);
 
 // PUT /api/students/:id - Update student
-router.put('/:id', updateStudent);
+router.put('/:id', validateStudentAssignment, updateStudent);
 
 // DELETE /api/students/:id - Delete student
 router.delete('/:id', deleteStudent);
 
+// GET /api/students/:id/face - Get face enrollment
+router.get('/:id/face', getFaceEnrollment);
+
+// GET /api/students/:id/face/:referenceId/photo - Get an enrolled reference photo
+router.get('/:id/face/:referenceId/photo', getFacePhoto);
+
+// POST /api/students/:id/face - Enroll reference photos
+router.post('/:id/face', faceUpload.array('photos', 5), enrollFace);
+
+// DELETE /api/students/:id/face - Remove face enrollment
+router.delete('/:id/face', deleteFaceEnrollment);
+
 // POST /api/students/bulk-import - Import students from CSV or Excel
 router.post('/bulk-import', bulkImportStudents);
 
@@ -1,9 +1,32 @@
 import express from 'express';
-import { handleWhatsAppWebhook } from '../controllers/webhookController.js';
+import { handleWhatsAppWebhook, verifyWhatsAppSubscription } from '../controllers/webhookController.js';
+import {
+    getWebhookJobs,
+    getWebhookJob,
+    replayWebhookJob,
+    replayDeadWebhookJobs
+} from '../controllers/webhookJobsController.js';
+import { verifyWhatsAppSignature } from '../middleware/webhookAuth.js';
 
 const router = express.Router();
 
+// GET /api/webhook/whatsapp - Meta webhook verification handshake
+router.get('/whatsapp', verifyWhatsAppSubscription);
+
 // POST /api/webhook/whatsapp - Handle incoming WhatsApp messages
-router.post('/whatsapp', handleWhatsAppWebhook);
+router.post('/whatsapp', verifyWhatsAppSignature, handleWhatsAppWebhook);
+
+// Webhook job queue administration
+// GET /api/webhook/jobs - List queued, completed and dead-letter jobs
+router.get('/jobs', getWebhookJobs);
+
+// POST /api/webhook/jobs/replay-dead - Replay all dead-letter jobs
+router.post('/jobs/replay-dead', replayDeadWebhookJobs);
+
+// GET /api/webhook/jobs/:id - Get a webhook job
+router.get('/jobs/:id', getWebhookJob);
+
+// POST /api/webhook/jobs/:id/replay - Replay a webhook job
+router.post('/jobs/:id/replay', replayWebhookJob);
 
-export default router; 
\ No newline at end of file
+export default router;
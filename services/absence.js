@@ -0,0 +1,219 @@
+import Student from '../models/Student.js';
+import Attendance from '../models/Attendance.js';
+import Settings from '../models/Settings.js';
+import TaskRun from '../models/TaskRun.js';
+import { timeService } from './time.js';
+import { calendarService } from './calendar.js';
+
+const SLOTS = ['morning', 'afternoon', 'evening'];
+
+// Writes 'absent' records once a session is over for students who never checked in
+export const absenceService = {
+    // End time of each session at a center; 'full_day' ends with the last slot
+    getSessionEnds(center) {
+        const ends = {};
+        for (const slot of SLOTS) {
+            if (center.timeSlots?.[slot]?.end) {
+                ends[slot] = center.timeSlots[slot].end;
+            }
+        }
+
+        const lastEnd = Object.values(ends).sort().pop();
+        if (lastEnd) {
+            ends.full_day = lastEnd;
+        }
+        return ends;
+    },
+
+    // Students without session assignments are expected once a day, in any session.
+    // Students without center assignments are covered by every center's run; the
+    // unique day/session index stops anyone being marked twice.
+    getExpectedStudents(center, session, enrolledBy) {
+        const filter = {
+            isActive: true,
+            createdAt: { $lte: enrolledBy },
+            $and: [
+                { $or: [{ centers: center._id }, { centers: { $size: 0 } }, { centers: { $exists: false } }] }
+            ]
+        };
+        if (session === 'full_day') {
+            filter.$and.push({ $or: [{ sessions: { $exists: false } }, { sessions: { $size: 0 } }] });
+        } else {
+            filter.sessions = session;
+        }
+        return Student.find(filter).select('_id batch');
+    },
+
+    async markAbsentees({ dayKey, center, session, timeZone, calendar = null }) {
+        const sessionEnd = timeService.zonedTimeToUtc(dayKey, this.getSessionEnds(center)[session], timeZone);
+        let students = await this.getExpectedStudents(center, session, sessionEnd);
+
+        // Batches that are off that day (holiday, outside their course period) are not expected
+        const offDay = calendar ? students.filter(s => !calendar.check(center._id, s.batch).isWorkingDay) : [];
+        if (offDay.length > 0) {
+            students = students.filter(s => !offDay.includes(s));
+        }
+
+        const result = { day: dayKey, center: center.name, session, expected: students.length, offDay: offDay.length, recorded: 0, marked: 0 };
+
+        if (students.length === 0) {
+            return result;
+        }
+
+        // Any record for the session counts, whatever its status; day students need one at all
+        const { start, end } = timeService.getDayRange(dayKey, timeZone);
+        const recordFilter = {
+            student: { $in: students.map(s => s._id) },
+            $or: [
+                { day: dayKey },
+                { day: null, date: { $gte: start, $lt: end } }
+            ]
+        };
+        if (session !== 'full_day') {
+            recordFilter.session = session;
+        }
+
+        const recorded = new Set((await Attendance.distinct('student', recordFilter)).map(id => id.toString()));
+        const missing = students.filter(s => !recorded.has(s._id.toString()));
+        result.recorded = recorded.size;
+
+        if (missing.length === 0) {
+            return result;
+        }
+
+        const slot = center.timeSlots?.[session];
+        const docs = missing.map(student => ({
+            student: student._id,
+            date: sessionEnd,
+            day: dayKey,
+            session,
+            status: 'absent',
+            source: 'system',
+            location: {
+                verifiedCenter: { id: center._id, name: center.name, address: center.address }
+            },
+            timeSlot: {
+                expected: { start: slot?.start || null, end: slot?.end || null }
+            },
+            verification: {
+                isVerified: true,
+                verifiedBy: 'system',
+                verifiedAt: new Date(),
+                verificationMethod: 'system',
+                notes: `No check-in by the end of the ${session} session`
+            }
+        }));
+
+        // A student who checked in meanwhile already has the record
+        const inserted = await Attendance.insertSkippingDuplicates(docs, {
+            reason: `No check-in by the end of the ${session} session`
+        });
+        result.marked = inserted.length;
+
+        return result;
+    },
+
+    // Run one center/session/day, logged as a TaskRun. Scheduled runs happen once per
+    // occurrence; manual runs may be repeated, e.g. after records were corrected.
+    async runOccurrence({ settings, center, session, dayKey, trigger = 'scheduled' }) {
+        const params = { day: dayKey, centerId: center._id.toString(), center: center.name, session };
+        const run = trigger === 'scheduled'
+            ? await TaskRun.claim(`absent:${dayKey}:${center._id}:${session}`, 'mark_absent', params)
+            : await TaskRun.startManual('mark_absent', params);
+
+        if (!run) {
+            return null;
+        }
+
+        try {
+            const calendar = await calendarService.getDay(dayKey, settings);
+            const centerDay = calendar.check(center._id);
+            if (!centerDay.isWorkingDay) {
+                await run.finish({ reason: 'non_working_day', reasons: centerDay.reasons }, 'skipped');
+                return run;
+            }
+
+            const result = await this.markAbsentees({
+                dayKey,
+                center,
+                session,
+                timeZone: timeService.resolveTimezone(settings, center),
+                calendar
+            });
+            await run.finish(result);
+
+            console.log(`🚫 Marked ${result.marked} absent for ${center.name} ${session} on ${dayKey} (${trigger})`);
+            return run;
+        } catch (error) {
+            await run.fail(error);
+            throw error;
+        }
+    },
+
+    // Scheduler task: run every session at every active center that has ended today
+    async runDue(now = new Date()) {
+        const settings = await Settings.getSettings();
+        if (settings.attendanceSettings.absentMarking?.enabled === false) {
+            return;
+        }
+
+        const due = [];
+        for (const center of settings.centers.filter(c => c.isActive)) {
+            const timeZone = timeService.resolveTimezone(settings, center);
+            const dayKey = timeService.toDayKey(now, timeZone);
+
+            for (const [session, end] of Object.entries(this.getSessionEnds(center))) {
+                if (timeService.zonedTimeToUtc(dayKey, end, timeZone) <= now) {
+                    due.push({ center, session, dayKey, key: `absent:${dayKey}:${center._id}:${session}` });
+                }
+            }
+        }
+
+        if (due.length === 0) {
+            return;
+        }
+
+        const done = new Set(await TaskRun.distinct('key', {
+            key: { $in: due.map(d => d.key) },
+            status: { $in: ['completed', 'skipped'] }
+        }));
+
+        for (const occurrence of due.filter(d => !done.has(d.key))) {
+            try {
+                await this.runOccurrence({ settings, ...occurrence });
+            } catch (error) {
+                console.error(`Error marking absentees for ${occurrence.key}:`, error);
+            }
+        }
+    },
+
+    // Re-run absent marking for a day, optionally for one center and session
+    async rerun({ dayKey, centerId = null, session = null }) {
+        const settings = await Settings.getSettings();
+        const centers = settings.centers.filter(c => c.isActive && (!centerId || c._id.toString() === centerId));
+        const now = new Date();
+        const runs = [];
+
+        for (const center of centers) {
+            const timeZone = timeService.resolveTimezone(settings, center);
+            const ends = this.getSessionEnds(center);
+
+            for (const name of (session ? [session] : Object.keys(ends))) {
+                if (!ends[name]) {
+                    continue;
+                }
+
+                // Sessions still in progress are left for the scheduler
+                if (timeService.zonedTimeToUtc(dayKey, ends[name], timeZone) > now) {
+                    runs.push({ center: center.name, session: name, status: 'not_ended' });
+                    continue;
+                }
+
+                const run = await this.runOccurrence({ settings, center, session: name, dayKey, trigger: 'manual' });
+                runs.push({ center: center.name, session: name, status: run.status, result: run.result });
+            }
+        }
+
+        return runs;
+    }
+};
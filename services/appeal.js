@@ -0,0 +1,112 @@
+import Attendance from '../models/Attendance.js';
+import AttendanceAppeal from '../models/AttendanceAppeal.js';
+import AttendanceHistory from '../models/AttendanceHistory.js';
+import Settings from '../models/Settings.js';
+import Student from '../models/Student.js';
+import { whatsappService } from './whatsapp.js';
+import { i18nService } from './i18n.js';
+import { timeService } from './time.js';
+
+// Marks a student can appeal, and for how many days after the day of the mark
+export const APPEALABLE_STATUSES = ['late', 'absent'];
+export const APPEAL_WINDOW_DAYS = 7;
+
+// Appeals against late and absent marks: students send them with APPEAL over WhatsApp
+// and administrators resolve them from the queue (/api/appeals)
+export const appealService = {
+    // Latest late or absent record in the window that has not been appealed yet,
+    // on a given day or on any day
+    async findAppealable(studentId, { today, day = null }) {
+        const appealed = await AttendanceAppeal.distinct('attendance', { student: studentId });
+        const filter = {
+            student: studentId,
+            status: { $in: APPEALABLE_STATUSES },
+            _id: { $nin: appealed },
+            day: day || { $gte: timeService.addDays(today, -APPEAL_WINDOW_DAYS), $lte: today }
+        };
+        return Attendance.findOne(filter).sort({ date: -1 });
+    },
+
+    async submit(attendance, { reason, messageId = null }) {
+        const appeal = await AttendanceAppeal.create({
+            attendance: attendance._id,
+            student: attendance.student,
+            originalStatus: attendance.status,
+            reason,
+            messageId
+        });
+
+        await AttendanceHistory.recordMany([{
+            attendance,
+            action: 'appeal_submitted',
+            field: 'appeal',
+            newValue: 'open',
+            actor: 'student',
+            reason
+        }]);
+
+        console.log(`⚖️ Appeal ${appeal._id} against ${attendance.status} mark ${attendance._id}`);
+        return appeal;
+    },
+
+    // Accepting gives the record newStatus (present unless told otherwise); rejecting leaves it as it is
+    async resolve(appeal, { decision, newStatus = 'present', reviewedBy = 'admin', notes = null }) {
+        const attendance = await Attendance.findById(appeal.attendance);
+        if (!attendance) {
+            throw new Error('Attendance record not found');
+        }
+
+        const accepted = decision === 'accept';
+        const reason = notes ? `Appeal ${accepted ? 'accepted' : 'rejected'}: ${notes}` : `Appeal ${accepted ? 'accepted' : 'rejected'}`;
+
+        if (accepted && attendance.status !== newStatus) {
+            attendance.setStatus(newStatus, { actor: reviewedBy, reason });
+            attendance.verification.isVerified = true;
+            attendance.verification.verifiedBy = reviewedBy;
+            attendance.verification.verifiedAt = new Date();
+            attendance.verification.verificationMethod = 'manual_admin';
+            attendance.verification.notes = reason;
+            await attendance.save();
+        }
+
+        appeal.status = accepted ? 'accepted' : 'rejected';
+        appeal.resolution = { by: reviewedBy, at: new Date(), notes, newStatus: accepted ? newStatus : null };
+        await appeal.save();
+
+        await AttendanceHistory.recordMany([{
+            attendance,
+            action: 'appeal_resolved',
+            field: 'appeal',
+            oldValue: 'open',
+            newValue: appeal.status,
+            actor: reviewedBy,
+            reason
+        }]);
+
+        await this.notify(appeal, attendance);
+        return { appeal, attendance };
+    },
+
+    // WhatsApp message to the student about the outcome; a failed send does not undo it
+    async notify(appeal, attendance) {
+        try {
+            const [student, settings] = await Promise.all([Student.findById(appeal.student), Settings.getSettings()]);
+            if (!student) {
+                return null;
+            }
+
+            const t = i18nService.translator(student, settings);
+            const day = attendance.day || timeService.toDayKey(attendance.date, timeService.resolveTimezone(settings));
+            const text = t(appeal.status === 'accepted' ? 'appealAccepted' : 'appealRejected', {
+                date: timeService.formatDayKey(day, settings.system?.dateFormat),
+                session: t(`session.${attendance.session}`),
+                status: t(`status.${attendance.status}`),
+                notes: appeal.resolution.notes
+            });
+            return await whatsappService.sendTextMessage(student.phone, text, { student, purpose: 'appeal' });
+        } catch (error) {
+            console.error('Error sending appeal notification:', error);
+            return null;
+        }
+    }
+};
@@ -0,0 +1,213 @@
+import { Readable } from 'stream';
+import csv from 'csv-parser';
+import moment from 'moment';
+import CalendarEvent from '../models/CalendarEvent.js';
+import Settings from '../models/Settings.js';
+import { timeService } from './time.js';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const unescapeICalText = (value = '') => value
+    .replace(/\\n/gi, '\n')
+    .replace(/\\([,;\\])/g, '$1')
+    .trim();
+
+// YYYYMMDD or YYYYMMDDTHHMMSS(Z) to a day key. Holidays are whole days, so the time is ignored.
+const iCalDateToDayKey = (value = '') => {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+// Working days per center and batch: weekly off days, holidays, closures and course periods
+export const calendarService = {
+    // Load the calendar for one day once, then check it for any center and batch
+    async getDay(value = new Date(), settings = null) {
+        settings = settings || await Settings.getSettings();
+        const dayKey = timeService.normalizeDayKey(value, timeService.resolveTimezone(settings));
+
+        const [events, coursePeriods] = await Promise.all([
+            CalendarEvent.findOverlapping(dayKey, dayKey, { type: { $in: ['holiday', 'closure'] } }),
+            CalendarEvent.find({ type: 'course_period' })
+        ]);
+
+        const weekday = new Date(`${dayKey}T00:00:00Z`).getUTCDay();
+        const isWeeklyOff = (settings.attendanceSettings.weeklyOffDays || []).includes(weekday);
+
+        return {
+            dayKey,
+            check(centerId = null, batch = null) {
+                const reasons = [];
+
+                if (isWeeklyOff) {
+                    reasons.push({ type: 'weekly_off', name: WEEKDAYS[weekday], scope: 'global' });
+                }
+
+                for (const event of events.filter(e => e.appliesTo(centerId, batch))) {
+                    reasons.push({ type: event.type, name: event.name, scope: event.scope, eventId: event._id });
+                }
+
+                // A batch with course periods has no classes outside them
+                if (batch) {
+                    const periods = coursePeriods.filter(p => p.appliesTo(centerId, batch));
+                    if (periods.length > 0 && !periods.some(p => p.startDate <= dayKey && p.endDate >= dayKey)) {
+                        reasons.push({ type: 'outside_course_period', name: `Batch ${batch} is not in session`, scope: 'batch' });
+                    }
+                }
+
+                return { day: dayKey, isWorkingDay: reasons.length === 0, reasons };
+            },
+
+            // A student has classes if it is a working day at any of their centers
+            isStudentWorkingDay(student) {
+                const centers = student.centers?.length ? student.centers : [null];
+                return centers.some(centerId => this.check(centerId, student.batch).isWorkingDay);
+            }
+        };
+    },
+
+    async isWorkingDay({ day = new Date(), centerId = null, batch = null } = {}) {
+        const calendar = await this.getDay(day);
+        return calendar.check(centerId, batch);
+    },
+
+    // Accepts YYYY-MM-DD or the configured display format (e.g. DD/MM/YYYY)
+    parseDay(value, dateFormat = 'DD/MM/YYYY') {
+        if (!value) {
+            return null;
+        }
+        const parsed = moment(String(value).trim(), ['YYYY-MM-DD', dateFormat], true);
+        return parsed.isValid() ? parsed.format('YYYY-MM-DD') : null;
+    },
+
+    async parseCSV(content) {
+        const rows = [];
+        await new Promise((resolve, reject) => {
+            Readable.from([content])
+                .pipe(csv({
+                    mapHeaders: ({ header }) => header.trim().toLowerCase().replace(/\s+/g, '_')
+                }))
+                .on('data', (row) => rows.push(row))
+                .on('end', resolve)
+                .on('error', reject);
+        });
+
+        return rows.map(row => ({
+            name: row.name || row.title || row.holiday || row.summary,
+            startDate: row.start_date || row.date,
+            endDate: row.end_date || row.start_date || row.date,
+            type: row.type || null,
+            scope: row.scope || null,
+            center: row.center_id || row.center || null,
+            batch: row.batch || null,
+            notes: row.notes || row.description || null
+        }));
+    },
+
+    parseICal(content) {
+        // Unfold continuation lines before reading properties
+        const lines = content.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+        const events = [];
+        let current = null;
+
+        for (const line of lines) {
+            if (line.trim() === 'BEGIN:VEVENT') {
+                current = {};
+            } else if (line.trim() === 'END:VEVENT') {
+                if (current) {
+                    events.push(current);
+                }
+                current = null;
+            } else if (current) {
+                const separator = line.indexOf(':');
+                if (separator === -1) {
+                    continue;
+                }
+                const name = line.slice(0, separator).split(';')[0].toUpperCase();
+                current[name] = line.slice(separator + 1).trim();
+            }
+        }
+
+        return events.map(event => {
+            const startDate = iCalDateToDayKey(event.DTSTART);
+            let endDate = event.DTEND ? iCalDateToDayKey(event.DTEND) : startDate;
+
+            // An all-day DTEND is the day after the event
+            if (/^\d{8}$/.test(event.DTEND || '') && endDate > startDate) {
+                endDate = timeService.addDays(endDate, -1);
+            }
+
+            return {
+                name: unescapeICalText(event.SUMMARY) || 'Holiday',
+                startDate,
+                endDate,
+                notes: event.DESCRIPTION ? unescapeICalText(event.DESCRIPTION) : null,
+                externalId: event.UID || null
+            };
+        });
+    },
+
+    // Create or update events from an import. Defaults apply to rows that leave a field empty.
+    async importEvents(format, content, defaults = {}) {
+        const settings = await Settings.getSettings();
+        const dateFormat = settings.system.dateFormat;
+        const rows = format === 'ical' ? this.parseICal(content) : await this.parseCSV(content);
+        const result = { imported: 0, updated: 0, errors: [] };
+
+        for (let i = 0; i < rows.length; i++) {
+            const row = rows[i];
+            // CSV rows start after the header line
+            const rowNumber = format === 'ical' ? i + 1 : i + 2;
+
+            try {
+                const center = row.center || defaults.center || null;
+                const batch = row.batch || defaults.batch || null;
+                const data = {
+                    type: row.type || defaults.type || 'holiday',
+                    name: row.name,
+                    startDate: this.parseDay(row.startDate, dateFormat),
+                    endDate: this.parseDay(row.endDate, dateFormat),
+                    scope: row.scope || defaults.scope || (batch ? 'batch' : center ? 'center' : 'global'),
+                    center,
+                    batch,
+                    notes: row.notes || null,
+                    source: format,
+                    externalId: row.externalId || null
+                };
+
+                if (!data.name || !data.startDate || !data.endDate) {
+                    result.errors.push({ row: rowNumber, error: 'Name and a valid date are required' });
+                    continue;
+                }
+
+                if (data.center && !settings.centers.find(c => c._id.toString() === data.center.toString())) {
+                    result.errors.push({ row: rowNumber, error: `Center not found: ${data.center}` });
+                    continue;
+                }
+
+                const existing = await CalendarEvent.findOne(data.externalId
+                    ? { externalId: data.externalId }
+                    : {
+                        type: data.type,
+                        name: data.name,
+                        startDate: data.startDate,
+                        scope: data.scope,
+                        center: data.center,
+                        batch: data.batch
+                    });
+
+                if (existing) {
+                    Object.assign(existing, data);
+                    await existing.save();
+                    result.updated++;
+                } else {
+                    await CalendarEvent.create(data);
+                    result.imported++;
+                }
+            } catch (error) {
+                result.errors.push({ row: rowNumber, error: error.message });
+            }
+        }
+
+        return result;
+    }
+};
@@ -0,0 +1,540 @@
+import Attendance from '../models/Attendance.js';
+import LeaveRequest, { MAX_LEAVE_DAYS } from '../models/LeaveRequest.js';
+import { whatsappService } from './whatsapp.js';
+import { i18nService } from './i18n.js';
+import { appealService, APPEAL_WINDOW_DAYS } from './appeal.js';
+import { calendarService } from './calendar.js';
+import { timeService } from './time.js';
+
+const HISTORY_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 21/10, 21.10.26, 21-10-2026; the order of day and month follows system.dateFormat
+const NUMERIC_DATE_REGEX = /^(\d{1,2})[/.-](\d{1,2})(?:[/.-](\d{2}|\d{4}))?$/;
+// 21/10-23/10
+const NUMERIC_RANGE_REGEX = /^(\d{1,2}[/.]\d{1,2}(?:[/.]\d{2,4})?)-(\d{1,2}[/.]\d{1,2}(?:[/.]\d{2,4})?)$/;
+const RANGE_WORDS = ['to', 'till', 'until', '-'];
+
+// "/Status!" -> "status"; a lone "?" is kept as it is the HELP alias
+const normalize = (text) => typeof text === 'string'
+    ? text.trim().toLowerCase().replace(/^[/#]/, '').replace(/(.)[.!?]+$/, '$1').replace(/\s+/g, ' ')
+    : '';
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Levenshtein distance, for suggesting a command when a keyword is misspelt
+export const editDistance = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+// Present, late and absent counts for attendance records, and the share attended.
+// Records still pending verification are counted but not part of the percentage, and
+// neither are approved leave and excused absences.
+export const summarizeAttendance = (records) => {
+    const counts = { present: 0, late: 0, absent: 0, excused: 0, pending: 0 };
+    for (const record of records) {
+        if (record.status === 'pending_verification') {
+            counts.pending += 1;
+        } else if (record.status === 'on_leave') {
+            counts.excused += 1;
+        } else if (counts[record.status] !== undefined) {
+            counts[record.status] += 1;
+        }
+    }
+
+    const decided = counts.present + counts.late + counts.absent;
+    return {
+        ...counts,
+        percent: decided > 0 ? Math.round((counts.present + counts.late) / decided * 1000) / 10 : null
+    };
+};
+
+// A date word relative to today. Without a year, a date already past this year means next
+// year (5/1 sent in December); with backwards, a date still to come means last year.
+const parseDayWord = (word, { today, dateFormat, backwards = false }) => {
+    if (word === 'today') {
+        return today;
+    }
+    if (word === 'tomorrow') {
+        return timeService.addDays(today, 1);
+    }
+    if (word === 'yesterday') {
+        return timeService.addDays(today, -1);
+    }
+
+    const numeric = word.match(NUMERIC_DATE_REGEX);
+    if (!numeric) {
+        return calendarService.parseDay(word, dateFormat);
+    }
+
+    const [day, month] = dateFormat.startsWith('M') ? [numeric[2], numeric[1]] : [numeric[1], numeric[2]];
+    const currentYear = Number(today.slice(0, 4));
+    const year = numeric[3] ? Number(numeric[3].length === 2 ? `20${numeric[3]}` : numeric[3]) : currentYear;
+    const toKey = (y) => calendarService.parseDay(`${y}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`);
+
+    const dayKey = toKey(year);
+    if (numeric[3] || !dayKey) {
+        return dayKey;
+    }
+    if (backwards) {
+        return dayKey > today ? toKey(year - 1) : dayKey;
+    }
+    return dayKey < today ? toKey(year + 1) : dayKey;
+};
+
+// LEAVE arguments: [date [to date]] reason. Without a date the leave is for today.
+// Returns { startDate, endDate, reason } or { error, values } with a message key.
+export const parseLeave = (text, { today, dateFormat = 'DD/MM/YYYY' }) => {
+    const words = text.trim().split(/\s+/);
+    const lower = words.map(word => word.toLowerCase());
+
+    let startWord = lower[0];
+    let endWord = lower[0];
+    let used = 1;
+
+    const range = lower[0].match(NUMERIC_RANGE_REGEX);
+    if (range) {
+        [startWord, endWord] = [range[1], range[2]];
+    } else if (RANGE_WORDS.includes(lower[1]) && lower[2]) {
+        endWord = lower[2];
+        used = 3;
+    }
+
+    let startDate = parseDayWord(startWord, { today, dateFormat });
+    let endDate = parseDayWord(endWord, { today, dateFormat });
+
+    if (!startDate || !endDate) {
+        const invalid = !startDate ? startWord : endWord;
+        // Only words that look like dates are reported; anything else is the reason
+        if (/^\d/.test(invalid) || (used === 3 && startDate)) {
+            return { error: 'leaveInvalidDate', values: { value: invalid } };
+        }
+        startDate = endDate = today;
+        used = 0;
+    }
+
+    const reason = words.slice(used).join(' ');
+
+    if (endDate < startDate) {
+        return { error: 'leaveInvalidRange' };
+    }
+    if (startDate < today) {
+        return { error: 'leavePastDate' };
+    }
+    if ((Date.parse(endDate) - Date.parse(startDate)) / DAY_MS + 1 > MAX_LEAVE_DAYS) {
+        return { error: 'leaveTooLong', values: { days: MAX_LEAVE_DAYS } };
+    }
+    if (!reason) {
+        return { error: 'leaveNoReason' };
+    }
+
+    return { startDate, endDate, reason };
+};
+
+// APPEAL arguments: [date] reason. Without a date the latest mark is appealed.
+// Returns { day, reason } with day null when no date was given, or { error, values }.
+export const parseAppeal = (text, { today, dateFormat = 'DD/MM/YYYY', maxDays = APPEAL_WINDOW_DAYS }) => {
+    const words = text.trim().split(/\s+/);
+    const day = parseDayWord(words[0].toLowerCase(), { today, dateFormat, backwards: true });
+
+    if (!day && /^\d/.test(words[0])) {
+        return { error: 'appealInvalidDate', values: { value: words[0] } };
+    }
+    if (day && (day > today || day < timeService.addDays(today, -maxDays))) {
+        return { error: 'appealOutOfWindow', values: { days: maxDays } };
+    }
+
+    const reason = words.slice(day ? 1 : 0).join(' ');
+    if (!reason) {
+        return { error: 'appealNoReason' };
+    }
+
+    return { day, reason };
+};
+
+// A day key in system.dateFormat
+const formatDay = (dayKey, settings, pattern = settings.system?.dateFormat || 'DD/MM/YYYY') =>
+    timeService.formatDayKey(dayKey, pattern);
+
+const formatSessions = (records, t) => {
+    if (records.length === 1 && records[0].session === 'full_day') {
+        return t(`status.${records[0].status}`);
+    }
+    return records.map(r => `${t(`session.${r.session}`)}: ${t(`status.${r.status}`)}`).join(', ');
+};
+
+// Keyword commands students can send as text. Each command has a name, aliases and a
+// handler; commands that take text after the keyword (LEAVE 21/10 fever) set args.
+export class CommandRouter {
+    constructor() {
+        this.commands = [];
+        this.keywords = new Map();
+    }
+
+    // description is the message key shown next to the command in HELP; hidden commands are left out
+    register(name, { aliases = [], args = false, hidden = false, description = `command.${name}`, handler }) {
+        const command = { name, aliases, args, hidden, description, handler };
+        for (const keyword of [name, ...aliases].map(normalize)) {
+            if (this.keywords.has(keyword)) {
+                throw new Error(`Command keyword "${keyword}" is already registered`);
+            }
+            this.keywords.set(keyword, command);
+        }
+        this.commands.push(command);
+        return this;
+    }
+
+    list() {
+        return this.commands.filter(command => !command.hidden);
+    }
+
+    // Command for a text message and the text following its keyword, or null when the
+    // message is not a command. Longer keywords win, so "check out" is not read as "check".
+    resolve(text) {
+        const normalized = normalize(text);
+        if (!normalized) {
+            return null;
+        }
+
+        const keywords = [...this.keywords.keys()].sort((a, b) => b.length - a.length);
+        for (const keyword of keywords) {
+            const command = this.keywords.get(keyword);
+            if (normalized === keyword) {
+                return { command, keyword, args: '' };
+            }
+            if (command.args && normalized.startsWith(`${keyword} `)) {
+                // Arguments keep their case, e.g. the reason for a leave request
+                const args = text.trim().split(/\s+/).slice(keyword.split(' ').length).join(' ');
+                return { command, keyword, args };
+            }
+        }
+        return null;
+    }
+
+    // Closest command for a message that is not one: a misspelt first word ("histroy"),
+    // or a keyword somewhere in the message ("what is my status")
+    suggest(text) {
+        const words = normalize(text).split(' ').filter(Boolean);
+        if (words.length === 0) {
+            return null;
+        }
+
+        let best = null;
+        for (const [keyword, command] of this.keywords) {
+            if (command.hidden || keyword.includes(' ') || keyword.length < 3) {
+                continue;
+            }
+            const distance = editDistance(words[0], keyword);
+            const allowed = keyword.length <= 4 ? 1 : 2;
+            if (distance <= allowed && (!best || distance < best.distance)) {
+                best = { command, distance };
+            }
+        }
+        if (best) {
+            return best.command;
+        }
+
+        const keyword = words.find(word => this.keywords.has(word) && !this.keywords.get(word).hidden);
+        return keyword ? this.keywords.get(keyword) : null;
+    }
+
+    // context: { student, from, settings, t, timestamp, messageId, media, attachDocument, startCheckout }
+    run(match, context) {
+        return match.command.handler({ ...context, args: match.args, router: this });
+    }
+}
+
+const reply = (context, text) => whatsappService.sendTextMessage(context.from, text);
+
+export const commandRouter = new CommandRouter()
+    .register('status', {
+        aliases: ['today', 'स्थिति'],
+        handler: async (context) => {
+            const { student, settings, t, timestamp = new Date() } = context;
+            const { start, end } = timeService.getDayRange(timestamp, timeService.resolveTimezone(settings));
+
+            const records = await Attendance.find({
+                student: student._id,
+                date: { $gte: start, $lt: end }
+            }).sort({ date: 1 });
+
+            if (records.length === 0) {
+                await reply(context, t('statusTodayAbsent'));
+                return null;
+            }
+
+            const sessions = records.map(a => `• ${t(`session.${a.session}`)}: ${t(`status.${a.status}`).toUpperCase()}`).join('\n');
+            await reply(context, t('statusToday', { sessions }));
+            return null;
+        }
+    })
+    .register('history', {
+        aliases: ['week', 'last7', 'इतिहास'],
+        handler: async (context) => {
+            const { student, settings, t, timestamp = new Date() } = context;
+            const timeZone = timeService.resolveTimezone(settings);
+            const today = timeService.toDayKey(timestamp, timeZone);
+            const firstDay = timeService.addDays(today, -(HISTORY_DAYS - 1));
+
+            const records = await Attendance.find({
+                student: student._id,
+                date: {
+                    $gte: timeService.getDayRange(firstDay, timeZone).start,
+                    $lt: timeService.getDayRange(today, timeZone).end
+                }
+            }).sort({ date: 1 }).select('date day session status');
+
+            const lines = [];
+            for (let i = 0; i < HISTORY_DAYS; i++) {
+                const dayKey = timeService.addDays(firstDay, i);
+                const dayRecords = records.filter(r => (r.day || timeService.toDayKey(r.date, timeZone)) === dayKey);
+                const label = formatDay(dayKey, settings, `ddd ${settings.system?.dateFormat || 'DD/MM/YYYY'}`);
+                lines.push(`• ${label}: ${dayRecords.length > 0 ? formatSessions(dayRecords, t) : t('historyNoRecord')}`);
+            }
+
+            await reply(context, t('history', { days: lines.join('\n') }));
+            return null;
+        }
+    })
+    .register('percent', {
+        aliases: ['percentage', '%'],
+        handler: async (context) => {
+            const { student, settings, t, timestamp = new Date() } = context;
+            const timeZone = timeService.resolveTimezone(settings);
+            const today = timeService.toDayKey(timestamp, timeZone);
+
+            const records = await Attendance.find({
+                student: student._id,
+                date: {
+                    $gte: timeService.getDayRange(`${today.slice(0, 8)}01`, timeZone).start,
+                    $lt: timeService.getDayRange(today, timeZone).end
+                }
+            }).select('status');
+
+            const summary = summarizeAttendance(records);
+            const month = formatDay(today, settings, 'MMMM YYYY');
+            await reply(context, summary.percent === null
+                ? t('percentNoRecords', { month, pending: summary.pending })
+                : t('percentSummary', { month, ...summary }));
+            return null;
+        }
+    })
+    .register('center', {
+        aliases: ['centre', 'address', 'timings', 'केंद्र'],
+        handler: async (context) => {
+            const { student, settings, t } = context;
+            const assigned = (student.centers || []).map(id => id.toString());
+            const centers = settings.centers.filter(c => c.isActive && (assigned.length === 0 || assigned.includes(c._id.toString())));
+
+            if (centers.length === 0) {
+                await reply(context, t('centerNone'));
+                return null;
+            }
+
+            const sessions = student.sessions?.length ? student.sessions : ['morning', 'afternoon', 'evening'];
+            const details = centers.map(center => t('centerDetails', {
+                name: center.name,
+                address: center.address,
+                timings: sessions
+                    .filter(session => center.timeSlots?.[session]?.start)
+                    .map(session => `${capitalize(t(`session.${session}`))} ${center.timeSlots[session].start}-${center.timeSlots[session].end}`)
+                    .join(', '),
+                phone: center.contactInfo?.phone,
+                mapUrl: `https://maps.google.com/?q=${center.coordinates.latitude},${center.coordinates.longitude}`
+            }));
+
+            await reply(context, details.join('\n\n'));
+            return null;
+        }
+    })
+    .register('leave', {
+        aliases: ['छुट्टी'],
+        args: true,
+        // LEAVE as the caption of a photo or document attaches it, to a new request or
+        // on its own to the latest pending one. Storing it is left to context.attachDocument.
+        handler: async (context) => {
+            const { student, settings, t, args, messageId, media, attachDocument, timestamp = new Date() } = context;
+            const mimeType = media?.contentType || media?.mimeType;
+            if (media && mimeType && !LeaveRequest.isDocumentType(mimeType)) {
+                await reply(context, t('leaveDocumentUnsupported'));
+                return null;
+            }
+
+            if (!args) {
+                const pending = media
+                    ? await LeaveRequest.findOne({ student: student._id, status: 'pending' }).sort({ createdAt: -1 })
+                    : null;
+                if (!pending) {
+                    await reply(context, t(media ? 'leaveNoPending' : 'leaveHowTo'));
+                    return null;
+                }
+
+                await attachDocument(pending);
+                await reply(context, t('leaveDocumentAttached', {
+                    start: formatDay(pending.startDate, settings),
+                    end: formatDay(pending.endDate, settings)
+                }));
+                return null;
+            }
+
+            const today = timeService.toDayKey(timestamp, timeService.resolveTimezone(settings));
+            const leave = parseLeave(args, { today, dateFormat: settings.system?.dateFormat });
+            if (leave.error) {
+                await reply(context, t(leave.error, leave.values));
+                return null;
+            }
+
+            const [overlapping] = await LeaveRequest.findOverlapping(student._id, leave.startDate, leave.endDate);
+            if (overlapping) {
+                await reply(context, t('leaveOverlap', {
+                    start: formatDay(overlapping.startDate, settings),
+                    end: formatDay(overlapping.endDate, settings)
+                }));
+                return null;
+            }
+
+            const request = await LeaveRequest.create({
+                student: student._id,
+                ...leave,
+                source: 'whatsapp',
+                messageId
+            });
+            console.log(`📝 Leave requested by ${student.name}: ${request.startDate} to ${request.endDate}`);
+
+            if (media) {
+                await attachDocument(request);
+            }
+
+            await reply(context, t('leaveRequested', {
+                start: formatDay(request.startDate, settings),
+                end: formatDay(request.endDate, settings),
+                document: Boolean(request.document)
+            }));
+            return null;
+        }
+    })
+    .register('appeal', {
+        aliases: ['dispute', 'अपील'],
+        args: true,
+        handler: async (context) => {
+            const { student, settings, t, args, messageId, timestamp = new Date() } = context;
+            if (!args) {
+                await reply(context, t('appealHowTo', { days: APPEAL_WINDOW_DAYS }));
+                return null;
+            }
+
+            const today = timeService.toDayKey(timestamp, timeService.resolveTimezone(settings));
+            const appeal = parseAppeal(args, { today, dateFormat: settings.system?.dateFormat });
+            if (appeal.error) {
+                await reply(context, t(appeal.error, appeal.values));
+                return null;
+            }
+
+            const attendance = await appealService.findAppealable(student._id, { today, day: appeal.day });
+            if (!attendance) {
+                await reply(context, t('appealNoRecord', {
+                    date: appeal.day && formatDay(appeal.day, settings),
+                    days: APPEAL_WINDOW_DAYS
+                }));
+                return null;
+            }
+
+            await appealService.submit(attendance, { reason: appeal.reason, messageId });
+            await reply(context, t('appealSubmitted', {
+                date: formatDay(attendance.day, settings),
+                session: t(`session.${attendance.session}`),
+                status: t(`status.${attendance.status}`)
+            }));
+            return null;
+        }
+    })
+    .register('stop', {
+        aliases: ['unsubscribe', 'optout'],
+        handler: async (context) => {
+            const { student, t } = context;
+            if (!student.optedOutAt) {
+                student.optedOutAt = new Date();
+                await student.save();
+                console.log(`🔕 ${student.name} opted out of reminders`);
+            }
+            await reply(context, t('optedOut'));
+            return null;
+        }
+    })
+    .register('start', {
+        aliases: ['subscribe', 'optin'],
+        handler: async (context) => {
+            const { student, t } = context;
+            if (student.optedOutAt) {
+                student.optedOutAt = null;
+                await student.save();
+                console.log(`🔔 ${student.name} opted back in to reminders`);
+            }
+            await reply(context, t('optedIn'));
+            return null;
+        }
+    })
+    .register('checkout', {
+        aliases: ['check out', 'check-out'],
+        // Needs the open conversation and today's records, which the webhook has loaded
+        handler: (context) => context.startCheckout()
+    })
+    .register('lang', {
+        aliases: ['language'],
+        args: true,
+        // LANG on its own lists the languages; LANG <code> sets the student's language
+        handler: async (context) => {
+            const { student, settings, t, args } = context;
+            const code = args.split(/\s+/)[0].toLowerCase();
+            const languages = i18nService.getLanguages(settings);
+            const available = Object.keys(languages).map(c => `${c.toUpperCase()} (${languages[c]})`).join(', ');
+
+            if (!code) {
+                await reply(context, t('languageList', { current: languages[t.language], languages: available }));
+                return null;
+            }
+
+            if (!languages[code]) {
+                await reply(context, t('languageUnknown', { code: code.toUpperCase(), languages: available }));
+                return null;
+            }
+
+            student.language = code;
+            await student.save();
+            console.log(`🌐 ${student.name} switched language to ${code}`);
+
+            // Confirm in the new language
+            await reply(context, i18nService.translator(student, settings)('languageChanged'));
+            return null;
+        }
+    })
+    .register('attendance', {
+        aliases: ['present', 'here', 'mark', 'mark attendance'],
+        handler: async (context) => {
+            await reply(context, context.t('attendanceHowTo'));
+            return null;
+        }
+    })
+    .register('help', {
+        aliases: ['?', 'menu', 'commands', 'मदद'],
+        handler: async (context) => {
+            const { t, router } = context;
+            const commands = router.list()
+                .map(command => `${command.name.toUpperCase()} - ${t(command.description)}`)
+                .join('\n');
+            await reply(context, t('help', { commands }));
+            return null;
+        }
+    });
@@ -0,0 +1,31 @@
+// Settings of the background workers from the environment. Workers read them when they
+// start rather than at import, since index.js loads .env after its imports are evaluated.
+export const configService = {
+    getInt(name, fallback) {
+        const value = parseInt(process.env[name]);
+        return Number.isFinite(value) ? value : fallback;
+    },
+
+    webhookWorker() {
+        return {
+            pollInterval: this.getInt('WEBHOOK_WORKER_POLL_MS', 2000),
+            lockTimeout: this.getInt('WEBHOOK_JOB_LOCK_TIMEOUT_MS', 300000)
+        };
+    },
+
+    outboundDispatcher() {
+        return {
+            pollInterval: this.getInt('OUTBOUND_DISPATCHER_POLL_MS', 1000),
+            lockTimeout: this.getInt('OUTBOUND_LOCK_TIMEOUT_MS', 120000)
+        };
+    },
+
+    // The scheduler lease outlives a few missed ticks by default
+    scheduler() {
+        const tickInterval = this.getInt('SCHEDULER_TICK_MS', 60000);
+        return {
+            tickInterval,
+            leaseDuration: this.getInt('SCHEDULER_LEASE_MS', tickInterval * 3)
+        };
+    }
+};
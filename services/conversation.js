@@ -0,0 +1,107 @@
+import ConversationSession from '../models/ConversationSession.js';
+
+// Next state for each event, keyed by the current state ('idle' = no open session).
+// Check-in events: location_verified, location_rejected, photo_verified, photo_unverified,
+// flagged_for_review (accepted as pending for an administrator to decide)
+// Check-out events: checkout_requested, checkout_verified, checkout_rejected
+const startTransitions = {
+    location_verified: ({ requireImage, hasImage }) => (requireImage && !hasImage ? 'awaiting_photo' : 'completed'),
+    location_rejected: () => 'awaiting_location',
+    photo_verified: () => 'completed',
+    photo_unverified: () => 'awaiting_location',
+    flagged_for_review: () => 'completed',
+    checkout_requested: () => 'awaiting_checkout_location'
+};
+
+const TRANSITIONS = {
+    idle: startTransitions,
+    awaiting_location: startTransitions,
+    awaiting_photo: {
+        // Location was already verified in this session, so any photo completes it
+        location_verified: () => 'awaiting_photo',
+        location_rejected: () => 'awaiting_location',
+        photo_verified: () => 'completed',
+        photo_unverified: () => 'completed',
+        flagged_for_review: () => 'completed',
+        checkout_requested: () => 'awaiting_checkout_location'
+    },
+    awaiting_checkout_location: {
+        checkout_verified: () => 'completed',
+        checkout_rejected: () => 'awaiting_checkout_location',
+        checkout_requested: () => 'awaiting_checkout_location'
+    }
+};
+
+export const conversationService = {
+    getTimeouts(settings) {
+        const conversation = settings?.attendanceSettings?.conversation || {};
+        return {
+            awaiting_location: conversation.locationTimeout || 30,
+            awaiting_photo: conversation.photoTimeout || 30,
+            awaiting_checkout_location: conversation.checkoutTimeout || 15
+        };
+    },
+
+    getActiveSession(studentId, at) {
+        return ConversationSession.getActive(studentId, at);
+    },
+
+    nextState(currentState, event, context = {}) {
+        const transition = TRANSITIONS[currentState]?.[event];
+        if (!transition) {
+            throw new Error(`Invalid conversation transition: ${event} in state ${currentState}`);
+        }
+        return transition(context);
+    },
+
+    // Apply an event to the student's session, creating one for a new check-in.
+    // at is the time of the message, from which the next timeout runs.
+    async advance({ student, session, attendance, event, messageId, at, settings, hasImage = false }) {
+        const requireImage = settings.attendanceSettings.autoVerification.requireImage;
+        const currentState = session ? session.state : 'idle';
+        const nextState = this.nextState(currentState, event, { requireImage, hasImage });
+        const timeoutMinutes = this.getTimeouts(settings)[nextState] || null;
+
+        if (!session) {
+            session = new ConversationSession({
+                student: student._id,
+                attendance: attendance?._id || null,
+                state: currentState === 'idle' ? nextState : currentState
+            });
+        } else if (attendance && !session.attendance) {
+            session.attendance = attendance._id;
+        }
+
+        await session.transition(nextState, event, { timeoutMinutes, messageId, at });
+        console.log(`💬 Conversation ${session._id}: ${currentState} --${event}--> ${nextState}`);
+
+        return session;
+    },
+
+    // Reply telling the student what the current state is waiting for, in their language
+    getPrompt(state, settings, t) {
+        const timeouts = this.getTimeouts(settings);
+
+        if (state === 'awaiting_photo') {
+            return t('promptAwaitingPhoto', { minutes: timeouts.awaiting_photo });
+        }
+        if (state === 'awaiting_location') {
+            return t('promptAwaitingLocation', { minutes: timeouts.awaiting_location });
+        }
+        if (state === 'awaiting_checkout_location') {
+            return t('promptAwaitingCheckoutLocation', { minutes: timeouts.awaiting_checkout_location });
+        }
+        return null;
+    },
+
+    getExpiredNotice(expiredSession, settings, t) {
+        const timeouts = this.getTimeouts(settings);
+        const expiredState = expiredSession.transitions[expiredSession.transitions.length - 1]?.from;
+        const minutes = timeouts[expiredState] || null;
+
+        if (expiredState === 'awaiting_checkout_location') {
+            return t('checkoutExpired', { minutes });
+        }
+        return t('checkInExpired', { minutes });
+    }
+};
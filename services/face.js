@@ -0,0 +1,135 @@
+import path from 'path';
+import { createRequire } from 'module';
+import sharp from 'sharp';
+import Student from '../models/Student.js';
+
+const require = createRequire(import.meta.url);
+
+// The weights ship with @vladmandic/face-api, so matching runs offline
+const MODEL_PATH = path.join(path.dirname(require.resolve('@vladmandic/face-api/package.json')), 'model');
+
+// Photos are scaled down before detection; faces in check-in selfies are large
+const MAX_IMAGE_SIZE = 640;
+
+let loading = null;
+
+// Face detection and recognition on the CPU (TensorFlow.js WebAssembly backend).
+// Faces are compared by the euclidean distance between their 128-value descriptors.
+export const faceService = {
+    getConfig(settings) {
+        const config = settings?.attendanceSettings?.faceRecognition || {};
+        return {
+            enabled: config.enabled !== false,
+            matchThreshold: config.matchThreshold ?? 0.5,
+            maxReferences: config.maxReferences ?? 5
+        };
+    },
+
+    // The model is loaded on first use so the server starts without it
+    async load() {
+        if (!loading) {
+            loading = (async () => {
+                const faceapi = (await import('@vladmandic/face-api/dist/face-api.node-wasm.js')).default;
+                await faceapi.tf.setBackend('wasm');
+                await faceapi.tf.ready();
+                await Promise.all([
+                    faceapi.nets.tinyFaceDetector.loadFromDisk(MODEL_PATH),
+                    faceapi.nets.faceLandmark68Net.loadFromDisk(MODEL_PATH),
+                    faceapi.nets.faceRecognitionNet.loadFromDisk(MODEL_PATH)
+                ]);
+                console.log(`🙂 Face recognition model loaded (${faceapi.tf.getBackend()} backend)`);
+                return faceapi;
+            })().catch(error => {
+                loading = null;
+                throw error;
+            });
+        }
+        return loading;
+    },
+
+    // Faces found in an image file or buffer, largest first, each with its descriptor
+    async detectFaces(input) {
+        const faceapi = await this.load();
+        const { data, info } = await sharp(input)
+            .rotate()
+            .resize(MAX_IMAGE_SIZE, MAX_IMAGE_SIZE, { fit: 'inside', withoutEnlargement: true })
+            .removeAlpha()
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+
+        const tensor = faceapi.tf.tensor3d(data, [info.height, info.width, 3]);
+        try {
+            const results = await faceapi
+                .detectAllFaces(tensor, new faceapi.TinyFaceDetectorOptions({ inputSize: 416, scoreThreshold: 0.5 }))
+                .withFaceLandmarks()
+                .withFaceDescriptors();
+
+            return results
+                .map(result => ({
+                    score: result.detection.score,
+                    area: result.detection.box.area,
+                    descriptor: Array.from(result.descriptor)
+                }))
+                .sort((a, b) => b.area - a.area);
+        } finally {
+            tensor.dispose();
+        }
+    },
+
+    // Descriptor of a reference photo, which must show exactly one face
+    async getReferenceDescriptor(input) {
+        const faces = await this.detectFaces(input);
+        if (faces.length === 0) {
+            throw new Error('No face found in the photo');
+        }
+        if (faces.length > 1) {
+            throw new Error(`${faces.length} faces found in the photo, expected one`);
+        }
+        return faces[0].descriptor;
+    },
+
+    // 1 for identical descriptors, falling towards 0 as faces differ
+    similarity(descriptorA, descriptorB) {
+        let sum = 0;
+        for (let i = 0; i < descriptorA.length; i++) {
+            const diff = descriptorA[i] - descriptorB[i];
+            sum += diff * diff;
+        }
+        return Math.max(0, 1 - Math.sqrt(sum));
+    },
+
+    // Match an attendance photo against the student's enrollment; null when the
+    // student has no reference photos or matching is turned off
+    async checkStudentPhoto(studentId, input, settings) {
+        if (!this.getConfig(settings).enabled) {
+            return null;
+        }
+
+        const student = await Student.findById(studentId).select('+faceProfile.references.descriptor').lean();
+        const references = (student?.faceProfile?.references || []).filter(ref => ref.descriptor?.length);
+        if (references.length === 0) {
+            return null;
+        }
+
+        return this.matchPhoto(input, references, settings);
+    },
+
+    // Compare the largest face in a photo with the student's reference descriptors.
+    // Returns { status: matched | low_confidence | no_face, similarity, faceCount }.
+    async matchPhoto(input, references, settings) {
+        const { matchThreshold } = this.getConfig(settings);
+        const faces = await this.detectFaces(input);
+
+        if (faces.length === 0) {
+            return { status: 'no_face', similarity: null, faceCount: 0, threshold: matchThreshold };
+        }
+
+        const similarity = Math.max(...references.map(reference => this.similarity(faces[0].descriptor, reference.descriptor)));
+        return {
+            status: similarity >= matchThreshold ? 'matched' : 'low_confidence',
+            similarity: Math.round(similarity * 1000) / 1000,
+            faceCount: faces.length,
+            threshold: matchThreshold
+        };
+    }
+};
@@ -0,0 +1,217 @@
+import Attendance from '../models/Attendance.js';
+import { geoService } from './geo.js';
+import { timeService } from './time.js';
+
+// Points added to the risk score for each signal; the score is capped at 100
+const WEIGHTS = {
+    impossible_travel: 60,
+    repeated_coordinates: 35,
+    shared_coordinates: 45,
+    rounded_coordinates: 15,
+    accuracy_implausible: 25
+};
+
+// Most recent records compared with each photo; more candidates than this means a hash
+// shared by many unrelated photos (e.g. a blank frame), where the latest ones will do
+const MAX_PHOTO_CANDIDATES = 200;
+
+// Moves shorter than this are GPS drift, whatever the time between check-ins
+const MIN_TRAVEL_DISTANCE = 1000; // meters
+
+const countDecimals = (value) => {
+    const [, decimals = ''] = String(value).split('.');
+    return decimals.length;
+};
+
+// Location spoofing and photo reuse checks run on each check-in
+export const fraudService = {
+    getConfig(settings) {
+        const config = settings?.attendanceSettings?.fraudDetection || {};
+        return {
+            enabled: config.enabled !== false,
+            highRiskScore: config.highRiskScore ?? 60,
+            mediumRiskScore: config.mediumRiskScore ?? 30,
+            maxTravelSpeedKmh: config.maxTravelSpeedKmh ?? 120,
+            sharedLocationDays: config.sharedLocationDays ?? 30,
+            minAccuracy: config.minAccuracy ?? 1,
+            maxAccuracy: config.maxAccuracy ?? 500,
+            duplicatePhotoDistance: config.duplicatePhotoDistance ?? 6,
+            photoLookbackDays: config.photoLookbackDays ?? 90,
+            maxPhotoAgeMinutes: config.maxPhotoAgeMinutes ?? 30
+        };
+    },
+
+    // Score one check-in location. Returns { score, level, reasons, assessedAt }.
+    // Accuracy is only scored when the provider sends it; WhatsApp location messages
+    // and EXIF photo locations do not carry one.
+    async assess({ student, attendance = null, location, timestamp, settings, center = null, source = 'location' }) {
+        const config = this.getConfig(settings);
+        const checkedInAt = new Date(timestamp);
+        const reasons = [];
+
+        if (!config.enabled) {
+            return { score: 0, level: 'low', reasons, assessedAt: new Date() };
+        }
+
+        const addReason = (code, message, details = {}) => {
+            reasons.push({ code, message, weight: WEIGHTS[code], details });
+        };
+
+        const { latitude, longitude } = location;
+        const otherRecords = {
+            source: 'whatsapp',
+            'location.coordinates.latitude': latitude,
+            'location.coordinates.longitude': longitude
+        };
+        if (attendance?._id) {
+            otherRecords._id = { $ne: attendance._id };
+        }
+
+        const [previous, repeated, shared] = await Promise.all([
+            Attendance.findOne({
+                student: student._id,
+                source: 'whatsapp',
+                date: { $lt: checkedInAt },
+                'location.coordinates.latitude': { $nin: [0, null] },
+                ...(attendance?._id ? { _id: { $ne: attendance._id } } : {})
+            }).sort({ date: -1 }).select('date location.coordinates').lean(),
+            Attendance.findOne({
+                ...otherRecords,
+                student: student._id,
+                day: { $ne: Attendance.getDayKey(checkedInAt, timeService.resolveTimezone(settings, center)) }
+            }).select('day').lean(),
+            Attendance.distinct('student', {
+                ...otherRecords,
+                student: { $ne: student._id },
+                date: { $gte: new Date(checkedInAt.getTime() - config.sharedLocationDays * 24 * 60 * 60 * 1000) }
+            })
+        ]);
+
+        // Impossible travel since the previous check-in
+        if (previous) {
+            const distance = geoService.calculateDistance(previous.location.coordinates, { latitude, longitude });
+            const hours = Math.max(checkedInAt - previous.date, 60 * 1000) / (60 * 60 * 1000);
+            const speedKmh = Math.round(distance / 1000 / hours);
+
+            if (distance >= MIN_TRAVEL_DISTANCE && speedKmh > config.maxTravelSpeedKmh) {
+                addReason('impossible_travel', `Moved ${Math.round(distance / 1000)}km since the previous check-in (${speedKmh}km/h)`, {
+                    previousAttendance: previous._id,
+                    distance,
+                    speedKmh
+                });
+            }
+        }
+
+        // Real GPS fixes drift, so the exact same point on another day suggests a fake location
+        if (repeated) {
+            addReason('repeated_coordinates', `Exactly the same coordinates as the check-in on ${repeated.day}`, {
+                previousAttendance: repeated._id,
+                day: repeated.day
+            });
+        }
+
+        if (shared.length > 0) {
+            addReason('shared_coordinates', `Exactly the same coordinates as ${shared.length} other student(s)`, {
+                students: shared
+            });
+        }
+
+        if (countDecimals(latitude) <= 4 && countDecimals(longitude) <= 4) {
+            addReason('rounded_coordinates', 'Coordinates are rounded, as if typed in by hand', { latitude, longitude });
+        }
+
+        const { accuracy } = location;
+        if (source === 'location' && accuracy !== null && accuracy !== undefined) {
+            if (!Number.isFinite(Number(accuracy)) || accuracy < config.minAccuracy || accuracy > config.maxAccuracy) {
+                addReason('accuracy_implausible', `Implausible location accuracy of ${accuracy}m`, { accuracy });
+            }
+        }
+
+        const score = Math.min(100, reasons.reduce((total, reason) => total + reason.weight, 0));
+        const level = score >= config.highRiskScore ? 'high' : score >= config.mediumRiskScore ? 'medium' : 'low';
+
+        return { score, level, reasons, assessedAt: new Date() };
+    },
+
+    // Compare a photo with earlier attendance photos, the student's own and everyone else's,
+    // and check when it was taken. Returns { duplicates, stale }; duplicates are the conflicting records.
+    async checkPhoto({ student, attendance = null, hashes, capturedAt = null, messageTime, settings }) {
+        const config = this.getConfig(settings);
+        const result = { duplicates: [], stale: null };
+
+        if (!config.enabled || !hashes) {
+            return result;
+        }
+
+        // Exact copies are looked for across all history, near copies in the recent window
+        // among photos sharing a hash band (all of them, up to a distance of 7 bits)
+        const matchers = [{ 'images.metadata.sha256': hashes.sha256 }];
+        const bands = Attendance.getHashBands(hashes.perceptualHash);
+        if (bands.length > 0) {
+            matchers.push({
+                'images.metadata.hashBands': { $in: bands },
+                date: { $gte: new Date(new Date(messageTime).getTime() - config.photoLookbackDays * 24 * 60 * 60 * 1000) }
+            });
+        }
+
+        const candidates = await Attendance.find({
+            $or: matchers,
+            ...(attendance?._id ? { _id: { $ne: attendance._id } } : {})
+        })
+            .select('student date day status images.url images.metadata.sha256 images.metadata.perceptualHash')
+            .sort({ date: -1 })
+            .limit(MAX_PHOTO_CANDIDATES)
+            .lean();
+
+        const matches = [];
+        for (const record of candidates) {
+            let best = null;
+            for (const image of record.images) {
+                const metadata = image.metadata || {};
+                if (metadata.sha256 === hashes.sha256) {
+                    best = { match: 'exact', distance: 0, imageUrl: image.url };
+                    break;
+                }
+                const distance = Attendance.hammingDistance(hashes.perceptualHash, metadata.perceptualHash);
+                if (distance <= config.duplicatePhotoDistance && (!best || distance < best.distance)) {
+                    best = { match: 'perceptual', distance, imageUrl: image.url };
+                }
+            }
+
+            if (best) {
+                matches.push({ record, best });
+            }
+        }
+
+        // Only the records that matched need their student's name
+        await Attendance.populate(matches.map(({ record }) => record), { path: 'student', select: 'name studentId' });
+
+        for (const { record, best } of matches) {
+            const otherStudentId = record.student?._id || record.student;
+            result.duplicates.push({
+                attendance: record._id,
+                student: record.student ? {
+                    id: otherStudentId,
+                    name: record.student.name,
+                    studentId: record.student.studentId
+                } : null,
+                sameStudent: Boolean(otherStudentId) && otherStudentId.toString() === student._id.toString(),
+                day: record.day,
+                status: record.status,
+                ...best
+            });
+        }
+
+        result.duplicates.sort((a, b) => a.distance - b.distance);
+
+        if (capturedAt) {
+            const ageMinutes = Math.round((new Date(messageTime) - capturedAt) / 60000);
+            // A capture time in the future is as suspect as an old one
+            if (Math.abs(ageMinutes) > config.maxPhotoAgeMinutes) {
+                result.stale = { capturedAt, messageTime: new Date(messageTime), ageMinutes };
+            }
+        }
+
+        return result;
+    }
+};
@@ -1,5 +1,11 @@
 import geolib from 'geolib';
 
+// GeoJSON positions are [longitude, latitude]
+const toPoint = ([longitude, latitude]) => ({ latitude, longitude });
+
+// Polygons of a Polygon or MultiPolygon geofence, each a list of rings (outer ring first, then holes)
+const getPolygons = (geofence) => (geofence.type === 'MultiPolygon' ? geofence.coordinates : [geofence.coordinates]);
+
 export const geoService = {
     calculateDistance(point1, point2) {
         return geolib.getDistance(point1, point2);
@@ -12,5 +18,83 @@ export const geoService = {
 
     validateCoordinates(lat, lng) {
         return lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+    },
+
+    hasGeofence(center) {
+        return Boolean(center?.geofence?.type && Array.isArray(center.geofence.coordinates) && center.geofence.coordinates.length > 0);
+    },
+
+    // Closed rings of at least four [lng, lat] positions, as GeoJSON requires
+    isValidGeofence(geofence) {
+        if (!geofence || !['Polygon', 'MultiPolygon'].includes(geofence.type) || !Array.isArray(geofence.coordinates)) {
+            return false;
+        }
+        if (geofence.bufferDistance !== undefined && !(Number(geofence.bufferDistance) >= 0)) {
+            return false;
+        }
+
+        const polygons = getPolygons(geofence);
+        return polygons.length > 0 && polygons.every(rings =>
+            Array.isArray(rings) && rings.length > 0 && rings.every(ring => {
+                if (!Array.isArray(ring) || ring.length < 4) {
+                    return false;
+                }
+                const validPositions = ring.every(position =>
+                    Array.isArray(position) && position.length >= 2 &&
+                    typeof position[0] === 'number' && typeof position[1] === 'number' &&
+                    this.validateCoordinates(position[1], position[0])
+                );
+                const first = ring[0];
+                const last = ring[ring.length - 1];
+                return validPositions && first[0] === last[0] && first[1] === last[1];
+            })
+        );
+    },
+
+    isPointInGeofence(point, geofence) {
+        return getPolygons(geofence).some(([outer, ...holes]) =>
+            geolib.isPointInPolygon(point, outer.map(toPoint)) &&
+            !holes.some(hole => geolib.isPointInPolygon(point, hole.map(toPoint)))
+        );
+    },
+
+    // Meters from the point to the nearest geofence edge, 0 when inside
+    distanceToGeofence(point, geofence) {
+        if (this.isPointInGeofence(point, geofence)) {
+            return 0;
+        }
+
+        let minDistance = Infinity;
+        for (const rings of getPolygons(geofence)) {
+            for (const ring of rings) {
+                for (let i = 0; i < ring.length - 1; i++) {
+                    const start = toPoint(ring[i]);
+                    const end = toPoint(ring[i + 1]);
+                    let distance = geolib.getDistanceFromLine(point, start, end);
+                    // Degenerate segments (repeated positions) come back as NaN
+                    if (!Number.isFinite(distance)) {
+                        distance = Math.min(geolib.getDistance(point, start), geolib.getDistance(point, end));
+                    }
+                    minDistance = Math.min(minDistance, distance);
+                }
+            }
+        }
+        return Math.round(minDistance);
+    },
+
+    // Whether a point counts as at the center. Centers with a geofence use the polygon plus
+    // its buffer, and distance is measured to the polygon edge; others use the radius circle.
+    checkCenter(point, center) {
+        if (this.hasGeofence(center)) {
+            const bufferDistance = center.geofence.bufferDistance || 0;
+            const distance = this.distanceToGeofence(point, center.geofence);
+            return { isWithin: distance <= bufferDistance, distance, method: 'geofence', bufferDistance };
+        }
+
+        const distance = this.calculateDistance(point, {
+            latitude: center.coordinates.latitude,
+            longitude: center.coordinates.longitude
+        });
+        return { isWithin: distance <= center.radius, distance, method: 'radius', radius: center.radius };
     }
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,144 @@
+import Settings from '../models/Settings.js';
+import Student from '../models/Student.js';
+import { templateService, TEMPLATE_CATALOGUE } from './template.js';
+import { timeService } from './time.js';
+import { en } from './locales/en.js';
+import { hi } from './locales/hi.js';
+
+// Built-in catalogues. Settings.translations overrides any key, and can add languages.
+const CATALOGUES = { en, hi };
+
+const LANGUAGE_NAMES = {
+    en: 'English',
+    hi: 'हिन्दी',
+    bn: 'বাংলা',
+    mr: 'मराठी',
+    ta: 'தமிழ்',
+    te: 'తెలుగు',
+    gu: 'ગુજરાતી',
+    kn: 'ಕನ್ನಡ',
+    ml: 'മലയാളം',
+    pa: 'ਪੰਜਾਬੀ',
+    ur: 'اردو',
+    or: 'ଓଡ଼ିଆ'
+};
+
+export const FALLBACK_LANGUAGE = 'en';
+export const LANGUAGE_CODE_REGEX = /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/;
+
+// en-IN -> en, HI -> hi
+const normalize = (code) => typeof code === 'string' ? code.trim().toLowerCase().replace('_', '-') : null;
+
+export const i18nService = {
+    FALLBACK_LANGUAGE,
+
+    // Language codes messages can be sent in: built-in catalogues and any added in Settings
+    getLanguages(settings) {
+        const codes = new Set([...Object.keys(CATALOGUES), ...Object.keys(settings?.translations || {})]);
+        return Object.fromEntries([...codes].map(code => [code, LANGUAGE_NAMES[code.split('-')[0]] || code]));
+    },
+
+    isSupported(code, settings) {
+        return Boolean(this.getLanguages(settings)[normalize(code)]);
+    },
+
+    // Student's language, then the system language, then English. Regional codes
+    // (hi-in) fall back to their base language (hi) before moving on.
+    getLanguageChain(student, settings) {
+        const chain = [];
+        const languages = this.getLanguages(settings);
+
+        for (const code of [student?.language, settings?.system?.language, FALLBACK_LANGUAGE].map(normalize)) {
+            if (!code) {
+                continue;
+            }
+            for (const candidate of [code, code.split('-')[0]]) {
+                if (languages[candidate] && !chain.includes(candidate)) {
+                    chain.push(candidate);
+                }
+            }
+        }
+
+        return chain;
+    },
+
+    // Message text for a key, before placeholders are filled in
+    lookup(key, chain, settings) {
+        for (const language of chain) {
+            const text = settings?.translations?.[language]?.[key] ?? CATALOGUES[language]?.[key];
+            if (text) {
+                return text;
+            }
+        }
+        return CATALOGUES[FALLBACK_LANGUAGE][key] ?? key;
+    },
+
+    // Translate function for one student: t(key, values). t.languages is the fallback
+    // chain, for rendering Settings.templates in the same language.
+    translator(student, settings) {
+        const chain = this.getLanguageChain(student, settings);
+        const renderOptions = {
+            dateFormat: settings?.system?.dateFormat,
+            timeFormat: settings?.system?.timeFormat,
+            timeZone: timeService.resolveTimezone(settings)
+        };
+
+        const t = (key, values = {}) => templateService.renderSource(this.lookup(key, chain, settings), values, renderOptions);
+        t.language = chain[0];
+        t.languages = chain;
+        // Settings.templates entry in the student's language
+        t.template = (key, data, options = {}) => templateService.render(key, data, settings, { ...options, languages: chain });
+        return t;
+    },
+
+    // Translator for a WhatsApp number, e.g. when the student has not been looked up yet
+    async forPhone(phone) {
+        const settings = await Settings.getSettings();
+        const student = phone ? await Student.findByPhone(phone).select('language') : null;
+        return this.translator(student, settings);
+    },
+
+    // Keys that can be translated, with the English text and the placeholders each one takes
+    getCatalogue() {
+        const messages = Object.fromEntries(Object.entries(en).map(([key, text]) => [key, {
+            text,
+            variables: templateService.getVariableNames(text)
+        }]));
+        const templates = Object.fromEntries(Object.entries(TEMPLATE_CATALOGUE).map(([key, entry]) => [key, {
+            description: entry.description,
+            variables: Object.keys(entry.variables)
+        }]));
+        return { messages, templates };
+    },
+
+    getBuiltIn(language) {
+        return CATALOGUES[language] || {};
+    },
+
+    // Errors for translations submitted for a language, keyed by message key. null removes a key.
+    validateTranslations(translations) {
+        const { messages, templates } = this.getCatalogue();
+        const errors = {};
+
+        for (const [key, text] of Object.entries(translations)) {
+            if (text === null) {
+                continue;
+            }
+
+            let keyErrors;
+            if (messages[key]) {
+                keyErrors = templateService.validateSource(text, messages[key].variables);
+            } else if (templates[key]) {
+                keyErrors = templateService.validate(key, text);
+            } else {
+                keyErrors = [`Unknown message key: ${key}`];
+            }
+
+            if (keyErrors.length > 0) {
+                errors[key] = keyErrors;
+            }
+        }
+
+        return errors;
+    }
+};
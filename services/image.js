@@ -1,13 +1,19 @@
 import axios from 'axios';
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import sharp from 'sharp';
 import exifr from 'exifr';
+import { timeService } from './time.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Difference hash: a 9x8 greyscale thumbnail gives 64 left-to-right brightness comparisons
+const DHASH_WIDTH = 9;
+const DHASH_HEIGHT = 8;
+
 export const imageService = {
     async downloadAndSaveImage(imageUrl, studentId) {
         try {
@@ -98,6 +104,48 @@ export const imageService = {
         }
     },
 
+    // Write a file under /<root>/<subdir>, named after the student. Files under /uploads are
+    // served publicly; /storage is for files only served through the API.
+    async saveBuffer(subdir, buffer, studentId, mimeType = 'image/jpeg', root = 'uploads') {
+        const dir = path.join(__dirname, '..', root, subdir);
+        await fs.promises.mkdir(dir, { recursive: true });
+
+        // e.g. image/svg+xml or a mime type with parameters
+        const extension = (mimeType.split('/')[1] || 'jpg').split(/[;+]/)[0];
+        const filename = `${studentId}-${Date.now()}-${crypto.randomBytes(4).toString('hex')}.${extension}`;
+        await fs.promises.writeFile(path.join(dir, filename), buffer);
+
+        return `/${root}/${subdir}/${filename}`;
+    },
+
+    // Reference photos for face enrollment are biometric data, so they are kept out of
+    // /uploads and served only by GET /api/students/:id/face/:referenceId/photo
+    saveFaceImage(buffer, studentId, mimeType = 'image/jpeg') {
+        return this.saveBuffer('faces', buffer, studentId, mimeType, 'storage');
+    },
+
+    // Remove reference photos that are no longer part of an enrollment. Files already
+    // gone are fine; other errors are logged, as the enrollment has changed anyway.
+    async deleteFaceImages(urls) {
+        for (const url of urls) {
+            if (!url?.startsWith('/storage/faces/')) {
+                continue;
+            }
+            try {
+                await fs.promises.unlink(this.getFilePath(url));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    console.error(`Error deleting face image ${url}:`, error.message);
+                }
+            }
+        }
+    },
+
+    // Documents attached to leave requests (photos or PDFs), e.g. a medical certificate
+    saveLeaveDocument(buffer, studentId, mimeType = 'image/jpeg') {
+        return this.saveBuffer('leave', buffer, studentId, mimeType);
+    },
+
     async extractImageMetadata(imagePath) {
         try {
             console.log('Extracting EXIF data from image path:', imagePath);
@@ -268,6 +316,103 @@ export const imageService = {
         }
     },
 
+    // Absolute path of a file saved under /uploads or /storage
+    getFilePath(imageUrl) {
+        return path.join(__dirname, '..', imageUrl);
+    },
+
+    // Exact (sha256 of the file) and perceptual (dHash) fingerprints of a saved image.
+    // The perceptual hash survives re-compression and resizing, e.g. a forwarded photo.
+    async computeHashes(imagePath) {
+        const buffer = await fs.promises.readFile(imagePath);
+        const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+
+        let perceptualHash = null;
+        try {
+            const pixels = await sharp(buffer)
+                .rotate()
+                .greyscale()
+                .resize(DHASH_WIDTH, DHASH_HEIGHT, { fit: 'fill' })
+                .raw()
+                .toBuffer();
+            perceptualHash = this.differenceHash(pixels);
+        } catch (error) {
+            console.error('Error computing perceptual hash:', error);
+        }
+
+        return { sha256, perceptualHash };
+    },
+
+    // 64-bit hash as 16 hex characters, one bit per pair of neighbouring pixels in a row
+    differenceHash(pixels, width = DHASH_WIDTH, height = DHASH_HEIGHT) {
+        let hash = '';
+        for (let y = 0; y < height; y++) {
+            let byte = 0;
+            for (let x = 0; x < width - 1; x++) {
+                const offset = y * width + x;
+                byte = (byte << 1) | (pixels[offset] < pixels[offset + 1] ? 1 : 0);
+            }
+            hash += byte.toString(16).padStart(2, '0');
+        }
+        return hash;
+    },
+
+    // EXIF capture times carry no timezone; exifr reads them as server-local time,
+    // so the wall-clock reading is reinterpreted in the given timezone
+    getCaptureTime(exifTimestamp, timeZone) {
+        if (!exifTimestamp) {
+            return null;
+        }
+
+        let parts;
+        if (exifTimestamp instanceof Date) {
+            if (isNaN(exifTimestamp)) {
+                return null;
+            }
+            parts = [
+                exifTimestamp.getFullYear(),
+                exifTimestamp.getMonth() + 1,
+                exifTimestamp.getDate(),
+                exifTimestamp.getHours(),
+                exifTimestamp.getMinutes()
+            ];
+        } else {
+            // Raw EXIF format, YYYY:MM:DD HH:MM:SS
+            const match = String(exifTimestamp).match(/^(\d{4})[:-](\d{2})[:-](\d{2})[ T](\d{2}):(\d{2})/);
+            if (!match) {
+                return null;
+            }
+            parts = match.slice(1).map(Number);
+        }
+
+        const pad = (n) => String(n).padStart(2, '0');
+        const [year, month, day, hours, minutes] = parts;
+        return timeService.zonedTimeToUtc(`${year}-${pad(month)}-${pad(day)}`, `${pad(hours)}:${pad(minutes)}`, timeZone);
+    },
+
+    // Small JPEG of a saved photo for the review queue, made on first request and kept
+    // under /uploads/thumbnails. Returns null when the photo is missing or unreadable.
+    async getThumbnail(imageUrl, width = 240) {
+        if (!imageUrl?.startsWith('/uploads/')) {
+            return null;
+        }
+
+        const name = `${path.basename(imageUrl, path.extname(imageUrl))}-${width}.jpg`;
+        const thumbnailsDir = path.join(__dirname, '../uploads/thumbnails');
+        const thumbnailPath = path.join(thumbnailsDir, name);
+
+        try {
+            if (!fs.existsSync(thumbnailPath)) {
+                await fs.promises.mkdir(thumbnailsDir, { recursive: true });
+                await this.processImage(this.getFilePath(imageUrl), thumbnailPath, { width, height: width, quality: 70 });
+            }
+            return `/uploads/thumbnails/${name}`;
+        } catch (error) {
+            console.error('Error creating thumbnail:', error.message);
+            return null;
+        }
+    },
+
     async processImage(inputPath, outputPath, options = {}) {
         try {
             const { width = 800, height = 600, quality = 80 } = options;
@@ -0,0 +1,193 @@
+import Attendance from '../models/Attendance.js';
+import Settings from '../models/Settings.js';
+import Student from '../models/Student.js';
+import { whatsappService } from './whatsapp.js';
+import { i18nService } from './i18n.js';
+import { imageService } from './image.js';
+import { calendarService } from './calendar.js';
+import { timeService } from './time.js';
+
+// Leave request workflow: approval writes on_leave attendance records for the
+// student's sessions on working days; rejection and cancellation tell the student
+export const leaveService = {
+    async attachDocument(request, { buffer, mimeType, filename = null }) {
+        const url = await imageService.saveLeaveDocument(buffer, request.student._id || request.student, mimeType);
+        request.document = { url, mimeType, filename, uploadedAt: new Date() };
+        return request.save();
+    },
+
+    // Image or document message content, downloaded from the provider if it was not inline
+    async attachWhatsAppMedia(request, content) {
+        let buffer;
+        let mimeType = content.contentType || content.mimeType;
+
+        if (content.base64Data) {
+            buffer = Buffer.from(content.base64Data.replace(/^data:[^;]+;base64,/, ''), 'base64');
+        } else if (content.dataUrl) {
+            const matches = content.dataUrl.match(/^data:([^;]+);base64,(.+)$/);
+            if (!matches) {
+                throw new Error('Invalid data URL format');
+            }
+            [mimeType, buffer] = [matches[1], Buffer.from(matches[2], 'base64')];
+        } else if (content.mediaId || content.mediaUrl) {
+            const media = await whatsappService.downloadMedia({
+                id: content.mediaId,
+                url: content.mediaUrl,
+                mimeType: content.mimeType
+            });
+            buffer = media.data;
+            mimeType = media.contentType || mimeType;
+        } else {
+            throw new Error('No media data available');
+        }
+
+        return this.attachDocument(request, { buffer, mimeType: mimeType || 'image/jpeg', filename: content.filename || null });
+    },
+
+    // Sessions the student is expected at on each working day of the request
+    async getLeaveSlots(request, student, settings) {
+        const sessions = student.sessions?.length ? student.sessions : ['full_day'];
+        const slots = [];
+
+        for (const dayKey of request.getDays()) {
+            const calendar = await calendarService.getDay(dayKey, settings);
+            if (!calendar.isStudentWorkingDay(student)) {
+                continue;
+            }
+            for (const session of sessions) {
+                slots.push({ dayKey, session });
+            }
+        }
+
+        return slots;
+    },
+
+    // Absences already marked for the leave become on_leave; sessions without a record
+    // get one, so they are not marked absent later. Check-ins during the leave are kept.
+    async writeAttendance(request, student, settings, reviewedBy) {
+        const timeZone = timeService.resolveTimezone(settings);
+        const slots = await this.getLeaveSlots(request, student, settings);
+        if (slots.length === 0) {
+            return 0;
+        }
+
+        const verification = {
+            isVerified: true,
+            verifiedBy: reviewedBy,
+            verifiedAt: new Date(),
+            verificationMethod: 'manual_admin',
+            notes: `Approved leave: ${request.reason}`
+        };
+
+        const absences = await Attendance.find({
+            student: student._id,
+            day: { $in: [...new Set(slots.map(s => s.dayKey))] },
+            status: 'absent',
+            source: 'system'
+        });
+        for (const absence of absences) {
+            absence.setStatus('on_leave', { actor: reviewedBy, reason: verification.notes });
+            absence.leaveRequest = request._id;
+            absence.verification = verification;
+            await absence.save();
+        }
+
+        // Only one center can be recorded; students at several centers get none
+        const assigned = (student.centers || []).map(id => id.toString());
+        const center = assigned.length === 1 ? settings.centers.find(c => c._id.toString() === assigned[0]) : null;
+
+        const docs = slots.map(({ dayKey, session }) => {
+            const slot = center?.timeSlots?.[session];
+            return {
+                student: student._id,
+                date: timeService.zonedTimeToUtc(dayKey, slot?.start || '00:00', timeZone),
+                day: dayKey,
+                session,
+                status: 'on_leave',
+                source: 'system',
+                leaveRequest: request._id,
+                location: {
+                    verifiedCenter: center ? { id: center._id, name: center.name, address: center.address } : null
+                },
+                timeSlot: {
+                    expected: { start: slot?.start || null, end: slot?.end || null }
+                },
+                verification
+            };
+        });
+
+        // Sessions that already have a record (a check-in, or the converted absences) are skipped
+        const created = await Attendance.insertSkippingDuplicates(docs, { actor: reviewedBy, reason: verification.notes });
+        return created.length + absences.length;
+    },
+
+    async approve(request, { reviewedBy = 'admin', notes = null } = {}) {
+        const settings = await Settings.getSettings();
+        const student = await Student.findById(request.student._id || request.student);
+        if (!student) {
+            throw new Error('Student not found');
+        }
+
+        // The records are written before the request is saved as approved, so a failure
+        // leaves it pending; approving it again skips the records already written
+        request.attendanceRecords = await this.writeAttendance(request, student, settings, reviewedBy);
+        request.status = 'approved';
+        request.review = { by: reviewedBy, at: new Date(), notes };
+        await request.save();
+
+        console.log(`✅ Leave approved for ${student.name}: ${request.startDate} to ${request.endDate} (${request.attendanceRecords} records)`);
+        await this.notify(request, student, settings, 'leaveApproved');
+        return request;
+    },
+
+    async reject(request, { reviewedBy = 'admin', notes = null } = {}) {
+        request.status = 'rejected';
+        request.review = { by: reviewedBy, at: new Date(), notes };
+        await request.save();
+
+        await this.notify(request, null, null, 'leaveRejected');
+        return request;
+    },
+
+    // Cancelling approved leave deletes its on_leave records. Past sessions that were
+    // absences before the approval can be marked again with POST /api/attendance/mark-absent.
+    async cancel(request, { reviewedBy = 'admin', notes = null } = {}) {
+        const wasApproved = request.status === 'approved';
+        request.status = 'cancelled';
+        request.review = { by: reviewedBy, at: new Date(), notes };
+
+        if (wasApproved) {
+            const records = await Attendance.find({ leaveRequest: request._id, status: 'on_leave' });
+            for (const record of records) {
+                await record.softDelete({ actor: reviewedBy, reason: 'Leave cancelled' });
+            }
+            request.attendanceRecords = 0;
+        }
+        await request.save();
+
+        await this.notify(request, null, null, 'leaveCancelled');
+        return request;
+    },
+
+    // WhatsApp message to the student about the decision; a failed send does not undo it
+    async notify(request, student, settings, key) {
+        try {
+            student = student || await Student.findById(request.student._id || request.student);
+            settings = settings || await Settings.getSettings();
+            if (!student) {
+                return null;
+            }
+
+            const t = i18nService.translator(student, settings);
+            const text = t(key, {
+                start: timeService.formatDayKey(request.startDate, settings.system?.dateFormat),
+                end: timeService.formatDayKey(request.endDate, settings.system?.dateFormat),
+                notes: request.review?.notes
+            });
+            return await whatsappService.sendTextMessage(student.phone, text, { student, purpose: 'leave' });
+        } catch (error) {
+            console.error('Error sending leave notification:', error);
+            return null;
+        }
+    }
+};
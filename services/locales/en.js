@@ -0,0 +1,168 @@
+// English messages, the last fallback for every key. Placeholders use the template
+// syntax of services/template.js; {{#if}} blocks cover optional parts.
+export const en = {
+    // Words used inside other messages
+    'status.present': 'present',
+    'status.late': 'late',
+    'status.absent': 'absent',
+    'status.pending_verification': 'pending verification',
+    'status.excused': 'excused',
+    'status.on_leave': 'on leave',
+    'session.morning': 'morning',
+    'session.afternoon': 'afternoon',
+    'session.evening': 'evening',
+    'session.full_day': 'full day',
+    'media.photo': 'Photo',
+    'media.document': 'Document',
+    'center.any': 'any center',
+    'center.some': 'a center',
+
+    // Registration and errors
+    notRegistered: 'Sorry, you are not registered in our system. Please contact your administrator.',
+    accountInactive: 'Your account is currently inactive. Please contact your administrator.',
+    processingError: 'Sorry, there was an error processing your request. Please try again.',
+
+    // Guidance
+    markAttendanceHint: 'Please share your location and send a photo as a document to mark your attendance.',
+    unsupportedMessage: 'Please send your location and a photo as a document to mark your attendance.',
+    unsupportedDocument: 'Please send an image file or photo to mark your attendance.',
+    attendanceHowTo: 'To mark your attendance, please share your current location and send a photo as a document (to preserve location data).',
+    help: `Smart Attendance System Help:
+
+1. Share your location to mark attendance
+2. Send a photo as a DOCUMENT (not as image) for verification
+3. Sending as document preserves GPS location data in the photo
+4. Both location and photo are required
+5. You must be at the training center
+6. Send CHECKOUT when you leave and share your location to record your time on site
+
+📍 Pro tip: Send photos as documents to enable automatic location detection from image metadata!
+
+Commands:
+{{commands}}
+
+Need more help? Contact your administrator.`,
+    proTip: '💡 Pro Tip: Send photos as DOCUMENTS instead of images to enable automatic attendance marking with GPS location data!',
+    locationRequest: 'Please share your current location to mark your attendance. Make sure you are at the training center.',
+    photoRequest: 'Please send a photo as a DOCUMENT (not as image) to complete your attendance verification and preserve location data.',
+    instructions: `📍 Smart Attendance System Instructions:
+
+1. Share your current location
+2. Send a clear photo of yourself as a DOCUMENT (not as image)
+3. Sending as document preserves GPS location data in the photo
+4. Ensure you are within the training center premises
+5. Both location and photo are required
+
+🔧 Technical tip: WhatsApp removes location data from photos sent as "image" but preserves it when sent as "document"
+
+Your attendance will be automatically verified if you are at the correct location.
+
+Need help? Reply with "help" for more information.`,
+
+    // Check-in
+    alreadyMarkedToday: 'Your attendance for today has already been marked as {{status}}.',
+    alreadyMarkedSession: 'Your attendance for the {{session}} session has already been marked as {{status}}.',
+    sessionAlreadyMarked: 'Your attendance for the {{session}} session has already been marked.',
+    attendanceMarked: '✅ Your attendance has been marked as {{status}} at {{centerName}}!',
+    lateNote: '⚠️ Note: You are marked as LATE{{#if start}} during {{session}} session ({{start}}-{{end}}){{else}} (outside operating hours){{/if}}.',
+    sessionMarked: '✅ Attendance marked for {{session}} session.',
+    sessionChoice: 'More than one session is open right now. You were checked in for the {{session}} session; choose another one if that is wrong.',
+    sessionChosen: '✅ Your attendance is now recorded for the {{session}} session as {{status}}.',
+    sessionChoiceExpired: 'That session can no longer be chosen for this check-in.',
+    locationTooFar: 'You are {{distance}}m away from {{centerName}}.',
+    comeCloser: 'Please come closer to mark your attendance.',
+    wrongCenter: '📍 You appear to be at {{centerName}}, which is not your assigned center{{#if assignedCenter}} ({{assignedCenter}}){{/if}}. Your attendance has been sent to an administrator for review.',
+    photoReview: '⚠️ Your photo could not be accepted automatically. Your attendance has been sent to an administrator for review.',
+    locationRisk: '⚠️ Your location could not be confirmed automatically. Your attendance has been sent to an administrator for review.',
+    photoCheckInComplete: '✅ {{mediaType}} received. Your check-in is complete and your attendance is marked as {{status}}.',
+    photoGpsPresent: '✅ {{mediaType}} received with GPS location data. Your attendance has been marked as PRESENT at {{centerName}}!',
+    photoGpsDetails: '📍 GPS coordinates from image: {{latitude}}, {{longitude}}\n📏 Distance to center: {{distance}}m',
+    photoGpsTooFar: '📍 {{mediaType}} received with GPS location data. You are {{#if distance}}{{distance}}m{{else}}far{{/if}} away from {{centerName}} (required: within 2km).',
+    photoGpsTooFarDocument: '❌ Too far from center - please get closer to mark attendance.',
+    photoGpsTooFarImage: 'Please come closer or share your current location.',
+    documentNoGps: '📄 Document received but no GPS location data found.',
+    photoNoGps: '📷 Photo received. Send photos as DOCUMENTS to preserve GPS data for automatic location detection.',
+
+    // Conversation prompts
+    promptAwaitingPhoto: 'Please also send a photo to complete your attendance verification. Your check-in stays open for {{minutes}} minutes.',
+    promptAwaitingLocation: 'Please share your current location to complete your attendance. Your check-in stays open for {{minutes}} minutes.',
+    promptAwaitingCheckoutLocation: 'Please share your current location to check out. This stays open for {{minutes}} minutes.',
+    checkInExpired: '⌛ Your previous check-in was not completed{{#if minutes}} within {{minutes}} minutes{{/if}} and has expired. This message starts a new check-in.',
+    checkoutExpired: '⌛ Your check-out was not completed{{#if minutes}} within {{minutes}} minutes{{/if}} and has expired. Send CHECKOUT to try again.',
+
+    // Check-out
+    checkoutConfirm: 'Check out of the {{session}} session now? You checked in at {{time}}.',
+    checkoutCancelled: 'Check-out cancelled. Send CHECKOUT when you leave.',
+    checkoutNotCheckedIn: 'You have not checked in today, so there is nothing to check out from.',
+    checkoutAlreadyDone: 'You have already checked out today at {{time}}.',
+    checkoutTooFar: 'You are {{distance}}m away from {{centerName}}, so your check-out could not be recorded. Please share your location from the training center.',
+    checkedOut: '👋 You have checked out at {{time}}. Time on site: {{duration}}.',
+    earlyLeaveNote: '⚠️ Note: You left {{minutes}} minutes before the {{session}} session ends ({{end}}).',
+
+    // Commands
+    'command.status': "today's attendance status",
+    'command.history': 'your attendance for the last 7 days',
+    'command.percent': 'your attendance percentage this month',
+    'command.center': 'your training center address and timings',
+    'command.leave': 'request leave, e.g. LEAVE 21/10 fever',
+    'command.appeal': 'appeal a late or absent mark, e.g. APPEAL 21/10 I was on time',
+    'command.stop': 'stop reminders',
+    'command.start': 'receive reminders again',
+    'command.checkout': 'check out when you leave',
+    'command.lang': 'change language, e.g. LANG HI',
+    'command.attendance': 'how to mark attendance',
+    'command.help': 'show this help',
+    'button.markAttendance': 'Mark attendance',
+    'button.myCenter': 'My center',
+    'button.help': 'Help',
+    'button.checkOut': 'Check out',
+    'button.cancel': 'Cancel',
+    'button.chooseSession': 'Choose session',
+    unknownCommand: 'Sorry, I did not understand "{{text}}". Did you mean {{suggestion}}?',
+    commandsHint: 'Send HELP to see all commands.',
+
+    // Status
+    statusTodayAbsent: 'Your attendance status for today: ABSENT',
+    statusToday: 'Your attendance status for today:\n{{sessions}}',
+    history: '📅 Your attendance for the last 7 days:\n{{days}}',
+    historyNoRecord: 'no record',
+    percentSummary: '📊 Your attendance for {{month}}: {{percent}}%\nPresent: {{present}}, Late: {{late}}, Absent: {{absent}}{{#if excused}}\nOn leave or excused: {{excused}}{{/if}}{{#if pending}}\nPending verification: {{pending}}{{/if}}',
+    percentNoRecords: 'No attendance has been recorded for you in {{month}} yet.{{#if pending}} {{pending}} check-in(s) are pending verification.{{/if}}',
+    centerDetails: '🏫 {{name}}\n📍 {{address}}{{#if timings}}\n🕘 {{timings}}{{/if}}{{#if phone}}\n📞 {{phone}}{{/if}}\n🗺️ {{mapUrl}}',
+    centerNone: 'No training center is assigned to you. Please contact your administrator.',
+
+    // Leave
+    leaveHowTo: 'To request leave, send LEAVE followed by the date and the reason, e.g.\nLEAVE 21/10 fever\nLEAVE 21/10 to 23/10 family function\nLEAVE tomorrow doctor appointment\nTo attach a medical certificate or other document, send it with the caption LEAVE.',
+    leaveInvalidDate: 'Sorry, "{{value}}" is not a valid date. Send LEAVE followed by the date and the reason, e.g. LEAVE 21/10 fever',
+    leaveInvalidRange: 'The last day of your leave must not be before the first day.',
+    leavePastDate: 'Leave can only be requested for today or later.',
+    leaveTooLong: 'Leave can be requested for at most {{days}} days at a time.',
+    leaveNoReason: 'Please include the reason for your leave, e.g. LEAVE 21/10 fever',
+    leaveOverlap: 'You have already requested leave from {{start}} to {{end}}.',
+    leaveRequested: '📝 Your leave request from {{start}} to {{end}}{{#if document}}, with your document,{{/if}} has been sent to your administrator. You will be told once it is reviewed.',
+    leaveDocumentAttached: '📎 Your document has been added to your leave request from {{start}} to {{end}}.',
+    leaveDocumentUnsupported: 'Please send the document as a photo or a PDF file.',
+    leaveNoPending: 'You have no pending leave request to attach this to. Send it with the caption LEAVE followed by the date and the reason, e.g. LEAVE 21/10 fever',
+    leaveApproved: '✅ Your leave from {{start}} to {{end}} has been approved.{{#if notes}}\nNote: {{notes}}{{/if}}',
+    leaveRejected: '❌ Your leave request from {{start}} to {{end}} was not approved.{{#if notes}}\nReason: {{notes}}{{/if}}',
+    leaveCancelled: 'Your leave from {{start}} to {{end}} has been cancelled.{{#if notes}}\nNote: {{notes}}{{/if}}',
+
+    // Appeals
+    appealHowTo: 'To appeal a late or absent mark from the last {{days}} days, send APPEAL followed by the date and the reason, e.g.\nAPPEAL 21/10 I was on time but my location was wrong\nWithout a date your latest mark is appealed.',
+    appealInvalidDate: 'Sorry, "{{value}}" is not a valid date. Send APPEAL followed by the date and the reason, e.g. APPEAL 21/10 I was on time',
+    appealOutOfWindow: 'Marks can only be appealed within {{days}} days.',
+    appealNoReason: 'Please include the reason for your appeal, e.g. APPEAL 21/10 I was on time',
+    appealNoRecord: 'You have no late or absent mark {{#if date}}on {{date}}{{else}}from the last {{days}} days{{/if}} that can be appealed. Each mark can be appealed once.',
+    appealSubmitted: '⚖️ Your appeal against the {{status}} mark for the {{session}} session on {{date}} has been sent to your administrator. You will be told once it is reviewed.',
+    appealAccepted: '✅ Your appeal for the {{session}} session on {{date}} was accepted. You are now marked {{status}}.{{#if notes}}\nNote: {{notes}}{{/if}}',
+    appealRejected: '❌ Your appeal for the {{session}} session on {{date}} was not accepted. You remain marked {{status}}.{{#if notes}}\nReason: {{notes}}{{/if}}',
+
+    // Reminders
+    optedOut: '🔕 You will no longer receive reminders. You can still mark attendance as usual. Send START to receive reminders again.',
+    optedIn: '🔔 You will receive reminders again. Send STOP to turn them off.',
+
+    // Language
+    languageChanged: '✅ Messages will now be sent in English.',
+    languageUnknown: 'Sorry, {{code}} is not an available language. Send LANG followed by one of: {{languages}}',
+    languageList: 'Your messages are sent in {{current}}. To change, send LANG followed by one of: {{languages}}'
+};
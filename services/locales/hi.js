@@ -0,0 +1,155 @@
+// Hindi messages. Keys missing here fall back to English.
+export const hi = {
+    'status.present': 'उपस्थित',
+    'status.late': 'देर से',
+    'status.absent': 'अनुपस्थित',
+    'status.pending_verification': 'सत्यापन लंबित',
+    'status.excused': 'क्षमा प्राप्त',
+    'status.on_leave': 'छुट्टी पर',
+    'session.morning': 'सुबह',
+    'session.afternoon': 'दोपहर',
+    'session.evening': 'शाम',
+    'session.full_day': 'पूरे दिन',
+    'media.photo': 'फ़ोटो',
+    'media.document': 'डॉक्यूमेंट',
+    'center.any': 'किसी भी केंद्र',
+    'center.some': 'केंद्र',
+
+    notRegistered: 'क्षमा करें, आप हमारे सिस्टम में पंजीकृत नहीं हैं। कृपया अपने व्यवस्थापक से संपर्क करें।',
+    accountInactive: 'आपका खाता अभी निष्क्रिय है। कृपया अपने व्यवस्थापक से संपर्क करें।',
+    processingError: 'क्षमा करें, आपके अनुरोध को संसाधित करने में त्रुटि हुई। कृपया फिर से प्रयास करें।',
+
+    markAttendanceHint: 'अपनी उपस्थिति दर्ज करने के लिए कृपया अपना लोकेशन साझा करें और एक फ़ोटो डॉक्यूमेंट के रूप में भेजें।',
+    unsupportedMessage: 'अपनी उपस्थिति दर्ज करने के लिए कृपया अपना लोकेशन और एक फ़ोटो डॉक्यूमेंट के रूप में भेजें।',
+    unsupportedDocument: 'अपनी उपस्थिति दर्ज करने के लिए कृपया एक इमेज फ़ाइल या फ़ोटो भेजें।',
+    attendanceHowTo: 'अपनी उपस्थिति दर्ज करने के लिए कृपया अपना वर्तमान लोकेशन साझा करें और एक फ़ोटो डॉक्यूमेंट के रूप में भेजें (ताकि लोकेशन डेटा सुरक्षित रहे)।',
+    help: `स्मार्ट अटेंडेंस सिस्टम सहायता:
+
+1. उपस्थिति दर्ज करने के लिए अपना लोकेशन साझा करें
+2. सत्यापन के लिए फ़ोटो को डॉक्यूमेंट के रूप में भेजें (इमेज के रूप में नहीं)
+3. डॉक्यूमेंट के रूप में भेजने से फ़ोटो का GPS लोकेशन डेटा सुरक्षित रहता है
+4. लोकेशन और फ़ोटो दोनों आवश्यक हैं
+5. आपको प्रशिक्षण केंद्र पर होना चाहिए
+6. जाते समय CHECKOUT भेजें और केंद्र पर बिताया समय दर्ज करने के लिए अपना लोकेशन साझा करें
+
+📍 सुझाव: फ़ोटो को डॉक्यूमेंट के रूप में भेजें ताकि लोकेशन अपने आप पहचाना जा सके!
+
+कमांड:
+{{commands}}
+
+और सहायता चाहिए? अपने व्यवस्थापक से संपर्क करें।`,
+    proTip: '💡 सुझाव: फ़ोटो को इमेज की बजाय डॉक्यूमेंट के रूप में भेजें ताकि GPS लोकेशन डेटा से उपस्थिति अपने आप दर्ज हो सके!',
+    locationRequest: 'अपनी उपस्थिति दर्ज करने के लिए कृपया अपना वर्तमान लोकेशन साझा करें। सुनिश्चित करें कि आप प्रशिक्षण केंद्र पर हैं।',
+    photoRequest: 'उपस्थिति सत्यापन पूरा करने के लिए कृपया एक फ़ोटो डॉक्यूमेंट के रूप में भेजें (इमेज के रूप में नहीं), ताकि लोकेशन डेटा सुरक्षित रहे।',
+    instructions: `📍 स्मार्ट अटेंडेंस सिस्टम निर्देश:
+
+1. अपना वर्तमान लोकेशन साझा करें
+2. अपनी एक साफ़ फ़ोटो डॉक्यूमेंट के रूप में भेजें (इमेज के रूप में नहीं)
+3. डॉक्यूमेंट के रूप में भेजने से फ़ोटो का GPS लोकेशन डेटा सुरक्षित रहता है
+4. सुनिश्चित करें कि आप प्रशिक्षण केंद्र परिसर में हैं
+5. लोकेशन और फ़ोटो दोनों आवश्यक हैं
+
+🔧 तकनीकी सुझाव: WhatsApp "इमेज" के रूप में भेजी गई फ़ोटो से लोकेशन डेटा हटा देता है, लेकिन "डॉक्यूमेंट" के रूप में भेजने पर यह सुरक्षित रहता है
+
+यदि आप सही स्थान पर हैं तो आपकी उपस्थिति अपने आप सत्यापित हो जाएगी।
+
+सहायता चाहिए? अधिक जानकारी के लिए "help" लिखकर भेजें।`,
+
+    alreadyMarkedToday: 'आज की आपकी उपस्थिति पहले ही {{status}} के रूप में दर्ज हो चुकी है।',
+    alreadyMarkedSession: '{{session}} सत्र की आपकी उपस्थिति पहले ही {{status}} के रूप में दर्ज हो चुकी है।',
+    sessionAlreadyMarked: '{{session}} सत्र की आपकी उपस्थिति पहले ही दर्ज हो चुकी है।',
+    attendanceMarked: '✅ {{centerName}} पर आपकी उपस्थिति {{status}} के रूप में दर्ज कर ली गई है!',
+    lateNote: '⚠️ ध्यान दें: आपको देर से आने वाला दर्ज किया गया है{{#if start}} ({{session}} सत्र, {{start}}-{{end}}){{else}} (संचालन समय के बाहर){{/if}}।',
+    sessionMarked: '✅ {{session}} सत्र के लिए उपस्थिति दर्ज की गई।',
+    sessionChoice: 'इस समय एक से अधिक सत्र चल रहे हैं। आपका चेक-इन {{session}} सत्र के लिए हुआ है; यदि यह गलत है तो दूसरा सत्र चुनें।',
+    sessionChosen: '✅ आपकी उपस्थिति अब {{session}} सत्र के लिए {{status}} के रूप में दर्ज है।',
+    sessionChoiceExpired: 'इस चेक-इन के लिए अब यह सत्र नहीं चुना जा सकता।',
+    locationTooFar: 'आप {{centerName}} से {{distance}} मीटर दूर हैं।',
+    comeCloser: 'उपस्थिति दर्ज करने के लिए कृपया केंद्र के पास आएँ।',
+    wrongCenter: '📍 आप {{centerName}} पर प्रतीत होते हैं, जो आपका निर्धारित केंद्र नहीं है{{#if assignedCenter}} ({{assignedCenter}}){{/if}}। आपकी उपस्थिति समीक्षा के लिए व्यवस्थापक को भेज दी गई है।',
+    photoReview: '⚠️ आपकी फ़ोटो अपने आप स्वीकार नहीं की जा सकी। आपकी उपस्थिति समीक्षा के लिए व्यवस्थापक को भेज दी गई है।',
+    locationRisk: '⚠️ आपका लोकेशन अपने आप पुष्टि नहीं हो सका। आपकी उपस्थिति समीक्षा के लिए व्यवस्थापक को भेज दी गई है।',
+    photoCheckInComplete: '✅ {{mediaType}} प्राप्त हुआ। आपका चेक-इन पूरा हो गया है और आपकी उपस्थिति {{status}} के रूप में दर्ज है।',
+    photoGpsPresent: '✅ GPS लोकेशन डेटा के साथ {{mediaType}} प्राप्त हुआ। {{centerName}} पर आपकी उपस्थिति उपस्थित के रूप में दर्ज कर ली गई है!',
+    photoGpsDetails: '📍 इमेज के GPS निर्देशांक: {{latitude}}, {{longitude}}\n📏 केंद्र से दूरी: {{distance}} मीटर',
+    photoGpsTooFar: '📍 GPS लोकेशन डेटा के साथ {{mediaType}} प्राप्त हुआ। आप {{centerName}} से {{#if distance}}{{distance}} मीटर{{else}}बहुत{{/if}} दूर हैं (आवश्यक: 2 किमी के भीतर)।',
+    photoGpsTooFarDocument: '❌ केंद्र से बहुत दूर - उपस्थिति दर्ज करने के लिए कृपया पास आएँ।',
+    photoGpsTooFarImage: 'कृपया पास आएँ या अपना वर्तमान लोकेशन साझा करें।',
+    documentNoGps: '📄 डॉक्यूमेंट प्राप्त हुआ लेकिन कोई GPS लोकेशन डेटा नहीं मिला।',
+    photoNoGps: '📷 फ़ोटो प्राप्त हुई। लोकेशन अपने आप पहचानने के लिए फ़ोटो को डॉक्यूमेंट के रूप में भेजें।',
+
+    promptAwaitingPhoto: 'उपस्थिति सत्यापन पूरा करने के लिए कृपया एक फ़ोटो भी भेजें। आपका चेक-इन {{minutes}} मिनट तक खुला रहेगा।',
+    promptAwaitingLocation: 'उपस्थिति पूरी करने के लिए कृपया अपना वर्तमान लोकेशन साझा करें। आपका चेक-इन {{minutes}} मिनट तक खुला रहेगा।',
+    promptAwaitingCheckoutLocation: 'चेक-आउट करने के लिए कृपया अपना वर्तमान लोकेशन साझा करें। यह {{minutes}} मिनट तक खुला रहेगा।',
+    checkInExpired: '⌛ आपका पिछला चेक-इन{{#if minutes}} {{minutes}} मिनट के भीतर{{/if}} पूरा नहीं हुआ और समाप्त हो गया है। यह संदेश नया चेक-इन शुरू करता है।',
+    checkoutExpired: '⌛ आपका चेक-आउट{{#if minutes}} {{minutes}} मिनट के भीतर{{/if}} पूरा नहीं हुआ और समाप्त हो गया है। फिर से प्रयास करने के लिए CHECKOUT भेजें।',
+
+    checkoutConfirm: 'क्या अभी {{session}} सत्र से चेक-आउट करना है? आपने {{time}} पर चेक-इन किया था।',
+    checkoutCancelled: 'चेक-आउट रद्द कर दिया गया। जाते समय CHECKOUT भेजें।',
+    checkoutNotCheckedIn: 'आपने आज चेक-इन नहीं किया है, इसलिए चेक-आउट करने के लिए कुछ नहीं है।',
+    checkoutAlreadyDone: 'आप आज {{time}} पर पहले ही चेक-आउट कर चुके हैं।',
+    checkoutTooFar: 'आप {{centerName}} से {{distance}} मीटर दूर हैं, इसलिए आपका चेक-आउट दर्ज नहीं हो सका। कृपया प्रशिक्षण केंद्र से अपना लोकेशन साझा करें।',
+    checkedOut: '👋 आपने {{time}} पर चेक-आउट किया। केंद्र पर बिताया समय: {{duration}}।',
+    earlyLeaveNote: '⚠️ ध्यान दें: आप {{session}} सत्र समाप्त होने ({{end}}) से {{minutes}} मिनट पहले चले गए।',
+
+    'command.status': 'आज की उपस्थिति स्थिति',
+    'command.history': 'पिछले 7 दिनों की उपस्थिति',
+    'command.percent': 'इस महीने का उपस्थिति प्रतिशत',
+    'command.center': 'आपके प्रशिक्षण केंद्र का पता और समय',
+    'command.leave': 'छुट्टी का अनुरोध, जैसे LEAVE 21/10 बुखार',
+    'command.appeal': 'देर से या अनुपस्थित दर्ज होने पर अपील, जैसे APPEAL 21/10 मैं समय पर था',
+    'command.stop': 'रिमाइंडर बंद करें',
+    'command.start': 'रिमाइंडर फिर से पाएँ',
+    'command.checkout': 'जाते समय चेक-आउट करें',
+    'command.lang': 'भाषा बदलें, जैसे LANG EN',
+    'command.attendance': 'उपस्थिति कैसे दर्ज करें',
+    'command.help': 'यह सहायता दिखाएँ',
+    'button.markAttendance': 'उपस्थिति दर्ज करें',
+    'button.myCenter': 'मेरा केंद्र',
+    'button.help': 'सहायता',
+    'button.checkOut': 'चेक-आउट करें',
+    'button.cancel': 'रद्द करें',
+    'button.chooseSession': 'सत्र चुनें',
+    unknownCommand: 'क्षमा करें, "{{text}}" समझ नहीं आया। क्या आपका मतलब {{suggestion}} था?',
+    commandsHint: 'सभी कमांड देखने के लिए HELP भेजें।',
+
+    statusTodayAbsent: 'आज की आपकी उपस्थिति स्थिति: अनुपस्थित',
+    statusToday: 'आज की आपकी उपस्थिति स्थिति:\n{{sessions}}',
+    history: '📅 पिछले 7 दिनों की आपकी उपस्थिति:\n{{days}}',
+    historyNoRecord: 'कोई रिकॉर्ड नहीं',
+    percentSummary: '📊 {{month}} में आपकी उपस्थिति: {{percent}}%\nउपस्थित: {{present}}, देर से: {{late}}, अनुपस्थित: {{absent}}{{#if excused}}\nछुट्टी या क्षमा प्राप्त: {{excused}}{{/if}}{{#if pending}}\nसत्यापन बाकी: {{pending}}{{/if}}',
+    percentNoRecords: '{{month}} में अभी तक आपकी कोई उपस्थिति दर्ज नहीं हुई है।{{#if pending}} {{pending}} चेक-इन का सत्यापन बाकी है।{{/if}}',
+    centerDetails: '🏫 {{name}}\n📍 {{address}}{{#if timings}}\n🕘 {{timings}}{{/if}}{{#if phone}}\n📞 {{phone}}{{/if}}\n🗺️ {{mapUrl}}',
+    centerNone: 'आपको कोई प्रशिक्षण केंद्र नहीं सौंपा गया है। कृपया अपने व्यवस्थापक से संपर्क करें।',
+
+    leaveHowTo: 'छुट्टी का अनुरोध करने के लिए LEAVE के बाद तारीख और कारण भेजें, जैसे\nLEAVE 21/10 बुखार\nLEAVE 21/10 to 23/10 पारिवारिक कार्यक्रम\nLEAVE tomorrow डॉक्टर से मिलना\nमेडिकल सर्टिफिकेट या कोई अन्य दस्तावेज़ जोड़ने के लिए उसे LEAVE कैप्शन के साथ भेजें।',
+    leaveInvalidDate: 'क्षमा करें, "{{value}}" सही तारीख नहीं है। LEAVE के बाद तारीख और कारण भेजें, जैसे LEAVE 21/10 बुखार',
+    leaveInvalidRange: 'छुट्टी का अंतिम दिन पहले दिन से पहले नहीं हो सकता।',
+    leavePastDate: 'छुट्टी का अनुरोध केवल आज या आगे की तारीखों के लिए किया जा सकता है।',
+    leaveTooLong: 'एक बार में अधिकतम {{days}} दिनों की छुट्टी का अनुरोध किया जा सकता है।',
+    leaveNoReason: 'कृपया छुट्टी का कारण भी लिखें, जैसे LEAVE 21/10 बुखार',
+    leaveOverlap: 'आप {{start}} से {{end}} तक की छुट्टी का अनुरोध पहले ही कर चुके हैं।',
+    leaveRequested: '📝 {{start}} से {{end}} तक की आपकी छुट्टी का अनुरोध{{#if document}} आपके दस्तावेज़ के साथ{{/if}} व्यवस्थापक को भेज दिया गया है। समीक्षा होने पर आपको बताया जाएगा।',
+    leaveDocumentAttached: '📎 आपका दस्तावेज़ {{start}} से {{end}} तक की छुट्टी के अनुरोध में जोड़ दिया गया है।',
+    leaveDocumentUnsupported: 'कृपया दस्तावेज़ फ़ोटो या PDF फ़ाइल के रूप में भेजें।',
+    leaveNoPending: 'इसे जोड़ने के लिए आपका कोई लंबित छुट्टी अनुरोध नहीं है। इसे LEAVE, तारीख और कारण वाले कैप्शन के साथ भेजें, जैसे LEAVE 21/10 बुखार',
+    leaveApproved: '✅ {{start}} से {{end}} तक की आपकी छुट्टी स्वीकृत हो गई है।{{#if notes}}\nटिप्पणी: {{notes}}{{/if}}',
+    leaveRejected: '❌ {{start}} से {{end}} तक की आपकी छुट्टी का अनुरोध स्वीकृत नहीं हुआ।{{#if notes}}\nकारण: {{notes}}{{/if}}',
+    leaveCancelled: '{{start}} से {{end}} तक की आपकी छुट्टी रद्द कर दी गई है।{{#if notes}}\nटिप्पणी: {{notes}}{{/if}}',
+
+    appealHowTo: 'पिछले {{days}} दिनों में देर से या अनुपस्थित दर्ज होने पर अपील करने के लिए APPEAL के बाद तारीख और कारण भेजें, जैसे\nAPPEAL 21/10 मैं समय पर था पर मेरी लोकेशन गलत थी\nतारीख के बिना आपकी सबसे हाल की उपस्थिति पर अपील की जाएगी।',
+    appealInvalidDate: 'क्षमा करें, "{{value}}" सही तारीख नहीं है। APPEAL के बाद तारीख और कारण भेजें, जैसे APPEAL 21/10 मैं समय पर था',
+    appealOutOfWindow: 'अपील केवल {{days}} दिनों के भीतर की जा सकती है।',
+    appealNoReason: 'कृपया अपील का कारण भी लिखें, जैसे APPEAL 21/10 मैं समय पर था',
+    appealNoRecord: '{{#if date}}{{date}} को{{else}}पिछले {{days}} दिनों में{{/if}} आपकी कोई देर से या अनुपस्थित उपस्थिति नहीं है जिस पर अपील की जा सके। हर उपस्थिति पर एक ही बार अपील की जा सकती है।',
+    appealSubmitted: '⚖️ {{date}} के {{session}} सत्र में "{{status}}" दर्ज होने पर आपकी अपील व्यवस्थापक को भेज दी गई है। समीक्षा होने पर आपको बताया जाएगा।',
+    appealAccepted: '✅ {{date}} के {{session}} सत्र के लिए आपकी अपील स्वीकार कर ली गई है। अब आप "{{status}}" दर्ज हैं।{{#if notes}}\nटिप्पणी: {{notes}}{{/if}}',
+    appealRejected: '❌ {{date}} के {{session}} सत्र के लिए आपकी अपील स्वीकार नहीं हुई। आप "{{status}}" ही दर्ज हैं।{{#if notes}}\nकारण: {{notes}}{{/if}}',
+
+    optedOut: '🔕 अब आपको रिमाइंडर नहीं भेजे जाएँगे। आप पहले की तरह उपस्थिति दर्ज कर सकते हैं। रिमाइंडर फिर से पाने के लिए START भेजें।',
+    optedIn: '🔔 अब आपको फिर से रिमाइंडर भेजे जाएँगे। बंद करने के लिए STOP भेजें।',
+
+    languageChanged: '✅ अब संदेश हिंदी में भेजे जाएँगे।',
+    languageUnknown: 'क्षमा करें, {{code}} उपलब्ध भाषा नहीं है। LANG के बाद इनमें से कोई एक भेजें: {{languages}}',
+    languageList: 'आपके संदेश {{current}} में भेजे जाते हैं। बदलने के लिए LANG के बाद इनमें से कोई एक भेजें: {{languages}}'
+};
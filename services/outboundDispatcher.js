@@ -0,0 +1,188 @@
+import os from 'os';
+import OutboundMessage from '../models/OutboundMessage.js';
+import Settings from '../models/Settings.js';
+import { getProvider, DEFAULT_PROVIDER } from './whatsappProviders/index.js';
+import { configService } from './config.js';
+
+const BACKOFF_BASE_MS = 5 * 1000;
+const BACKOFF_MAX_MS = 15 * 60 * 1000;
+const RETRY_AFTER_MAX_MS = 60 * 60 * 1000;
+// Messages wait while the WhatsApp API is switched off in Settings
+const INACTIVE_RECHECK_MS = 60 * 1000;
+
+// Exponential backoff with jitter, so messages that failed together are not all retried together
+export const getRetryDelay = (attempt, random = Math.random) => {
+    const delay = Math.min(BACKOFF_BASE_MS * Math.pow(2, attempt - 1), BACKOFF_MAX_MS);
+    return Math.round(delay / 2 + random() * delay / 2);
+};
+
+// Network errors, timeouts, 429 and 5xx responses are retried, as are throttling and
+// temporary errors the provider reports with a 4xx status. Everything else is permanent.
+export const isRetryableError = (error, provider = {}) => {
+    if (!error.response) {
+        // A request that got no response; errors thrown before sending are not retried
+        return Boolean(error.request) && error.code !== 'ERR_INVALID_URL';
+    }
+
+    const { status, data } = error.response;
+    if (status === 408 || status === 429 || status >= 500) {
+        return true;
+    }
+
+    const code = Number(data?.error?.code ?? data?.code);
+    return Boolean(provider.retryableErrorCodes?.includes(code));
+};
+
+// Retry-After header in milliseconds, when the provider sent one
+const getRetryAfter = (error) => {
+    const value = error.response?.headers?.['retry-after'];
+    if (!value) {
+        return null;
+    }
+
+    const seconds = Number(value);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : new Date(value).getTime() - Date.now();
+    return Number.isFinite(ms) && ms > 0 ? Math.min(ms, RETRY_AFTER_MAX_MS) : null;
+};
+
+// Sends queued OutboundMessages. Rate limits are counted on the message log, so they
+// hold across restarts and across processes sharing the database.
+class OutboundDispatcher {
+    constructor() {
+        this.workerId = `${os.hostname()}-${process.pid}`;
+        this.pollInterval = 1000;
+        this.lockTimeout = 2 * 60 * 1000;
+        this.timer = null;
+        this.running = false;
+        this.polling = false;
+    }
+
+    start() {
+        if (this.running) {
+            return;
+        }
+
+        Object.assign(this, configService.outboundDispatcher());
+        this.running = true;
+        console.log(`Outbound dispatcher started (${this.workerId})`);
+        this.schedule(0);
+    }
+
+    stop() {
+        this.running = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    schedule(delay) {
+        if (!this.running) {
+            return;
+        }
+        if (this.timer) {
+            clearTimeout(this.timer);
+        }
+        this.timer = setTimeout(() => this.poll(), delay);
+    }
+
+    // Poll straight away, e.g. after a reply was queued
+    wake() {
+        if (this.running && !this.polling) {
+            this.schedule(0);
+        }
+    }
+
+    async getLimits() {
+        const settings = await Settings.getSettings();
+        const dispatch = settings.whatsappApi.dispatch || {};
+        return {
+            globalPerSecond: dispatch.globalPerSecond || 20,
+            perNumberLimit: dispatch.perNumberLimit || 5,
+            perNumberWindowMs: (dispatch.perNumberWindowSeconds || 10) * 1000
+        };
+    }
+
+    // Drain all due messages, then wait for the next poll
+    async poll() {
+        this.timer = null;
+        this.polling = true;
+        let delay = this.pollInterval;
+
+        try {
+            const limits = await this.getLimits();
+            let message = await OutboundMessage.claimNext(this.workerId, this.lockTimeout);
+
+            while (message && this.running) {
+                const wait = await this.getGlobalWait(limits);
+                if (wait > 0) {
+                    // Hold on to the claimed message; the lock outlasts a one second wait
+                    await new Promise(resolve => setTimeout(resolve, wait));
+                    continue;
+                }
+
+                await this.dispatch(message, limits);
+                message = await OutboundMessage.claimNext(this.workerId, this.lockTimeout);
+            }
+        } catch (error) {
+            console.error('Outbound dispatcher poll error:', error);
+            delay = Math.max(this.pollInterval, 5000);
+        } finally {
+            this.polling = false;
+        }
+
+        this.schedule(delay);
+    }
+
+    // Milliseconds until another provider call fits in the global per-second limit
+    async getGlobalWait(limits) {
+        const windowStart = new Date(Date.now() - 1000);
+        const recent = await OutboundMessage.countAttemptsSince(windowStart);
+        return recent < limits.globalPerSecond ? 0 : 1000 / limits.globalPerSecond;
+    }
+
+    async dispatch(message, limits) {
+        // Per-number limit: defer the message until the window has room again
+        const windowStart = new Date(Date.now() - limits.perNumberWindowMs);
+        const sentToNumber = await OutboundMessage.countAttemptsSince(windowStart, message.recipient);
+        if (sentToNumber >= limits.perNumberLimit) {
+            const oldest = await OutboundMessage.findOne({ recipient: message.recipient, lastAttemptAt: { $gte: windowStart } })
+                .sort({ lastAttemptAt: 1 })
+                .select('lastAttemptAt');
+            const until = new Date((oldest?.lastAttemptAt?.getTime() || Date.now()) + limits.perNumberWindowMs);
+            await message.defer(until);
+            return;
+        }
+
+        const settings = await Settings.getSettings();
+        if (!settings.whatsappApi.isActive) {
+            await message.defer(new Date(Date.now() + INACTIVE_RECHECK_MS));
+            return;
+        }
+
+        // Messages go out through the provider they were queued for, even after the provider
+        // in Settings changed: how a student answers an interactive message depends on it
+        const provider = getProvider(message.provider || settings.whatsappApi.provider || DEFAULT_PROVIDER);
+
+        await message.markAttempt();
+
+        try {
+            const result = await provider.send(provider.getConfig(settings), message.recipient, message.payload);
+            await message.markSent(result.messageId);
+            console.log(`WhatsApp ${message.messageType} message sent via ${provider.name}:`, result.messageId);
+        } catch (error) {
+            const retryable = isRetryableError(error, provider);
+            const delayMs = getRetryAfter(error) ?? getRetryDelay(message.attempts);
+            await message.markFailed(error, { retryable, delayMs });
+
+            if (message.status === 'failed') {
+                console.error(`WhatsApp message ${message._id} to ${message.recipient} failed on attempt ${message.attempts}:`,
+                    error.response?.data || error.message);
+            } else {
+                console.warn(`WhatsApp message ${message._id} attempt ${message.attempts} failed, retrying in ${delayMs}ms:`, error.message);
+            }
+        }
+    }
+}
+
+export const outboundDispatcher = new OutboundDispatcher();
@@ -0,0 +1,114 @@
+import Student from '../models/Student.js';
+import Attendance from '../models/Attendance.js';
+import Settings from '../models/Settings.js';
+import TaskRun from '../models/TaskRun.js';
+import OutboundMessage from '../models/OutboundMessage.js';
+import { whatsappService } from './whatsapp.js';
+import { calendarService } from './calendar.js';
+import { timeService } from './time.js';
+
+// A reminder sent long after reminderTime (e.g. after downtime) is skipped instead
+const MISSED_AFTER_MS = 60 * 60 * 1000;
+
+// Daily WhatsApp reminder for active students who have not checked in yet
+export const reminderService = {
+    async getRecipients(now = new Date()) {
+        const settings = await Settings.getSettings();
+        const timeZone = timeService.resolveTimezone(settings);
+        const { dayKey, start, end } = timeService.getDayRange(now, timeZone);
+
+        const checkedIn = await Attendance.distinct('student', {
+            date: { $gte: start, $lt: end },
+            status: { $ne: 'absent' }
+        });
+
+        const calendar = await calendarService.getDay(dayKey, settings);
+        // Students who sent STOP are not reminded
+        const students = await Student.find({ isActive: true, optedOutAt: null, _id: { $nin: checkedIn } })
+            .select('name phone studentId course batch centers')
+            .sort({ name: 1 });
+
+        // Nobody is reminded on a day off, and batches not in session are left out
+        const day = calendar.check();
+        return {
+            dayKey,
+            timeZone,
+            day,
+            students: day.isWorkingDay ? students.filter(s => calendar.isStudentWorkingDay(s)) : []
+        };
+    },
+
+    // Scheduler task: send once a day when reminderTime has passed in the configured timezone
+    async runDue(now = new Date()) {
+        const settings = await Settings.getSettings();
+        const { sendReminders, reminderTime } = settings.attendanceSettings.notifications;
+        if (!sendReminders) {
+            return;
+        }
+
+        const timeZone = timeService.resolveTimezone(settings);
+        const dayKey = timeService.toDayKey(now, timeZone);
+        const reminderAt = timeService.zonedTimeToUtc(dayKey, reminderTime, timeZone);
+        if (now < reminderAt) {
+            return;
+        }
+
+        const key = `reminder:${dayKey}`;
+        if (await TaskRun.exists({ key, status: { $in: ['completed', 'skipped'] } })) {
+            return;
+        }
+
+        const run = await TaskRun.claim(key, 'daily_reminder', { day: dayKey, reminderTime, timeZone });
+        if (!run) {
+            return;
+        }
+
+        if (now - reminderAt > MISSED_AFTER_MS) {
+            await run.finish({ reason: 'missed', reminderAt }, 'skipped');
+            console.log(`⏰ Daily reminder for ${dayKey} skipped, ${reminderTime} passed over an hour ago`);
+            return;
+        }
+
+        await this.execute(run, now);
+    },
+
+    // Send straight away, e.g. from the admin panel
+    async runNow() {
+        const run = await TaskRun.startManual('daily_reminder', {});
+        return this.execute(run, new Date());
+    },
+
+    async execute(run, now) {
+        try {
+            const { dayKey, day, students } = await this.getRecipients(now);
+            run.params = { ...run.params, day: dayKey };
+
+            if (!day.isWorkingDay) {
+                return await run.finish({ reason: 'non_working_day', reasons: day.reasons }, 'skipped');
+            }
+
+            // A retried scheduled run leaves out students an earlier attempt already queued
+            // a reminder for; manual runs have no key and remind everyone again
+            const reminded = run.key
+                ? new Set((await OutboundMessage.distinct('student', { runKey: run.key, purpose: 'reminder' })).map(id => id.toString()))
+                : new Set();
+            const pending = students.filter(s => !reminded.has(s._id.toString()));
+
+            const results = await whatsappService.sendDailyReminder(pending, { runKey: run.key || null });
+            const failures = results.filter(r => r.status === 'failed');
+
+            // Reminders are queued; delivery is tracked on the outbound message log
+            console.log(`⏰ Daily reminder for ${dayKey}: ${results.length - failures.length} queued, ${failures.length} failed, ${students.length - pending.length} already queued`);
+            return await run.finish({
+                recipients: students.length,
+                alreadyQueued: students.length - pending.length,
+                queued: results.length - failures.length,
+                failed: failures.length,
+                failures
+            });
+        } catch (error) {
+            await run.fail(error);
+            throw error;
+        }
+    }
+};
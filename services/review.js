@@ -0,0 +1,108 @@
+import mongoose from 'mongoose';
+import Attendance from '../models/Attendance.js';
+
+// Records waiting for an administrator: held for verification or flagged, and not reviewed yet
+export const REVIEW_FILTER = {
+    'verification.isVerified': false,
+    $or: [{ status: 'pending_verification' }, { 'flags.0': { $exists: true } }]
+};
+
+// Statuses a bulk review can give: verify accepts the check-in, reject marks the student absent
+export const REVIEW_STATUSES = {
+    verify: ['present', 'late'],
+    reject: ['absent']
+};
+export const MAX_BULK_REVIEW = 100;
+
+// Manual review of check-ins (/api/attendance/review). Records carry their version (__v);
+// a reviewer sends back the version they saw, so two reviewers cannot overwrite each other.
+export const reviewService = {
+    // Record an administrator's decision. The version is bumped on save, so a reviewer
+    // working from an older copy of the record gets a version conflict.
+    applyManualReview(attendance, { status, notes, reviewedBy }) {
+        attendance.setStatus(status, { actor: reviewedBy, reason: notes || null });
+        attendance.verification.isVerified = true;
+        attendance.verification.verifiedBy = reviewedBy;
+        attendance.verification.verifiedAt = new Date();
+        attendance.verification.verificationMethod = 'manual_admin';
+        attendance.verification.notes = notes || '';
+        attendance.increment();
+        return attendance;
+    },
+
+    isVersionConflict(attendance, version) {
+        return version !== undefined && version !== null && attendance.__v !== Number(version);
+    },
+
+    // Review one item of a bulk review: { id, version }, or just the id to skip the version check
+    async reviewItem(item, { status, notes, reviewedBy }) {
+        const id = typeof item === 'string' ? item : item?.id;
+        const version = typeof item === 'string' ? undefined : item?.version;
+
+        if (!mongoose.isValidObjectId(id)) {
+            return { id: id ?? null, ok: false, error: 'invalid_id', message: 'Invalid attendance id' };
+        }
+
+        try {
+            const attendance = await Attendance.findById(id);
+            if (!attendance) {
+                return { id, ok: false, error: 'not_found', message: 'Attendance record not found' };
+            }
+
+            if (this.isVersionConflict(attendance, version)) {
+                return {
+                    id,
+                    ok: false,
+                    error: 'version_conflict',
+                    message: 'Record was changed since it was loaded',
+                    version: attendance.__v,
+                    status: attendance.status,
+                    verifiedBy: attendance.verification.isVerified ? attendance.verification.verifiedBy : null
+                };
+            }
+
+            // Without a version, only records still waiting for review are changed
+            if ((version === undefined || version === null) && attendance.verification.isVerified) {
+                return {
+                    id,
+                    ok: false,
+                    error: 'already_reviewed',
+                    message: `Already verified by ${attendance.verification.verifiedBy}`,
+                    version: attendance.__v,
+                    status: attendance.status
+                };
+            }
+
+            this.applyManualReview(attendance, { status, notes, reviewedBy });
+            await attendance.save();
+
+            return { id, ok: true, status: attendance.status, version: attendance.__v };
+        } catch (error) {
+            if (error.name === 'VersionError') {
+                return { id, ok: false, error: 'version_conflict', message: 'Record was changed while it was being reviewed' };
+            }
+            console.error(`Error reviewing attendance ${id}:`, error);
+            return { id, ok: false, error: 'failed', message: error.message };
+        }
+    },
+
+    // Items are reviewed one after another; a failed item does not stop the rest
+    async reviewMany(items, { status, notes, reviewedBy }) {
+        const results = [];
+        for (const item of items) {
+            results.push(await this.reviewItem(item, { status, notes, reviewedBy }));
+        }
+
+        const conflicts = results.filter(result => result.error === 'version_conflict').length;
+        const updated = results.filter(result => result.ok).length;
+        return {
+            results,
+            summary: {
+                total: results.length,
+                updated,
+                conflicts,
+                failed: results.length - updated - conflicts
+            }
+        };
+    }
+};
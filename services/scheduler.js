@@ -0,0 +1,99 @@
+import os from 'os';
+import SchedulerLock from '../models/SchedulerLock.js';
+import { configService } from './config.js';
+
+const LOCK_NAME = 'scheduler';
+
+// In-process ticker for periodic tasks. Every instance ticks, but only the one
+// holding the lease in MongoDB runs tasks. Each task decides for itself what is
+// due on a tick and uses TaskRun to make sure an occurrence only runs once.
+class Scheduler {
+    constructor() {
+        this.instanceId = `${os.hostname()}-${process.pid}`;
+        this.tasks = new Map();
+        this.tickInterval = 60 * 1000;
+        this.leaseDuration = 3 * 60 * 1000;
+        this.isLeader = false;
+        this.lastTickAt = null;
+        this.timer = null;
+        this.running = false;
+    }
+
+    register(name, handler) {
+        this.tasks.set(name, handler);
+    }
+
+    start() {
+        if (this.running) {
+            return;
+        }
+
+        Object.assign(this, configService.scheduler());
+        this.running = true;
+        console.log(`Scheduler started (${this.instanceId}) with tasks: ${[...this.tasks.keys()].join(', ')}`);
+        this.schedule(0);
+    }
+
+    async stop() {
+        this.running = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        if (this.isLeader) {
+            this.isLeader = false;
+            await SchedulerLock.release(LOCK_NAME, this.instanceId);
+        }
+    }
+
+    schedule(delay) {
+        if (!this.running) {
+            return;
+        }
+        this.timer = setTimeout(() => this.tick(), delay);
+    }
+
+    async tick() {
+        const now = new Date();
+        this.lastTickAt = now;
+
+        const wasLeader = this.isLeader;
+        try {
+            this.isLeader = await SchedulerLock.acquire(LOCK_NAME, this.instanceId, this.leaseDuration);
+        } catch (error) {
+            console.error('Scheduler lock error:', error);
+            this.isLeader = false;
+        }
+
+        if (this.isLeader !== wasLeader) {
+            console.log(`Scheduler ${this.instanceId} ${this.isLeader ? 'is now' : 'is no longer'} the leader`);
+        }
+
+        if (this.isLeader) {
+            for (const [name, handler] of this.tasks) {
+                try {
+                    await handler(now);
+                } catch (error) {
+                    console.error(`Scheduled task ${name} failed:`, error);
+                }
+            }
+        }
+
+        this.schedule(this.tickInterval);
+    }
+
+    async getStatus() {
+        const lock = await SchedulerLock.findOne({ name: LOCK_NAME }).lean();
+        return {
+            instanceId: this.instanceId,
+            running: this.running,
+            isLeader: this.isLeader,
+            lastTickAt: this.lastTickAt,
+            tasks: [...this.tasks.keys()],
+            lock: lock ? { owner: lock.owner, expiresAt: lock.expiresAt } : null
+        };
+    }
+}
+
+export const scheduler = new Scheduler();
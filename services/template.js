@@ -0,0 +1,260 @@
+import { timeService } from './time.js';
+
+// Variables every template can use, filled from the student the message is for
+const STUDENT_VARIABLES = {
+    name: { type: 'text', description: 'Student name', sample: 'Asha Verma' },
+    studentName: { type: 'text', description: 'Student name (same as name)', sample: 'Asha Verma' },
+    studentId: { type: 'text', description: 'Student ID', sample: 'STU-1042' },
+    course: { type: 'text', description: 'Course', sample: 'Electrician' },
+    batch: { type: 'text', description: 'Batch', sample: 'B-07' }
+};
+
+// Settings.templates keys and the variables each one can use. date values are formatted
+// with system.dateFormat and time values with system.timeFormat, in the center's timezone.
+export const TEMPLATE_CATALOGUE = {
+    welcomeMessage: {
+        description: 'Sent when a student is registered',
+        variables: { ...STUDENT_VARIABLES }
+    },
+    confirmationMessage: {
+        description: 'Sent when a check-in location is verified',
+        variables: {
+            ...STUDENT_VARIABLES,
+            status: { type: 'text', description: 'Attendance status (present or late)', sample: 'present' },
+            isLate: { type: 'boolean', description: 'Whether the student was marked late', sample: false },
+            date: { type: 'date', description: 'Check-in date', sample: '2026-10-19T04:05:00Z' },
+            time: { type: 'time', description: 'Check-in time', sample: '2026-10-19T04:05:00Z' },
+            centerName: { type: 'text', description: 'Training center', sample: 'Okhla Skill Center' },
+            session: { type: 'text', description: 'Session (morning, afternoon or evening)', sample: 'morning' }
+        }
+    },
+    rejectionMessage: {
+        description: 'Sent when a check-in location is too far from the center',
+        variables: {
+            ...STUDENT_VARIABLES,
+            distance: { type: 'number', description: 'Distance from the center in meters', sample: 420 },
+            centerName: { type: 'text', description: 'Closest training center', sample: 'Okhla Skill Center' }
+        }
+    },
+    reminderMessage: {
+        description: 'Daily reminder for students who have not checked in',
+        variables: {
+            ...STUDENT_VARIABLES,
+            date: { type: 'date', description: 'Date of the reminder', sample: '2026-10-19T03:30:00Z' }
+        }
+    }
+};
+
+// {{name}}, {{date "D MMM"}}, {{#if name}}, {{#unless name}}, {{else}}, {{/if}}, {{/unless}}
+const TAG_REGEX = /\{\{\s*(.*?)\s*\}\}/g;
+const VARIABLE_REGEX = /^([A-Za-z_][\w]*)(?:\s+"([^"]*)")?$/;
+const BLOCK_REGEX = /^#(if|unless)\s+([A-Za-z_][\w]*)$/;
+
+// Parse a template into nodes. Syntax errors are collected rather than thrown so
+// that every problem can be reported at once.
+const parse = (source) => {
+    const root = { children: [] };
+    const stack = [root];
+    const errors = [];
+    let current = root.children;
+    let lastIndex = 0;
+
+    for (const match of source.matchAll(TAG_REGEX)) {
+        if (match.index > lastIndex) {
+            current.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+        }
+        lastIndex = match.index + match[0].length;
+
+        const tag = match[1];
+        const block = tag.match(BLOCK_REGEX);
+        const variable = tag.match(VARIABLE_REGEX);
+
+        if (block) {
+            const node = { type: 'block', kind: block[1], name: block[2], then: [], otherwise: [], inElse: false };
+            current.push(node);
+            stack.push(node);
+            current = node.then;
+        } else if (tag === 'else') {
+            const node = stack[stack.length - 1];
+            if (node === root || node.inElse) {
+                errors.push(`Unexpected {{else}} at position ${match.index}`);
+            } else {
+                node.inElse = true;
+                current = node.otherwise;
+            }
+        } else if (tag === '/if' || tag === '/unless') {
+            const node = stack[stack.length - 1];
+            if (node === root || `/${node.kind}` !== tag) {
+                errors.push(`Unexpected {{${tag}}} at position ${match.index}`);
+            } else {
+                stack.pop();
+                const parent = stack[stack.length - 1];
+                current = parent === root ? root.children : parent.inElse ? parent.otherwise : parent.then;
+            }
+        } else if (variable) {
+            current.push({ type: 'variable', name: variable[1], format: variable[2] ?? null });
+        } else {
+            errors.push(`Invalid tag {{${tag}}} at position ${match.index}`);
+        }
+    }
+
+    if (lastIndex < source.length) {
+        current.push({ type: 'text', value: source.slice(lastIndex) });
+    }
+
+    for (const node of stack.slice(1)) {
+        errors.push(`Missing {{/${node.kind}}} for {{#${node.kind} ${node.name}}}`);
+    }
+
+    return { nodes: root.children, errors };
+};
+
+const collectNames = (nodes, names = new Set()) => {
+    for (const node of nodes) {
+        if (node.type === 'variable' || node.type === 'block') {
+            names.add(node.name);
+        }
+        if (node.type === 'block') {
+            collectNames(node.then, names);
+            collectNames(node.otherwise, names);
+        }
+    }
+    return names;
+};
+
+const isTruthy = (value) => Array.isArray(value) ? value.length > 0 : Boolean(value) && value !== 'false';
+
+export const templateService = {
+    TEMPLATE_CATALOGUE,
+
+    // Syntax errors and variables the template does not offer
+    validate(key, source) {
+        const entry = TEMPLATE_CATALOGUE[key];
+        if (!entry) {
+            return [`Unknown template: ${key}`];
+        }
+        return this.validateSource(source, Object.keys(entry.variables));
+    },
+
+    validateSource(source, allowedNames) {
+        if (typeof source !== 'string') {
+            return ['Template must be a string'];
+        }
+
+        const { nodes, errors } = parse(source);
+        for (const name of collectNames(nodes)) {
+            if (!allowedNames.includes(name)) {
+                errors.push(`Unknown variable {{${name}}}. Available: ${allowedNames.join(', ') || 'none'}`);
+            }
+        }
+        return errors;
+    },
+
+    // Names of the variables a template uses
+    getVariableNames(source) {
+        return [...collectNames(parse(source).nodes)];
+    },
+
+    // Render a template against already resolved values. Every occurrence of a variable
+    // is replaced; unknown or missing variables render as an empty string.
+    renderSource(source, values, { variables = {}, dateFormat = 'DD/MM/YYYY', timeFormat = '24h', timeZone } = {}) {
+        const { nodes, errors } = parse(source);
+        if (errors.length > 0) {
+            throw new Error(`Invalid template: ${errors.join('; ')}`);
+        }
+
+        const formatValue = (node) => {
+            const value = values[node.name];
+            if (value === undefined || value === null) {
+                return '';
+            }
+
+            const type = variables[node.name]?.type;
+            if (type === 'date' || type === 'time' || value instanceof Date) {
+                if (node.format) {
+                    return timeService.formatDatePattern(value, node.format, timeZone);
+                }
+                return type === 'time'
+                    ? timeService.formatClock(value, timeFormat, timeZone)
+                    : timeService.formatDatePattern(value, dateFormat, timeZone);
+            }
+            return String(value);
+        };
+
+        const renderNodes = (list) => list.map(node => {
+            if (node.type === 'text') {
+                return node.value;
+            }
+            if (node.type === 'variable') {
+                return formatValue(node);
+            }
+            const condition = isTruthy(values[node.name]);
+            return renderNodes((node.kind === 'if' ? condition : !condition) ? node.then : node.otherwise);
+        }).join('');
+
+        return renderNodes(nodes);
+    },
+
+    // Values for a template from the objects at hand: { student, timestamp, status, center, ... }
+    buildValues(key, data = {}) {
+        const { student, timestamp, center, ...rest } = data;
+        const values = {
+            name: student?.name,
+            studentName: student?.name,
+            studentId: student?.studentId,
+            course: student?.course,
+            batch: student?.batch,
+            centerName: center?.name,
+            date: timestamp,
+            time: timestamp,
+            isLate: rest.status === 'late',
+            ...rest
+        };
+
+        const variables = TEMPLATE_CATALOGUE[key]?.variables || {};
+        return Object.fromEntries(Object.keys(variables).map(name => [name, values[name]]));
+    },
+
+    // Template text for the first of the languages that has a translation in
+    // Settings.translations, otherwise Settings.templates
+    getSource(key, settings, languages = []) {
+        for (const language of languages) {
+            const translated = settings.translations?.[language]?.[key];
+            if (translated) {
+                return translated;
+            }
+        }
+        return settings.templates[key];
+    },
+
+    // Render one of Settings.templates for a message
+    render(key, data, settings, { source, center = data?.center, languages = [] } = {}) {
+        const entry = TEMPLATE_CATALOGUE[key];
+        if (!entry) {
+            throw new Error(`Unknown template: ${key}`);
+        }
+
+        return this.renderSource(source ?? this.getSource(key, settings, languages), this.buildValues(key, data), {
+            variables: entry.variables,
+            dateFormat: settings.system?.dateFormat,
+            timeFormat: settings.system?.timeFormat,
+            timeZone: timeService.resolveTimezone(settings, center)
+        });
+    },
+
+    // Render against the catalogue's sample values, for the admin panel
+    preview(key, settings, source, languages = []) {
+        const entry = TEMPLATE_CATALOGUE[key];
+        const sample = Object.fromEntries(Object.entries(entry.variables).map(([name, variable]) => [
+            name,
+            variable.type === 'date' || variable.type === 'time' ? new Date(variable.sample) : variable.sample
+        ]));
+
+        return this.renderSource(source ?? this.getSource(key, settings, languages), sample, {
+            variables: entry.variables,
+            dateFormat: settings.system?.dateFormat,
+            timeFormat: settings.system?.timeFormat,
+            timeZone: timeService.resolveTimezone(settings)
+        });
+    }
+};
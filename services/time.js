@@ -0,0 +1,189 @@
+import Settings from '../models/Settings.js';
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+const DAY_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+    'August', 'September', 'October', 'November', 'December'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+// Longest tokens first so MMMM is not read as MM twice
+const DATE_TOKEN_REGEX = /YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd/g;
+
+// Day boundaries and HH:MM comparisons in the configured timezone rather than
+// the server's local time
+export const timeService = {
+    DEFAULT_TIMEZONE,
+
+    isValidTimezone(timeZone) {
+        try {
+            getFormatter(timeZone);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    // Center override, then the system setting, then the default
+    resolveTimezone(settings = null, center = null) {
+        const candidates = [center?.timezone, settings?.system?.timezone, DEFAULT_TIMEZONE];
+        return candidates.find(timeZone => timeZone && this.isValidTimezone(timeZone));
+    },
+
+    // For model methods that work in local time: the zone must come from the caller,
+    // who has the settings, rather than fall back to the default
+    requireTimezone(timeZone) {
+        if (!timeZone) {
+            throw new Error('A timezone is required; resolve it with timeService.resolveTimezone(settings, center)');
+        }
+        return timeZone;
+    },
+
+    async getTimezone(center = null) {
+        const settings = await Settings.getSettings();
+        return this.resolveTimezone(settings, center);
+    },
+
+    // Wall-clock parts of an instant in a timezone
+    getZonedParts(date, timeZone = DEFAULT_TIMEZONE) {
+        const parts = {};
+        for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(date))) {
+            if (type !== 'literal') {
+                parts[type] = parseInt(value);
+            }
+        }
+        return parts;
+    },
+
+    // Minutes the timezone is ahead of UTC at the given instant
+    getTimezoneOffset(date, timeZone = DEFAULT_TIMEZONE) {
+        const value = new Date(date);
+        const parts = this.getZonedParts(value, timeZone);
+        const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return Math.round((asUtc - Math.floor(value.getTime() / 1000) * 1000) / 60000);
+    },
+
+    toDayKey(date, timeZone = DEFAULT_TIMEZONE) {
+        const { year, month, day } = this.getZonedParts(date, timeZone);
+        return `${year}-${pad(month)}-${pad(day)}`;
+    },
+
+    toTimeString(date, timeZone = DEFAULT_TIMEZONE) {
+        const { hour, minute } = this.getZonedParts(date, timeZone);
+        return `${pad(hour)}:${pad(minute)}`;
+    },
+
+    timeToMinutes(timeString) {
+        const [hours, minutes] = timeString.split(':').map(Number);
+        return hours * 60 + minutes;
+    },
+
+    addDays(dayKey, days) {
+        const [year, month, day] = dayKey.split('-').map(Number);
+        const value = new Date(Date.UTC(year, month - 1, day + days));
+        return `${value.getUTCFullYear()}-${pad(value.getUTCMonth() + 1)}-${pad(value.getUTCDate())}`;
+    },
+
+    // Instant at which a wall-clock time occurs on a day in a timezone
+    zonedTimeToUtc(dayKey, timeString = '00:00', timeZone = DEFAULT_TIMEZONE) {
+        const [year, month, day] = dayKey.split('-').map(Number);
+        const [hours, minutes] = timeString.split(':').map(Number);
+        const asUtc = Date.UTC(year, month - 1, day, hours, minutes);
+
+        // Correct twice so instants next to a DST change resolve to the right offset
+        let result = new Date(asUtc - this.getTimezoneOffset(new Date(asUtc), timeZone) * 60000);
+        result = new Date(asUtc - this.getTimezoneOffset(result, timeZone) * 60000);
+        return result;
+    },
+
+    // Accepts a YYYY-MM-DD day key or anything Date understands
+    normalizeDayKey(value = new Date(), timeZone = DEFAULT_TIMEZONE) {
+        if (typeof value === 'string' && DAY_KEY_REGEX.test(value)) {
+            return value;
+        }
+        return this.toDayKey(value, timeZone);
+    },
+
+    // Start (inclusive) and end (exclusive) of a day in a timezone
+    getDayRange(value = new Date(), timeZone = DEFAULT_TIMEZONE) {
+        const dayKey = this.normalizeDayKey(value, timeZone);
+        return {
+            dayKey,
+            start: this.zonedTimeToUtc(dayKey, '00:00', timeZone),
+            end: this.zonedTimeToUtc(this.addDays(dayKey, 1), '00:00', timeZone)
+        };
+    },
+
+    // Range covering every day from startValue to endValue inclusive
+    getDateRange(startValue, endValue = startValue, timeZone = DEFAULT_TIMEZONE) {
+        const start = this.getDayRange(startValue, timeZone);
+        const end = this.getDayRange(endValue, timeZone);
+        return {
+            startDayKey: start.dayKey,
+            endDayKey: end.dayKey,
+            start: start.start,
+            end: end.end
+        };
+    },
+
+    // Locale formatting of an instant in a timezone, for student-facing messages
+    formatDate(date, timeZone = DEFAULT_TIMEZONE) {
+        return new Date(date).toLocaleDateString('en-IN', { timeZone });
+    },
+
+    formatTime(date, timeZone = DEFAULT_TIMEZONE) {
+        return new Date(date).toLocaleTimeString('en-IN', { timeZone });
+    },
+
+    // Date in a system.dateFormat pattern: YYYY, YY, MMMM, MMM, MM, M, DD, D, dddd, ddd
+    formatDatePattern(date, pattern = 'DD/MM/YYYY', timeZone = DEFAULT_TIMEZONE) {
+        const { year, month, day } = this.getZonedParts(date, timeZone);
+        const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+        const tokens = {
+            YYYY: String(year),
+            YY: String(year).slice(-2),
+            MMMM: MONTH_NAMES[month - 1],
+            MMM: MONTH_NAMES[month - 1].slice(0, 3),
+            MM: pad(month),
+            M: String(month),
+            DD: pad(day),
+            D: String(day),
+            dddd: DAY_NAMES[weekday],
+            ddd: DAY_NAMES[weekday].slice(0, 3)
+        };
+        return pattern.replace(DATE_TOKEN_REGEX, token => tokens[token]);
+    },
+
+    // A YYYY-MM-DD day key in a date pattern; noon keeps it on the same day in any timezone
+    formatDayKey(dayKey, pattern = 'DD/MM/YYYY') {
+        return this.formatDatePattern(new Date(`${dayKey}T12:00:00Z`), pattern, 'UTC');
+    },
+
+    // Time as HH:MM (24h) or h:MM AM/PM (12h), per system.timeFormat
+    formatClock(date, timeFormat = '24h', timeZone = DEFAULT_TIMEZONE) {
+        const { hour, minute } = this.getZonedParts(date, timeZone);
+        if (timeFormat === '12h') {
+            return `${hour % 12 || 12}:${pad(minute)} ${hour < 12 ? 'AM' : 'PM'}`;
+        }
+        return `${pad(hour)}:${pad(minute)}`;
+    }
+};
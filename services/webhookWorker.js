@@ -0,0 +1,79 @@
+import os from 'os';
+import WebhookJob from '../models/WebhookJob.js';
+import { processWebhookPayload } from '../controllers/webhookController.js';
+import { configService } from './config.js';
+
+class WebhookWorker {
+    constructor() {
+        this.workerId = `${os.hostname()}-${process.pid}`;
+        this.pollInterval = 2000;
+        this.lockTimeout = 5 * 60 * 1000;
+        this.timer = null;
+        this.running = false;
+    }
+
+    start() {
+        if (this.running) {
+            return;
+        }
+
+        Object.assign(this, configService.webhookWorker());
+        this.running = true;
+        console.log(`Webhook worker started (${this.workerId})`);
+        this.schedule(0);
+    }
+
+    stop() {
+        this.running = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    schedule(delay) {
+        if (!this.running) {
+            return;
+        }
+        this.timer = setTimeout(() => this.poll(), delay);
+    }
+
+    // Drain all due jobs, then wait for the next poll
+    async poll() {
+        try {
+            let job = await WebhookJob.claimNext(this.workerId, this.lockTimeout);
+            while (job && this.running) {
+                await this.processJob(job);
+                job = await WebhookJob.claimNext(this.workerId, this.lockTimeout);
+            }
+        } catch (error) {
+            console.error('Webhook worker poll error:', error);
+        }
+
+        this.schedule(this.pollInterval);
+    }
+
+    async processJob(job) {
+        const startedAt = Date.now();
+
+        try {
+            await processWebhookPayload(job.payload, {
+                receivedAt: job.receivedAt,
+                provider: job.provider,
+                jobId: job._id,
+                isFinalAttempt: job.isFinalAttempt()
+            });
+            await job.markCompleted();
+            console.log(`Webhook job ${job._id} completed in ${Date.now() - startedAt}ms (attempt ${job.attempts})`);
+        } catch (error) {
+            console.error(`Webhook job ${job._id} failed on attempt ${job.attempts}:`, error.message);
+            await job.markFailed(error);
+
+            if (job.status === 'dead') {
+                console.error(`Webhook job ${job._id} moved to dead-letter after ${job.attempts} attempts`);
+            }
+        }
+    }
+}
+
+export const webhookWorker = new WebhookWorker();
@@ -1,180 +1,202 @@
-import axios from 'axios';
+import crypto from 'crypto';
 import Settings from '../models/Settings.js';
+import Student from '../models/Student.js';
+import OutboundMessage from '../models/OutboundMessage.js';
+import { outboundDispatcher } from './outboundDispatcher.js';
+import { i18nService } from './i18n.js';
+import { getProvider, DEFAULT_PROVIDER } from './whatsappProviders/index.js';
+
+// WhatsApp limits for interactive messages. Text is shortened to fit, since translated
+// titles may run longer than the English ones; too many options is a programming error.
+const INTERACTIVE_LIMITS = {
+    body: 1024,
+    header: 60,
+    footer: 60,
+    buttons: 3,
+    buttonTitle: 20,
+    listButton: 20,
+    rows: 10,
+    sectionTitle: 24,
+    rowTitle: 24,
+    rowDescription: 72
+};
+
+const fit = (text, max) => {
+    if (!text) {
+        return text || undefined;
+    }
+    const value = String(text);
+    return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+};
 
 class WhatsAppService {
-    constructor() {
-        this.apiBaseUrl = process.env.WHATSAPP_API_BASE_URL || 'https://wabe.arekiv.com';
-        this.settings = null;
+    // Settings are read on each call so a provider change applies without a restart
+    async getSettings() {
+        return Settings.getSettings();
     }
 
-    async getSettings() {
-        if (!this.settings) {
-            this.settings = await Settings.getSettings();
-        }
-        return this.settings;
+    // The adapter selected in Settings, with its credentials
+    async getProvider() {
+        const settings = await this.getSettings();
+        const provider = getProvider(settings.whatsappApi.provider || DEFAULT_PROVIDER);
+        return { provider, config: provider.getConfig(settings), settings };
     }
 
-    async sendMessage(to, messageData) {
+    // Messages are queued as OutboundMessages and sent by the outbound dispatcher, which
+    // applies rate limits and retries. context: { student, purpose, runKey }; the student is
+    // looked up by number when not given. Resolves to the queued OutboundMessage.
+    async sendMessage(to, message, context = {}) {
         try {
-            const settings = await this.getSettings();
+            const { provider, settings } = await this.getProvider();
 
             if (!settings.whatsappApi.isActive) {
                 throw new Error('WhatsApp API is not active');
             }
 
-            const { apiKey, accessToken } = settings.whatsappApi;
-
-            const payload = {
-                to: to.startsWith('+') ? to : `+${to}`,
-                ...messageData
-            };
-
-            const response = await axios.post(
-                `${this.apiBaseUrl}/api/dev/v1/direct/${apiKey}`,
-                payload,
-                {
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-Access-Token': accessToken
-                    }
-                }
-            );
-
-            console.log('WhatsApp message sent successfully:', response.data);
-            return response.data;
+            const student = context.student !== undefined ? context.student : await Student.findByPhone(to).select('_id');
+            const outbound = await OutboundMessage.enqueue({
+                student: student?._id || student || null,
+                recipient: to,
+                provider: provider.name,
+                message,
+                purpose: context.purpose,
+                runKey: context.runKey,
+                maxAttempts: settings.whatsappApi.dispatch?.maxAttempts
+            });
+
+            outboundDispatcher.wake();
+            return outbound;
         } catch (error) {
-            console.error('Error sending WhatsApp message:', error.response?.data || error.message);
+            console.error('Error queueing WhatsApp message:', error.message);
             throw error;
         }
     }
 
-    async sendTextMessage(to, text) {
-        return this.sendMessage(to, {
-            type: 'text',
-            text: {
-                body: text,
-                preview_url: true
-            }
-        });
+    async sendTextMessage(to, text, context = {}) {
+        return this.sendMessage(to, { type: 'text', text }, context);
     }
 
-    async sendImageMessage(to, imageUrl, caption = '') {
-        return this.sendMessage(to, {
-            type: 'image',
-            image: {
-                link: imageUrl,
-                caption
-            }
-        });
+    async sendImageMessage(to, imageUrl, caption = '', context = {}) {
+        return this.sendMessage(to, { type: 'image', url: imageUrl, caption }, context);
     }
 
-    async sendTemplateMessage(to, templateName, templateData = {}) {
-        try {
-            const settings = await this.getSettings();
-            const { apiKey, accessToken } = settings.whatsappApi;
-
-            const payload = {
-                to: to.startsWith('+') ? to : `+${to}`,
-                template: {
-                    name: templateName,
-                    language: {
-                        code: templateData.language || 'en_US'
-                    }
-                }
-            };
-
-            // Add components if provided
-            if (templateData.components && templateData.components.length > 0) {
-                payload.template.components = templateData.components;
-            }
-
-            const response = await axios.post(
-                `${this.apiBaseUrl}/api/dev/v1/template/${apiKey}`,
-                payload,
-                {
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-Access-Token': accessToken
-                    }
-                }
-            );
-
-            console.log('WhatsApp template message sent successfully:', response.data);
-            return response.data;
-        } catch (error) {
-            console.error('Error sending WhatsApp template message:', error.response?.data || error.message);
-            throw error;
-        }
+    async sendTemplateMessage(to, templateName, templateData = {}, context = {}) {
+        return this.sendMessage(to, {
+            type: 'template',
+            name: templateName,
+            language: templateData.language || 'en_US',
+            components: templateData.components || [],
+            variables: templateData.variables || null
+        }, context);
     }
 
-    async sendAttendanceReminder(to, studentName) {
-        const settings = await this.getSettings();
-        const message = settings.templates.reminderMessage
-            .replace('{{name}}', studentName)
-            .replace('{{date}}', new Date().toLocaleDateString('en-IN'));
+    // Up to three reply buttons: [{ id, title }]. The id comes back as the button payload.
+    async sendInteractiveButtons(to, body, buttons, options = {}, context = {}) {
+        if (buttons.length === 0 || buttons.length > INTERACTIVE_LIMITS.buttons) {
+            throw new Error(`Interactive messages take 1 to ${INTERACTIVE_LIMITS.buttons} buttons, got ${buttons.length}`);
+        }
 
-        return this.sendTextMessage(to, message);
+        return this.sendMessage(to, {
+            type: 'interactive',
+            interactive: 'button',
+            body: fit(body, INTERACTIVE_LIMITS.body),
+            header: fit(options.header, INTERACTIVE_LIMITS.header),
+            footer: fit(options.footer, INTERACTIVE_LIMITS.footer),
+            buttons: buttons.map(button => ({ id: button.id, title: fit(button.title, INTERACTIVE_LIMITS.buttonTitle) }))
+        }, context);
     }
 
-    async sendAttendanceConfirmation(to, studentName, status, timestamp) {
-        const settings = await this.getSettings();
-        const message = settings.templates.confirmationMessage
-            .replace('{{name}}', studentName)
-            .replace('{{status}}', status)
-            .replace('{{date}}', new Date(timestamp).toLocaleDateString('en-IN'))
-            .replace('{{time}}', new Date(timestamp).toLocaleTimeString('en-IN'));
+    // A list opened with buttonText: sections [{ title, rows: [{ id, title, description }] }],
+    // with up to ten rows in all. The chosen row's id comes back as the button payload.
+    async sendListMessage(to, body, buttonText, sections, options = {}, context = {}) {
+        const rowCount = sections.reduce((count, section) => count + section.rows.length, 0);
+        if (rowCount === 0 || rowCount > INTERACTIVE_LIMITS.rows) {
+            throw new Error(`List messages take 1 to ${INTERACTIVE_LIMITS.rows} rows, got ${rowCount}`);
+        }
 
-        return this.sendTextMessage(to, message);
+        return this.sendMessage(to, {
+            type: 'interactive',
+            interactive: 'list',
+            body: fit(body, INTERACTIVE_LIMITS.body),
+            header: fit(options.header, INTERACTIVE_LIMITS.header),
+            footer: fit(options.footer, INTERACTIVE_LIMITS.footer),
+            button: fit(buttonText, INTERACTIVE_LIMITS.listButton),
+            sections: sections.map(section => ({
+                title: fit(section.title, INTERACTIVE_LIMITS.sectionTitle),
+                rows: section.rows.map(row => ({
+                    id: row.id,
+                    title: fit(row.title, INTERACTIVE_LIMITS.rowTitle),
+                    description: fit(row.description, INTERACTIVE_LIMITS.rowDescription)
+                }))
+            }))
+        }, context);
     }
 
-    async sendWelcomeMessage(to, studentName) {
-        const settings = await this.getSettings();
-        const message = settings.templates.welcomeMessage
-            .replace('{{name}}', studentName);
-
-        return this.sendTextMessage(to, message);
+    // Messages below are sent in the student's language (services/i18n.js)
+    async translatorFor(student) {
+        return i18nService.translator(student, await this.getSettings());
     }
 
-    async sendLocationRequest(to) {
-        return this.sendTextMessage(to,
-            'Please share your current location to mark your attendance. Make sure you are at the training center.'
-        );
-    }
+    async sendAttendanceReminder(student, { runKey = null } = {}) {
+        const t = await this.translatorFor(student);
+        const message = t.template('reminderMessage', { student, timestamp: new Date() });
 
-    async sendPhotoRequest(to) {
-        return this.sendTextMessage(to,
-            'Please send a photo as a DOCUMENT (not as image) to complete your attendance verification and preserve location data.'
-        );
+        return this.sendTextMessage(student.phone, message, { student, purpose: 'reminder', runKey });
     }
 
-    async sendAttendanceInstructions(to) {
-        const instructions = `📍 Smart Attendance System Instructions:
+    async sendAttendanceConfirmation(student, { status, timestamp, center = null, session = null }) {
+        const t = await this.translatorFor(student);
+        const message = t.template('confirmationMessage', {
+            student,
+            status: t(`status.${status}`),
+            isLate: status === 'late',
+            timestamp,
+            center,
+            session: session && t(`session.${session}`)
+        });
 
-1. Share your current location
-2. Send a clear photo of yourself as a DOCUMENT (not as image)
-3. Sending as document preserves GPS location data in the photo
-4. Ensure you are within the training center premises
-5. Both location and photo are required
+        return this.sendTextMessage(student.phone, message, { student, purpose: 'confirmation' });
+    }
 
-🔧 Technical tip: WhatsApp removes location data from photos sent as "image" but preserves it when sent as "document"
+    // Welcome text with buttons for the first things a student needs; the ids are
+    // commands (services/commands.js) run when a button is tapped
+    async sendWelcomeMessage(student) {
+        const t = await this.translatorFor(student);
+        const message = t.template('welcomeMessage', { student });
+
+        return this.sendInteractiveButtons(student.phone, message, [
+            { id: 'cmd:attendance', title: t('button.markAttendance') },
+            { id: 'cmd:center', title: t('button.myCenter') },
+            { id: 'cmd:help', title: t('button.help') }
+        ], {}, { student, purpose: 'welcome' });
+    }
 
-Your attendance will be automatically verified if you are at the correct location.
+    async sendLocationRequest(student) {
+        const t = await this.translatorFor(student);
+        return this.sendTextMessage(student.phone, t('locationRequest'), { student });
+    }
 
-Need help? Reply with "help" for more information.`;
+    async sendPhotoRequest(student) {
+        const t = await this.translatorFor(student);
+        return this.sendTextMessage(student.phone, t('photoRequest'), { student });
+    }
 
-        return this.sendTextMessage(to, instructions);
+    async sendAttendanceInstructions(student) {
+        const t = await this.translatorFor(student);
+        return this.sendTextMessage(student.phone, t('instructions'), { student });
     }
 
-    async sendDailyReminder(students) {
+    async sendDailyReminder(students, { runKey = null } = {}) {
         const results = [];
 
         for (const student of students) {
             try {
-                await this.sendAttendanceReminder(student.phone, student.name);
+                const outbound = await this.sendAttendanceReminder(student, { runKey });
                 results.push({
                     studentId: student._id,
                     phone: student.phone,
-                    status: 'sent'
+                    status: 'queued',
+                    messageId: outbound._id
                 });
             } catch (error) {
                 console.error(`Failed to send reminder to ${student.phone}:`, error);
@@ -190,52 +212,44 @@ Need help? Reply with "help" for more information.`;
         return results;
     }
 
-    async verifyWebhook(signature, payload) {
-        // Implement webhook signature verification based on your provider
-        // This is a placeholder implementation
-        const expectedSignature = process.env.WHATSAPP_WEBHOOK_SECRET;
-        return signature === expectedSignature;
+    // Check a webhook delivery with the selected provider's signature scheme
+    async verifyRequest(request) {
+        const { provider, config } = await this.getProvider();
+        return { ...provider.verifyRequest(config, request), provider: provider.name };
+    }
+
+    // Meta GET subscription handshake (hub.mode / hub.verify_token)
+    verifySubscription(mode, token) {
+        const verifyToken = process.env.WHATSAPP_VERIFY_TOKEN;
+        if (!verifyToken || mode !== 'subscribe' || typeof token !== 'string') {
+            return false;
+        }
+
+        const expected = Buffer.from(verifyToken);
+        const received = Buffer.from(token);
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
     }
 
     async getMessageStatus(messageId) {
         try {
-            const settings = await this.getSettings();
-            const { apiKey, accessToken } = settings.whatsappApi;
-
-            const response = await axios.get(
-                `${this.apiBaseUrl}/api/dev/v1/message/${messageId}/status`,
-                {
-                    headers: {
-                        'X-Access-Token': accessToken
-                    }
-                }
-            );
-
-            return response.data;
+            const { provider, config } = await this.getProvider();
+            if (!provider.getMessageStatus) {
+                throw new Error(`Message status lookup is not supported by ${provider.name}`);
+            }
+            return await provider.getMessageStatus(config, messageId);
         } catch (error) {
             console.error('Error getting message status:', error);
             throw error;
         }
     }
 
-    async downloadMedia(mediaId) {
+    // Media not delivered inline with the webhook; resolves to { data: Buffer, contentType }
+    async downloadMedia(media) {
         try {
-            const settings = await this.getSettings();
-            const { apiKey, accessToken } = settings.whatsappApi;
-
-            const response = await axios.get(
-                `${this.apiBaseUrl}/api/dev/v1/media/${mediaId}`,
-                {
-                    headers: {
-                        'X-Access-Token': accessToken
-                    },
-                    responseType: 'stream'
-                }
-            );
-
-            return response.data;
+            const { provider, config } = await this.getProvider();
+            return await provider.downloadMedia(config, media);
         } catch (error) {
-            console.error('Error downloading media:', error);
+            console.error('Error downloading media:', error.message);
             throw error;
         }
     }
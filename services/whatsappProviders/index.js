@@ -0,0 +1,45 @@
+import { wabeProvider } from './wabe.js';
+import { metaProvider } from './meta.js';
+import { twilioProvider } from './twilio.js';
+
+export { getInteractiveOptions, interactiveToText } from './interactive.js';
+
+// WhatsApp provider adapters. Each one implements:
+//   name                                  - value of Settings.whatsappApi.provider
+//   interactiveAsText                     - whether buttons and lists go out as numbered text (see interactiveToText)
+//   getConfig(settings)                   - credentials from Settings, falling back to env
+//   send(config, to, message)             - message is { type: 'text', text } | { type: 'image', url, caption }
+//                                           | { type: 'template', name, language, components, variables }
+//                                           | { type: 'interactive', interactive: 'button', body, header, footer, buttons: [{ id, title }] }
+//                                           | { type: 'interactive', interactive: 'list', body, header, footer, button,
+//                                               sections: [{ title, rows: [{ id, title, description }] }] };
+//                                           resolves to { messageId, raw }
+//   parseWebhook(body)                    - { messages, statuses } in the normalized shape below
+//   downloadMedia(config, { id, url, mimeType }) - resolves to { data: Buffer, contentType }
+//   verifyRequest(config, { headers, rawBody, body, url }) - { isValid, reason }
+//   retryableErrorCodes                   - provider error codes the dispatcher retries
+//
+// Normalized message: { messageId, from (digits), timestamp (provider time or null),
+//   messageType: text | image | document | location | button, content, location }
+// Button and list replies have content { buttonPayload (the option id), buttonText, replyType, contextMessageId }
+// Normalized status: { messageId, status, recipient, timestamp, errors }
+export const providers = {
+    [wabeProvider.name]: wabeProvider,
+    [metaProvider.name]: metaProvider,
+    [twilioProvider.name]: twilioProvider
+};
+
+export const DEFAULT_PROVIDER = wabeProvider.name;
+
+// Providers whose students answer interactive messages with a number rather than a tap
+export const TEXT_INTERACTIVE_PROVIDERS = Object.values(providers)
+    .filter(provider => provider.interactiveAsText)
+    .map(provider => provider.name);
+
+export const getProvider = (name = DEFAULT_PROVIDER) => {
+    const provider = providers[name];
+    if (!provider) {
+        throw new Error(`Unknown WhatsApp provider: ${name}`);
+    }
+    return provider;
+};
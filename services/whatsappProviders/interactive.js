@@ -0,0 +1,12 @@
+// Options of an interactive message in the order they are shown
+export const getInteractiveOptions = (message) => message.interactive === 'list'
+    ? (message.sections || []).flatMap(section => section.rows || [])
+    : message.buttons || [];
+
+// Interactive message as plain text with numbered options, for providers that cannot send
+// one. The webhook maps a numeric reply back to the option (see getInteractiveOptions).
+export const interactiveToText = (message) => {
+    const options = getInteractiveOptions(message)
+        .map((option, index) => `${index + 1}. ${option.title}${option.description ? ` (${option.description})` : ''}`);
+    return [message.header, message.body, options.join('\n'), message.footer].filter(Boolean).join('\n\n');
+};
@@ -0,0 +1,296 @@
+import axios from 'axios';
+import crypto from 'crypto';
+
+const GRAPH_URL = 'https://graph.facebook.com';
+
+// Same check as crypto.timingSafeEqual, without throwing on a length mismatch
+const safeEqual = (a, b) => a.length === b.length && crypto.timingSafeEqual(a, b);
+
+// Normalize one Cloud API message. Media is referenced by id and downloaded later.
+export const parseMetaMessage = (message) => {
+    const normalized = {
+        messageId: message.id,
+        from: message.from,
+        timestamp: message.timestamp ? new Date(parseInt(message.timestamp) * 1000) : null,
+        messageType: message.type,
+        content: {},
+        location: null
+    };
+
+    switch (message.type) {
+        case 'text':
+            normalized.content = { text: message.text.body };
+            break;
+        case 'image':
+            normalized.content = {
+                mediaId: message.image.id,
+                mimeType: message.image.mime_type,
+                sha256: message.image.sha256,
+                caption: message.image.caption || '',
+                filename: message.image.filename || 'image.jpg'
+            };
+            break;
+        case 'document': {
+            const mimeType = message.document.mime_type;
+            normalized.content = {
+                mediaId: message.document.id,
+                mimeType,
+                sha256: message.document.sha256,
+                caption: message.document.caption || '',
+                filename: message.document.filename || 'document',
+                isImageDocument: Boolean(mimeType && mimeType.startsWith('image/'))
+            };
+            break;
+        }
+        case 'location':
+            normalized.location = {
+                latitude: message.location.latitude,
+                longitude: message.location.longitude,
+                address: message.location.address || null,
+                name: message.location.name || null
+            };
+            normalized.content = { location: true };
+            break;
+        case 'button':
+            // Quick reply buttons on template messages
+            normalized.messageType = 'button';
+            normalized.content = {
+                buttonPayload: message.button.payload,
+                buttonText: message.button.text,
+                replyType: 'quick_reply',
+                contextMessageId: message.context?.id || null
+            };
+            break;
+        case 'interactive': {
+            // Replies to our reply buttons (button_reply) and list messages (list_reply)
+            const replyType = message.interactive.type;
+            const reply = message.interactive[replyType] || message.interactive.button_reply || message.interactive.list_reply || {};
+            normalized.messageType = 'button';
+            normalized.content = {
+                buttonPayload: reply.id,
+                buttonText: reply.title,
+                replyType: replyType || null,
+                contextMessageId: message.context?.id || null
+            };
+            break;
+        }
+        default:
+            break;
+    }
+
+    return normalized;
+};
+
+export const parseMetaStatus = (status) => ({
+    messageId: status.id,
+    status: status.status,
+    recipient: status.recipient_id || null,
+    timestamp: status.timestamp ? new Date(parseInt(status.timestamp) * 1000) : new Date(),
+    errors: status.errors || []
+});
+
+// Messages and statuses of an entry[].changes[].value payload, with the raw value items
+export const parseMetaEntries = (payload) => {
+    const result = { messages: [], statuses: [] };
+
+    for (const entry of payload?.entry || []) {
+        for (const change of entry.changes || []) {
+            for (const message of change.value?.messages || []) {
+                result.messages.push({ raw: message, message: parseMetaMessage(message) });
+            }
+            for (const status of change.value?.statuses || []) {
+                result.statuses.push(parseMetaStatus(status));
+            }
+        }
+    }
+
+    return result;
+};
+
+// Newest message/status timestamp (seconds) in a payload. These are covered by
+// the body signature, so they can stand in for a timestamp header.
+export const getNewestPayloadTimestamp = (payload) => {
+    let newest = null;
+
+    for (const entry of payload?.entry || []) {
+        for (const change of entry.changes || []) {
+            const items = [...(change.value?.messages || []), ...(change.value?.statuses || [])];
+            for (const item of items) {
+                const timestamp = parseInt(item.timestamp);
+                if (Number.isFinite(timestamp) && (newest === null || timestamp > newest)) {
+                    newest = timestamp;
+                }
+            }
+        }
+    }
+
+    return newest;
+};
+
+// HMAC-SHA256 of the body with any of the secrets, as "sha256=<hex>" or bare hex.
+// A signed timestamp is part of the content when the sender provides one.
+export const verifyHmacSignature = ({ signature, rawBody, secrets, timestamp = null, toleranceSeconds = 300 }) => {
+    if (secrets.length === 0) {
+        return { isValid: false, reason: 'Webhook secret is not configured' };
+    }
+
+    if (!signature || !rawBody) {
+        return { isValid: false, reason: 'Missing signature or request body' };
+    }
+
+    if (timestamp) {
+        const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+        if (!Number.isFinite(age) || age > toleranceSeconds) {
+            return { isValid: false, reason: 'Webhook timestamp outside allowed window' };
+        }
+    }
+
+    const received = Buffer.from(signature.replace(/^sha256=/, ''), 'hex');
+    for (const secret of secrets) {
+        const hmac = crypto.createHmac('sha256', secret);
+        if (timestamp) {
+            hmac.update(`${timestamp}.`);
+        }
+        hmac.update(rawBody);
+        if (safeEqual(received, hmac.digest())) {
+            return { isValid: true, reason: null };
+        }
+    }
+
+    return { isValid: false, reason: 'Signature mismatch' };
+};
+
+// Rejects signed payloads whose newest message is older than the tolerance (replays)
+export const checkPayloadAge = (payload, toleranceSeconds = 300) => {
+    const newest = getNewestPayloadTimestamp(payload);
+    if (newest !== null && Date.now() / 1000 - newest > toleranceSeconds) {
+        return { isValid: false, reason: 'Payload timestamp outside allowed window' };
+    }
+    return { isValid: true, reason: null };
+};
+
+// Reply buttons or a list message in the Cloud API shape
+const buildInteractive = (message) => {
+    const interactive = {
+        type: message.interactive,
+        body: { text: message.body },
+        ...(message.header ? { header: { type: 'text', text: message.header } } : {}),
+        ...(message.footer ? { footer: { text: message.footer } } : {})
+    };
+
+    if (message.interactive === 'list') {
+        interactive.action = {
+            button: message.button,
+            sections: message.sections.map(section => ({
+                ...(section.title ? { title: section.title } : {}),
+                rows: section.rows.map(row => ({
+                    id: row.id,
+                    title: row.title,
+                    ...(row.description ? { description: row.description } : {})
+                }))
+            }))
+        };
+    } else {
+        interactive.action = {
+            buttons: message.buttons.map(button => ({ type: 'reply', reply: { id: button.id, title: button.title } }))
+        };
+    }
+
+    return interactive;
+};
+
+// Cloud API error codes worth retrying: throttling (4, 80007, 130429, 131056)
+// and temporary server errors (1, 2, 131000, 133004)
+export const META_RETRYABLE_CODES = [1, 2, 4, 80007, 130429, 131000, 131056, 133004];
+
+// Meta WhatsApp Cloud API (graph.facebook.com)
+export const metaProvider = {
+    name: 'meta',
+    interactiveAsText: false,
+    retryableErrorCodes: META_RETRYABLE_CODES,
+
+    getConfig(settings) {
+        const meta = settings?.whatsappApi?.meta || {};
+        return {
+            phoneNumberId: meta.phoneNumberId || process.env.META_WHATSAPP_PHONE_NUMBER_ID || '',
+            accessToken: meta.accessToken || process.env.META_WHATSAPP_ACCESS_TOKEN || '',
+            apiVersion: meta.apiVersion || process.env.META_GRAPH_API_VERSION || 'v19.0',
+            // The app secret signs webhooks; a previous secret is accepted while rotating
+            appSecrets: [
+                meta.appSecret || process.env.WHATSAPP_WEBHOOK_SECRET,
+                process.env.WHATSAPP_WEBHOOK_SECRET_PREVIOUS
+            ].filter(Boolean),
+            toleranceSeconds: parseInt(process.env.WHATSAPP_WEBHOOK_TOLERANCE || '300')
+        };
+    },
+
+    buildPayload(to, message) {
+        const payload = {
+            messaging_product: 'whatsapp',
+            recipient_type: 'individual',
+            to: to.replace(/^\+/, '')
+        };
+
+        switch (message.type) {
+            case 'text':
+                return { ...payload, type: 'text', text: { body: message.text, preview_url: true } };
+            case 'image':
+                return { ...payload, type: 'image', image: { link: message.url, caption: message.caption || '' } };
+            case 'template':
+                return {
+                    ...payload,
+                    type: 'template',
+                    template: {
+                        name: message.name,
+                        language: { code: message.language || 'en_US' },
+                        ...(message.components?.length ? { components: message.components } : {})
+                    }
+                };
+            case 'interactive':
+                return { ...payload, type: 'interactive', interactive: buildInteractive(message) };
+            default:
+                throw new Error(`Unsupported message type: ${message.type}`);
+        }
+    },
+
+    async send(config, to, message) {
+        const response = await axios.post(
+            `${GRAPH_URL}/${config.apiVersion}/${config.phoneNumberId}/messages`,
+            this.buildPayload(to, message),
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    Authorization: `Bearer ${config.accessToken}`
+                }
+            }
+        );
+
+        return { messageId: response.data?.messages?.[0]?.id || null, raw: response.data };
+    },
+
+    parseWebhook(body) {
+        const { messages, statuses } = parseMetaEntries(body);
+        return { messages: messages.map(item => item.message), statuses };
+    },
+
+    // Media ids resolve to a short-lived URL, which also needs the access token
+    async downloadMedia(config, media) {
+        const headers = { Authorization: `Bearer ${config.accessToken}` };
+        const { data: info } = await axios.get(`${GRAPH_URL}/${config.apiVersion}/${media.id}`, { headers });
+        const response = await axios.get(info.url, { headers, responseType: 'arraybuffer' });
+
+        return {
+            data: Buffer.from(response.data),
+            contentType: info.mime_type || response.headers['content-type'] || media.mimeType || null
+        };
+    },
+
+    verifyRequest(config, { headers, rawBody, body }) {
+        const result = verifyHmacSignature({
+            signature: headers['x-hub-signature-256'],
+            rawBody,
+            secrets: config.appSecrets
+        });
+        return result.isValid ? checkPayloadAge(body, config.toleranceSeconds) : result;
+    }
+};
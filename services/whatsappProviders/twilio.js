@@ -0,0 +1,185 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import { interactiveToText } from './interactive.js';
+
+const API_URL = 'https://api.twilio.com/2010-04-01';
+
+// Twilio addresses WhatsApp numbers as whatsapp:+<number>; elsewhere numbers are bare digits
+const toAddress = (number) => `whatsapp:+${number.replace(/^whatsapp:/, '').replace(/^\+/, '')}`;
+const fromAddress = (address = '') => address.replace(/^whatsapp:/, '').replace(/^\+/, '');
+
+// Statuses Twilio posts to the status callback; inbound messages arrive as 'received'
+const OUTBOUND_STATUSES = ['accepted', 'queued', 'sending', 'sent', 'delivered', 'read', 'undelivered', 'failed'];
+
+// Twilio WhatsApp (Programmable Messaging). Webhooks are form-encoded.
+export const twilioProvider = {
+    name: 'twilio',
+    interactiveAsText: true,
+    // Too many requests / queue overflow
+    retryableErrorCodes: [20429, 30001],
+
+    getConfig(settings) {
+        const twilio = settings?.whatsappApi?.twilio || {};
+        return {
+            accountSid: twilio.accountSid || process.env.TWILIO_ACCOUNT_SID || '',
+            authToken: twilio.authToken || process.env.TWILIO_AUTH_TOKEN || '',
+            // Webhooks are signed with the auth token; the previous one is accepted while rotating
+            authTokens: [
+                twilio.authToken || process.env.TWILIO_AUTH_TOKEN,
+                process.env.TWILIO_AUTH_TOKEN_PREVIOUS
+            ].filter(Boolean),
+            fromNumber: twilio.fromNumber || process.env.TWILIO_WHATSAPP_FROM || '',
+            // Public URL Twilio posts to; needed when the server sits behind a proxy
+            webhookUrl: twilio.webhookUrl || process.env.TWILIO_WEBHOOK_URL || ''
+        };
+    },
+
+    buildParams(config, to, message) {
+        const params = new URLSearchParams({
+            From: toAddress(config.fromNumber),
+            To: toAddress(to)
+        });
+
+        switch (message.type) {
+            case 'text':
+                params.set('Body', message.text);
+                break;
+            case 'image':
+                params.set('MediaUrl', message.url);
+                if (message.caption) {
+                    params.set('Body', message.caption);
+                }
+                break;
+            case 'template':
+                // Approved templates are Content API entries, addressed by their SID
+                params.set('ContentSid', message.name);
+                if (message.variables) {
+                    params.set('ContentVariables', JSON.stringify(message.variables));
+                }
+                break;
+            case 'interactive':
+                // Buttons and lists need pre-approved Content API entries, so numbered text is sent instead
+                params.set('Body', interactiveToText(message));
+                break;
+            default:
+                throw new Error(`Unsupported message type: ${message.type}`);
+        }
+
+        return params;
+    },
+
+    async send(config, to, message) {
+        const response = await axios.post(
+            `${API_URL}/Accounts/${config.accountSid}/Messages.json`,
+            this.buildParams(config, to, message).toString(),
+            {
+                auth: { username: config.accountSid, password: config.authToken },
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+            }
+        );
+
+        return { messageId: response.data?.sid || null, raw: response.data };
+    },
+
+    parseWebhook(body = {}) {
+        if (body.MessageStatus && OUTBOUND_STATUSES.includes(body.MessageStatus)) {
+            return {
+                messages: [],
+                statuses: [{
+                    messageId: body.MessageSid,
+                    status: body.MessageStatus,
+                    recipient: fromAddress(body.To),
+                    timestamp: new Date(),
+                    errors: body.ErrorCode ? [{ code: body.ErrorCode, title: body.ErrorMessage || null }] : []
+                }]
+            };
+        }
+
+        if (!body.MessageSid || !body.From) {
+            return { messages: [], statuses: [] };
+        }
+
+        const message = {
+            messageId: body.MessageSid,
+            from: fromAddress(body.From),
+            // Twilio does not send the message time; the receive time is used instead
+            timestamp: null,
+            messageType: 'text',
+            content: { text: body.Body || '' },
+            location: null
+        };
+
+        if (body.Latitude && body.Longitude) {
+            message.messageType = 'location';
+            message.location = {
+                latitude: parseFloat(body.Latitude),
+                longitude: parseFloat(body.Longitude),
+                address: body.Address || null,
+                name: body.Label || null
+            };
+            message.content = { location: true };
+        } else if (parseInt(body.NumMedia || '0') > 0) {
+            const mimeType = body.MediaContentType0 || null;
+            const isImage = Boolean(mimeType && mimeType.startsWith('image/'));
+            message.messageType = isImage ? 'image' : 'document';
+            message.content = {
+                mediaId: null,
+                mediaUrl: body.MediaUrl0,
+                mimeType,
+                caption: body.Body || '',
+                filename: isImage ? 'image.jpg' : 'document',
+                isImageDocument: isImage
+            };
+        } else if (body.ButtonPayload) {
+            message.messageType = 'button';
+            message.content = { buttonPayload: body.ButtonPayload, buttonText: body.ButtonText || body.Body || '' };
+        }
+
+        return { messages: [message], statuses: [] };
+    },
+
+    // Media URLs need the account credentials and redirect to the file
+    async downloadMedia(config, media) {
+        const response = await axios.get(media.url, {
+            auth: { username: config.accountSid, password: config.authToken },
+            responseType: 'arraybuffer',
+            maxRedirects: 5
+        });
+
+        return {
+            data: Buffer.from(response.data),
+            contentType: response.headers['content-type'] || media.mimeType || null
+        };
+    },
+
+    // X-Twilio-Signature: base64 HMAC-SHA1 of the URL followed by the sorted POST parameters
+    computeSignature(authToken, url, params = {}) {
+        const data = Object.keys(params).sort().reduce((acc, key) => acc + key + params[key], url);
+        return crypto.createHmac('sha1', authToken).update(Buffer.from(data, 'utf-8')).digest('base64');
+    },
+
+    // Unlike Meta and WABE there is no replay window: Twilio sends no signed timestamp, and the
+    // parameters of inbound messages carry none. A replayed message is dropped by the
+    // message ledger (its MessageSid was processed already), and a replayed status callback
+    // cannot move a message's status back.
+    verifyRequest(config, { headers, body, url }) {
+        if (config.authTokens.length === 0) {
+            return { isValid: false, reason: 'Twilio auth token is not configured' };
+        }
+
+        const signature = headers['x-twilio-signature'];
+        if (!signature) {
+            return { isValid: false, reason: 'Missing signature' };
+        }
+
+        const received = Buffer.from(signature);
+        for (const authToken of config.authTokens) {
+            const expected = Buffer.from(this.computeSignature(authToken, config.webhookUrl || url, body));
+            if (expected.length === received.length && crypto.timingSafeEqual(expected, received)) {
+                return { isValid: true, reason: null };
+            }
+        }
+
+        return { isValid: false, reason: 'Signature mismatch' };
+    }
+};
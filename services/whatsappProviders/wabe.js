@@ -0,0 +1,159 @@
+import axios from 'axios';
+import { metaProvider, parseMetaEntries, verifyHmacSignature, checkPayloadAge, META_RETRYABLE_CODES } from './meta.js';
+
+// Media the gateway has already fetched and attached to the message
+const withProcessedMedia = (message, raw) => {
+    const media = raw.processedMedia;
+    if (!media || !['image', 'document'].includes(message.messageType)) {
+        return message;
+    }
+
+    return {
+        ...message,
+        content: {
+            ...message.content,
+            mediaUrl: media.url,
+            base64Data: media.base64Data,
+            dataUrl: media.dataUrl,
+            fileSize: media.file_size,
+            contentType: media.contentType
+        }
+    };
+};
+
+// wabe.arekiv.com gateway. It forwards the Cloud API payload as originalPayload,
+// with downloaded media attached to each message as processedMedia.
+export const wabeProvider = {
+    name: 'wabe',
+    interactiveAsText: false,
+    // The gateway passes Cloud API errors through
+    retryableErrorCodes: META_RETRYABLE_CODES,
+
+    getConfig(settings) {
+        const whatsappApi = settings?.whatsappApi || {};
+        return {
+            baseUrl: process.env.WHATSAPP_API_BASE_URL || 'https://wabe.arekiv.com',
+            apiKey: whatsappApi.apiKey || '',
+            accessToken: whatsappApi.accessToken || '',
+            // A second secret can be set while rotating so that deliveries signed with either are accepted
+            secrets: [
+                process.env.WHATSAPP_WEBHOOK_SECRET,
+                process.env.WHATSAPP_WEBHOOK_SECRET_PREVIOUS
+            ].filter(Boolean),
+            toleranceSeconds: parseInt(process.env.WHATSAPP_WEBHOOK_TOLERANCE || '300')
+        };
+    },
+
+    async send(config, to, message) {
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-Access-Token': config.accessToken
+        };
+        const recipient = to.startsWith('+') ? to : `+${to}`;
+
+        // Templates have their own endpoint; everything else goes through direct
+        if (message.type === 'template') {
+            const { template } = metaProvider.buildPayload(recipient, message);
+            const response = await axios.post(
+                `${config.baseUrl}/api/dev/v1/template/${config.apiKey}`,
+                { to: recipient, template },
+                { headers }
+            );
+            return { messageId: response.data?.messageId || response.data?.messages?.[0]?.id || null, raw: response.data };
+        }
+
+        const { type, ...body } = metaProvider.buildPayload(recipient, message);
+        const response = await axios.post(
+            `${config.baseUrl}/api/dev/v1/direct/${config.apiKey}`,
+            { to: recipient, type, [type]: body[type] },
+            { headers }
+        );
+        return { messageId: response.data?.messageId || response.data?.messages?.[0]?.id || null, raw: response.data };
+    },
+
+    parseWebhook(body) {
+        if (body?.originalPayload?.entry) {
+            const { messages, statuses } = parseMetaEntries(body.originalPayload);
+            return {
+                messages: messages.map(item => withProcessedMedia(item.message, item.raw)),
+                statuses
+            };
+        }
+
+        // Legacy flat format, already in the normalized shape
+        if (body?.type === 'message') {
+            const { messageId, from, timestamp, messageType, content, location } = body;
+            return {
+                messages: [{
+                    messageId,
+                    from,
+                    timestamp: timestamp ? new Date(timestamp) : null,
+                    messageType,
+                    content: content || {},
+                    location: location || null
+                }],
+                statuses: []
+            };
+        }
+
+        if (body?.type === 'status') {
+            return {
+                messages: [],
+                statuses: [{ messageId: body.messageId, status: body.status, timestamp: new Date(body.timestamp || Date.now()) }]
+            };
+        }
+
+        if (body?.type === 'button_reply') {
+            return {
+                messages: [{
+                    messageId: body.messageId,
+                    from: body.from,
+                    timestamp: null,
+                    messageType: 'button',
+                    content: { buttonPayload: body.context?.buttonPayload, buttonText: body.context?.buttonText },
+                    location: null
+                }],
+                statuses: []
+            };
+        }
+
+        return { messages: [], statuses: [] };
+    },
+
+    async downloadMedia(config, media) {
+        const headers = { 'X-Access-Token': config.accessToken };
+        const url = media.id ? `${config.baseUrl}/api/dev/v1/media/${media.id}` : media.url;
+        const response = await axios.get(url, { headers, responseType: 'arraybuffer' });
+
+        return {
+            data: Buffer.from(response.data),
+            contentType: response.headers['content-type'] || media.mimeType || null
+        };
+    },
+
+    async getMessageStatus(config, messageId) {
+        const response = await axios.get(
+            `${config.baseUrl}/api/dev/v1/message/${messageId}/status`,
+            { headers: { 'X-Access-Token': config.accessToken } }
+        );
+        return response.data;
+    },
+
+    // Signed like Meta's webhooks, optionally with a signed x-webhook-timestamp header
+    verifyRequest(config, { headers, rawBody, body }) {
+        const timestamp = headers['x-webhook-timestamp'] || null;
+        const result = verifyHmacSignature({
+            signature: headers['x-hub-signature-256'] || headers['x-webhook-signature'],
+            rawBody,
+            secrets: config.secrets,
+            timestamp,
+            toleranceSeconds: config.toleranceSeconds
+        });
+
+        // Without a signed timestamp header fall back to the timestamps inside the payload
+        if (!result.isValid || timestamp) {
+            return result;
+        }
+        return checkPayloadAge(body?.originalPayload || body, config.toleranceSeconds);
+    }
+};
@@ -23,6 +23,7 @@ const mockCenters = [
             longitude: 77.2090
         },
         radius: 2000, // 2km
+        timezone: 'Asia/Kolkata',
         isActive: true,
         timeSlots: {
             morning: {
@@ -68,29 +69,29 @@ console.log('Expected: isWithin = false, distance > 2000\n');
 
 // Test 3: Time slot detection - morning
 console.log('Test 3: Time slot detection - morning');
-const morningTime = new Date('2024-01-15T10:30:00'); // 10:30 AM
-const timeSlot1 = mockStudent.getCurrentTimeSlot(mockCenters[0], morningTime);
+const morningTime = new Date('2024-01-15T10:30:00+05:30'); // 10:30 AM
+const timeSlot1 = mockStudent.getCurrentTimeSlot(mockCenters[0], morningTime, 'Asia/Kolkata');
 console.log('Result:', timeSlot1);
 console.log('Expected: slot = morning, isWithinHours = true\n');
 
 // Test 4: Time slot detection - outside hours
 console.log('Test 4: Time slot detection - outside hours');
-const lateTime = new Date('2024-01-15T23:30:00'); // 11:30 PM
-const timeSlot2 = mockStudent.getCurrentTimeSlot(mockCenters[0], lateTime);
+const lateTime = new Date('2024-01-15T23:30:00+05:30'); // 11:30 PM
+const timeSlot2 = mockStudent.getCurrentTimeSlot(mockCenters[0], lateTime, 'Asia/Kolkata');
 console.log('Result:', timeSlot2);
 console.log('Expected: slot = null, isWithinHours = false\n');
 
 // Test 5: Late attendance check - on time
 console.log('Test 5: Late attendance check - on time');
-const onTimeDate = new Date('2024-01-15T09:05:00'); // 9:05 AM (5 min after start)
-const isLate1 = mockStudent.isAttendanceLate(mockCenters[0], onTimeDate, 15);
+const onTimeDate = new Date('2024-01-15T09:05:00+05:30'); // 9:05 AM (5 min after start)
+const isLate1 = mockStudent.isAttendanceLate(mockCenters[0], onTimeDate, 15, 'Asia/Kolkata');
 console.log('Result:', isLate1);
 console.log('Expected: false (within 15 min threshold)\n');
 
 // Test 6: Late attendance check - late
 console.log('Test 6: Late attendance check - late');
-const lateDate = new Date('2024-01-15T09:20:00'); // 9:20 AM (20 min after start)
-const isLate2 = mockStudent.isAttendanceLate(mockCenters[0], lateDate, 15);
+const lateDate = new Date('2024-01-15T09:20:00+05:30'); // 9:20 AM (20 min after start)
+const isLate2 = mockStudent.isAttendanceLate(mockCenters[0], lateDate, 15, 'Asia/Kolkata');
 console.log('Result:', isLate2);
 console.log('Expected: true (beyond 15 min threshold)\n');
 
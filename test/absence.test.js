@@ -0,0 +1,171 @@
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Student from '../models/Student.js';
+import Attendance from '../models/Attendance.js';
+import Settings from '../models/Settings.js';
+import TaskRun from '../models/TaskRun.js';
+import { absenceService } from '../services/absence.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+const center = {
+    _id: id(),
+    name: 'Main Center',
+    address: 'MG Road',
+    isActive: true,
+    timeSlots: {
+        morning: { start: '09:00', end: '12:00' },
+        afternoon: { start: '13:00', end: '16:00' }
+    }
+};
+
+const student = (batch = 'A') => ({ _id: id(), batch });
+
+// Calendar where the given batches are off
+const calendarWithOff = (...batches) => ({
+    check: (centerId, batch) => ({ isWorkingDay: !batches.includes(batch) })
+});
+
+describe('absence', () => {
+    let students;
+    let recorded;
+    let inserted;
+
+    // Students and existing records are looked up in arrays; inserted records are collected
+    beforeEach(() => {
+        students = [];
+        recorded = [];
+        inserted = [];
+        mock.method(Student, 'find', () => ({ select: async () => students }));
+        mock.method(Attendance, 'distinct', async () => recorded);
+        mock.method(Attendance, 'insertSkippingDuplicates', async (docs) => {
+            inserted.push(...docs);
+            return docs;
+        });
+        mock.method(console, 'log', () => {});
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    describe('getSessionEnds', () => {
+        it('ends a full day with the last session', () => {
+            assert.deepEqual(absenceService.getSessionEnds(center), { morning: '12:00', afternoon: '16:00', full_day: '16:00' });
+            assert.deepEqual(absenceService.getSessionEnds({ timeSlots: {} }), {});
+        });
+    });
+
+    describe('markAbsentees', () => {
+        const mark = (options = {}) => absenceService.markAbsentees({
+            dayKey: '2026-10-19',
+            center,
+            session: 'morning',
+            timeZone: 'Asia/Kolkata',
+            ...options
+        });
+
+        it('marks expected students without a record absent at the end of the session', async () => {
+            const [present, absent] = students = [student(), student()];
+            recorded = [present._id];
+
+            const result = await mark();
+
+            assert.deepEqual(result, { day: '2026-10-19', center: 'Main Center', session: 'morning', expected: 2, offDay: 0, recorded: 1, marked: 1 });
+            assert.equal(inserted.length, 1);
+            assert.equal(inserted[0].student, absent._id);
+            assert.equal(inserted[0].status, 'absent');
+            assert.equal(inserted[0].day, '2026-10-19');
+            assert.equal(inserted[0].session, 'morning');
+            // 12:00 in Kolkata
+            assert.deepEqual(inserted[0].date, new Date('2026-10-19T06:30:00Z'));
+            assert.deepEqual(inserted[0].timeSlot.expected, { start: '09:00', end: '12:00' });
+            assert.equal(inserted[0].location.verifiedCenter.id, center._id);
+        });
+
+        it('only expects students enrolled by the end of the session', async () => {
+            await mark();
+            const [filter] = Student.find.mock.calls[0].arguments;
+            assert.deepEqual(filter.createdAt, { $lte: new Date('2026-10-19T06:30:00Z') });
+            assert.equal(filter.sessions, 'morning');
+        });
+
+        it('expects students without sessions in the full-day run', async () => {
+            await mark({ session: 'full_day' });
+            const [filter] = Student.find.mock.calls[0].arguments;
+            assert.equal(filter.sessions, undefined);
+            assert.deepEqual(filter.$and[1], { $or: [{ sessions: { $exists: false } }, { sessions: { $size: 0 } }] });
+        });
+
+        it('counts a record of any status for the session, and day records of older check-ins', async () => {
+            students = [student()];
+            await mark();
+
+            const [field, filter] = Attendance.distinct.mock.calls[0].arguments;
+            assert.equal(field, 'student');
+            assert.equal(filter.session, 'morning');
+            assert.equal(filter.status, undefined);
+            assert.deepEqual(filter.$or[0], { day: '2026-10-19' });
+            assert.deepEqual(filter.$or[1].date, { $gte: new Date('2026-10-18T18:30:00Z'), $lt: new Date('2026-10-19T18:30:00Z') });
+        });
+
+        it('leaves out batches that are off that day', async () => {
+            const [, onHoliday] = students = [student('A'), student('B')];
+
+            const result = await mark({ calendar: calendarWithOff('B') });
+
+            assert.equal(result.expected, 1);
+            assert.equal(result.offDay, 1);
+            assert.equal(result.marked, 1);
+            assert.ok(!inserted.some(doc => doc.student === onHoliday._id));
+        });
+
+        it('writes nothing when everyone has a record or no one is expected', async () => {
+            assert.equal((await mark()).marked, 0);
+
+            students = [student()];
+            recorded = [students[0]._id];
+            assert.equal((await mark()).marked, 0);
+            assert.equal(Attendance.insertSkippingDuplicates.mock.callCount(), 0);
+        });
+
+        it('reports only the records actually inserted', async () => {
+            students = [student(), student()];
+            Attendance.insertSkippingDuplicates.mock.mockImplementation(async (docs) => docs.slice(1));
+            assert.equal((await mark()).marked, 1);
+        });
+    });
+
+    describe('runDue', () => {
+        let settings;
+
+        beforeEach(() => {
+            settings = { centers: [center], attendanceSettings: { absentMarking: { enabled: true } } };
+            mock.method(Settings, 'getSettings', async () => settings);
+            mock.method(TaskRun, 'distinct', async () => []);
+            mock.method(absenceService, 'runOccurrence', async () => null);
+        });
+
+        const ran = () => absenceService.runOccurrence.mock.calls.map(call => call.arguments[0].key);
+
+        it('runs the sessions that have ended today', async () => {
+            // 14:00 in Kolkata: the morning is over, the afternoon and the full day are not
+            await absenceService.runDue(new Date('2026-10-19T08:30:00Z'));
+            assert.deepEqual(ran(), [`absent:2026-10-19:${center._id}:morning`]);
+        });
+
+        it('skips occurrences that already completed', async () => {
+            TaskRun.distinct.mock.mockImplementation(async () => [`absent:2026-10-19:${center._id}:morning`]);
+            await absenceService.runDue(new Date('2026-10-19T11:00:00Z'));
+            assert.deepEqual(ran(), [
+                `absent:2026-10-19:${center._id}:afternoon`,
+                `absent:2026-10-19:${center._id}:full_day`
+            ]);
+        });
+
+        it('does nothing when absent marking is switched off', async () => {
+            settings.attendanceSettings.absentMarking.enabled = false;
+            await absenceService.runDue(new Date('2026-10-19T11:00:00Z'));
+            assert.equal(absenceService.runOccurrence.mock.callCount(), 0);
+        });
+    });
+});
@@ -0,0 +1,141 @@
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Attendance from '../models/Attendance.js';
+import AttendanceHistory from '../models/AttendanceHistory.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+// A record the day-key hook leaves alone, so validating it needs no database
+const newRecord = (fields = {}) => new Attendance({
+    student: id(),
+    source: 'system',
+    date: new Date('2026-10-19T04:00:00Z'),
+    day: '2026-10-19',
+    session: 'morning',
+    status: 'absent',
+    ...fields
+});
+
+// Run a query's or aggregation's middleware without sending it to the database.
+// Resolves to nothing: queries are thenables, and resolving to one would run it.
+const runPreHooks = (name, context) => new Promise((resolve, reject) => {
+    Attendance.hooks.execPre(name, context, [], error => (error ? reject(error) : resolve()));
+});
+
+describe('attendance', () => {
+    describe('getHashBands', () => {
+        it('splits a perceptual hash into positioned bands', () => {
+            assert.deepEqual(Attendance.getHashBands('0123456789abcdef'), ['0:01', '1:23', '2:45', '3:67', '4:89', '5:ab', '6:cd', '7:ef']);
+            assert.deepEqual(Attendance.getHashBands(null), []);
+        });
+
+        it('shares a band between hashes up to 7 bits apart', () => {
+            // One bit flipped in each of seven bands
+            const bands = Attendance.getHashBands('0123456789abcdef');
+            const near = Attendance.getHashBands('1132537799bbddef');
+            assert.deepEqual(near.filter(band => bands.includes(band)), ['7:ef']);
+        });
+
+        it('counts the bits two hashes differ in', () => {
+            assert.equal(Attendance.hammingDistance('0123456789abcdef', '0123456789abcdef'), 0);
+            assert.equal(Attendance.hammingDistance('0123456789abcdef', '0123456789abcc0c'), 6);
+            assert.equal(Attendance.hammingDistance('0123456789abcdef', '0123'), Infinity);
+            assert.equal(Attendance.hammingDistance('0123456789abcdef', null), Infinity);
+        });
+
+        it('fills in the bands of new photos on validation', async () => {
+            const record = newRecord({ images: [{ url: '/uploads/attendance/a.jpg', metadata: { perceptualHash: '0123456789abcdef' } }] });
+            await record.validate();
+            assert.equal(record.images[0].metadata.hashBands.length, 8);
+        });
+    });
+
+    describe('history and soft delete', () => {
+        let history;
+
+        // Saves succeed without a database; history entries are collected instead of written
+        beforeEach(() => {
+            history = [];
+            mock.method(Attendance.collection, 'insertOne', async () => ({ acknowledged: true }));
+            mock.method(Attendance.collection, 'updateOne', async () => ({ acknowledged: true, matchedCount: 1, modifiedCount: 1 }));
+            mock.method(AttendanceHistory, 'recordMany', async (entries) => {
+                history.push(...entries);
+                return entries;
+            });
+        });
+
+        afterEach(() => mock.restoreAll());
+
+        it('records the creation of a record', async () => {
+            const record = await newRecord().save();
+            assert.equal(history.length, 1);
+            assert.equal(history[0].attendance, record);
+            assert.equal(history[0].action, 'created');
+            assert.equal(history[0].newValue, 'absent');
+            assert.equal(history[0].actor, 'system');
+        });
+
+        it('records who changed the status with setStatus and why', async () => {
+            const record = await newRecord().save();
+            record.setStatus('excused', { actor: 'coordinator', reason: 'Medical certificate' });
+            await record.save();
+
+            assert.deepEqual(
+                { action: history[1].action, oldValue: history[1].oldValue, newValue: history[1].newValue, actor: history[1].actor, reason: history[1].reason },
+                { action: 'status_changed', oldValue: 'absent', newValue: 'excused', actor: 'coordinator', reason: 'Medical certificate' }
+            );
+        });
+
+        it('puts other status changes down to the system and skips saves without one', async () => {
+            const record = await newRecord().save();
+            record.status = 'present';
+            await record.save();
+            record.verification.notes = 'Checked';
+            await record.save();
+
+            assert.equal(history.length, 2);
+            assert.equal(history[1].actor, 'system');
+            assert.equal(history[1].reason, null);
+        });
+
+        it('moves the day into the deletion on soft delete and back on restore', async () => {
+            const record = await newRecord().save();
+
+            await record.softDelete({ actor: 'admin', reason: 'Duplicate' });
+            assert.equal(record.day, undefined);
+            assert.equal(record.deletion.day, '2026-10-19');
+            assert.equal(record.deletion.by, 'admin');
+            assert.equal(record.deletion.reason, 'Duplicate');
+            assert.equal(history.at(-1).action, 'deleted');
+
+            await record.restore({ actor: 'admin' });
+            assert.equal(record.day, '2026-10-19');
+            assert.equal(record.deletion, null);
+            assert.equal(history.at(-1).action, 'restored');
+        });
+
+        it('leaves deleted records out of queries', async () => {
+            for (const query of [Attendance.find({ status: 'late' }), Attendance.countDocuments({ status: 'late' }), Attendance.findOne({ _id: id() })]) {
+                await runPreHooks(query.op, query);
+                assert.equal(query.getFilter().deletion, null);
+            }
+        });
+
+        it('keeps the filter of queries that ask about deletion', async () => {
+            const query = Attendance.find({ deletion: { $ne: null } });
+            await runPreHooks('find', query);
+            assert.deepEqual(query.getFilter(), { deletion: { $ne: null } });
+        });
+
+        it('leaves deleted records out of aggregations unless the first stage asks about deletion', async () => {
+            const aggregate = Attendance.aggregate([{ $match: { status: 'late' } }]);
+            await runPreHooks('aggregate', aggregate);
+            assert.deepEqual(aggregate.pipeline(), [{ $match: { deletion: null } }, { $match: { status: 'late' } }]);
+
+            const deleted = Attendance.aggregate([{ $match: { deletion: { $ne: null } } }]);
+            await runPreHooks('aggregate', deleted);
+            assert.deepEqual(deleted.pipeline(), [{ $match: { deletion: { $ne: null } } }]);
+        });
+    });
+});
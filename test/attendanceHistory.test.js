@@ -0,0 +1,20 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import AttendanceHistory from '../models/AttendanceHistory.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('attendance history', () => {
+    it('rejects updates and deletes before they reach the database', async () => {
+        await assert.rejects(AttendanceHistory.updateOne({}, { reason: 'edited' }), /cannot be changed or removed/);
+        await assert.rejects(AttendanceHistory.findOneAndUpdate({}, { actor: 'someone' }), /cannot be changed or removed/);
+        await assert.rejects(AttendanceHistory.deleteMany({}), /cannot be changed or removed/);
+    });
+
+    it('does not save an entry again once it exists', async () => {
+        const entry = new AttendanceHistory({ attendance: id(), student: id(), action: 'created', newValue: 'present', actor: 'system' });
+        entry.isNew = false;
+        await assert.rejects(entry.save(), /cannot be changed or removed/);
+    });
+});
@@ -0,0 +1,113 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CommandRouter, commandRouter, parseAppeal, parseLeave, summarizeAttendance } from '../services/commands.js';
+
+const today = '2026-10-19';
+
+describe('command router', () => {
+    it('resolves names and aliases whatever their case and punctuation', () => {
+        assert.equal(commandRouter.resolve('STATUS').command.name, 'status');
+        assert.equal(commandRouter.resolve('  /history! ').command.name, 'history');
+        assert.equal(commandRouter.resolve('Centre').command.name, 'center');
+        assert.equal(commandRouter.resolve('?').command.name, 'help');
+        assert.equal(commandRouter.resolve('Check out').command.name, 'checkout');
+    });
+
+    it('passes the text after the keyword to commands that take arguments', () => {
+        const match = commandRouter.resolve('leave 21/10  Family function');
+        assert.equal(match.command.name, 'leave');
+        assert.equal(match.args, '21/10 Family function');
+        assert.equal(commandRouter.resolve('LANG hi').args, 'hi');
+    });
+
+    it('does not treat sentences starting with a keyword as commands', () => {
+        assert.equal(commandRouter.resolve('status of my leave please'), null);
+        assert.equal(commandRouter.resolve('hello'), null);
+        assert.equal(commandRouter.resolve(''), null);
+    });
+
+    it('suggests the closest command for a misspelt or embedded keyword', () => {
+        assert.equal(commandRouter.suggest('histroy').name, 'history');
+        assert.equal(commandRouter.suggest('stauts').name, 'status');
+        assert.equal(commandRouter.suggest('what is my percentage').name, 'percent');
+        assert.equal(commandRouter.suggest('good morning sir'), null);
+    });
+
+    it('runs registered commands with the message context', async () => {
+        const router = new CommandRouter().register('ping', {
+            aliases: ['p'],
+            args: true,
+            handler: ({ args, student, router: self }) => `${student.name}:${args}:${self.list().length}`
+        });
+
+        assert.equal(await router.run(router.resolve('P pong'), { student: { name: 'Asha' } }), 'Asha:pong:1');
+        assert.throws(() => router.register('pong', { aliases: ['P'], handler: () => null }), /already registered/);
+    });
+
+    it('lists every visible command with a description key', () => {
+        const names = commandRouter.list().map(command => command.name);
+        for (const name of ['status', 'history', 'percent', 'center', 'leave', 'appeal', 'stop', 'start', 'help']) {
+            assert.ok(names.includes(name), name);
+        }
+    });
+});
+
+describe('parseLeave', () => {
+    it('reads a single day, a range and a day without a date', () => {
+        assert.deepEqual(parseLeave('21/10 fever', { today }), { startDate: '2026-10-21', endDate: '2026-10-21', reason: 'fever' });
+        assert.deepEqual(parseLeave('21/10 to 23/10 family function', { today }),
+            { startDate: '2026-10-21', endDate: '2026-10-23', reason: 'family function' });
+        assert.deepEqual(parseLeave('21/10-23/10 wedding', { today }), { startDate: '2026-10-21', endDate: '2026-10-23', reason: 'wedding' });
+        assert.deepEqual(parseLeave('tomorrow doctor', { today }), { startDate: '2026-10-20', endDate: '2026-10-20', reason: 'doctor' });
+        assert.deepEqual(parseLeave('Feeling unwell', { today }), { startDate: today, endDate: today, reason: 'Feeling unwell' });
+    });
+
+    it('follows the configured date format and rolls dates without a year forward', () => {
+        assert.equal(parseLeave('10/21 fever', { today, dateFormat: 'MM/DD/YYYY' }).startDate, '2026-10-21');
+        assert.equal(parseLeave('5/1 exam', { today }).startDate, '2027-01-05');
+        assert.equal(parseLeave('2026-11-02 exam', { today }).startDate, '2026-11-02');
+    });
+
+    it('reports invalid requests with a message key', () => {
+        assert.equal(parseLeave('32/10 fever', { today }).error, 'leaveInvalidDate');
+        assert.equal(parseLeave('21/10 to someday trip', { today }).error, 'leaveInvalidDate');
+        assert.equal(parseLeave('19/10/2026 to 18/10/2026 trip', { today }).error, 'leaveInvalidRange');
+        assert.equal(parseLeave('18/10/2026 trip', { today }).error, 'leavePastDate');
+        assert.deepEqual(parseLeave('21/10 to 30/11 trip', { today }), { error: 'leaveTooLong', values: { days: 31 } });
+        assert.equal(parseLeave('21/10', { today }).error, 'leaveNoReason');
+    });
+});
+
+describe('parseAppeal', () => {
+    it('reads an optional date before the reason', () => {
+        assert.deepEqual(parseAppeal('17/10 I was on time', { today }), { day: '2026-10-17', reason: 'I was on time' });
+        assert.deepEqual(parseAppeal('yesterday GPS was wrong', { today }), { day: '2026-10-18', reason: 'GPS was wrong' });
+        assert.deepEqual(parseAppeal('I was there all day', { today }), { day: null, reason: 'I was there all day' });
+    });
+
+    it('reads dates without a year as the latest one that has passed', () => {
+        assert.equal(parseAppeal('28/12 bus was late', { today: '2027-01-02' }).day, '2026-12-28');
+        assert.equal(parseAppeal('10/17 bus was late', { today, dateFormat: 'MM/DD/YYYY' }).day, '2026-10-17');
+    });
+
+    it('reports invalid appeals with a message key', () => {
+        assert.deepEqual(parseAppeal('32/10 late bus', { today }), { error: 'appealInvalidDate', values: { value: '32/10' } });
+        assert.deepEqual(parseAppeal('01/10/2026 late bus', { today }), { error: 'appealOutOfWindow', values: { days: 7 } });
+        assert.equal(parseAppeal('tomorrow late bus', { today }).error, 'appealOutOfWindow');
+        assert.equal(parseAppeal('17/10', { today }).error, 'appealNoReason');
+    });
+});
+
+describe('summarizeAttendance', () => {
+    it('counts statuses and leaves pending records out of the percentage', () => {
+        const records = ['present', 'present', 'late', 'absent', 'pending_verification'].map(status => ({ status }));
+        assert.deepEqual(summarizeAttendance(records), { present: 2, late: 1, absent: 1, excused: 0, pending: 1, percent: 75 });
+        assert.equal(summarizeAttendance([{ status: 'pending_verification' }]).percent, null);
+    });
+
+    it('leaves approved leave and excused absences out of the percentage', () => {
+        const records = ['present', 'absent', 'on_leave', 'excused', 'on_leave'].map(status => ({ status }));
+        assert.deepEqual(summarizeAttendance(records), { present: 1, late: 0, absent: 1, excused: 3, pending: 0, percent: 50 });
+        assert.equal(summarizeAttendance([{ status: 'on_leave' }]).percent, null);
+    });
+});
@@ -0,0 +1,151 @@
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import ConversationSession from '../models/ConversationSession.js';
+import { conversationService } from '../services/conversation.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+const MINUTE = 60 * 1000;
+
+const settings = (requireImage = true) => ({
+    attendanceSettings: {
+        autoVerification: { requireImage },
+        conversation: { locationTimeout: 30, photoTimeout: 20, checkoutTimeout: 15 }
+    }
+});
+
+// The student's latest open session, as getActive's query would find it
+const findSession = (session) => mock.method(ConversationSession, 'findOne', () => ({ sort: async () => session }));
+
+describe('conversation', () => {
+    let saved;
+
+    // Sessions are saved without a database
+    beforeEach(() => {
+        saved = [];
+        mock.method(ConversationSession.prototype, 'save', async function () {
+            saved.push(this);
+            return this;
+        });
+        mock.method(console, 'log', () => {});
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    describe('nextState', () => {
+        it('asks for a photo after a verified location when one is required', () => {
+            assert.equal(conversationService.nextState('idle', 'location_verified', { requireImage: true }), 'awaiting_photo');
+            assert.equal(conversationService.nextState('idle', 'location_verified', { requireImage: true, hasImage: true }), 'completed');
+            assert.equal(conversationService.nextState('idle', 'location_verified', { requireImage: false }), 'completed');
+        });
+
+        it('completes a session waiting for a photo with any photo', () => {
+            assert.equal(conversationService.nextState('awaiting_photo', 'photo_verified'), 'completed');
+            assert.equal(conversationService.nextState('awaiting_photo', 'photo_unverified'), 'completed');
+            assert.equal(conversationService.nextState('awaiting_location', 'photo_unverified'), 'awaiting_location');
+        });
+
+        it('moves check-outs through their own states', () => {
+            assert.equal(conversationService.nextState('idle', 'checkout_requested'), 'awaiting_checkout_location');
+            assert.equal(conversationService.nextState('awaiting_checkout_location', 'checkout_rejected'), 'awaiting_checkout_location');
+            assert.equal(conversationService.nextState('awaiting_checkout_location', 'checkout_verified'), 'completed');
+        });
+
+        it('rejects events the state does not expect', () => {
+            assert.throws(() => conversationService.nextState('awaiting_checkout_location', 'photo_verified'), /Invalid conversation transition/);
+            assert.throws(() => conversationService.nextState('idle', 'checkout_verified'), /Invalid conversation transition/);
+        });
+    });
+
+    describe('advance', () => {
+        it('starts a session and runs its timeout from the time of the message', async () => {
+            const at = new Date('2026-10-19T04:00:00Z');
+            const session = await conversationService.advance({
+                student: { _id: id() },
+                session: null,
+                attendance: { _id: id() },
+                event: 'location_verified',
+                messageId: 'wamid.1',
+                at,
+                settings: settings()
+            });
+
+            assert.equal(session.state, 'awaiting_photo');
+            assert.deepEqual(session.expiresAt, new Date(at.getTime() + 20 * MINUTE));
+            assert.deepEqual(session.lastMessageAt, at);
+            assert.deepEqual(session.transitions.map(({ from, to, event, messageId }) => ({ from, to, event, messageId })), [
+                { from: 'awaiting_photo', to: 'awaiting_photo', event: 'location_verified', messageId: 'wamid.1' }
+            ]);
+            assert.deepEqual(session.transitions[0].at, at);
+            assert.equal(saved.length, 1);
+        });
+
+        it('completes an open session and clears its timeout', async () => {
+            const at = new Date('2026-10-19T04:10:00Z');
+            const open = new ConversationSession({ student: id(), state: 'awaiting_photo', expiresAt: new Date('2026-10-19T04:20:00Z') });
+
+            const session = await conversationService.advance({
+                student: { _id: open.student },
+                session: open,
+                attendance: { _id: id() },
+                event: 'photo_verified',
+                messageId: 'wamid.2',
+                at,
+                settings: settings()
+            });
+
+            assert.equal(session, open);
+            assert.equal(session.state, 'completed');
+            assert.equal(session.expiresAt, null);
+            assert.deepEqual(session.completedAt, at);
+            assert.equal(session.isOpen(), false);
+        });
+    });
+
+    describe('getActive', () => {
+        const openSession = () => new ConversationSession({
+            student: id(),
+            state: 'awaiting_location',
+            expiresAt: new Date('2026-10-19T04:30:00Z')
+        });
+
+        it('returns nothing when the student has no open session', async () => {
+            findSession(null);
+            assert.deepEqual(await ConversationSession.getActive(id(), new Date()), { session: null, expiredSession: null });
+        });
+
+        it('keeps a session open for a message sent before its timeout, however late it is processed', async () => {
+            const session = openSession();
+            findSession(session);
+
+            const result = await ConversationSession.getActive(session.student, new Date('2026-10-19T04:29:00Z'));
+            assert.equal(result.session, session);
+            assert.equal(session.state, 'awaiting_location');
+            assert.equal(saved.length, 0);
+        });
+
+        it('expires a session for a message sent after its timeout', async () => {
+            const session = openSession();
+            findSession(session);
+
+            const at = new Date('2026-10-19T04:31:00Z');
+            const result = await ConversationSession.getActive(session.student, at);
+            assert.deepEqual(result, { session: null, expiredSession: session });
+            assert.equal(session.state, 'expired');
+            const { from, to, event } = session.transitions.at(-1);
+            assert.deepEqual({ from, to, event }, { from: 'awaiting_location', to: 'expired', event: 'timeout' });
+            assert.deepEqual(session.transitions.at(-1).at, at);
+            assert.equal(saved.length, 1);
+        });
+
+        it('tells the student which step timed out', async () => {
+            const session = openSession();
+            findSession(session);
+            await ConversationSession.getActive(session.student, new Date('2026-10-19T05:00:00Z'));
+
+            const t = (key, values) => `${key}:${values.minutes}`;
+            assert.equal(conversationService.getExpiredNotice(session, settings(), t), 'checkInExpired:30');
+        });
+    });
+});
@@ -0,0 +1,164 @@
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Attendance from '../models/Attendance.js';
+import { fraudService } from '../services/fraud.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Query results for chained find calls
+const query = (value) => ({
+    sort: () => query(value),
+    select: () => query(value),
+    limit: () => query(value),
+    lean: async () => value
+});
+
+const student = { _id: id() };
+const timestamp = new Date('2026-10-19T04:00:00Z');
+// Six decimals, as a real GPS fix has
+const location = { latitude: 12.971598, longitude: 77.594562 };
+
+const settingsWith = (fraudDetection = {}) => ({
+    system: { timezone: 'Asia/Kolkata' },
+    attendanceSettings: { fraudDetection }
+});
+
+describe('fraud', () => {
+    let previous;
+    let repeated;
+    let shared;
+
+    // The previous check-in, a record on another day at the same point and other students there
+    beforeEach(() => {
+        previous = null;
+        repeated = null;
+        shared = [];
+        mock.method(Attendance, 'findOne', (filter) => query(filter.date ? previous : repeated));
+        mock.method(Attendance, 'distinct', async () => shared);
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const assess = (options = {}) => fraudService.assess({ student, location, timestamp, settings: settingsWith(), ...options });
+    const codes = (risk) => risk.reasons.map(reason => reason.code);
+
+    // A check-in the given distance north of the location, the given minutes earlier
+    const previousCheckIn = (km, minutes) => ({
+        _id: id(),
+        date: new Date(timestamp.getTime() - minutes * 60 * 1000),
+        location: { coordinates: { latitude: location.latitude - km / 111.195, longitude: location.longitude } }
+    });
+
+    describe('assess', () => {
+        it('scores a plain check-in as low risk', async () => {
+            assert.deepEqual(
+                { ...(await assess()), assessedAt: null },
+                { score: 0, level: 'low', reasons: [], assessedAt: null }
+            );
+        });
+
+        it('keeps a single weak signal below the medium threshold', async () => {
+            const risk = await assess({ location: { latitude: 12.9716, longitude: 77.5946 } });
+            assert.deepEqual(codes(risk), ['rounded_coordinates']);
+            assert.equal(risk.score, 15);
+            assert.equal(risk.level, 'low');
+        });
+
+        it('is medium from the medium threshold up and high from the high threshold up', async () => {
+            repeated = { _id: id(), day: '2026-10-18' };
+            assert.deepEqual(await assess().then(risk => [risk.score, risk.level]), [35, 'medium']);
+            assert.equal((await assess({ settings: settingsWith({ mediumRiskScore: 35 }) })).level, 'medium');
+            assert.equal((await assess({ settings: settingsWith({ mediumRiskScore: 36 }) })).level, 'low');
+            assert.equal((await assess({ settings: settingsWith({ highRiskScore: 35 }) })).level, 'high');
+
+            repeated = null;
+            previous = previousCheckIn(100, 10);
+            assert.deepEqual(await assess().then(risk => [risk.score, risk.level]), [60, 'high']);
+            assert.equal((await assess({ settings: settingsWith({ highRiskScore: 61 }) })).level, 'medium');
+        });
+
+        it('caps the score at 100', async () => {
+            previous = previousCheckIn(100, 10);
+            repeated = { _id: id(), day: '2026-10-18' };
+            shared = [id(), id()];
+
+            const risk = await assess();
+            assert.deepEqual(codes(risk), ['impossible_travel', 'repeated_coordinates', 'shared_coordinates']);
+            assert.equal(risk.score, 100);
+            assert.equal(risk.level, 'high');
+        });
+
+        it('flags travel faster than the maximum speed, but not up to it', async () => {
+            // 60km in 30 minutes is 120km/h
+            previous = previousCheckIn(60, 30);
+            assert.deepEqual(codes(await assess()), []);
+
+            previous = previousCheckIn(61, 30);
+            const risk = await assess();
+            assert.deepEqual(codes(risk), ['impossible_travel']);
+            assert.equal(risk.reasons[0].details.speedKmh, 122);
+        });
+
+        it('puts moves under a kilometer down to GPS drift', async () => {
+            // 0.9km in a minute would be 54km/h with a 10km/h limit
+            previous = previousCheckIn(0.9, 1);
+            assert.deepEqual(codes(await assess({ settings: settingsWith({ maxTravelSpeedKmh: 10 }) })), []);
+        });
+
+        it('scores accuracy only when a location message carries one', async () => {
+            assert.deepEqual(codes(await assess({ location: { ...location, accuracy: 0 } })), ['accuracy_implausible']);
+            assert.deepEqual(codes(await assess({ location: { ...location, accuracy: 501 } })), ['accuracy_implausible']);
+            assert.deepEqual(codes(await assess({ location: { ...location, accuracy: 500 } })), []);
+            assert.deepEqual(codes(await assess({ location: { ...location, accuracy: null } })), []);
+            assert.deepEqual(codes(await assess({ location: { ...location, accuracy: 0 }, source: 'photo' })), []);
+        });
+
+        it('scores nothing when fraud detection is switched off', async () => {
+            previous = previousCheckIn(100, 10);
+            const risk = await assess({ settings: settingsWith({ enabled: false }) });
+            assert.equal(risk.score, 0);
+            assert.equal(Attendance.findOne.mock.callCount(), 0);
+        });
+    });
+
+    describe('checkPhoto', () => {
+        const hashes = { sha256: 'abc', perceptualHash: '0123456789abcdef' };
+        const messageTime = '2026-10-19T04:00:00Z';
+        const record = (metadata) => ({ _id: id(), student: { _id: id(), name: 'Asha', studentId: 'S1' }, day: '2026-10-12', images: [{ url: '/uploads/a.jpg', metadata }] });
+
+        const checkPhoto = (candidates, options = {}) => {
+            mock.method(Attendance, 'find', () => query(candidates));
+            mock.method(Attendance, 'populate', async (records) => records);
+            return fraudService.checkPhoto({ student, hashes, messageTime, settings: settingsWith(), ...options });
+        };
+
+        it('matches exact copies and near copies up to the duplicate distance', async () => {
+            // 6 and 7 bits away from the hash
+            const near = record({ sha256: 'x', perceptualHash: '0123456789abcc0c' });
+            const far = record({ sha256: 'y', perceptualHash: '0123456789abcc08' });
+            const exact = record({ sha256: 'abc', perceptualHash: 'ffffffffffffffff' });
+
+            const { duplicates } = await checkPhoto([near, far, exact]);
+            assert.deepEqual(duplicates.map(d => [d.attendance, d.match, d.distance]), [
+                [exact._id, 'exact', 0],
+                [near._id, 'perceptual', 6]
+            ]);
+            assert.equal(duplicates[0].sameStudent, false);
+        });
+
+        it('takes the duplicate distance from the settings', async () => {
+            const near = record({ sha256: 'x', perceptualHash: '0123456789abcc0c' });
+            const { duplicates } = await checkPhoto([near], { settings: settingsWith({ duplicatePhotoDistance: 5 }) });
+            assert.deepEqual(duplicates, []);
+        });
+
+        it('flags photos taken more than the maximum age before or after the message', async () => {
+            const at = (minutes) => new Date(new Date(messageTime).getTime() + minutes * 60 * 1000);
+
+            assert.equal((await checkPhoto([], { capturedAt: at(-30) })).stale, null);
+            assert.equal((await checkPhoto([], { capturedAt: at(-31) })).stale.ageMinutes, 31);
+            assert.equal((await checkPhoto([], { capturedAt: at(31) })).stale.ageMinutes, -31);
+        });
+    });
+});
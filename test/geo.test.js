@@ -0,0 +1,114 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { geoService } from '../services/geo.js';
+
+// A square of about 220m around a point in Bengaluru, [lng, lat] as GeoJSON
+const square = (lng, lat, half = 0.001) => [
+    [lng - half, lat - half],
+    [lng + half, lat - half],
+    [lng + half, lat + half],
+    [lng - half, lat + half],
+    [lng - half, lat - half]
+];
+
+const LNG = 77.5946;
+const LAT = 12.9716;
+
+const polygon = (extra = {}) => ({ type: 'Polygon', coordinates: [square(LNG, LAT)], ...extra });
+const centerWith = (geofence) => ({ coordinates: { latitude: LAT, longitude: LNG }, radius: 100, geofence });
+
+describe('geo', () => {
+    describe('isValidGeofence', () => {
+        it('accepts closed polygons and multipolygons', () => {
+            assert.equal(geoService.isValidGeofence(polygon()), true);
+            assert.equal(geoService.isValidGeofence(polygon({ bufferDistance: 0 })), true);
+            assert.equal(geoService.isValidGeofence({ type: 'MultiPolygon', coordinates: [[square(LNG, LAT)], [square(LNG + 0.01, LAT)]] }), true);
+        });
+
+        it('rejects open rings, short rings, bad positions and negative buffers', () => {
+            const ring = square(LNG, LAT);
+            assert.equal(geoService.isValidGeofence({ type: 'Polygon', coordinates: [ring.slice(0, -1)] }), false);
+            assert.equal(geoService.isValidGeofence({ type: 'Polygon', coordinates: [[ring[0], ring[1], ring[0]]] }), false);
+            assert.equal(geoService.isValidGeofence({ type: 'Polygon', coordinates: [[[LNG, 95], ...ring.slice(1, -1), [LNG, 95]]] }), false);
+            assert.equal(geoService.isValidGeofence({ type: 'Polygon', coordinates: [ring.map(([lng, lat]) => [String(lng), lat])] }), false);
+            assert.equal(geoService.isValidGeofence(polygon({ bufferDistance: -5 })), false);
+            assert.equal(geoService.isValidGeofence({ type: 'Point', coordinates: [LNG, LAT] }), false);
+            assert.equal(geoService.isValidGeofence({ type: 'Polygon', coordinates: [] }), false);
+        });
+    });
+
+    describe('isPointInGeofence', () => {
+        it('finds points inside the outer ring but not in a hole', () => {
+            const withHole = { type: 'Polygon', coordinates: [square(LNG, LAT), square(LNG, LAT, 0.0003)] };
+
+            assert.equal(geoService.isPointInGeofence({ latitude: LAT + 0.0006, longitude: LNG }, withHole), true);
+            assert.equal(geoService.isPointInGeofence({ latitude: LAT, longitude: LNG }, withHole), false);
+            assert.equal(geoService.isPointInGeofence({ latitude: LAT + 0.002, longitude: LNG }, withHole), false);
+        });
+
+        it('finds points in any polygon of a multipolygon', () => {
+            const campus = { type: 'MultiPolygon', coordinates: [[square(LNG, LAT)], [square(LNG + 0.01, LAT)]] };
+            assert.equal(geoService.isPointInGeofence({ latitude: LAT, longitude: LNG + 0.01 }, campus), true);
+            assert.equal(geoService.isPointInGeofence({ latitude: LAT, longitude: LNG + 0.005 }, campus), false);
+        });
+    });
+
+    describe('distanceToGeofence', () => {
+        it('is 0 inside and the distance to the nearest edge outside', () => {
+            assert.equal(geoService.distanceToGeofence({ latitude: LAT, longitude: LNG }, polygon()), 0);
+
+            // 0.001° of latitude north of the edge is about 111m
+            const distance = geoService.distanceToGeofence({ latitude: LAT + 0.002, longitude: LNG }, polygon());
+            assert.ok(distance >= 110 && distance <= 112, `${distance}m`);
+        });
+
+        it('measures to the edge of a hole from inside it', () => {
+            const withHole = { type: 'Polygon', coordinates: [square(LNG, LAT), square(LNG, LAT, 0.0003)] };
+            const distance = geoService.distanceToGeofence({ latitude: LAT, longitude: LNG }, withHole);
+            assert.ok(distance >= 32 && distance <= 34, `${distance}m`);
+        });
+
+        it('copes with repeated positions in a ring', () => {
+            const [a, b, c, d, e] = square(LNG, LAT);
+            const repeated = { type: 'Polygon', coordinates: [[a, b, b, c, d, e]] };
+            assert.equal(
+                geoService.distanceToGeofence({ latitude: LAT + 0.002, longitude: LNG }, repeated),
+                geoService.distanceToGeofence({ latitude: LAT + 0.002, longitude: LNG }, polygon())
+            );
+        });
+    });
+
+    describe('checkCenter', () => {
+        const outside = { latitude: LAT + 0.002, longitude: LNG };
+
+        it('accepts points inside the geofence without a buffer', () => {
+            const result = geoService.checkCenter({ latitude: LAT + 0.0009, longitude: LNG + 0.0009 }, centerWith(polygon()));
+            assert.deepEqual(result, { isWithin: true, distance: 0, method: 'geofence', bufferDistance: 0 });
+        });
+
+        it('accepts points outside the polygon up to and including the buffer distance', () => {
+            const distance = geoService.distanceToGeofence(outside, polygon());
+
+            assert.equal(geoService.checkCenter(outside, centerWith(polygon())).isWithin, false);
+            assert.equal(geoService.checkCenter(outside, centerWith(polygon({ bufferDistance: distance }))).isWithin, true);
+            assert.equal(geoService.checkCenter(outside, centerWith(polygon({ bufferDistance: distance - 1 }))).isWithin, false);
+        });
+
+        it('ignores the radius of centers with a geofence', () => {
+            // Within 100m of the center point but outside the small polygon
+            const geofence = { type: 'Polygon', coordinates: [square(LNG, LAT, 0.0001)] };
+            const result = geoService.checkCenter({ latitude: LAT + 0.0005, longitude: LNG }, centerWith(geofence));
+            assert.equal(result.isWithin, false);
+            assert.equal(result.method, 'geofence');
+        });
+
+        it('falls back to the radius without a geofence, including its boundary', () => {
+            const point = { latitude: LAT + 0.0008, longitude: LNG };
+            const distance = geoService.calculateDistance(point, { latitude: LAT, longitude: LNG });
+
+            const atBoundary = geoService.checkCenter(point, { ...centerWith(null), radius: distance });
+            assert.deepEqual(atBoundary, { isWithin: true, distance, method: 'radius', radius: distance });
+            assert.equal(geoService.checkCenter(point, { ...centerWith({ type: 'Polygon', coordinates: [] }), radius: distance - 1 }).isWithin, false);
+        });
+    });
+});
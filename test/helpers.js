@@ -0,0 +1,7 @@
+import fs from 'fs';
+
+// Fixture file contents as sent over the wire, and parsed
+export const loadFixture = (name) => {
+    const raw = fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url));
+    return { raw, body: JSON.parse(raw) };
+};
@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { i18nService } from '../services/i18n.js';
+
+const settings = {
+    system: { timezone: 'Asia/Kolkata', dateFormat: 'DD/MM/YYYY', timeFormat: '24h', language: 'en' },
+    templates: { reminderMessage: 'Reminder for {{name}} on {{date}}' },
+    translations: {
+        hi: { accountInactive: 'खाता निष्क्रिय है', reminderMessage: '{{name}}, {{date}} की उपस्थिति दर्ज करें' },
+        ta: { notRegistered: 'நீங்கள் பதிவு செய்யப்படவில்லை' }
+    }
+};
+
+describe('i18n service', () => {
+    it('falls back from a regional code to its language, then the system language, then English', () => {
+        assert.deepEqual(i18nService.getLanguageChain({ language: 'hi-IN' }, settings), ['hi', 'en']);
+        assert.deepEqual(i18nService.getLanguageChain({ language: 'ta' }, { ...settings, system: { language: 'hi' } }), ['ta', 'hi', 'en']);
+        assert.deepEqual(i18nService.getLanguageChain({ language: 'xx' }, settings), ['en']);
+    });
+
+    it('lists built-in languages and languages added through Settings', () => {
+        assert.deepEqual(Object.keys(i18nService.getLanguages(settings)).sort(), ['en', 'hi', 'ta']);
+        assert.equal(i18nService.isSupported('TA', settings), true);
+    });
+
+    it('prefers edited translations over the built-in catalogue', () => {
+        const t = i18nService.translator({ language: 'hi' }, settings);
+
+        assert.equal(t('accountInactive'), 'खाता निष्क्रिय है');
+        assert.match(t('notRegistered'), /पंजीकृत नहीं/);
+    });
+
+    it('falls back to English for keys a language does not have', () => {
+        const t = i18nService.translator({ language: 'ta' }, settings);
+
+        assert.equal(t('notRegistered'), 'நீங்கள் பதிவு செய்யப்படவில்லை');
+        assert.equal(t('checkoutAlreadyDone', { time: '17:05' }), 'You have already checked out today at 17:05.');
+    });
+
+    it('renders Settings.templates in the student language', () => {
+        const student = { name: 'Asha', language: 'hi' };
+        const timestamp = new Date('2026-10-19T04:05:00Z');
+
+        assert.equal(i18nService.translator(student, settings).template('reminderMessage', { student, timestamp }), 'Asha, 19/10/2026 की उपस्थिति दर्ज करें');
+        assert.equal(i18nService.translator(null, settings).template('reminderMessage', { student, timestamp }), 'Reminder for Asha on 19/10/2026');
+    });
+
+    it('validates translations against the catalogue placeholders', () => {
+        assert.deepEqual(i18nService.validateTranslations({ checkedOut: '{{time}} पर चेक-आउट ({{duration}})', help: null }), {});
+
+        const errors = i18nService.validateTranslations({ checkedOut: '{{when}}', farewell: 'Bye', welcomeMessage: '{{#if name}}' });
+        assert.deepEqual(Object.keys(errors), ['checkedOut', 'farewell', 'welcomeMessage']);
+    });
+});
@@ -0,0 +1,85 @@
+import { describe, it, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import OutboundMessage from '../models/OutboundMessage.js';
+import Settings from '../models/Settings.js';
+import { outboundDispatcher, getRetryDelay, isRetryableError } from '../services/outboundDispatcher.js';
+import { metaProvider } from '../services/whatsappProviders/meta.js';
+import { twilioProvider } from '../services/whatsappProviders/twilio.js';
+
+const httpError = (status, data = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+    request: {},
+    response: { status, data, headers: {} }
+});
+
+describe('outbound dispatcher', () => {
+    describe('getRetryDelay', () => {
+        it('doubles the delay per attempt with up to half of it as jitter', () => {
+            assert.equal(getRetryDelay(1, () => 0), 2500);
+            assert.equal(getRetryDelay(1, () => 1), 5000);
+            assert.equal(getRetryDelay(3, () => 0), 10000);
+            assert.equal(getRetryDelay(3, () => 1), 20000);
+        });
+
+        it('caps the delay', () => {
+            assert.equal(getRetryDelay(20, () => 1), 15 * 60 * 1000);
+        });
+    });
+
+    describe('isRetryableError', () => {
+        it('retries network errors, throttling and server errors', () => {
+            assert.equal(isRetryableError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET', request: {} })), true);
+            assert.equal(isRetryableError(httpError(429)), true);
+            assert.equal(isRetryableError(httpError(503)), true);
+        });
+
+        it('retries throttling codes the provider returns with a 400', () => {
+            assert.equal(isRetryableError(httpError(400, { error: { code: 131056 } }), metaProvider), true);
+            assert.equal(isRetryableError(httpError(400, { code: 20429 }), twilioProvider), true);
+        });
+
+        it('does not retry permanent failures', () => {
+            assert.equal(isRetryableError(httpError(400, { error: { code: 131026 } }), metaProvider), false);
+            assert.equal(isRetryableError(httpError(401)), false);
+            assert.equal(isRetryableError(new Error('Unsupported message type: video')), false);
+        });
+    });
+
+    describe('dispatch', () => {
+        const limits = { globalPerSecond: 20, perNumberLimit: 5, perNumberWindowMs: 10000 };
+
+        afterEach(() => mock.restoreAll());
+
+        // A claimed message; saving hands it back
+        const claimedMessage = (fields = {}) => {
+            const message = new OutboundMessage({
+                recipient: '919876543210',
+                provider: 'meta',
+                messageType: 'text',
+                payload: { type: 'text', text: 'Attendance marked' },
+                status: 'processing',
+                ...fields
+            });
+            message.save = async function () {
+                return this;
+            };
+            return message;
+        };
+
+        it('sends through the provider the message was queued for after the provider changed', async () => {
+            mock.method(OutboundMessage, 'countAttemptsSince', async () => 0);
+            mock.method(Settings, 'getSettings', async () => ({ whatsappApi: { isActive: true, provider: 'twilio' } }));
+            const metaSend = mock.method(metaProvider, 'send', async () => ({ messageId: 'wamid.1' }));
+            const twilioSend = mock.method(twilioProvider, 'send', async () => ({ messageId: 'SM1' }));
+
+            const message = claimedMessage();
+            await outboundDispatcher.dispatch(message, limits);
+
+            assert.equal(metaSend.mock.callCount(), 1);
+            assert.equal(twilioSend.mock.callCount(), 0);
+            assert.equal(message.provider, 'meta');
+            assert.equal(message.status, 'sent');
+            assert.equal(message.providerMessageId, 'wamid.1');
+            assert.equal(message.attempts, 1);
+        });
+    });
+});
@@ -0,0 +1,77 @@
+import { describe, it, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import OutboundMessage from '../models/OutboundMessage.js';
+
+// A sent message that recordStatus finds by its provider id; saving hands it back
+const sentMessage = (fields = {}) => {
+    const message = new OutboundMessage({
+        recipient: '919876543210',
+        provider: 'meta',
+        providerMessageId: 'wamid.1',
+        messageType: 'text',
+        status: 'sent',
+        ...fields
+    });
+    message.save = async function () {
+        return this;
+    };
+    mock.method(OutboundMessage, 'findOne', async () => message);
+    return message;
+};
+
+const receipt = (status, timestamp, errors) => OutboundMessage.recordStatus({ messageId: 'wamid.1', status, timestamp, errors });
+
+describe('outbound message', () => {
+    afterEach(() => mock.restoreAll());
+
+    describe('recordStatus', () => {
+        it('returns null for messages it did not send', async () => {
+            mock.method(OutboundMessage, 'findOne', async () => null);
+            assert.equal(await receipt('delivered'), null);
+        });
+
+        it('moves the status forward', async () => {
+            sentMessage();
+            const message = await receipt('delivered', '2026-10-19T10:00:00Z');
+            assert.equal(message.status, 'delivered');
+            assert.deepEqual(message.deliveredAt, new Date('2026-10-19T10:00:00Z'));
+            assert.equal(message.statusHistory.at(-1).status, 'delivered');
+        });
+
+        it('does not move back when receipts arrive out of order', async () => {
+            sentMessage({ status: 'read', readAt: new Date('2026-10-19T10:05:00Z'), deliveredAt: new Date('2026-10-19T10:05:00Z') });
+            const message = await receipt('delivered', '2026-10-19T10:00:00Z');
+            assert.equal(message.status, 'read');
+            // The receipt is still kept in the history
+            assert.equal(message.statusHistory.at(-1).status, 'delivered');
+        });
+
+        it('backfills deliveredAt from a read receipt', async () => {
+            sentMessage();
+            const message = await receipt('read', '2026-10-19T10:05:00Z');
+            assert.equal(message.status, 'read');
+            assert.deepEqual(message.readAt, new Date('2026-10-19T10:05:00Z'));
+            assert.deepEqual(message.deliveredAt, new Date('2026-10-19T10:05:00Z'));
+        });
+
+        it('keeps an earlier delivery time when the read receipt comes later', async () => {
+            sentMessage({ status: 'delivered', deliveredAt: new Date('2026-10-19T10:00:00Z') });
+            const message = await receipt('read', '2026-10-19T10:05:00Z');
+            assert.deepEqual(message.deliveredAt, new Date('2026-10-19T10:00:00Z'));
+        });
+
+        it('records a failure whatever the current status', async () => {
+            sentMessage({ status: 'delivered' });
+            const message = await receipt('undelivered', '2026-10-19T10:10:00Z', [{ code: 131026, title: 'Message undeliverable' }]);
+            assert.equal(message.status, 'failed');
+            assert.deepEqual(message.failedAt, new Date('2026-10-19T10:10:00Z'));
+            assert.equal(message.deliveryErrors[0].code, '131026');
+        });
+
+        it('does not leave failed for a later receipt', async () => {
+            sentMessage({ status: 'failed' });
+            const message = await receipt('delivered');
+            assert.equal(message.status, 'failed');
+        });
+    });
+});
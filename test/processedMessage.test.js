@@ -0,0 +1,99 @@
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import ProcessedMessage from '../models/ProcessedMessage.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+const MINUTE = 60 * 1000;
+
+// Whether a stored entry matches one of the retry conditions claim asks for
+const matches = (entry, condition) => Object.entries(condition).every(([field, value]) => {
+    if (value?.$lt) {
+        return entry[field] < value.$lt;
+    }
+    return String(entry[field]) === String(value);
+});
+
+describe('processed message', () => {
+    let entry;
+
+    // One stored entry: creating another with its message id hits the unique index
+    beforeEach(() => {
+        entry = null;
+        mock.method(ProcessedMessage, 'create', async (fields) => {
+            if (entry) {
+                throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+            }
+            entry = { status: 'processing', attempts: 1, duplicateDeliveries: 0, startedAt: new Date(), ...fields };
+            return entry;
+        });
+        mock.method(ProcessedMessage, 'findOneAndUpdate', async (filter, update) => {
+            if (!entry || (filter.$or && !filter.$or.some(condition => matches(entry, condition)))) {
+                return null;
+            }
+            Object.assign(entry, update.$set);
+            for (const [field, amount] of Object.entries(update.$inc)) {
+                entry[field] += amount;
+            }
+            return entry;
+        });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        delete process.env.WEBHOOK_JOB_LOCK_TIMEOUT_MS;
+    });
+
+    describe('claim', () => {
+        it('claims a new message and records the job processing it', async () => {
+            const jobId = id();
+            const claim = await ProcessedMessage.claim('wamid.1', { from: '919876543210', jobId });
+            assert.equal(claim.claimed, true);
+            assert.equal(claim.entry.jobId, jobId);
+        });
+
+        it('ignores a redelivery while the first delivery is processing', async () => {
+            await ProcessedMessage.claim('wamid.1', { jobId: id() });
+            const claim = await ProcessedMessage.claim('wamid.1', { jobId: id() });
+            assert.equal(claim.claimed, false);
+            assert.equal(claim.entry.duplicateDeliveries, 1);
+        });
+
+        it('lets the same job take its entry back when it is re-claimed after a crash', async () => {
+            const jobId = id();
+            await ProcessedMessage.claim('wamid.1', { jobId });
+
+            // The worker crashed; the job lock times out and another worker runs it again
+            entry.startedAt = new Date(Date.now() - 5 * MINUTE);
+            const claim = await ProcessedMessage.claim('wamid.1', { jobId });
+            assert.equal(claim.claimed, true);
+            assert.equal(claim.entry.attempts, 2);
+            assert.equal(claim.entry.status, 'processing');
+        });
+
+        it('retries entries of other deliveries stuck for longer than the job lock timeout', async () => {
+            process.env.WEBHOOK_JOB_LOCK_TIMEOUT_MS = String(2 * MINUTE);
+            await ProcessedMessage.claim('wamid.1', { jobId: id() });
+
+            entry.startedAt = new Date(Date.now() - MINUTE);
+            assert.equal((await ProcessedMessage.claim('wamid.1', { jobId: id() })).claimed, false);
+
+            entry.startedAt = new Date(Date.now() - 3 * MINUTE);
+            assert.equal((await ProcessedMessage.claim('wamid.1', { jobId: id() })).claimed, true);
+        });
+
+        it('retries failed entries', async () => {
+            await ProcessedMessage.claim('wamid.1');
+            entry.status = 'failed';
+            assert.equal((await ProcessedMessage.claim('wamid.1')).claimed, true);
+        });
+
+        it('ignores a redelivery of a completed message', async () => {
+            const jobId = id();
+            await ProcessedMessage.claim('wamid.1', { jobId });
+            entry.status = 'completed';
+            assert.equal((await ProcessedMessage.claim('wamid.1', { jobId })).claimed, false);
+        });
+    });
+});
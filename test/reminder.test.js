@@ -0,0 +1,92 @@
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import OutboundMessage from '../models/OutboundMessage.js';
+import { reminderService } from '../services/reminder.js';
+import { whatsappService } from '../services/whatsapp.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+const students = [
+    { _id: id(), name: 'Asha', phone: '919876543210' },
+    { _id: id(), name: 'Ravi', phone: '919876543211' },
+    { _id: id(), name: 'Sita', phone: '919876543212' }
+];
+
+// A task run that keeps what it finished with
+const taskRun = (key) => ({
+    key,
+    params: {},
+    async finish(result, status = 'completed') {
+        Object.assign(this, { result, status });
+        return this;
+    },
+    async fail(error) {
+        this.error = error;
+    }
+});
+
+describe('reminder', () => {
+    let queued;
+
+    beforeEach(() => {
+        queued = [];
+        mock.method(reminderService, 'getRecipients', async () => ({ dayKey: '2026-10-19', day: { isWorkingDay: true }, students }));
+        mock.method(OutboundMessage, 'distinct', async () => []);
+        mock.method(whatsappService, 'sendAttendanceReminder', async (student, context) => {
+            queued.push({ student: student._id, ...context });
+            return { _id: id() };
+        });
+        mock.method(console, 'log', () => {});
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    describe('execute', () => {
+        it('queues a reminder for each student, tagged with the run key', async () => {
+            const run = await reminderService.execute(taskRun('reminder:2026-10-19'), new Date());
+
+            assert.deepEqual(queued, students.map(s => ({ student: s._id, runKey: 'reminder:2026-10-19' })));
+            assert.equal(run.result.queued, 3);
+            assert.equal(run.result.alreadyQueued, 0);
+        });
+
+        it('leaves out students an earlier attempt of the run already reminded', async () => {
+            OutboundMessage.distinct.mock.mockImplementation(async () => [students[0]._id, students[1]._id]);
+
+            const run = await reminderService.execute(taskRun('reminder:2026-10-19'), new Date());
+
+            const [field, filter] = OutboundMessage.distinct.mock.calls[0].arguments;
+            assert.equal(field, 'student');
+            assert.deepEqual(filter, { runKey: 'reminder:2026-10-19', purpose: 'reminder' });
+            assert.deepEqual(queued.map(q => q.student), [students[2]._id]);
+            assert.deepEqual(
+                { recipients: run.result.recipients, alreadyQueued: run.result.alreadyQueued, queued: run.result.queued },
+                { recipients: 3, alreadyQueued: 2, queued: 1 }
+            );
+        });
+
+        it('reminds everyone on manual runs', async () => {
+            await reminderService.execute(taskRun(undefined), new Date());
+
+            assert.equal(OutboundMessage.distinct.mock.callCount(), 0);
+            assert.equal(queued.length, 3);
+            assert.equal(queued[0].runKey, null);
+        });
+
+        it('counts students whose reminder could not be queued as failed', async () => {
+            whatsappService.sendAttendanceReminder.mock.mockImplementation(async (student) => {
+                if (student === students[1]) {
+                    throw new Error('WhatsApp API is not active');
+                }
+                return { _id: id() };
+            });
+            mock.method(console, 'error', () => {});
+
+            const run = await reminderService.execute(taskRun('reminder:2026-10-19'), new Date());
+            assert.equal(run.result.queued, 2);
+            assert.equal(run.result.failed, 1);
+            assert.equal(run.result.failures[0].studentId, students[1]._id);
+        });
+    });
+});
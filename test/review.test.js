@@ -0,0 +1,169 @@
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Attendance from '../models/Attendance.js';
+import AttendanceHistory from '../models/AttendanceHistory.js';
+import { reviewService } from '../services/review.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+// A stored record waiting for review, as findById would load it
+const storedRecord = (fields = {}) => Attendance.hydrate({
+    _id: id(),
+    student: id(),
+    source: 'system',
+    date: new Date('2026-10-19T04:00:00Z'),
+    day: '2026-10-19',
+    session: 'morning',
+    status: 'pending_verification',
+    verification: { isVerified: false, verifiedBy: 'system', verificationMethod: 'auto_geo' },
+    flags: [{ code: 'stale_photo', message: 'Photo was taken 90 minutes before it was sent' }],
+    __v: 2,
+    ...fields
+});
+
+const review = { status: 'present', notes: 'Checked the photos', reviewedBy: 'coordinator' };
+
+describe('review service', () => {
+    let records;
+    let updateOne;
+
+    // Records are looked up in a map; saves match only when the stored version is unchanged
+    beforeEach(() => {
+        records = new Map();
+        mock.method(Attendance, 'findById', async (recordId) => records.get(String(recordId)) || null);
+        updateOne = mock.method(Attendance.collection, 'updateOne', async () => ({ acknowledged: true, matchedCount: 1, modifiedCount: 1 }));
+        mock.method(AttendanceHistory, 'recordMany', async (entries) => entries);
+        mock.method(console, 'error', () => {});
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const store = (record) => {
+        records.set(String(record._id), record);
+        return record;
+    };
+
+    describe('reviewItem', () => {
+        it('verifies a record at the version the reviewer saw and bumps the version', async () => {
+            const record = store(storedRecord());
+            const result = await reviewService.reviewItem({ id: String(record._id), version: 2 }, review);
+
+            assert.deepEqual(result, { id: String(record._id), ok: true, status: 'present', version: 3 });
+            assert.equal(record.verification.isVerified, true);
+            assert.equal(record.verification.verifiedBy, 'coordinator');
+            assert.equal(record.verification.verificationMethod, 'manual_admin');
+            assert.equal(record.verification.notes, 'Checked the photos');
+
+            // The save only matches the version that was loaded
+            const [where, update] = updateOne.mock.calls[0].arguments;
+            assert.equal(where.__v, 2);
+            assert.deepEqual(update.$inc, { __v: 1 });
+        });
+
+        it('reports a conflict without saving when the version has moved on', async () => {
+            const record = store(storedRecord({
+                __v: 3,
+                status: 'late',
+                verification: { isVerified: true, verifiedBy: 'another reviewer', verificationMethod: 'manual_admin' }
+            }));
+            const result = await reviewService.reviewItem({ id: String(record._id), version: 2 }, review);
+
+            assert.equal(result.ok, false);
+            assert.equal(result.error, 'version_conflict');
+            assert.equal(result.version, 3);
+            assert.equal(result.status, 'late');
+            assert.equal(result.verifiedBy, 'another reviewer');
+            assert.equal(updateOne.mock.callCount(), 0);
+        });
+
+        it('reports a conflict when the record changes between loading and saving', async () => {
+            const record = store(storedRecord());
+            updateOne.mock.mockImplementation(async () => ({ acknowledged: true, matchedCount: 0, modifiedCount: 0 }));
+
+            const result = await reviewService.reviewItem({ id: String(record._id), version: 2 }, review);
+            assert.equal(result.ok, false);
+            assert.equal(result.error, 'version_conflict');
+            assert.match(result.message, /while it was being reviewed/);
+        });
+
+        it('leaves reviewed records alone when no version is given', async () => {
+            const record = store(storedRecord({
+                status: 'present',
+                verification: { isVerified: true, verifiedBy: 'another reviewer', verificationMethod: 'manual_admin' }
+            }));
+            const result = await reviewService.reviewItem(String(record._id), { ...review, status: 'absent' });
+
+            assert.equal(result.error, 'already_reviewed');
+            assert.equal(result.status, 'present');
+            assert.equal(record.status, 'present');
+            assert.equal(updateOne.mock.callCount(), 0);
+        });
+
+        it('reviews records still waiting without a version', async () => {
+            const record = store(storedRecord());
+            const result = await reviewService.reviewItem(String(record._id), { ...review, status: 'absent' });
+            assert.equal(result.ok, true);
+            assert.equal(result.status, 'absent');
+        });
+
+        it('rejects invalid and missing ids', async () => {
+            assert.deepEqual(
+                await reviewService.reviewItem({ id: 'not-an-id', version: 0 }, review),
+                { id: 'not-an-id', ok: false, error: 'invalid_id', message: 'Invalid attendance id' }
+            );
+            assert.equal((await reviewService.reviewItem({ version: 0 }, review)).error, 'invalid_id');
+            assert.equal((await reviewService.reviewItem(null, review)).id, null);
+
+            const missing = String(id());
+            assert.deepEqual(
+                await reviewService.reviewItem({ id: missing, version: 0 }, review),
+                { id: missing, ok: false, error: 'not_found', message: 'Attendance record not found' }
+            );
+        });
+
+        it('reports other save errors as failed', async () => {
+            const record = store(storedRecord());
+            updateOne.mock.mockImplementation(async () => {
+                throw new Error('connection reset');
+            });
+
+            const result = await reviewService.reviewItem({ id: String(record._id), version: 2 }, review);
+            assert.deepEqual(result, { id: String(record._id), ok: false, error: 'failed', message: 'connection reset' });
+        });
+    });
+
+    describe('reviewMany', () => {
+        it('returns a result for each id in order, with a summary', async () => {
+            const fresh = store(storedRecord());
+            const stale = store(storedRecord({ __v: 5 }));
+            const missing = String(id());
+
+            const { results, summary } = await reviewService.reviewMany([
+                { id: String(fresh._id), version: 2 },
+                { id: String(stale._id), version: 4 },
+                { id: missing, version: 0 },
+                { id: 'bad' }
+            ], review);
+
+            assert.deepEqual(results.map(result => [result.id, result.ok, result.error]), [
+                [String(fresh._id), true, undefined],
+                [String(stale._id), false, 'version_conflict'],
+                [missing, false, 'not_found'],
+                ['bad', false, 'invalid_id']
+            ]);
+            assert.deepEqual(summary, { total: 4, updated: 1, conflicts: 1, failed: 2 });
+        });
+
+        it('lets only the first of two reviews of the same version through', async () => {
+            const record = store(storedRecord());
+            const { results } = await reviewService.reviewMany([
+                { id: String(record._id), version: 2 },
+                { id: String(record._id), version: 2 }
+            ], review);
+
+            assert.equal(results[0].ok, true);
+            assert.equal(results[1].error, 'version_conflict');
+        });
+    });
+});
@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { templateService } from '../services/template.js';
+
+const settings = {
+    system: { timezone: 'Asia/Kolkata', dateFormat: 'DD/MM/YYYY', timeFormat: '24h' },
+    templates: {
+        confirmationMessage: 'Hi {{name}}, marked {{status}} on {{date}} at {{time}}.',
+        reminderMessage: 'Reminder for {{date "dddd, D MMM"}}'
+    }
+};
+
+const student = { name: 'Asha Verma', studentId: 'STU-1042', phone: '919876543210' };
+const timestamp = new Date('2026-10-19T04:05:00Z');
+
+describe('template service', () => {
+    describe('render', () => {
+        it('formats dates and times with the system settings and timezone', () => {
+            const message = templateService.render('confirmationMessage', { student, status: 'present', timestamp }, settings);
+            assert.equal(message, 'Hi Asha Verma, marked present on 19/10/2026 at 09:35.');
+        });
+
+        it('uses the timezone of the center when it has one', () => {
+            const center = { name: 'Dubai Center', timezone: 'Asia/Dubai' };
+            const message = templateService.render('confirmationMessage', { student, status: 'present', timestamp, center }, {
+                ...settings,
+                system: { ...settings.system, timeFormat: '12h' }
+            });
+            assert.equal(message, 'Hi Asha Verma, marked present on 19/10/2026 at 8:05 AM.');
+        });
+
+        it('accepts a date pattern per variable', () => {
+            assert.equal(templateService.render('reminderMessage', { student, timestamp }, settings), 'Reminder for Monday, 19 Oct');
+        });
+
+        it('replaces every occurrence and renders conditionals', () => {
+            const source = '{{name}}/{{name}}{{#if isLate}} late{{else}} on time{{/if}}{{#unless centerName}} (no center){{/unless}}';
+            const render = (status) => templateService.render('confirmationMessage', { student, status, timestamp }, settings, { source });
+
+            assert.equal(render('late'), 'Asha Verma/Asha Verma late (no center)');
+            assert.equal(render('present'), 'Asha Verma/Asha Verma on time (no center)');
+        });
+    });
+
+    describe('validate', () => {
+        it('accepts templates that only use catalogue variables', () => {
+            assert.deepEqual(templateService.validate('rejectionMessage', 'You are {{distance}}m from {{centerName}}.'), []);
+        });
+
+        it('reports unknown variables and syntax errors', () => {
+            const errors = templateService.validate('welcomeMessage', '{{#if name}}Hi {{date}}{{else}}{{else}}');
+
+            assert.equal(errors.length, 3);
+            assert.match(errors[0], /Unexpected \{\{else\}\}/);
+            assert.match(errors[1], /Missing \{\{\/if\}\}/);
+            assert.match(errors[2], /Unknown variable \{\{date\}\}/);
+        });
+
+        it('rejects unknown templates', () => {
+            assert.deepEqual(templateService.validate('farewellMessage', 'Bye'), ['Unknown template: farewellMessage']);
+        });
+    });
+
+    it('previews a template against sample data', () => {
+        assert.equal(
+            templateService.preview('confirmationMessage', settings),
+            'Hi Asha Verma, marked present on 19/10/2026 at 09:35.'
+        );
+    });
+});
@@ -0,0 +1,135 @@
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import WebhookJob from '../models/WebhookJob.js';
+
+const NOW = new Date('2026-10-19T04:00:00Z').getTime();
+const SECOND = 1000;
+
+// A job as claimNext hands it to the worker, on its given attempt; saving hands it back
+const claimedJob = (attempts, fields = {}) => {
+    const job = new WebhookJob({
+        payload: { object: 'whatsapp_business_account' },
+        status: 'processing',
+        attempts,
+        maxAttempts: 5,
+        lockedAt: new Date(NOW),
+        lockedBy: 'worker-1',
+        ...fields
+    });
+    job.save = async function () {
+        return this;
+    };
+    return job;
+};
+
+// Delay before the retry markFailed schedules
+const retryDelay = async (attempts, maxAttempts = 20) => {
+    const job = claimedJob(attempts, { maxAttempts });
+    await job.markFailed(new Error('timeout'));
+    assert.equal(job.status, 'pending');
+    return job.nextRunAt.getTime() - NOW;
+};
+
+describe('webhook job', () => {
+    beforeEach(() => {
+        mock.method(Date, 'now', () => NOW);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        delete process.env.WEBHOOK_JOB_MAX_ATTEMPTS;
+    });
+
+    describe('markFailed', () => {
+        it('doubles the retry delay from 30 seconds with each attempt', async () => {
+            assert.equal(await retryDelay(1), 30 * SECOND);
+            assert.equal(await retryDelay(2), 60 * SECOND);
+            assert.equal(await retryDelay(3), 120 * SECOND);
+            assert.equal(await retryDelay(7), 1920 * SECOND);
+        });
+
+        it('caps the retry delay at an hour', async () => {
+            // 30s * 2^7 is just over an hour
+            assert.equal(await retryDelay(8), 3600 * SECOND);
+            assert.equal(await retryDelay(19), 3600 * SECOND);
+        });
+
+        it('releases the lock and records the error of each attempt', async () => {
+            const job = claimedJob(2, { errorHistory: [{ attempt: 1, message: 'connection reset' }] });
+            await job.markFailed(new Error('timeout'));
+
+            assert.equal(job.lockedAt, null);
+            assert.equal(job.lockedBy, null);
+            assert.equal(job.lastError, 'timeout');
+            assert.deepEqual(job.errorHistory.map(({ attempt, message }) => ({ attempt, message })), [
+                { attempt: 1, message: 'connection reset' },
+                { attempt: 2, message: 'timeout' }
+            ]);
+        });
+
+        it('retries until the last attempt and then moves the job to the dead letters', async () => {
+            const retried = claimedJob(4);
+            await retried.markFailed(new Error('timeout'));
+            assert.equal(retried.status, 'pending');
+
+            const dead = claimedJob(5);
+            const nextRunAt = dead.nextRunAt;
+            await dead.markFailed('Student lookup failed');
+            assert.equal(dead.status, 'dead');
+            assert.equal(dead.lastError, 'Student lookup failed');
+            assert.equal(dead.nextRunAt, nextRunAt);
+        });
+
+        it('moves jobs over their attempt cap to the dead letters', async () => {
+            // A job re-claimed after a crash on its last attempt is counted once more
+            const job = claimedJob(6);
+            await job.markFailed(new Error('timeout'));
+            assert.equal(job.status, 'dead');
+        });
+    });
+
+    describe('isFinalAttempt', () => {
+        it('is true from the last allowed attempt on', () => {
+            assert.equal(claimedJob(4).isFinalAttempt(), false);
+            assert.equal(claimedJob(5).isFinalAttempt(), true);
+            assert.equal(claimedJob(6).isFinalAttempt(), true);
+        });
+
+        it('takes the attempt cap from the environment', () => {
+            process.env.WEBHOOK_JOB_MAX_ATTEMPTS = '2';
+            const job = new WebhookJob({ payload: {}, attempts: 2 });
+            assert.equal(job.maxAttempts, 2);
+            assert.equal(job.isFinalAttempt(), true);
+        });
+    });
+
+    describe('claimNext', () => {
+        it('claims due jobs and jobs whose lock has timed out, counting an attempt', async () => {
+            const findOneAndUpdate = mock.method(WebhookJob, 'findOneAndUpdate', async () => null);
+            await WebhookJob.claimNext('worker-2', 5 * 60 * SECOND);
+
+            const [filter, update, options] = findOneAndUpdate.mock.calls[0].arguments;
+            const [due, stale] = filter.$or;
+            const now = update.$set.lockedAt.getTime();
+
+            assert.equal(due.status, 'pending');
+            assert.equal(due.nextRunAt.$lte.getTime(), now);
+            assert.equal(stale.status, 'processing');
+            assert.equal(now - stale.lockedAt.$lt.getTime(), 5 * 60 * SECOND);
+            assert.deepEqual(update.$inc, { attempts: 1 });
+            assert.equal(update.$set.lockedBy, 'worker-2');
+            assert.deepEqual(options.sort, { nextRunAt: 1 });
+        });
+    });
+
+    describe('replay', () => {
+        it('puts a dead job back on the queue with a fresh set of attempts', async () => {
+            const job = claimedJob(5, { status: 'dead', lockedAt: null, lockedBy: null });
+            await job.replay();
+
+            assert.equal(job.status, 'pending');
+            assert.equal(job.attempts, 0);
+            assert.equal(job.isFinalAttempt(), false);
+        });
+    });
+});
@@ -0,0 +1,257 @@
+import { describe, it, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import axios from 'axios';
+import { metaProvider, verifyHmacSignature } from '../../services/whatsappProviders/meta.js';
+import { loadFixture } from '../helpers.js';
+
+const config = {
+    phoneNumberId: '106540352242922',
+    accessToken: 'meta-token',
+    apiVersion: 'v19.0',
+    appSecrets: ['app-secret'],
+    toleranceSeconds: 300
+};
+
+const sign = (secret, raw) => `sha256=${crypto.createHmac('sha256', secret).update(raw).digest('hex')}`;
+
+describe('meta provider', () => {
+    afterEach(() => mock.restoreAll());
+
+    describe('parseWebhook', () => {
+        it('normalizes text, media, location, button and list messages', () => {
+            const { body } = loadFixture('whatsapp/meta-messages.json');
+            const { messages, statuses } = metaProvider.parseWebhook(body);
+
+            assert.equal(statuses.length, 0);
+            assert.deepEqual(messages.map(m => m.messageType), ['text', 'image', 'document', 'location', 'button', 'button']);
+
+            const [text, image, document, location, button, listReply] = messages;
+            assert.equal(text.messageId, 'wamid.text001');
+            assert.equal(text.from, '919876543210');
+            assert.equal(text.timestamp.toISOString(), new Date(1760860800 * 1000).toISOString());
+            assert.deepEqual(text.content, { text: 'checkout' });
+
+            assert.equal(image.content.mediaId, '1003383421387256');
+            assert.equal(image.content.caption, 'at the center');
+
+            assert.equal(document.content.isImageDocument, true);
+            assert.equal(document.content.filename, 'IMG_2041.jpg');
+
+            assert.deepEqual(location.location, {
+                latitude: 28.6139391,
+                longitude: 77.2090212,
+                address: 'Connaught Place, New Delhi',
+                name: 'Training Center'
+            });
+            assert.deepEqual(location.content, { location: true });
+
+            assert.deepEqual(button.content, {
+                buttonPayload: 'check_status',
+                buttonText: 'Check status',
+                replyType: 'button_reply',
+                contextMessageId: null
+            });
+            assert.deepEqual(listReply.content, {
+                buttonPayload: 'session:6710a1b2c3d4e5f600000001:afternoon',
+                buttonText: 'Afternoon',
+                replyType: 'list_reply',
+                contextMessageId: 'wamid.list001'
+            });
+        });
+
+        it('normalizes delivery statuses', () => {
+            const { body } = loadFixture('whatsapp/meta-status.json');
+            const { messages, statuses } = metaProvider.parseWebhook(body);
+
+            assert.equal(messages.length, 0);
+            assert.equal(statuses.length, 1);
+            assert.equal(statuses[0].messageId, 'wamid.outbound001');
+            assert.equal(statuses[0].status, 'delivered');
+            assert.equal(statuses[0].recipient, '919876543210');
+        });
+    });
+
+    describe('verifyHmacSignature', () => {
+        const rawBody = Buffer.from('{"object":"whatsapp_business_account"}');
+        const verify = (options) => verifyHmacSignature({ rawBody, secrets: ['app-secret'], ...options });
+
+        it('accepts a valid signature with or without the sha256= prefix', () => {
+            assert.deepEqual(verify({ signature: sign('app-secret', rawBody) }), { isValid: true, reason: null });
+            assert.equal(verify({ signature: sign('app-secret', rawBody).slice('sha256='.length) }).isValid, true);
+        });
+
+        it('rejects a tampered body', () => {
+            const signature = sign('app-secret', rawBody);
+            const result = verify({ signature, rawBody: Buffer.from('{"object":"whatsapp_business_account","x":1}') });
+            assert.deepEqual(result, { isValid: false, reason: 'Signature mismatch' });
+        });
+
+        it('rejects a missing signature header or body', () => {
+            assert.deepEqual(verify({ signature: undefined }), { isValid: false, reason: 'Missing signature or request body' });
+            assert.equal(verify({ signature: sign('app-secret', rawBody), rawBody: null }).reason, 'Missing signature or request body');
+        });
+
+        it('rejects malformed signature headers', () => {
+            const hex = sign('app-secret', rawBody).slice('sha256='.length);
+            for (const signature of [`sha1=${hex}`, 'sha256=not-hex', `sha256=${hex.slice(0, 32)}`, `sha256=${hex}00`]) {
+                assert.deepEqual(verify({ signature }), { isValid: false, reason: 'Signature mismatch' }, signature);
+            }
+        });
+
+        it('accepts any of the configured secrets while rotating', () => {
+            const signature = sign('old-secret', rawBody);
+            assert.equal(verify({ signature }).isValid, false);
+            assert.equal(verify({ signature, secrets: ['app-secret', 'old-secret'] }).isValid, true);
+            assert.equal(verify({ signature: sign('retired-secret', rawBody), secrets: ['app-secret', 'old-secret'] }).isValid, false);
+        });
+
+        it('rejects deliveries when no secret is configured', () => {
+            const result = verify({ signature: sign('app-secret', rawBody), secrets: [] });
+            assert.deepEqual(result, { isValid: false, reason: 'Webhook secret is not configured' });
+        });
+
+        it('signs the timestamp with the body and checks its age', () => {
+            mock.method(Date, 'now', () => 1760860850 * 1000);
+            const signature = sign('app-secret', Buffer.concat([Buffer.from('1760860800.'), rawBody]));
+
+            assert.equal(verify({ signature, timestamp: '1760860800' }).isValid, true);
+            assert.equal(verify({ signature, timestamp: '1760860801' }).reason, 'Signature mismatch');
+            assert.equal(verify({ signature: sign('app-secret', rawBody), timestamp: '1760860800' }).reason, 'Signature mismatch');
+
+            mock.method(Date, 'now', () => (1760860800 + 301) * 1000);
+            assert.equal(verify({ signature, timestamp: '1760860800' }).reason, 'Webhook timestamp outside allowed window');
+            assert.equal(verify({ signature, timestamp: 'yesterday' }).reason, 'Webhook timestamp outside allowed window');
+        });
+    });
+
+    describe('verifyRequest', () => {
+        // Keep the fixture within the replay window
+        const now = () => mock.method(Date, 'now', () => 1760860850 * 1000);
+
+        it('accepts a body signed with the app secret', () => {
+            now();
+            const { raw, body } = loadFixture('whatsapp/meta-messages.json');
+            const headers = { 'x-hub-signature-256': sign('app-secret', raw) };
+
+            assert.deepEqual(metaProvider.verifyRequest(config, { headers, rawBody: raw, body }), { isValid: true, reason: null });
+        });
+
+        it('accepts the previous secret while rotating', () => {
+            now();
+            const { raw, body } = loadFixture('whatsapp/meta-messages.json');
+            const headers = { 'x-hub-signature-256': sign('old-secret', raw) };
+            const rotating = { ...config, appSecrets: ['app-secret', 'old-secret'] };
+
+            assert.equal(metaProvider.verifyRequest(rotating, { headers, rawBody: raw, body }).isValid, true);
+        });
+
+        it('rejects a wrong signature', () => {
+            now();
+            const { raw, body } = loadFixture('whatsapp/meta-messages.json');
+            const headers = { 'x-hub-signature-256': sign('other-secret', raw) };
+
+            const result = metaProvider.verifyRequest(config, { headers, rawBody: raw, body });
+            assert.equal(result.isValid, false);
+            assert.equal(result.reason, 'Signature mismatch');
+        });
+
+        it('rejects a replayed payload', () => {
+            mock.method(Date, 'now', () => (1760860850 + 3600) * 1000);
+            const { raw, body } = loadFixture('whatsapp/meta-messages.json');
+            const headers = { 'x-hub-signature-256': sign('app-secret', raw) };
+
+            assert.equal(metaProvider.verifyRequest(config, { headers, rawBody: raw, body }).isValid, false);
+        });
+    });
+
+    describe('send', () => {
+        it('posts text messages to the phone number', async () => {
+            const post = mock.method(axios, 'post', async () => ({ data: { messages: [{ id: 'wamid.sent001' }] } }));
+
+            const result = await metaProvider.send(config, '+919876543210', { type: 'text', text: 'Hello' });
+
+            assert.equal(result.messageId, 'wamid.sent001');
+            const [url, payload, options] = post.mock.calls[0].arguments;
+            assert.equal(url, 'https://graph.facebook.com/v19.0/106540352242922/messages');
+            assert.deepEqual(payload, {
+                messaging_product: 'whatsapp',
+                recipient_type: 'individual',
+                to: '919876543210',
+                type: 'text',
+                text: { body: 'Hello', preview_url: true }
+            });
+            assert.equal(options.headers.Authorization, 'Bearer meta-token');
+        });
+
+        it('sends templates with their language', async () => {
+            const post = mock.method(axios, 'post', async () => ({ data: { messages: [{ id: 'wamid.sent002' }] } }));
+
+            await metaProvider.send(config, '919876543210', { type: 'template', name: 'daily_reminder', language: 'hi' });
+
+            const [, payload] = post.mock.calls[0].arguments;
+            assert.deepEqual(payload.template, { name: 'daily_reminder', language: { code: 'hi' } });
+        });
+
+        it('sends reply buttons and list messages as interactive messages', async () => {
+            const post = mock.method(axios, 'post', async () => ({ data: { messages: [{ id: 'wamid.sent003' }] } }));
+
+            await metaProvider.send(config, '919876543210', {
+                type: 'interactive',
+                interactive: 'button',
+                body: 'Check out now?',
+                buttons: [{ id: 'checkout:confirm:1', title: 'Check out' }, { id: 'checkout:cancel', title: 'Cancel' }]
+            });
+            await metaProvider.send(config, '919876543210', {
+                type: 'interactive',
+                interactive: 'list',
+                body: 'Which session?',
+                footer: 'Sessions open now',
+                button: 'Choose session',
+                sections: [{ rows: [{ id: 'session:1:morning', title: 'Morning', description: '09:00-13:00' }, { id: 'session:1:afternoon', title: 'Afternoon' }] }]
+            });
+
+            const [[, buttons], [, list]] = post.mock.calls.map(call => call.arguments);
+            assert.equal(buttons.type, 'interactive');
+            assert.deepEqual(buttons.interactive, {
+                type: 'button',
+                body: { text: 'Check out now?' },
+                action: {
+                    buttons: [
+                        { type: 'reply', reply: { id: 'checkout:confirm:1', title: 'Check out' } },
+                        { type: 'reply', reply: { id: 'checkout:cancel', title: 'Cancel' } }
+                    ]
+                }
+            });
+            assert.deepEqual(list.interactive, {
+                type: 'list',
+                body: { text: 'Which session?' },
+                footer: { text: 'Sessions open now' },
+                action: {
+                    button: 'Choose session',
+                    sections: [{
+                        rows: [
+                            { id: 'session:1:morning', title: 'Morning', description: '09:00-13:00' },
+                            { id: 'session:1:afternoon', title: 'Afternoon' }
+                        ]
+                    }]
+                }
+            });
+        });
+    });
+
+    describe('downloadMedia', () => {
+        it('resolves the media id to a URL and downloads it with the token', async () => {
+            const get = mock.method(axios, 'get', async (url) => (url.endsWith('/1003383421387256')
+                ? { data: { url: 'https://lookaside.fbsbx.com/media/1', mime_type: 'image/jpeg' } }
+                : { data: Buffer.from('jpeg-bytes'), headers: { 'content-type': 'image/jpeg' } }));
+
+            const media = await metaProvider.downloadMedia(config, { id: '1003383421387256' });
+
+            assert.equal(media.data.toString(), 'jpeg-bytes');
+            assert.equal(media.contentType, 'image/jpeg');
+            assert.equal(get.mock.calls[1].arguments[0], 'https://lookaside.fbsbx.com/media/1');
+            assert.equal(get.mock.calls[1].arguments[1].headers.Authorization, 'Bearer meta-token');
+        });
+    });
+});
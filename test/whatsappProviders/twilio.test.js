@@ -0,0 +1,192 @@
+import { describe, it, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import axios from 'axios';
+import { twilioProvider } from '../../services/whatsappProviders/twilio.js';
+import { loadFixture } from '../helpers.js';
+
+const config = {
+    accountSid: 'AC00000000000000000000000000000000',
+    authToken: 'auth-token',
+    authTokens: ['auth-token'],
+    fromNumber: '14155238886',
+    webhookUrl: ''
+};
+
+const WEBHOOK_URL = 'https://attendance.example.com/api/webhook/whatsapp';
+
+// Reference implementation of Twilio's request signing
+const sign = (url, params, authToken = 'auth-token') => {
+    const data = url + Object.keys(params).sort().map(key => key + params[key]).join('');
+    return crypto.createHmac('sha1', authToken).update(data).digest('base64');
+};
+
+describe('twilio provider', () => {
+    afterEach(() => mock.restoreAll());
+
+    describe('parseWebhook', () => {
+        it('normalizes text messages and strips the whatsapp: prefix', () => {
+            const { body } = loadFixture('whatsapp/twilio-text.json');
+            const { messages, statuses } = twilioProvider.parseWebhook(body);
+
+            assert.equal(statuses.length, 0);
+            assert.deepEqual(messages, [{
+                messageId: 'SM0a1b2c3d4e5f60718293a4b5c6d7e8f9',
+                from: '919876543210',
+                timestamp: null,
+                messageType: 'text',
+                content: { text: 'checkout' },
+                location: null
+            }]);
+        });
+
+        it('normalizes media messages with the media URL', () => {
+            const { body } = loadFixture('whatsapp/twilio-media.json');
+            const [message] = twilioProvider.parseWebhook(body).messages;
+
+            assert.equal(message.messageType, 'image');
+            assert.equal(message.content.mediaUrl, body.MediaUrl0);
+            assert.equal(message.content.mimeType, 'image/jpeg');
+            assert.equal(message.content.isImageDocument, true);
+        });
+
+        it('normalizes shared locations', () => {
+            const { body } = loadFixture('whatsapp/twilio-location.json');
+            const [message] = twilioProvider.parseWebhook(body).messages;
+
+            assert.equal(message.messageType, 'location');
+            assert.deepEqual(message.location, {
+                latitude: 28.6139391,
+                longitude: 77.2090212,
+                address: 'Connaught Place, New Delhi',
+                name: 'Training Center'
+            });
+        });
+
+        it('normalizes status callbacks', () => {
+            const { body } = loadFixture('whatsapp/twilio-status.json');
+            const { messages, statuses } = twilioProvider.parseWebhook(body);
+
+            assert.equal(messages.length, 0);
+            assert.equal(statuses[0].messageId, 'SM11111111111111111111111111111111');
+            assert.equal(statuses[0].status, 'delivered');
+            assert.equal(statuses[0].recipient, '919876543210');
+        });
+    });
+
+    describe('verifyRequest', () => {
+        it('accepts a request signed for the request URL', () => {
+            const { body } = loadFixture('whatsapp/twilio-text.json');
+            const headers = { 'x-twilio-signature': sign(WEBHOOK_URL, body) };
+
+            assert.deepEqual(twilioProvider.verifyRequest(config, { headers, body, url: WEBHOOK_URL }), { isValid: true, reason: null });
+        });
+
+        it('uses the configured webhook URL behind a proxy', () => {
+            const { body } = loadFixture('whatsapp/twilio-media.json');
+            const headers = { 'x-twilio-signature': sign(WEBHOOK_URL, body) };
+            const proxied = { ...config, webhookUrl: WEBHOOK_URL };
+
+            const result = twilioProvider.verifyRequest(proxied, { headers, body, url: 'http://localhost:5001/api/webhook/whatsapp' });
+            assert.equal(result.isValid, true);
+        });
+
+        it('rejects tampered parameters', () => {
+            const { body } = loadFixture('whatsapp/twilio-text.json');
+            const headers = { 'x-twilio-signature': sign(WEBHOOK_URL, body) };
+
+            const result = twilioProvider.verifyRequest(config, { headers, body: { ...body, Body: 'present' }, url: WEBHOOK_URL });
+            assert.equal(result.isValid, false);
+            assert.equal(result.reason, 'Signature mismatch');
+        });
+
+        it('accepts the previous auth token while rotating', () => {
+            const { body } = loadFixture('whatsapp/twilio-text.json');
+            const headers = { 'x-twilio-signature': sign(WEBHOOK_URL, body, 'old-token') };
+
+            assert.equal(twilioProvider.verifyRequest(config, { headers, body, url: WEBHOOK_URL }).isValid, false);
+
+            const rotating = { ...config, authTokens: ['auth-token', 'old-token'] };
+            assert.equal(twilioProvider.verifyRequest(rotating, { headers, body, url: WEBHOOK_URL }).isValid, true);
+        });
+
+        it('reads the previous auth token from the environment', () => {
+            process.env.TWILIO_AUTH_TOKEN_PREVIOUS = 'old-token';
+            try {
+                const settings = { whatsappApi: { twilio: { authToken: 'auth-token' } } };
+                assert.deepEqual(twilioProvider.getConfig(settings).authTokens, ['auth-token', 'old-token']);
+            } finally {
+                delete process.env.TWILIO_AUTH_TOKEN_PREVIOUS;
+            }
+        });
+
+        it('rejects requests without a signature or without a configured token', () => {
+            const { body } = loadFixture('whatsapp/twilio-text.json');
+            assert.equal(twilioProvider.verifyRequest(config, { headers: {}, body, url: WEBHOOK_URL }).reason, 'Missing signature');
+
+            const headers = { 'x-twilio-signature': sign(WEBHOOK_URL, body) };
+            const unconfigured = { ...config, authToken: '', authTokens: [] };
+            assert.equal(twilioProvider.verifyRequest(unconfigured, { headers, body, url: WEBHOOK_URL }).reason, 'Twilio auth token is not configured');
+        });
+    });
+
+    describe('send', () => {
+        it('posts form-encoded messages with basic auth', async () => {
+            const post = mock.method(axios, 'post', async () => ({ data: { sid: 'SM22222222222222222222222222222222' } }));
+
+            const result = await twilioProvider.send(config, '919876543210', { type: 'text', text: 'Hello' });
+
+            assert.equal(result.messageId, 'SM22222222222222222222222222222222');
+            const [url, body, options] = post.mock.calls[0].arguments;
+            assert.equal(url, 'https://api.twilio.com/2010-04-01/Accounts/AC00000000000000000000000000000000/Messages.json');
+            assert.deepEqual(Object.fromEntries(new URLSearchParams(body)), {
+                From: 'whatsapp:+14155238886',
+                To: 'whatsapp:+919876543210',
+                Body: 'Hello'
+            });
+            assert.deepEqual(options.auth, { username: config.accountSid, password: 'auth-token' });
+        });
+
+        it('sends templates as content SIDs', async () => {
+            const post = mock.method(axios, 'post', async () => ({ data: { sid: 'SM3' } }));
+
+            await twilioProvider.send(config, '919876543210', {
+                type: 'template',
+                name: 'HX00000000000000000000000000000000',
+                variables: { 1: 'Asha' }
+            });
+
+            const params = new URLSearchParams(post.mock.calls[0].arguments[1]);
+            assert.equal(params.get('ContentSid'), 'HX00000000000000000000000000000000');
+            assert.equal(params.get('ContentVariables'), '{"1":"Asha"}');
+        });
+
+        it('sends interactive messages as text with numbered options', async () => {
+            const post = mock.method(axios, 'post', async () => ({ data: { sid: 'SM4' } }));
+
+            await twilioProvider.send(config, '919876543210', {
+                type: 'interactive',
+                interactive: 'list',
+                body: 'Which session?',
+                button: 'Choose session',
+                sections: [{ rows: [{ id: 'session:1:morning', title: 'Morning', description: '09:00-13:00' }, { id: 'session:1:afternoon', title: 'Afternoon' }] }]
+            });
+
+            const params = new URLSearchParams(post.mock.calls[0].arguments[1]);
+            assert.equal(params.get('Body'), 'Which session?\n\n1. Morning (09:00-13:00)\n2. Afternoon');
+        });
+    });
+
+    describe('downloadMedia', () => {
+        it('downloads media URLs with the account credentials', async () => {
+            const get = mock.method(axios, 'get', async () => ({ data: Buffer.from('bytes'), headers: { 'content-type': 'image/jpeg' } }));
+            const { body } = loadFixture('whatsapp/twilio-media.json');
+
+            const media = await twilioProvider.downloadMedia(config, { url: body.MediaUrl0 });
+
+            assert.equal(get.mock.calls[0].arguments[0], body.MediaUrl0);
+            assert.deepEqual(get.mock.calls[0].arguments[1].auth, { username: config.accountSid, password: 'auth-token' });
+            assert.equal(media.data.toString(), 'bytes');
+        });
+    });
+});
@@ -0,0 +1,145 @@
+import { describe, it, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import axios from 'axios';
+import { wabeProvider } from '../../services/whatsappProviders/wabe.js';
+import { loadFixture } from '../helpers.js';
+
+const config = {
+    baseUrl: 'https://wabe.example.com',
+    apiKey: 'api-key',
+    accessToken: 'access-token',
+    secrets: ['webhook-secret'],
+    toleranceSeconds: 300
+};
+
+const sign = (raw, timestamp = null) => {
+    const hmac = crypto.createHmac('sha256', 'webhook-secret');
+    if (timestamp) {
+        hmac.update(`${timestamp}.`);
+    }
+    return hmac.update(raw).digest('hex');
+};
+
+describe('wabe provider', () => {
+    afterEach(() => mock.restoreAll());
+
+    describe('parseWebhook', () => {
+        it('unwraps originalPayload and attaches processed media', () => {
+            const { body } = loadFixture('whatsapp/wabe-message.json');
+            const { messages, statuses } = wabeProvider.parseWebhook(body);
+
+            assert.equal(messages.length, 1);
+            const [document] = messages;
+            assert.equal(document.messageId, 'wamid.wabe001');
+            assert.equal(document.messageType, 'document');
+            assert.equal(document.content.isImageDocument, true);
+            assert.equal(document.content.base64Data, '/9j/4AAQSkZJRgABAQAAAQABAAD/2wBDAAEBAQ==');
+            assert.equal(document.content.fileSize, 48213);
+            assert.equal(document.content.contentType, 'image/jpeg');
+
+            assert.equal(statuses.length, 1);
+            assert.equal(statuses[0].status, 'read');
+        });
+
+        it('reads the legacy flat message format', () => {
+            const { body } = loadFixture('whatsapp/wabe-legacy.json');
+            const { messages } = wabeProvider.parseWebhook(body);
+
+            assert.equal(messages.length, 1);
+            assert.equal(messages[0].messageId, 'legacy-001');
+            assert.equal(messages[0].messageType, 'location');
+            assert.equal(messages[0].location.latitude, 28.6139391);
+            assert.equal(messages[0].timestamp.toISOString(), '2026-10-19T09:10:00.000Z');
+        });
+
+        it('reads legacy button replies', () => {
+            const { body } = loadFixture('whatsapp/wabe-button.json');
+            const { messages } = wabeProvider.parseWebhook(body);
+
+            assert.equal(messages[0].messageType, 'button');
+            assert.deepEqual(messages[0].content, { buttonPayload: 'mark_attendance', buttonText: 'Mark attendance' });
+        });
+
+        it('ignores unknown payloads', () => {
+            assert.deepEqual(wabeProvider.parseWebhook({ type: 'unknown' }), { messages: [], statuses: [] });
+        });
+    });
+
+    describe('verifyRequest', () => {
+        it('accepts a signature over the timestamp and body', () => {
+            mock.method(Date, 'now', () => 1760860850 * 1000);
+            const { raw, body } = loadFixture('whatsapp/wabe-message.json');
+            const headers = { 'x-webhook-signature': sign(raw, '1760860850'), 'x-webhook-timestamp': '1760860850' };
+
+            assert.deepEqual(wabeProvider.verifyRequest(config, { headers, rawBody: raw, body }), { isValid: true, reason: null });
+        });
+
+        it('rejects a timestamp outside the window', () => {
+            mock.method(Date, 'now', () => 1760860850 * 1000);
+            const { raw, body } = loadFixture('whatsapp/wabe-message.json');
+            const headers = { 'x-webhook-signature': sign(raw, '1760850000'), 'x-webhook-timestamp': '1760850000' };
+
+            const result = wabeProvider.verifyRequest(config, { headers, rawBody: raw, body });
+            assert.equal(result.isValid, false);
+            assert.equal(result.reason, 'Webhook timestamp outside allowed window');
+        });
+
+        it('falls back to the payload timestamps without a timestamp header', () => {
+            const { raw, body } = loadFixture('whatsapp/wabe-message.json');
+            const headers = { 'x-hub-signature-256': `sha256=${sign(raw)}` };
+
+            mock.method(Date, 'now', () => 1760860850 * 1000);
+            assert.equal(wabeProvider.verifyRequest(config, { headers, rawBody: raw, body }).isValid, true);
+
+            mock.method(Date, 'now', () => (1760860850 + 3600) * 1000);
+            assert.equal(wabeProvider.verifyRequest(config, { headers, rawBody: raw, body }).isValid, false);
+        });
+
+        it('rejects deliveries when no secret is configured', () => {
+            const { raw, body } = loadFixture('whatsapp/wabe-message.json');
+            const result = wabeProvider.verifyRequest({ ...config, secrets: [] }, { headers: {}, rawBody: raw, body });
+
+            assert.equal(result.reason, 'Webhook secret is not configured');
+        });
+    });
+
+    describe('send', () => {
+        it('posts text messages to the direct endpoint', async () => {
+            const post = mock.method(axios, 'post', async () => ({ data: { success: true, messageId: 'wabe-1' } }));
+
+            const result = await wabeProvider.send(config, '919876543210', { type: 'text', text: 'Hello' });
+
+            assert.equal(result.messageId, 'wabe-1');
+            const [url, payload, options] = post.mock.calls[0].arguments;
+            assert.equal(url, 'https://wabe.example.com/api/dev/v1/direct/api-key');
+            assert.deepEqual(payload, { to: '+919876543210', type: 'text', text: { body: 'Hello', preview_url: true } });
+            assert.equal(options.headers['X-Access-Token'], 'access-token');
+        });
+
+        it('posts templates to the template endpoint', async () => {
+            const post = mock.method(axios, 'post', async () => ({ data: {} }));
+
+            await wabeProvider.send(config, '+919876543210', { type: 'template', name: 'daily_reminder', language: 'en_US' });
+
+            const [url, payload] = post.mock.calls[0].arguments;
+            assert.equal(url, 'https://wabe.example.com/api/dev/v1/template/api-key');
+            assert.deepEqual(payload, {
+                to: '+919876543210',
+                template: { name: 'daily_reminder', language: { code: 'en_US' } }
+            });
+        });
+    });
+
+    describe('downloadMedia', () => {
+        it('downloads media by id through the gateway', async () => {
+            const get = mock.method(axios, 'get', async () => ({ data: Buffer.from('bytes'), headers: { 'content-type': 'image/png' } }));
+
+            const media = await wabeProvider.downloadMedia(config, { id: '2003383421387256' });
+
+            assert.equal(get.mock.calls[0].arguments[0], 'https://wabe.example.com/api/dev/v1/media/2003383421387256');
+            assert.equal(media.data.toString(), 'bytes');
+            assert.equal(media.contentType, 'image/png');
+        });
+    });
+});